@@ -1,12 +1,98 @@
 #!/usr/bin/env node
 
-import { program } from "commander";
-import { cleanBranches } from "../src/clean.js";
-// import { mergeToBranches } from "../src/merge.js";
-// import { fetchAllBranches } from "../src/fetch.js";
-import { loadConfig } from "../src/config.js";
+import { program, Option, Help } from "commander";
+import { cleanBranches, cleanRemoteBranches } from "../src/clean.js";
+import { mergeToBranches } from "../src/merge.js";
+import { fetchAllBranches } from "../src/fetch.js";
+import { cherryPickCommits } from "../src/cherry-pick.js";
+import { listBranches } from "../src/list.js";
+import {
+  loadConfig,
+  resolveConfig,
+  initConfig,
+  showConfig,
+  checkConfig,
+  getConfigValue,
+  setConfigValue,
+} from "../src/config.js";
 import { deleteBranches } from "../src/delete.js";
 import { switchBranch } from "../src/switch.js";
+import { createBranch } from "../src/create.js";
+import { restoreBranches, purgeTrash } from "../src/trash.js";
+import { showHistory, undoOperation } from "../src/journal.js";
+import { addWorktree, listWorktrees, pruneWorktrees } from "../src/worktree.js";
+import {
+  MANAGED_HOOKS,
+  installHooks,
+  uninstallHooks,
+  showHooksStatus,
+  runHook,
+} from "../src/hooks.js";
+import {
+  listAcrossRepos,
+  cleanAcrossRepos,
+  stripWorkspaceArgs,
+} from "../src/workspace.js";
+import { enableJsonMode } from "../src/output.js";
+import {
+  CATALOGS,
+  normalizeLocale,
+  resolveLocale,
+  setLocale,
+  t,
+} from "../src/i18n.js";
+
+/**
+ * 选择界面语言：--lang 优先，其次是配置 lang，最后是环境变量 LC_ALL / LC_MESSAGES / LANG
+ * 命令说明在定义命令时就会生成，因此需要在解析命令行之前确定语言
+ * @param {string[]} argv - 命令行参数，不含 node 和脚本路径
+ * @returns {Promise<string>} 支持的语言
+ */
+const detectLocale = async (argv) => {
+  const index = argv.findIndex(
+    (arg) => arg === "--lang" || arg.startsWith("--lang=")
+  );
+  if (index !== -1) {
+    const [, inline] = argv[index].split("=");
+    const locale = normalizeLocale(inline ?? argv[index + 1]);
+    if (locale) return locale;
+  }
+  let lang;
+  try {
+    ({
+      config: { lang },
+    } = await resolveConfig());
+  } catch (error) {
+    // 不合法的配置项不会生效，由具体命令报告；读取失败时只使用环境变量
+  }
+  return resolveLocale(lang, process.env);
+};
+
+setLocale(await detectLocale(process.argv.slice(2)));
+
+/** commander 帮助中固定的英文标题，按当前语言替换 */
+const HELP_TITLES = {
+  "Usage:": "usage",
+  "Arguments:": "arguments",
+  "Options:": "options",
+  "Global Options:": "globalOptions",
+  "Commands:": "commands",
+};
+
+/**
+ * 替换帮助中选项和参数说明后附加的 (default: …, choices: …)
+ * @param {string} description - commander 生成的说明
+ * @returns {string} 当前语言的说明
+ */
+const localizeExtraInfo = (description) =>
+  description.replace(
+    /\(((?:default|choices|preset|env): .*)\)$/,
+    (_, info) =>
+      `(${info.replace(
+        /(^|, )(default|choices|preset|env): /g,
+        (match, separator, name) => `${separator}${t(`cli.help.${name}`)}: `
+      )})`
+  );
 
 /**
  * 处理命令执行错误
@@ -14,7 +100,7 @@ import { switchBranch } from "../src/switch.js";
  * @param {string} command - 命令名称
  */
 const handleCommandError = (error, command) => {
-  console.error(`❌ ${command} 命令执行失败:`, error.message);
+  console.error(`❌ ${t("cli.commandFailed", { command })}`, error.message);
   process.exit(1);
 };
 
@@ -27,127 +113,657 @@ const handleCommandError = (error, command) => {
  * @param {Object} cliOptions.listOnly - 是否只列出要删除的分支
  * @param {Object} cliOptions.confirm - 是否确认清理
  * @param {Object} cliOptions.force - 是否强制删除
- * @param {Object} config - 配置文件
+ * @param {string|boolean} cliOptions.merged - 基准分支，未指定值时为 true
+ * @param {string|boolean} cliOptions.stale - 时长，未指定值时为 true
+ * @param {boolean} cliOptions.offline - 是否离线模式
+ * @param {boolean} cliOptions.prune - 是否先执行 git fetch --prune
+ * @param {Object} config - 合并所有配置层后的配置，见 src/config.js 中的 CONFIG_SCHEMA
  * @param {string[]} config.protectedBranches - 受保护的分支列表
  * @param {string[]} config.remotes - 远程仓库列表
  * @param {boolean} config.silent - 是否静默模式
- * @param {string[]} config.ignore - 清理时要忽略的分支列表
- * @param {boolean} config.listOnly - 是否只列出要删除的分支
- * @param {boolean} config.confirm - 是否确认清理
- * @param {boolean} config.force - 是否强制删除
- * @param {boolean} config.ffOnly - 是否只允许快进合并
- * @param {string[]} config.mergeIgnore - 合并时要忽略的分支列表
- * @param {string[]} config.fetchIgnore - 拉取时要忽略的分支列表
- * @param {boolean} config.fetchForce - 是否强制更新
  * @param {boolean} config.debug - 是否打印调试日志
+ * @param {Object} config.clean - clean 命令的配置
  * @returns {Object} 合并后的选项
  */
 const mergeOptions = (cliOptions, config) => {
+  const { clean } = config;
   return {
-    silent: cliOptions.silent ?? config.silent ?? false,
-    remotes: cliOptions.remote || config.remotes || [],
-    ignore: [...(cliOptions.ignore || []), ...(config.ignore || [])],
-    listOnly: cliOptions.listOnly ?? config.listOnly ?? false,
-    confirm: cliOptions.confirm ?? config.confirm ?? true,
-    force: cliOptions.force ?? config.force ?? false,
-    protectedBranches: [...(config.protectedBranches || [])],
-    debug: cliOptions.debug ?? config.debug ?? false,
+    silent: cliOptions.silent ?? config.silent,
+    remotes: cliOptions.remote || config.remotes,
+    ignore: [...(cliOptions.ignore || []), ...clean.ignore],
+    listOnly: cliOptions.listOnly ?? clean.listOnly,
+    // --no-confirm 未传入时 commander 默认为 true，此时以配置为准
+    confirm: cliOptions.confirm === false ? false : clean.confirm,
+    force: cliOptions.force ?? clean.force,
+    protectedBranches: [...config.protectedBranches],
+    merged: cliOptions.merged === true ? clean.mergedBase : cliOptions.merged,
+    stale: cliOptions.stale === true ? clean.staleAfter : cliOptions.stale,
+    offline: cliOptions.offline ?? clean.offline,
+    prune: cliOptions.prune ?? clean.prune,
+    debug: cliOptions.debug ?? config.debug,
   };
 };
 
-// 设置 CLI 程序
-program.name("bk").description("Git 分支管理工具").version("1.0.0");
+/**
+ * 合并多仓库模式的命令行选项和配置
+ * @param {Object} cliOptions - 命令行选项
+ * @param {string[]|boolean} [cliOptions.repos] - 仓库路径或 glob，未指定值时为 true
+ * @param {string} [cliOptions.workspace] - 工作区目录
+ * @param {number} [cliOptions.concurrency] - 同时处理的仓库数
+ * @param {Object} config - 合并所有配置层后的配置
+ * @returns {Object|null} 多仓库选项，未使用多仓库模式时返回 null
+ */
+const getWorkspaceOptions = (cliOptions, config) => {
+  if (!cliOptions.repos && !cliOptions.workspace) return null;
+  return {
+    repos:
+      cliOptions.repos === true
+        ? config.workspace.repos
+        : cliOptions.repos || [],
+    workspace: cliOptions.workspace,
+    concurrency: cliOptions.concurrency ?? config.workspace.concurrency,
+    debug: cliOptions.debug ?? config.debug,
+  };
+};
+
+// 设置 CLI 程序，帮助相关的设置需要在添加子命令之前完成，子命令会继承
+program
+  .name("bk")
+  .description(t("cli.description"))
+  .version("1.0.0", "-V, --version", t("cli.options.version"))
+  .helpOption("-h, --help", t("cli.options.help"))
+  .addHelpCommand("help [command]", t("cli.helpCommand"))
+  .configureHelp({
+    formatHelp(cmd, helper) {
+      return Help.prototype.formatHelp
+        .call(this, cmd, helper)
+        .replace(
+          /^(Usage:|Arguments:|Options:|Global Options:|Commands:)/gm,
+          (title) => `${t(`cli.help.${HELP_TITLES[title]}`)}:`
+        );
+    },
+    optionDescription(option) {
+      return localizeExtraInfo(
+        Help.prototype.optionDescription.call(this, option)
+      );
+    },
+    argumentDescription(argument) {
+      return localizeExtraInfo(
+        Help.prototype.argumentDescription.call(this, argument)
+      );
+    },
+  })
+  .option("--json", t("cli.options.json"))
+  .addOption(
+    new Option("--lang <locale>", t("cli.options.lang")).choices(
+      Object.keys(CATALOGS)
+    )
+  );
+
+// --json 可以写在任意子命令后，执行命令前开启 JSON 模式
+program.hook("preAction", (_, actionCommand) => {
+  if (!actionCommand.optsWithGlobals().json) return;
+  const names = [];
+  for (let command = actionCommand; command.parent; command = command.parent) {
+    names.unshift(command.name());
+  }
+  enableJsonMode(names.join(" "));
+});
 
 // Clean 命令
 program
   .command("clean")
-  .description("删除远程已不存在的本地分支")
-  .option("-r, --remote <remotes...>", "指定要检查的远程仓库")
-  .option("-i, --ignore <branches...>", "指定要忽略的分支")
-  .option("--no-confirm", "删除前不进行确认")
-  .option("--list-only", "仅列出要删除的分支，不执行删除")
-  .option("--force", "强制删除，不需要确认")
-  .option("--silent", "静默模式运行")
-  .option("--debug", "打印调试日志")
+  .description(t("cli.clean.description"))
+  .option("-r, --remote <remotes...>", t("cli.clean.remote"))
+  .option("-i, --ignore <branches...>", t("cli.clean.ignore"))
+  .option("--no-confirm", t("cli.clean.noConfirm"))
+  .option("--list-only", t("cli.clean.listOnly"))
+  .option("--merged [base]", t("cli.clean.merged"))
+  .option("--stale [duration]", t("cli.clean.stale"))
+  .option("--offline", t("cli.clean.offline"))
+  .option("--prune", t("cli.clean.prune"))
+  .option("--remote-branches", t("cli.clean.remoteBranches"))
+  .option("--include <branches...>", t("cli.clean.include"))
+  .option("--author <text>", t("cli.clean.author"))
+  .option("--mine", t("cli.clean.mine"))
+  .option("-y, --yes", t("cli.clean.yes"))
+  .option("--force", t("cli.clean.force"))
+  .option("--silent", t("cli.clean.silent"))
+  .option("--debug", t("cli.options.debug"))
+  .option("--repos [paths...]", t("cli.options.repos"))
+  .option("--workspace <dir>", t("cli.options.workspace"))
+  .option("--concurrency <count>", t("cli.options.concurrency"), (value) =>
+    parseInt(value, 10)
+  )
+  // 多仓库模式确认后，由每个仓库的子进程使用
+  .addOption(new Option("--only <branches...>").hideHelp())
   .action(async (options) => {
     try {
-      const config = loadConfig(options);
+      const config = await loadConfig({
+        ...options,
+        sections: ["clean", "workspace"],
+      });
       const finalOptions = mergeOptions(options, config);
-      await cleanBranches(finalOptions);
+      const workspaceOptions = getWorkspaceOptions(options, config);
+      if (workspaceOptions) {
+        if (options.remoteBranches) {
+          console.error(t("cli.clean.noRemoteBranchesInWorkspace"));
+          return process.exit(1);
+        }
+        await cleanAcrossRepos(stripWorkspaceArgs(process.argv.slice(2)), {
+          ...workspaceOptions,
+          listOnly: finalOptions.listOnly,
+          confirm: finalOptions.confirm,
+          silent: finalOptions.silent,
+        });
+        return;
+      }
+      if (options.remoteBranches) {
+        if (options.stale) {
+          console.error(t("cli.clean.noStaleForRemote"));
+          return process.exit(1);
+        }
+        await cleanRemoteBranches({
+          ...finalOptions,
+          base: finalOptions.merged ?? config.clean.mergedBase,
+          include: options.include || [],
+          author: options.author,
+          mine: options.mine,
+          // 删除远程分支影响所有协作者且无法在本地撤回，只有专用的 --yes 能跳过确认
+          yes: options.yes,
+        });
+        return;
+      }
+      await cleanBranches({ ...finalOptions, only: options.only });
     } catch (error) {
       handleCommandError(error, "clean");
     }
   });
 
-/**交互式删除分支 */
+/**删除分支，未指定分支时交互式选择 */
 program
-  .command("delete")
-  .description("交互式删除分支")
-  .option("-f, --force", "强制删除未合并的分支")
-  .option("-m, --multi", "允许多选删除")
-  .option("--debug", "打印调试日志")
-  .action(deleteBranches);
-
-/**交互式切换分支 */
+  .command("delete [branches...]")
+  .description(t("cli.delete.description"))
+  .option("-f, --force", t("cli.delete.force"))
+  .option("-m, --multi", t("cli.delete.multi"))
+  .option("-y, --yes", t("cli.options.yes"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (branches, options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["delete"] });
+      await deleteBranches(branches, {
+        ...options,
+        force: options.force ?? config.delete.force,
+        multi: options.multi ?? config.delete.multi,
+        debug: options.debug ?? config.debug,
+        protectedBranches: [...config.protectedBranches],
+      });
+    } catch (error) {
+      handleCommandError(error, "delete");
+    }
+  });
+
+/**切换分支，未指定分支时交互式选择 */
+program
+  .command("checkout [branch]")
+  .description(t("cli.checkout.description"))
+  .option("-i, --ignore <branches...>", t("cli.checkout.ignore"))
+  .option("--remote-only", t("cli.checkout.remoteOnly"))
+  .option("--no-autostash", t("cli.checkout.noAutostash"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (branch, options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["checkout"] });
+      await switchBranch(branch, {
+        ...options,
+        ignore: [...(options.ignore || []), ...config.checkout.ignore],
+        autostash:
+          options.autostash === false ? false : config.checkout.autostash,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "checkout");
+    }
+  });
+
+/**按模板新建分支 */
 program
-  .command("checkout")
-  .description("交互式切换分支")
-  .option("--debug", "打印调试日志")
-  .action(switchBranch);
-
-// // Merge 命令
-// program
-//   .command("merge")
-//   .description("将源分支的更改合并到一个或多个本地分支")
-//   .requiredOption("--source <branch>", "源分支名称")
-//   .option("--target <branches...>", "目标分支列表", [])
-//   .option("--exclude <branches...>", "要排除的分支列表", [])
-//   .option("--no-ff", "禁用快进合并")
-//   .option("--debug", "打印调试日志")
-//   .action(async (options) => {
-//     try {
-//       const config = loadConfig(options);
-//       const finalOptions = {
-//         ...options,
-//         ffOnly: options.ff ?? config.ffOnly ?? true,
-//         debug: options.debug ?? config.debug ?? false,
-//       };
-//       await mergeToBranches(finalOptions);
-//     } catch (error) {
-//       handleCommandError(error, "merge");
-//     }
-//   });
+  .command("new [type] [description...]")
+  .description(t("cli.new.description"))
+  .option("-t, --ticket <ticket>", t("cli.new.ticket"))
+  .option("-r, --release <version>", t("cli.new.release"))
+  .option("-n, --name <name>", t("cli.new.name"))
+  .option("-b, --base <branch>", t("cli.new.base"))
+  .option("--fetch", t("cli.new.fetch"))
+  .option("--no-fetch", t("cli.new.noFetch"))
+  .option("--push", t("cli.new.push"))
+  .option("--no-push", t("cli.new.noPush"))
+  .option("--no-checkout", t("cli.new.noCheckout"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (type, description, options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["new"] });
+      await createBranch(
+        type,
+        description.length > 0 ? description.join(" ") : undefined,
+        {
+          ...config.new,
+          ticket: options.ticket,
+          version: options.release,
+          name: options.name,
+          base: options.base ?? config.new.base,
+          fetch: options.fetch ?? config.new.fetch,
+          push: options.push ?? config.new.push,
+          remote: config.remotes[0],
+          checkout: options.checkout,
+          debug: options.debug ?? config.debug,
+        }
+      );
+    } catch (error) {
+      handleCommandError(error, "new");
+    }
+  });
+
+/**恢复已删除的分支 */
+program
+  .command("restore")
+  .description(t("cli.restore.description"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (options) => {
+    try {
+      await restoreBranches(options);
+    } catch (error) {
+      handleCommandError(error, "restore");
+    }
+  });
+
+/**回收站管理 */
+const trash = program.command("trash").description(t("cli.trash.description"));
+
+trash
+  .command("purge")
+  .description(t("cli.trash.purge"))
+  .requiredOption("--older-than <duration>", t("cli.trash.olderThan"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (options) => {
+    try {
+      await purgeTrash(options);
+    } catch (error) {
+      handleCommandError(error, "trash purge");
+    }
+  });
+
+/**管理工作树 */
+const worktree = program
+  .command("worktree")
+  .description(t("cli.worktree.description"));
+
+worktree
+  .command("add <branch> [path]")
+  .description(t("cli.worktree.add"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (branch, worktreePath, options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["worktree"] });
+      await addWorktree(branch, worktreePath, {
+        ...options,
+        dir: config.worktree.dir,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "worktree add");
+    }
+  });
+
+worktree
+  .command("list")
+  .description(t("cli.worktree.list"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (options) => {
+    try {
+      await listWorktrees(options);
+    } catch (error) {
+      handleCommandError(error, "worktree list");
+    }
+  });
+
+worktree
+  .command("prune")
+  .description(t("cli.worktree.prune"))
+  .option("--base <branch>", t("cli.options.base"))
+  .option("--list-only", t("cli.worktree.listOnly"))
+  .option("-y, --yes", t("cli.options.yes"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["clean"] });
+      await pruneWorktrees({
+        ...options,
+        base: options.base ?? config.clean.mergedBase,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "worktree prune");
+    }
+  });
+
+/**管理 git 钩子 */
+const hooks = program.command("hooks").description(t("cli.hooks.description"));
+
+hooks
+  .command("install [hooks...]")
+  .description(t("cli.hooks.install"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (names, options) => {
+    try {
+      await installHooks(names, options);
+    } catch (error) {
+      handleCommandError(error, "hooks install");
+    }
+  });
+
+hooks
+  .command("uninstall [hooks...]")
+  .description(t("cli.hooks.uninstall"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (names, options) => {
+    try {
+      await uninstallHooks(names, options);
+    } catch (error) {
+      handleCommandError(error, "hooks uninstall");
+    }
+  });
+
+hooks
+  .command("status")
+  .description(t("cli.hooks.status"))
+  .action(async (options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["hooks"] });
+      await showHooksStatus({
+        enabled: Object.fromEntries(
+          Object.entries(MANAGED_HOOKS).map(([hook, key]) => [
+            hook,
+            config.hooks[key],
+          ])
+        ),
+      });
+    } catch (error) {
+      handleCommandError(error, "hooks status");
+    }
+  });
+
+// 由钩子脚本调用，不在帮助中显示
+hooks
+  .command("run <hook> [args...]", { hidden: true })
+  .action(async (hook, args, options) => {
+    try {
+      const config = await loadConfig({
+        ...options,
+        sections: ["hooks", "new", "clean"],
+      });
+      const base = config.clean.mergedBase;
+      await runHook(hook, args, {
+        enabled: config.hooks[MANAGED_HOOKS[hook]],
+        rules: config.new,
+        protectedBranches: [...config.protectedBranches],
+        base,
+        clean: mergeOptions({ merged: base }, config),
+        debug: config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, `hooks run ${hook}`);
+    }
+  });
+
+/**分支概览 */
+program
+  .command("list [patterns...]")
+  .alias("status")
+  .description(t("cli.list.description"))
+  .option("--base <branch>", t("cli.options.base"))
+  .option("--merged [base]", t("cli.list.merged"))
+  .option("--no-merged", t("cli.list.noMerged"))
+  .option("--gone", t("cli.list.gone"))
+  .option("--stale [duration]", t("cli.list.stale"))
+  .option("--author <name>", t("cli.list.author"))
+  .option("-s, --sort <field>", t("cli.list.sort"), "name")
+  .option("-r, --reverse", t("cli.list.reverse"))
+  .option("--debug", t("cli.options.debug"))
+  .option("--repos [paths...]", t("cli.options.repos"))
+  .option("--workspace <dir>", t("cli.options.workspace"))
+  .option("--concurrency <count>", t("cli.options.concurrency"), (value) =>
+    parseInt(value, 10)
+  )
+  .action(async (patterns, options) => {
+    try {
+      const config = await loadConfig({
+        ...options,
+        sections: ["clean", "workspace"],
+      });
+      const workspaceOptions = getWorkspaceOptions(options, config);
+      if (workspaceOptions) {
+        await listAcrossRepos(
+          stripWorkspaceArgs(process.argv.slice(2)),
+          workspaceOptions
+        );
+        return;
+      }
+      await listBranches(patterns, {
+        ...options,
+        base:
+          typeof options.merged === "string"
+            ? options.merged
+            : options.base ?? config.clean.mergedBase,
+        merged: options.merged === undefined ? undefined : !!options.merged,
+        stale: options.stale === true ? config.clean.staleAfter : options.stale,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "list");
+    }
+  });
+
+/**操作历史 */
+program
+  .command("history")
+  .description(t("cli.history.description"))
+  .option(
+    "-n, --limit <count>",
+    t("cli.history.limit"),
+    (value) => parseInt(value, 10),
+    20
+  )
+  .action(async (options) => {
+    try {
+      await showHistory(options);
+    } catch (error) {
+      handleCommandError(error, "history");
+    }
+  });
+
+/**撤销操作 */
+program
+  .command("undo [id]")
+  .description(t("cli.undo.description"))
+  .option("-y, --yes", t("cli.options.yes"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (id, options) => {
+    try {
+      await undoOperation(id, options);
+    } catch (error) {
+      handleCommandError(error, "undo");
+    }
+  });
+
+/**配置管理 */
+const configCommand = program
+  .command("config")
+  .description(t("cli.config.description"));
+
+configCommand
+  .command("init")
+  .description(t("cli.config.init"))
+  .option("--global", t("cli.config.initGlobal"))
+  .option("--force", t("cli.config.force"))
+  .action(async (options) => {
+    try {
+      await initConfig(options);
+    } catch (error) {
+      handleCommandError(error, "config init");
+    }
+  });
+
+configCommand
+  .command("show")
+  .description(t("cli.config.show"))
+  .action(async () => {
+    try {
+      await showConfig();
+    } catch (error) {
+      handleCommandError(error, "config show");
+    }
+  });
+
+configCommand
+  .command("validate")
+  .description(t("cli.config.validate"))
+  .action(async () => {
+    try {
+      if (!(await checkConfig())) process.exit(1);
+    } catch (error) {
+      handleCommandError(error, "config validate");
+    }
+  });
+
+configCommand
+  .command("get <key>")
+  .description(t("cli.config.get"))
+  .action(async (key) => {
+    try {
+      await getConfigValue(key);
+    } catch (error) {
+      handleCommandError(error, "config get");
+    }
+  });
+
+configCommand
+  .command("set <key> <value>")
+  .description(t("cli.config.set"))
+  .option("--global", t("cli.config.setGlobal"))
+  .action(async (key, value, options) => {
+    try {
+      await setConfigValue(key, value, options);
+    } catch (error) {
+      handleCommandError(error, "config set");
+    }
+  });
+
+// Merge 命令
+program
+  .command("merge")
+  .description(t("cli.merge.description"))
+  .option("--source <branch>", t("cli.merge.source"))
+  .option("--target <branches...>", t("cli.merge.target"))
+  .option("--exclude <branches...>", t("cli.merge.exclude"))
+  .option("--no-ff", t("cli.merge.noFf"))
+  .addOption(new Option("--ff-only", t("cli.merge.ffOnly")).conflicts("ff"))
+  .option("--continue", t("cli.merge.continue"))
+  .option("--abort", t("cli.merge.abort"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["merge"] });
+      await mergeToBranches({
+        ...options,
+        exclude: [...(options.exclude || []), ...config.merge.exclude],
+        ffOnly: options.ffOnly ?? config.merge.ffOnly,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "merge");
+    }
+  });
+
+/**交互式拣选提交 */
+program
+  .command("cherry-pick [source]")
+  .description(t("cli.cherryPick.description"))
+  .option("-x", t("cli.cherryPick.x"))
+  .option("--continue", t("cli.cherryPick.continue"))
+  .option("--abort", t("cli.cherryPick.abort"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (source, options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: [] });
+      await cherryPickCommits(source, {
+        ...options,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "cherry-pick");
+    }
+  });
 
 // Fetch 命令
-// program
-//   .command("fetch")
-//   .description("拉取所有远程分支并创建本地跟踪分支")
-//   .option("--remote <name>", "远程仓库名称 (默认: origin)", "origin")
-//   .option("--ignore <branches...>", "拉取时要忽略的分支", [])
-//   .option("--force", "强制更新已存在的本地分支")
-//   .option("--debug", "打印调试日志")
-//   .action(async (options) => {
-//     try {
-//       const config = loadConfig(options);
-//       const finalOptions = {
-//         ...options,
-//         force: options.force ?? config.force ?? false,
-//         debug: options.debug ?? config.debug ?? false,
-//       };
-//       await fetchAllBranches(finalOptions);
-//     } catch (error) {
-//       handleCommandError(error, "fetch");
-//     }
-//   });
+program
+  .command("fetch")
+  .description(t("cli.fetch.description"))
+  .option("--remote <name>", t("cli.fetch.remote"))
+  .option("--include <branches...>", t("cli.fetch.include"))
+  .option("--ignore <branches...>", t("cli.fetch.ignore"))
+  .option("--interactive", t("cli.fetch.interactive"))
+  .option("--force", t("cli.fetch.force"))
+  .option("--offline", t("cli.fetch.offline"))
+  .option("--debug", t("cli.options.debug"))
+  .action(async (options) => {
+    try {
+      const config = await loadConfig({ ...options, sections: ["fetch"] });
+      await fetchAllBranches({
+        ...options,
+        remote: options.remote ?? config.remotes[0] ?? "origin",
+        ignore: [...(options.ignore || []), ...config.fetch.ignore],
+        force: options.force ?? config.fetch.force,
+        debug: options.debug ?? config.debug,
+      });
+    } catch (error) {
+      handleCommandError(error, "fetch");
+    }
+  });
 
 // 添加帮助信息
 program.addHelpText(
   "after",
   `
-示例:
+${t("cli.examples")}:
   $ bk clean --remote origin --ignore main develop
+  $ bk clean --merged origin/main --list-only
+  $ bk clean --stale 30d
+  $ bk clean --offline
+  $ bk clean --remote-branches --mine --list-only
   $ bk delete --multi
+  $ bk delete "spike/*" --yes
   $ bk checkout
+  $ bk checkout feat
+  $ bk new feature "add login page" --ticket ABC-123 --push
+  $ bk list --sort date
+  $ bk list "feature/*" --no-merged
+  $ bk worktree add feature/login
+  $ bk worktree prune
+  $ bk hooks install
+  $ bk clean --list-only --json
+  $ bk list --workspace ~/code --merged
+  $ bk clean --repos "~/code/*" --merged
+  $ bk merge --source main --target "release/*"
+  $ bk merge --continue
+  $ bk fetch --include "release/*"
+  $ bk cherry-pick origin/hotfix
+  $ bk restore
+  $ bk trash purge --older-than 30d
+  $ bk history
+  $ bk undo
+  $ bk config init
+  $ bk config set clean.staleAfter 60d
   `
 );
 
@@ -0,0 +1,502 @@
+/**
+ * 提交拣选模块
+ * 从其他分支（本地或远程）选择当前分支尚未包含的提交，按顺序拣选到当前分支
+ * 遇到冲突时暂停，通过 --continue / --abort 继续或中止
+ */
+
+import inquirer from "inquirer";
+import ora from "ora";
+import {
+  checkWorkingDirectory,
+  getCurrentBranch,
+  getLocalBranches,
+  getRemoteBranches,
+  refExists,
+  hasUncommittedChanges,
+  stashChanges,
+  popStash,
+  getStashList,
+  getConflictedFiles,
+  readState,
+  writeState,
+  clearState,
+  formatTable,
+  formatAge,
+  log,
+} from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { appendJournal } from "./journal.js";
+import { isJsonMode, setResult, requireInteraction } from "./output.js";
+
+/** 状态文件名称 */
+const STATE_NAME = "cherry-pick";
+
+/** 继续拣选时不打开编辑器，沿用原提交说明 */
+const NO_EDITOR = { GIT_EDITOR: "true" };
+
+/**
+ * 获取 HEAD 指向的提交
+ * @returns {Promise<string>} 提交 sha
+ */
+const getHead = async () => {
+  const { stdout } = await runGit(["rev-parse", "HEAD"]);
+  return stdout.trim();
+};
+
+/**
+ * 交互式选择源分支，本地分支和远程分支分组显示
+ * @param {string} currentBranch - 当前分支
+ * @returns {Promise<string>} 源分支
+ */
+const selectSource = async (currentBranch) => {
+  const locals = (await getLocalBranches()).filter(
+    (branch) => branch !== currentBranch
+  );
+  const remotes = await getRemoteBranches();
+
+  const choices = [];
+  if (locals.length > 0) {
+    choices.push(
+      new inquirer.Separator(`── ${t("cherryPick.localBranches")} ──`)
+    );
+    choices.push(...locals.map((branch) => ({ name: branch, value: branch })));
+  }
+  for (const remote of [...new Set(remotes.map((r) => r.remote))]) {
+    choices.push(new inquirer.Separator(`── ${remote} ──`));
+    choices.push(
+      ...remotes
+        .filter((r) => r.remote === remote)
+        .map(({ name }) => ({ name, value: name }))
+    );
+  }
+  if (choices.length === 0) {
+    return null;
+  }
+
+  requireInteraction(t("cherryPick.sourceHint"));
+  const { source } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "source",
+      message: t("cherryPick.selectSource"),
+      choices,
+      pageSize: 20,
+    },
+  ]);
+  return source;
+};
+
+/**
+ * 获取源分支上当前分支尚未包含的提交
+ * 使用 git cherry 比较补丁，内容等价的提交（如已被拣选或变基过）会被过滤
+ * @param {string} source - 源分支
+ * @returns {Promise<{commits: Array<{sha: string, subject: string, author: string, date: number}>, appliedCount: number}>}
+ * 未应用的提交（从旧到新）以及已应用的提交数量
+ */
+export const getPendingCommits = async (source) => {
+  const { stdout } = await runGit(["cherry", "HEAD", source]);
+  const lines = stdout.split("\n").filter(Boolean);
+  const pending = lines
+    .filter((line) => line.startsWith("+ "))
+    .map((line) => line.slice(2));
+  const appliedCount = lines.length - pending.length;
+  if (pending.length === 0) {
+    return { commits: [], appliedCount };
+  }
+
+  const { stdout: details } = await runGit([
+    "show",
+    "--no-patch",
+    "--no-walk=unsorted",
+    "--format=%H%x09%an%x09%ct%x09%s",
+    ...pending,
+  ]);
+  const commits = details
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, author, date, ...subject] = line.split("\t");
+      return { sha, author, date: Number(date), subject: subject.join("\t") };
+    });
+  return { commits, appliedCount };
+};
+
+/**
+ * 交互式选择要拣选的提交
+ * @param {string} source - 源分支
+ * @param {Object[]} commits - 候选提交（从旧到新）
+ * @returns {Promise<Object[]>} 选中的提交，按从旧到新的顺序
+ */
+const selectCommits = async (source, commits) => {
+  requireInteraction(t("cherryPick.commitsHint"));
+  const { selected } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "selected",
+      message: t("cherryPick.selectCommits", { source }),
+      choices: commits.map((commit) => ({
+        name: `${commit.sha.slice(0, 7)} ${commit.subject} (${
+          commit.author
+        }, ${formatAge(commit.date)})`,
+        value: commit.sha,
+      })),
+      pageSize: 20,
+      validate: (answer) => answer.length > 0 || t("cherryPick.selectOne"),
+    },
+  ]);
+  return commits.filter((commit) => selected.includes(commit.sha));
+};
+
+/**
+ * 拣选单个提交
+ * @param {Object} commit - 提交
+ * @param {Object} state - 拣选状态
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Object>} 拣选结果 { sha, subject, status, newSha?, detail?, files? }
+ */
+const pickCommit = async (commit, state, options) => {
+  const { sha, subject } = commit;
+  const args = ["cherry-pick", ...(state.recordOrigin ? ["-x"] : []), sha];
+  const { exitCode, stderr } = await runGit(args, { reject: false });
+  if (exitCode === 0) {
+    return { sha, subject, status: "picked", newSha: await getHead() };
+  }
+
+  const files = await getConflictedFiles();
+  if (files.length > 0) {
+    return { sha, subject, status: "conflict", files };
+  }
+  // 改动已存在于当前分支时，拣选结果为空提交
+  if (await refExists("CHERRY_PICK_HEAD")) {
+    await runGit(["cherry-pick", "--skip"]);
+    return { sha, subject, status: "empty" };
+  }
+  log("info", t("cherryPick.failedLog", { sha, stderr }), options);
+  return {
+    sha,
+    subject,
+    status: "failed",
+    detail: stderr
+      .split("\n")
+      .map((line) => line.replace(/^(fatal|error): /, "").trim())
+      .find(Boolean),
+  };
+};
+
+/**
+ * 打印冲突信息及后续操作提示
+ * @param {Object} commit - 冲突的提交
+ * @param {string[]} files - 冲突文件
+ */
+const printConflict = (commit, files) => {
+  console.error(
+    `❌ ${t("cherryPick.conflict", {
+      commit: `${commit.sha.slice(0, 7)} ${commit.subject}`,
+    })}`
+  );
+  files.forEach((file) => console.error(`  - ${file}`));
+  console.info(
+    ["", t("cherryPick.continueHint"), t("cherryPick.abortHint")].join("\n")
+  );
+};
+
+/**
+ * 结束拣选：恢复暂存，记录操作日志并打印摘要
+ * @param {Object} state - 拣选状态
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const finishCherryPick = async (state, options) => {
+  const { branch, before, stash, results } = state;
+
+  if (stash) {
+    const entry = (await getStashList()).find((s) => s.sha === stash);
+    if (!entry || !(await popStash(options, entry.index))) {
+      console.warn(
+        `⚠️  ${t("common.unstashFailed", { stash: stash.slice(0, 7) })}`
+      );
+    }
+  }
+
+  await clearState(STATE_NAME);
+  const after = await getHead();
+  if (after !== before) {
+    await appendJournal("cherry-pick", [
+      { type: "update", branch, before, after },
+    ]);
+  }
+
+  setResult({ source: state.source, branch, results });
+  console.info(
+    formatTable(
+      [
+        t("cherryPick.headers.commit"),
+        t("list.headers.subject"),
+        t("common.headers.result"),
+        t("cherryPick.headers.newCommit"),
+      ],
+      results.map(({ sha, subject, status, newSha, detail }) => [
+        sha.slice(0, 7),
+        subject,
+        detail
+          ? `${t(`cherryPick.status.${status}`)}: ${detail}`
+          : t(`cherryPick.status.${status}`),
+        newSha ? newSha.slice(0, 7) : "",
+      ])
+    )
+  );
+  const count = (...statuses) =>
+    results.filter((r) => statuses.includes(r.status)).length;
+  const failCount = count("failed");
+  const skipCount = count("aborted", "skipped");
+  console.info(
+    `\n${t("cherryPick.done", {
+      picked: count("picked"),
+      empty: count("empty"),
+      failed: failCount,
+    })}${skipCount ? t("common.notRun", { count: skipCount }) : ""}`
+  );
+  if (failCount + skipCount > 0) {
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * 依次拣选队列中的提交，遇到冲突时保存状态并暂停
+ * @param {Object} state - 拣选状态
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const runQueue = async (state, options) => {
+  const spinner = ora({ discardStdin: false, isSilent: isJsonMode() });
+  if (!options.debug) spinner.start();
+
+  while (state.queue.length > 0) {
+    const [commit] = state.queue;
+    spinner.text = t("cherryPick.picking", {
+      commit: `${commit.sha.slice(0, 7)} ${commit.subject}`,
+    });
+    const result = await pickCommit(commit, state, options);
+
+    if (result.status === "conflict") {
+      spinner.stop();
+      state.conflict = { before: await getHead() };
+      await writeState(STATE_NAME, state);
+      setResult({
+        source: state.source,
+        branch: state.branch,
+        results: state.results,
+        conflict: { sha: commit.sha, files: result.files },
+        pending: state.queue.slice(1),
+      });
+      printConflict(commit, result.files);
+      process.exitCode = 1;
+      return;
+    }
+
+    state.results.push(result);
+    state.queue.shift();
+    // 出现冲突以外的错误时不再继续，剩余的提交标记为未执行
+    if (result.status === "failed") {
+      state.queue.forEach(({ sha, subject }) =>
+        state.results.push({ sha, subject, status: "skipped" })
+      );
+      state.queue = [];
+    }
+    await writeState(STATE_NAME, state);
+  }
+
+  spinner.stop();
+  await finishCherryPick(state, options);
+};
+
+/**
+ * 检查冲突是否已解决并提交拣选结果
+ * @param {Object} state - 拣选状态
+ * @returns {Promise<void>}
+ */
+const resolveConflict = async (state) => {
+  const files = await getConflictedFiles();
+  if (files.length > 0) {
+    console.error(t("common.unresolved"));
+    files.forEach((file) => console.error(`  - ${file}`));
+    return process.exit(1);
+  }
+  if ((await getCurrentBranch()) !== state.branch) {
+    console.error(t("common.wrongBranch", { branch: state.branch }));
+    return process.exit(1);
+  }
+
+  const [{ sha, subject }] = state.queue;
+  let result;
+  if (await refExists("CHERRY_PICK_HEAD")) {
+    const { exitCode } = await runGit(["cherry-pick", "--continue"], {
+      env: NO_EDITOR,
+      reject: false,
+    });
+    if (exitCode === 0) {
+      result = {
+        status: "picked",
+        newSha: await getHead(),
+        detail: t("common.resolved"),
+      };
+    } else {
+      // 解决冲突后没有任何改动
+      await runGit(["cherry-pick", "--skip"]);
+      result = { status: "empty" };
+    }
+  } else {
+    // 已手动提交或跳过
+    const head = await getHead();
+    result =
+      head === state.conflict.before
+        ? { status: "aborted", detail: t("cherryPick.skippedManually") }
+        : { status: "picked", newSha: head, detail: t("common.resolved") };
+  }
+
+  state.results.push({ sha, subject, ...result });
+  state.queue.shift();
+  delete state.conflict;
+  await writeState(STATE_NAME, state);
+};
+
+/**
+ * 解决冲突后继续拣选，也可用于继续意外中断的拣选
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const continueCherryPick = async (options) => {
+  const state = await readState(STATE_NAME);
+  if (!state) {
+    console.info(t("cherryPick.notInProgress"));
+    return;
+  }
+  if (state.conflict) {
+    await resolveConflict(state);
+  }
+  await runQueue(state, options);
+};
+
+/**
+ * 中止拣选，撤销当前冲突的提交，已拣选的提交会保留
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const abortCherryPick = async (options) => {
+  const state = await readState(STATE_NAME);
+  if (!state) {
+    console.info(t("cherryPick.notInProgress"));
+    return;
+  }
+
+  if (await refExists("CHERRY_PICK_HEAD")) {
+    await runGit(["cherry-pick", "--abort"]);
+  }
+  const [current, ...rest] = state.queue;
+  if (current) {
+    state.results.push({ ...current, status: "aborted" });
+  }
+  rest.forEach(({ sha, subject }) =>
+    state.results.push({ sha, subject, status: "skipped" })
+  );
+  state.queue = [];
+  await finishCherryPick(state, options);
+};
+
+/**
+ * 交互式拣选其他分支的提交到当前分支
+ * @param {string} [source] - 源分支，可以是远程分支，不指定时交互式选择
+ * @param {Object} options - 配置选项
+ * @param {boolean} options.x - 是否在提交说明中记录原提交（git cherry-pick -x）
+ * @param {boolean} options.continue - 解决冲突后继续拣选
+ * @param {boolean} options.abort - 中止拣选
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const cherryPickCommits = async (source, options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  try {
+    if (options.continue) {
+      return await continueCherryPick(options);
+    }
+    if (options.abort) {
+      return await abortCherryPick(options);
+    }
+
+    if (await readState(STATE_NAME)) {
+      console.error(t("cherryPick.inProgress"));
+      return process.exit(1);
+    }
+    if (await refExists("CHERRY_PICK_HEAD")) {
+      console.error(t("cherryPick.gitInProgress"));
+      return process.exit(1);
+    }
+
+    const branch = await getCurrentBranch();
+    if (branch === "HEAD") {
+      console.error(t("common.detached"));
+      return process.exit(1);
+    }
+
+    const sourceBranch = source || (await selectSource(branch));
+    if (!sourceBranch) {
+      console.info(t("cherryPick.noSources"));
+      return;
+    }
+    if (!(await refExists(sourceBranch))) {
+      console.error(t("common.sourceNotFound", { source: sourceBranch }));
+      return process.exit(1);
+    }
+
+    const { commits, appliedCount } = await getPendingCommits(sourceBranch);
+    if (appliedCount > 0) {
+      console.info(t("cherryPick.applied", { count: appliedCount }));
+    }
+    setResult({ source: sourceBranch, candidates: commits, appliedCount });
+    if (commits.length === 0) {
+      console.info(t("cherryPick.noCommits", { source: sourceBranch }));
+      return;
+    }
+    const selected = await selectCommits(sourceBranch, commits);
+    log("info", t("cherryPick.selected"), options, selected);
+
+    // 与 checkout 一致，工作区有未提交的更改时询问是否先暂存
+    let stash = null;
+    if (await hasUncommittedChanges(false)) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: t("cherryPick.confirmStash"),
+          default: true,
+        },
+      ]);
+      if (
+        !confirm ||
+        !(await stashChanges(`bk cherry-pick: ${t("cherryPick.stashMessage")}`))
+      ) {
+        return process.exit(0);
+      }
+      stash = (await getStashList())[0].sha;
+    }
+
+    const state = {
+      source: sourceBranch,
+      branch,
+      before: await getHead(),
+      recordOrigin: Boolean(options.x),
+      stash,
+      queue: selected.map(({ sha, subject }) => ({ sha, subject })),
+      results: [],
+    };
+    await writeState(STATE_NAME, state);
+    await runQueue(state, options);
+  } catch (error) {
+    if (error.name === "ExitPromptError") {
+      process.exit(0);
+    }
+    throw error;
+  }
+};
@@ -1,19 +1,541 @@
 /**
  * 分支清理模块
- * 用于清理本地已合并但远程已删除的分支
+ * 用于清理本地已合并但远程已删除的分支、已合并到基准分支的分支，或长期未更新的分支
  */
 
 import {
-  execGitCommand,
+  formatAge,
+  getBranchInfos,
   getCurrentBranch,
+  getMergedBranches,
+  getPatchMergeStatus,
+  isIgnoredBranch,
   isProtectedBranch,
   log,
   checkWorkingDirectory,
   deleteBranch,
+  parseDuration,
+  refExists,
   updateRemoteBranch,
+  getWorktreeBranches,
+  describeWorktree,
+  formatTable,
 } from "./utils.js";
 
+import inquirer from "inquirer";
 import ora from "ora";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { appendJournal } from "./journal.js";
+import { filterBranches } from "./pattern.js";
+import { isJsonMode, setResult, requireInteraction } from "./output.js";
+
+/**
+ * 获取清理原因的展示文案
+ * @param {string} reason - 清理原因：gone、merged、rebased、squashed、stale
+ * @returns {string} 当前语言的展示文案
+ */
+export const describeReason = (reason) => t(`clean.reasons.${reason}`);
+
+/** 查询远程分支列表的超时时间 */
+const LS_REMOTE_TIMEOUT = 30 * 1000;
+
+/** 每次 git push 最多删除的远程分支数，避免命令行过长 */
+const PUSH_BATCH_SIZE = 50;
+
+/**
+ * 通过 ls-remote 批量获取远程仓库的分支列表
+ * @param {string[]} remotes - 远程仓库列表
+ * @returns {Promise<Map<string, Map<string, string>>>} 远程仓库到分支（分支名到提交 sha）的映射，查询失败的远程仓库不在其中
+ */
+const getRemoteBranchMap = async (remotes) => {
+  const remoteBranchMap = new Map();
+  for (const remote of remotes) {
+    try {
+      const { stdout } = await runGit(["ls-remote", "--heads", remote], {
+        timeout: LS_REMOTE_TIMEOUT,
+      });
+      const branches = new Map(
+        stdout
+          .split("\n")
+          .map((line) => line.split("\t"))
+          .filter(([, ref]) => ref?.startsWith("refs/heads/"))
+          .map(([sha, ref]) => [ref.replace("refs/heads/", ""), sha])
+      );
+      remoteBranchMap.set(remote, branches);
+    } catch (error) {
+      // 查询失败时跳过该远程仓库，避免把它的所有分支误判为已删除
+      console.error(
+        t("clean.lsRemoteFailed", { remote, message: error.message })
+      );
+    }
+  }
+  return remoteBranchMap;
+};
+
+/**
+ * 查找上游分支在远程已不存在的本地分支
+ * 在线模式通过 ls-remote 查询远程仓库；离线模式只读取本地的 refs/remotes/*，
+ * 以 %(upstream:track) 的 "[gone]" 标记为准
+ * @param {Array<Object>} branchInfos - 本地分支详情列表
+ * @param {(branch: string) => boolean} shouldSkip - 是否跳过该分支
+ * @param {Object} options - 配置选项
+ * @param {string[]} options.remotes - 只检查上游位于这些远程仓库的分支，为空时检查全部
+ * @param {boolean} options.offline - 是否离线模式
+ * @returns {Promise<Array<{branch: string, reason: string}>>} 待清理分支
+ */
+const findGoneBranches = async (branchInfos, shouldSkip, options) => {
+  const { remotes = [], offline = false } = options;
+
+  /**上游位于指定远程仓库的本地分支（上游为本地分支时 remote 为 "."） */
+  const trackingBranches = branchInfos.filter(
+    ({ remote }) =>
+      remote &&
+      remote !== "." &&
+      (remotes.length === 0 || remotes.includes(remote))
+  );
+  log(
+    "info",
+    t("clean.trackingBranches", {
+      branches: trackingBranches.map((i) => i.branch).join(", "),
+    }),
+    options
+  );
+
+  /** 在线模式下批量获取所有远程分支列表 */
+  const remoteBranchMap = offline
+    ? null
+    : await getRemoteBranchMap([
+        ...new Set(trackingBranches.map(({ remote }) => remote)),
+      ]);
+
+  const candidates = [];
+  for (const { branch, remote, remoteBranch, track } of trackingBranches) {
+    if (shouldSkip(branch)) {
+      continue;
+    }
+    let gone;
+    if (offline) {
+      gone = track === "[gone]";
+    } else {
+      const branches = remoteBranchMap.get(remote);
+      // 远程仓库查询失败时无法判断，不清理
+      gone = Boolean(branches) && !branches.has(remoteBranch);
+    }
+    log(
+      "info",
+      t(gone ? "clean.remoteGone" : "clean.remoteExists", {
+        branch: `${remote}/${remoteBranch}`,
+      }),
+      options
+    );
+    if (gone) {
+      candidates.push({ branch, reason: "gone" });
+    }
+  }
+  return candidates;
+};
+
+/**
+ * 执行 git fetch --prune 更新远程跟踪分支
+ * @param {string[]} remotes - 远程仓库列表，为空时更新全部远程仓库
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const pruneRemotes = async (remotes, options) => {
+  const targets = remotes.length > 0 ? remotes : ["--all"];
+  for (const remote of targets) {
+    try {
+      log("info", t("clean.pruning", { remote }), options);
+      await runGit(["fetch", "--prune", remote]);
+    } catch (error) {
+      console.error(t("clean.pruneFailed", { remote, message: error.message }));
+    }
+  }
+};
+
+/**
+ * 查找已合并到基准分支的本地分支，包括普通合并、变基合并和压缩合并
+ * @param {string} base - 基准分支，如 main、origin/main
+ * @param {Array<Object>} branchInfos - 本地分支详情列表
+ * @param {(branch: string) => boolean} shouldSkip - 是否跳过该分支
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Array<{branch: string, reason: string}>|null>} 待清理分支，失败时返回 null
+ */
+const findMergedBranches = async (base, branchInfos, shouldSkip, options) => {
+  if (!(await refExists(base))) {
+    console.error(t("common.baseNotFound", { base }));
+    return null;
+  }
+
+  let mergedSet;
+  try {
+    mergedSet = await getMergedBranches(base);
+  } catch (error) {
+    log("error", t("clean.mergedFailed", { base }), options);
+    return null;
+  }
+  log(
+    "info",
+    t("clean.mergedBranches", { base, branches: [...mergedSet].join(", ") }),
+    options
+  );
+
+  // 基准分支是远程跟踪分支时，取与分支详情中 upstream 格式一致的名称，如 origin/main
+  const { stdout: baseRef } = await runGit(
+    ["rev-parse", "--symbolic-full-name", base],
+    { reject: false }
+  );
+  const trackedBase = baseRef.trim().startsWith("refs/remotes/")
+    ? baseRef.trim().slice("refs/remotes/".length)
+    : null;
+
+  const candidates = [];
+  for (const { branch, upstream } of branchInfos) {
+    // 基准分支本身，以及跟踪基准分支的本地分支（如 --merged origin/main 时的 main）不参与清理
+    if (
+      branch === base ||
+      (trackedBase && upstream === trackedBase) ||
+      shouldSkip(branch)
+    ) {
+      continue;
+    }
+    if (mergedSet.has(branch)) {
+      candidates.push({ branch, reason: "merged" });
+      continue;
+    }
+    const status = await getPatchMergeStatus(branch, base);
+    log("info", t("clean.patchStatus", { branch, status }), options);
+    if (status) {
+      candidates.push({ branch, reason: status });
+    }
+  }
+  return candidates;
+};
+
+/**
+ * 查找最后一次提交早于指定时长的本地分支，不考虑上游状态
+ * @param {number} staleMs - 时长（毫秒）
+ * @param {Array<Object>} branchInfos - 本地分支详情列表
+ * @param {(branch: string) => boolean} shouldSkip - 是否跳过该分支
+ * @param {Object} options - 配置选项
+ * @returns {Array<{branch: string, reason: string}>} 待清理分支
+ */
+const findStaleBranches = (staleMs, branchInfos, shouldSkip, options) => {
+  const threshold = Date.now() - staleMs;
+  return branchInfos
+    .filter(({ branch, committerDate }) => {
+      if (shouldSkip(branch)) {
+        return false;
+      }
+      log(
+        "info",
+        t("clean.lastCommit", { branch, age: formatAge(committerDate) }),
+        options
+      );
+      return committerDate * 1000 < threshold;
+    })
+    .map(({ branch }) => ({ branch, reason: "stale" }));
+};
+
+/**
+ * 查找远程仓库中已合并到基准分支的分支
+ * 先 fetch 远程仓库，再以 ls-remote 的结果为准，远程分支在 fetch 之后又有更新时不清理
+ * @param {string} remote - 远程仓库
+ * @param {Map<string, string>} heads - ls-remote 得到的分支名到提交 sha 的映射
+ * @param {string} base - 基准分支，如 main、origin/main；远程仓库中存在同名分支时使用远程的
+ * @param {(branch: string, info: Object) => boolean} shouldSkip - 是否跳过该分支
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Array<Object>|null>} 待清理的远程分支 { remote, branch, sha, author, committerDate, subject }，失败时返回 null
+ */
+const findMergedRemoteBranches = async (
+  remote,
+  heads,
+  base,
+  shouldSkip,
+  options
+) => {
+  try {
+    // 判断是否已合并需要远程分支的提交在本地
+    await runGit(["fetch", "--prune", remote]);
+  } catch (error) {
+    console.error(t("clean.pruneFailed", { remote, message: error.message }));
+    return null;
+  }
+
+  const baseBranch = base.startsWith(`${remote}/`)
+    ? base.slice(remote.length + 1)
+    : base;
+  const baseRef = (await refExists(`${remote}/${baseBranch}`))
+    ? `${remote}/${baseBranch}`
+    : base;
+  if (!(await refExists(baseRef))) {
+    console.error(t("common.baseNotFound", { base }));
+    return null;
+  }
+  log("info", t("clean.remoteBase", { remote, base: baseRef }), options);
+
+  // 远程仓库名可以包含 /，按前缀截取分支名
+  const prefix = `refs/remotes/${remote}/`;
+  const { stdout } = await runGit([
+    "for-each-ref",
+    `--merged=${baseRef}`,
+    "--format=%(refname)%00%(objectname)%00%(authorname)%00%(authoremail)%00%(committerdate:unix)%00%(subject)",
+    prefix,
+  ]);
+
+  const candidates = [];
+  for (const line of stdout.split("\n").filter(Boolean)) {
+    const [ref, sha, authorName, authorEmail, committerDate, subject] =
+      line.split("\0");
+    const branch = ref.slice(prefix.length);
+    if (branch === "HEAD" || branch === baseBranch) continue;
+    if (heads.get(branch) !== sha) {
+      log(
+        "info",
+        t("clean.remoteChanged", { branch: `${remote}/${branch}` }),
+        options
+      );
+      continue;
+    }
+    const info = {
+      remote,
+      branch,
+      sha,
+      author: `${authorName} ${authorEmail}`,
+      committerDate: Number(committerDate),
+      subject,
+    };
+    if (!shouldSkip(branch, info)) {
+      candidates.push(info);
+    }
+  }
+  return candidates;
+};
+
+/**
+ * 批量删除远程分支，使用 --force-with-lease 确保远程分支仍是检查时的提交
+ * @param {string} remote - 远程仓库
+ * @param {Array<{branch: string, sha: string}>} batch - 要删除的分支
+ * @returns {Promise<Map<string, string|null>>} 分支名到失败原因的映射，成功时为 null
+ */
+const pushDelete = async (remote, batch) => {
+  const { stdout, stderr } = await runGit(
+    [
+      "push",
+      "--porcelain",
+      remote,
+      ...batch.map(
+        ({ branch, sha }) => `--force-with-lease=refs/heads/${branch}:${sha}`
+      ),
+      ...batch.map(({ branch }) => `:refs/heads/${branch}`),
+    ],
+    { reject: false }
+  );
+  // --porcelain 每个引用输出一行：标记、引用、结果，删除成功的标记为 -，被拒绝的为 !
+  const outcomes = new Map();
+  for (const line of stdout.split("\n")) {
+    const match = /^(.)\t[^\t]*:refs\/heads\/([^\t]+)\t(.*)$/.exec(line);
+    if (match) {
+      outcomes.set(match[2], match[1] === "!" ? match[3] : null);
+    }
+  }
+  const reason =
+    stderr
+      .trim()
+      .split("\n")
+      .find((text) => /^(fatal|error):/.test(text)) || t("clean.pushFailed");
+  return new Map(
+    batch.map(({ branch }) => [
+      branch,
+      outcomes.has(branch) ? outcomes.get(branch) : reason,
+    ])
+  );
+};
+
+/**
+ * 清理远程仓库中已合并到基准分支的分支
+ * 会先列出要删除的分支，必须确认后才会执行 git push --delete
+ * @param {Object} options - 配置选项
+ * @param {string[]} options.remotes - 远程仓库列表
+ * @param {string} options.base - 基准分支
+ * @param {string[]} options.include - 只清理匹配这些规则的分支
+ * @param {string[]} options.ignore - 要忽略的分支
+ * @param {string[]} options.protectedBranches - 受保护的分支规则
+ * @param {string} [options.author] - 只清理最后一次提交的作者（名称或邮箱）包含该文本的分支
+ * @param {boolean} [options.mine] - 只清理最后一次提交的作者邮箱为 git config user.email 的分支
+ * @param {boolean} options.listOnly - 是否只列出要删除的分支
+ * @param {boolean} [options.yes] - 跳过删除前的确认，只由命令行的 --yes 传入，clean.confirm 配置和 --no-confirm 不影响
+ * @returns {Promise<void>}
+ */
+export const cleanRemoteBranches = async (options) => {
+  const {
+    remotes = [],
+    base = "main",
+    include = [],
+    ignore = [],
+    protectedBranches = [],
+    listOnly = false,
+    yes = false,
+  } = options;
+
+  if (!(await checkWorkingDirectory())) {
+    process.exitCode = 1;
+    return;
+  }
+
+  let { author } = options;
+  if (options.mine) {
+    const { stdout } = await runGit(["config", "user.email"], {
+      reject: false,
+    });
+    if (!stdout.trim()) {
+      console.error(t("clean.noEmail"));
+      process.exitCode = 1;
+      return;
+    }
+    author = `<${stdout.trim()}>`;
+  }
+
+  const spinner = ora({
+    text: t("clean.queryingRemotes"),
+    discardStdin: false,
+    isSilent: isJsonMode(),
+  }).start();
+
+  const shouldSkip = (branch, info) =>
+    (include.length > 0 && filterBranches([branch], include).length === 0) ||
+    isIgnoredBranch(branch, ignore, options) ||
+    isProtectedBranch(branch, protectedBranches, options) ||
+    (Boolean(author) &&
+      !info.author.toLowerCase().includes(author.toLowerCase()));
+
+  const targets = remotes.length > 0 ? remotes : ["origin"];
+  const remoteBranchMap = await getRemoteBranchMap(targets);
+  const candidates = [];
+  for (const remote of targets) {
+    if (!remoteBranchMap.has(remote)) {
+      process.exitCode = 1;
+      continue;
+    }
+    spinner.text = t("clean.checkingRemote", { remote });
+    const found = await findMergedRemoteBranches(
+      remote,
+      remoteBranchMap.get(remote),
+      base,
+      shouldSkip,
+      options
+    );
+    if (!found) {
+      process.exitCode = 1;
+      continue;
+    }
+    candidates.push(...found);
+  }
+  spinner.text = "";
+  spinner.stop();
+
+  setResult({
+    listOnly,
+    candidates: candidates.map(
+      ({ remote, branch, sha, author, committerDate, subject }) => ({
+        remote,
+        branch,
+        sha,
+        author,
+        committerDate,
+        subject,
+      })
+    ),
+  });
+
+  if (candidates.length === 0) {
+    console.info(t("clean.noRemoteCandidates"));
+    return;
+  }
+
+  console.info(
+    formatTable(
+      [
+        t("clean.headers.remoteBranch"),
+        t("list.headers.author"),
+        t("list.headers.lastCommit"),
+        t("list.headers.subject"),
+      ],
+      candidates.map(({ remote, branch, author, committerDate, subject }) => [
+        `${remote}/${branch}`,
+        author,
+        formatAge(committerDate),
+        subject,
+      ])
+    )
+  );
+  console.info(`\n${t("clean.remoteTotal", { count: candidates.length })}`);
+
+  if (listOnly) {
+    return;
+  }
+
+  if (!yes) {
+    requireInteraction(t("clean.remoteInteractionHint"));
+    try {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirmed",
+          message: t("clean.confirmRemote", { count: candidates.length }),
+          default: false,
+        },
+      ]);
+      if (!confirmed) {
+        log("info", t("common.cancelled"), options);
+        return;
+      }
+    } catch (error) {
+      if (error.name === "ExitPromptError") return;
+      throw error;
+    }
+  }
+
+  /**本次删除的远程分支，用于写入操作日志 */
+  const actions = [];
+  /**每个分支的删除结果 */
+  const results = [];
+  for (const remote of targets) {
+    const branches = candidates.filter((c) => c.remote === remote);
+    for (let i = 0; i < branches.length; i += PUSH_BATCH_SIZE) {
+      const batch = branches.slice(i, i + PUSH_BATCH_SIZE);
+      const outcomes = await pushDelete(remote, batch);
+      for (const { branch, sha } of batch) {
+        const error = outcomes.get(branch);
+        if (error) {
+          log(
+            "error",
+            t("clean.remoteDeleteFailed", {
+              branch: `${remote}/${branch}`,
+              error,
+            }),
+            options
+          );
+          results.push({ remote, branch, status: "failed", error });
+        } else {
+          actions.push({ type: "remote-delete", remote, branch, sha });
+          results.push({ remote, branch, status: "deleted" });
+        }
+      }
+    }
+  }
+  setResult({ results });
+  await appendJournal("clean", actions);
+
+  const failCount = results.filter(({ status }) => status === "failed").length;
+  console.info(
+    t("clean.done", { success: results.length - failCount, failed: failCount })
+  );
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+};
 
 /**
  * 清理本地分支
@@ -22,147 +544,259 @@ import ora from "ora";
  * @param {string[]} options.ignore - 要忽略的分支列表
  * @param {boolean} options.force - 是否强制删除
  * @param {boolean} options.listOnly - 是否只列出要删除的分支
- * @param {boolean} options.silent - 是否静默模式
+ * @param {boolean} options.confirm - 删除前是否勾选并确认，为 false 时直接删除所有候选分支
+ * @param {boolean} options.silent - 是否静默模式，不输出日志也不确认
+ * @param {string} [options.merged] - 基准分支，指定后清理已合并到该分支的分支
+ * @param {string} [options.stale] - 时长（如 30d、6w），指定后清理最后提交早于该时长的分支
+ * @param {boolean} [options.offline] - 离线模式，不访问远程仓库，根据本地远程跟踪分支判断
+ * @param {boolean} [options.prune] - 检查前先执行 git fetch --prune，之后按离线模式判断
+ * @param {string[]} [options.only] - 只清理这些分支，多仓库模式确认后使用
  * @returns {Promise<void>}
  */
 export const cleanBranches = async (options) => {
-  const spinner = ora({ text: "正在处理...", discardStdin: false }).start();
+  const spinner = ora({
+    text: t("clean.processing"),
+    discardStdin: false,
+    isSilent: isJsonMode(),
+  }).start();
   const {
     ignore = [],
     force = false,
     listOnly = false,
+    confirm = true,
     silent = false,
     protectedBranches = [],
+    merged,
+    stale,
+    remotes = [],
+    prune = false,
   } = options;
+  // fetch --prune 之后本地远程跟踪分支已是最新，不需要再查询远程仓库
+  const offline = options.offline || prune;
+  // 先校验时长格式，不合法时直接抛出错误
+  const staleMs = stale ? parseDuration(stale) : 0;
 
   if (!(await checkWorkingDirectory())) {
+    spinner.stop();
+    process.exitCode = 1;
     return;
   }
 
   /**当前分支名 */
   const currentBranch = await getCurrentBranch();
-  log("info", `当前分支 ${currentBranch}`, options);
-  /**本地分支及其上游分支列表 */
-  let trackingBranches = [];
+  log("info", t("clean.currentBranch", { branch: currentBranch }), options);
+
+  // 当前分支 忽略分支 受保护分支 不删除
+  const shouldSkip = (branch) =>
+    branch === currentBranch ||
+    isIgnoredBranch(branch, ignore, options) ||
+    isProtectedBranch(branch, protectedBranches, options);
+
+  if (prune) {
+    spinner.text = t("clean.pruningAll");
+    await pruneRemotes(remotes, options);
+  }
+
+  /**本地分支详情 */
+  let branchInfos = [];
   try {
-    const { stdout } = await execGitCommand(
-      'git for-each-ref --format="%(refname:short) %(upstream:short)" refs/heads'
+    branchInfos = await getBranchInfos();
+    log(
+      "info",
+      t("clean.branchInfos", { infos: JSON.stringify(branchInfos) }),
+      options
     );
-    log("info", `获取本地分支及其上游分支列表: \n${stdout}`, options);
-    trackingBranches = stdout
-      .split("\n")
-      .map((line) => line.trim().split(" "))
-      .filter(
-        ([branch, upstream]) => branch && upstream && upstream !== "(null)"
-      );
   } catch (error) {
-    log("error", "获取本地分支的上游分支信息失败", options);
+    spinner.stop();
+    log("error", t("clean.branchInfosFailed"), options);
+    process.exitCode = 1;
     return;
   }
+  const infoMap = new Map(branchInfos.map((info) => [info.branch, info]));
 
-  /** 统计所有 remote */
-  const remotesSet = new Set(
-    trackingBranches.map(([_, upstream]) => upstream.split("/")[0])
-  );
-  /** 批量获取所有远程分支列表 */
-  const remoteBranchMap = new Map();
-  for (const remote of remotesSet) {
-    try {
-      const { stdout } = await execGitCommand(
-        `git ls-remote --heads ${remote}`
-      );
-      const branchSet = new Set(
-        stdout
-          .split("\n")
-          .map((line) => line.split("\t")[1]?.replace("refs/heads/", ""))
-          .filter(Boolean)
-      );
-      remoteBranchMap.set(remote, branchSet);
-    } catch (error) {
-      console.error(`获取远程 ${remote} 分支列表失败: ${error.message}`);
-      remoteBranchMap.set(remote, new Set());
+  const worktreeBranches = await getWorktreeBranches();
+  /**需要删除的分支列表，同一分支只保留最先匹配的原因 */
+  let candidates = [];
+  /**符合条件但在其他工作树中检出、无法删除的分支 */
+  const skipped = [];
+  const addCandidates = (found) => {
+    for (const candidate of found) {
+      if (
+        [...candidates, ...skipped].some(
+          ({ branch }) => branch === candidate.branch
+        )
+      ) {
+        continue;
+      }
+      if (worktreeBranches.has(candidate.branch)) {
+        skipped.push({
+          ...candidate,
+          worktree: worktreeBranches.get(candidate.branch),
+        });
+      } else {
+        candidates.push(candidate);
+      }
+    }
+  };
+
+  if (merged) {
+    const found = await findMergedBranches(
+      merged,
+      branchInfos,
+      shouldSkip,
+      options
+    );
+    if (!found) {
+      spinner.stop();
+      process.exitCode = 1;
+      return;
     }
+    addCandidates(found);
+  }
+  if (stale) {
+    addCandidates(findStaleBranches(staleMs, branchInfos, shouldSkip, options));
+  }
+  // 未指定 --merged / --stale 时，清理远程已删除的分支
+  if (!merged && !stale) {
+    addCandidates(
+      await findGoneBranches(branchInfos, shouldSkip, {
+        ...options,
+        remotes,
+        offline,
+      })
+    );
   }
 
-  /**需要删除的分支列表 */
-  const branchesToDelete = [];
+  // 多仓库模式下只删除确认过的分支，确认之后才符合条件的分支留到下次处理
+  if (options.only) {
+    candidates = candidates.filter(({ branch }) =>
+      options.only.includes(branch)
+    );
+  }
 
-  log(
-    "info",
-    `本地分支及其上游分支列表: ${JSON.stringify(trackingBranches)}`,
-    options
-  );
+  setResult({
+    listOnly,
+    candidates: candidates.map(({ branch, reason }) => {
+      const { committerDate, subject } = infoMap.get(branch);
+      return { branch, reason, committerDate, subject };
+    }),
+    skipped,
+  });
 
-  for (const [branch, upstream] of trackingBranches) {
-    // 当前分支 忽略分支 受保护分支 不删除
-    if (
-      branch === currentBranch ||
-      ignore.includes(branch) ||
-      isProtectedBranch(branch, protectedBranches)
-    ) {
-      continue;
-    }
-    // upstream 形如 origin/feature/foo
-    const [remote, ...branchParts] = upstream.split("/");
-    // 远程分支名
-    const remoteBranch = branchParts.join("/");
-    log("info", `检查远程分支 ${remoteBranch} 是否存在: ${remote}`, options);
-    // 优化：直接查 Map
-    const branchSet = remoteBranchMap.get(remote);
-    const exists = branchSet && branchSet.has(remoteBranch);
-    // 不存在则加入删除列表
-    if (!exists) {
-      branchesToDelete.push(branch);
-    }
+  spinner.text = "";
+  spinner.stop();
+
+  if (!silent) {
+    skipped.forEach(({ branch, worktree }) =>
+      console.warn(
+        `⚠️  ${t("clean.skipWorktree", {
+          branch,
+          worktree: describeWorktree(worktree),
+        })}`
+      )
+    );
   }
 
-  if (branchesToDelete.length === 0) {
-    spinner.text = "";
-    spinner.stop();
-    console.info("没有需要清理的分支");
+  if (candidates.length === 0) {
+    console.info(t("clean.noCandidates"));
     return;
   }
 
-  if (!silent) {
-    spinner.text = "";
-    spinner.stop();
-    console.info(`找到 ${branchesToDelete.length} 个可清理的分支:`);
-    branchesToDelete.forEach((branch) => console.info(`- ${branch}`));
+  /**候选分支的展示文案：分支名、清理原因、最后提交时间和提交说明 */
+  const describe = ({ branch, reason }) => {
+    const { committerDate, subject } = infoMap.get(branch);
+    return `${branch} (${describeReason(reason)}) ${formatAge(
+      committerDate
+    )} · ${subject}`;
+  };
+  /**是否需要勾选并确认，静默模式下不交互 */
+  const interactive = !silent && confirm && !listOnly;
+
+  if (!silent && !interactive) {
+    console.info(t("clean.found", { count: candidates.length }));
+    candidates.forEach((candidate) => console.info(`- ${describe(candidate)}`));
   }
 
   if (listOnly) {
     return;
   }
 
-  if (!silent) {
-    const confirm = await new Promise((resolve) => {
-      process.stdout.write("是否继续删除这些分支？(y/N) ");
-      process.stdin.once("data", (data) => {
-        resolve(data.toString().trim().toLowerCase() === "y");
-      });
-    });
+  /**最终要删除的分支 */
+  let selected = candidates;
+  if (interactive) {
+    requireInteraction(t("clean.interactionHint"));
+    try {
+      const { branches } = await inquirer.prompt([
+        {
+          type: "checkbox",
+          name: "branches",
+          message: t("clean.select", { count: candidates.length }),
+          choices: candidates.map((candidate) => ({
+            name: describe(candidate),
+            short: candidate.branch,
+            value: candidate.branch,
+            checked: true,
+          })),
+          pageSize: 20,
+        },
+      ]);
+      selected = candidates.filter(({ branch }) => branches.includes(branch));
+      if (selected.length === 0) {
+        log("info", t("clean.noneSelected"), options);
+        return;
+      }
 
-    if (!confirm) {
-      log("info", "操作已取消", options);
-      return process.exit(0);
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirmed",
+          message: t("clean.confirm", { count: selected.length }),
+          default: true,
+        },
+      ]);
+      if (!confirmed) {
+        log("info", t("common.cancelled"), options);
+        return;
+      }
+    } catch (error) {
+      if (error.name === "ExitPromptError") return;
+      throw error;
     }
   }
 
   let successCount = 0;
   let failCount = 0;
+  /**本次删除的分支，用于写入操作日志 */
+  const actions = [];
+  /**每个分支的删除结果 */
+  const results = [];
 
-  for (const branch of branchesToDelete) {
-    const success = await deleteBranch(branch, force);
-    if (success) {
+  for (const { branch, reason } of selected) {
+    try {
+      // 合并检测已确认改动进入基准分支，而 git branch -d 只对照 HEAD 或上游判断，需要强制删除
+      const entry = await deleteBranch(
+        branch,
+        force || !["gone", "stale"].includes(reason)
+      );
       successCount++;
-    } else {
+      actions.push({ type: "delete", ...entry });
+      results.push({ branch, reason, status: "deleted" });
+    } catch (error) {
+      log("error", error.message, options);
       failCount++;
+      results.push({ branch, reason, status: "failed", error: error.message });
     }
   }
+  setResult({ results });
+  await appendJournal("clean", actions);
 
   if (!silent) {
-    updateRemoteBranch(silent, options);
-    console.info(`清理完成: 成功 ${successCount} 个, 失败 ${failCount} 个`);
+    if (!offline) {
+      await updateRemoteBranch(silent, options);
+    }
+    console.info(t("clean.done", { success: successCount, failed: failCount }));
+  }
+  if (failCount > 0) {
+    process.exitCode = 1;
   }
-  process.exit(0);
 };
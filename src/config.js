@@ -1,104 +1,1086 @@
 /**
  * 配置文件管理模块
- * 用于加载和验证配置文件
+ * 用于加载和验证配置文件，以及 bk config 命令
  */
 
 import fs from "fs-extra";
+import os from "os";
 import path from "path";
 import yaml from "js-yaml";
 
-import { log } from "./utils.js";
+import { getRepoRoot, log, parseDuration } from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { compileRule } from "./pattern.js";
+import { setResult } from "./output.js";
+
+/** 支持的配置文件名，按优先级排列 */
+const CONFIG_FILES = [
+  ".branchkeeperrc.json",
+  ".branchkeeperrc.yaml",
+  ".branchkeeperrc.yml",
+  ".branchkeeperrc",
+];
+
+/**
+ * 配置项定义
+ * 带 type 的节点是配置项，其余节点是分组（按命令划分）
+ * - type: boolean | string | string[] | duration | number | map
+ * - pattern: 数组中的每一项是分支匹配规则
+ * - regex: 值是正则表达式（空字符串表示不限制）
+ * - alias: 旧版平铺写法的键名，仍然兼容，同时出现时以分组写法为准
+ * 配置项的说明在消息目录的 config.descriptions 中，键为配置项路径
+ */
+const CONFIG_SCHEMA = {
+  protectedBranches: {
+    type: "string[]",
+    pattern: true,
+    default: ["main", "master", "develop"],
+  },
+  remotes: {
+    type: "string[]",
+    default: ["origin"],
+  },
+  silent: { type: "boolean", default: false },
+  debug: { type: "boolean", default: false },
+  lang: { type: "string", default: "" },
+  clean: {
+    ignore: {
+      type: "string[]",
+      pattern: true,
+      default: [],
+      alias: "ignore",
+    },
+    listOnly: {
+      type: "boolean",
+      default: false,
+      alias: "listOnly",
+    },
+    confirm: {
+      type: "boolean",
+      default: true,
+      alias: "confirm",
+    },
+    force: {
+      type: "boolean",
+      default: false,
+      alias: "force",
+    },
+    mergedBase: {
+      type: "string",
+      default: "main",
+      alias: "mergedBase",
+    },
+    staleAfter: {
+      type: "duration",
+      default: "90d",
+      alias: "staleAfter",
+    },
+    offline: {
+      type: "boolean",
+      default: false,
+      alias: "offline",
+    },
+    prune: {
+      type: "boolean",
+      default: false,
+      alias: "prune",
+    },
+  },
+  delete: {
+    force: {
+      type: "boolean",
+      default: false,
+    },
+    multi: { type: "boolean", default: false },
+  },
+  checkout: {
+    ignore: {
+      type: "string[]",
+      pattern: true,
+      default: [],
+      alias: "checkoutIgnore",
+    },
+    autostash: {
+      type: "boolean",
+      default: true,
+    },
+  },
+  worktree: {
+    dir: {
+      type: "string",
+      default: "../{repo}.worktrees",
+    },
+  },
+  new: {
+    templates: {
+      type: "map",
+      default: {
+        feature: "feature/{ticket}-{slug}",
+        bugfix: "bugfix/{ticket}-{slug}",
+        hotfix: "hotfix/{version}-{slug}",
+        release: "release/{version}",
+      },
+    },
+    prefixes: {
+      type: "string[]",
+      default: ["feature/", "bugfix/", "hotfix/", "release/"],
+    },
+    maxLength: {
+      type: "number",
+      default: 60,
+    },
+    charset: {
+      type: "string",
+      regex: true,
+      default: "^[A-Za-z0-9][A-Za-z0-9._/-]*$",
+    },
+    ticketPattern: {
+      type: "string",
+      regex: true,
+      default: "^([A-Z][A-Z0-9]*-)?\\d+$",
+    },
+    base: {
+      type: "string",
+      default: "main",
+    },
+    fetch: {
+      type: "boolean",
+      default: false,
+    },
+    push: {
+      type: "boolean",
+      default: false,
+    },
+  },
+  workspace: {
+    repos: {
+      type: "string[]",
+      default: [],
+    },
+    concurrency: {
+      type: "number",
+      default: 4,
+    },
+  },
+  hooks: {
+    postMerge: {
+      type: "boolean",
+      default: true,
+    },
+    postCheckout: {
+      type: "boolean",
+      default: true,
+    },
+    prePush: {
+      type: "boolean",
+      default: true,
+    },
+  },
+  merge: {
+    ffOnly: {
+      type: "boolean",
+      default: true,
+      alias: "ffOnly",
+    },
+    exclude: {
+      type: "string[]",
+      pattern: true,
+      default: [],
+      alias: "mergeIgnore",
+    },
+  },
+  fetch: {
+    ignore: {
+      type: "string[]",
+      pattern: true,
+      default: [],
+      alias: "fetchIgnore",
+    },
+    force: {
+      type: "boolean",
+      default: false,
+      alias: "fetchForce",
+    },
+  },
+};
+
+/** 各类型的校验函数，展示名称在消息目录的 config.types 中 */
+const TYPES = {
+  boolean: { check: (value) => typeof value === "boolean" },
+  string: { check: (value) => typeof value === "string" },
+  "string[]": {
+    check: (value) =>
+      Array.isArray(value) && value.every((item) => typeof item === "string"),
+  },
+  number: {
+    check: (value) => Number.isInteger(value) && value > 0,
+  },
+  map: {
+    check: (value) =>
+      isPlainObject(value) &&
+      Object.values(value).every((item) => typeof item === "string"),
+  },
+  duration: {
+    check: (value) => {
+      try {
+        parseDuration(value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+  },
+};
+
+/**
+ * 配置错误，包含所有出错的文件与配置项路径
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array<{file: string, path: string, key: string, message: string}>} errors - 错误列表，key 为出错的配置项路径，整个文件出错时为空
+   */
+  constructor(errors) {
+    super(errors.map(formatIssue).join("\n"));
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * 格式化单条错误或警告
+ * @param {{file: string, path: string, message: string}} issue - 错误或警告
+ * @returns {string} 形如 ".branchkeeperrc: clean.force 应为布尔值"
+ */
+const formatIssue = ({ file, path: keyPath, message }) =>
+  `${file}: ${keyPath ? `${keyPath} ` : ""}${message}`;
+
+/**
+ * 判断 schema 节点是否为配置项
+ * @param {Object} node - schema 节点
+ * @returns {boolean} 是否为配置项
+ */
+const isLeaf = (node) => typeof node.type === "string";
+
+/**
+ * 展开 schema 中的所有配置项
+ * @param {Object} schema - schema 节点
+ * @param {string} prefix - 路径前缀
+ * @returns {Array<[string, Object]>} [路径, 配置项定义] 列表，路径形如 clean.force
+ */
+const flattenSchema = (schema, prefix = "") =>
+  Object.entries(schema).flatMap(([key, node]) =>
+    isLeaf(node)
+      ? [[`${prefix}${key}`, node]]
+      : flattenSchema(node, `${prefix}${key}.`)
+  );
+
+/** 所有配置项 [路径, 定义] */
+const CONFIG_KEYS = flattenSchema(CONFIG_SCHEMA);
+
+/**
+ * 按路径读取对象中的值
+ * @param {Object} target - 目标对象
+ * @param {string} keyPath - 路径，如 clean.force
+ * @returns {*} 值，不存在时返回 undefined
+ */
+const getPath = (target, keyPath) =>
+  keyPath.split(".").reduce((value, key) => value?.[key], target);
+
+/**
+ * 按路径写入对象中的值，中间的分组不存在时自动创建
+ * @param {Object} target - 目标对象
+ * @param {string} keyPath - 路径，如 clean.force
+ * @param {*} value - 值
+ */
+const setPath = (target, keyPath, value) => {
+  const keys = keyPath.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== "object") {
+      node[key] = {};
+    }
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+/**
+ * 获取配置项定义
+ * @param {string} keyPath - 配置项路径
+ * @returns {Object|undefined} 配置项定义
+ */
+const getDefinition = (keyPath) =>
+  CONFIG_KEYS.find(([key]) => key === keyPath)?.[1];
+
+/**
+ * 根据 schema 生成默认配置
+ * @returns {Object} 默认配置
+ */
+const buildDefaults = () => {
+  const config = {};
+  for (const [keyPath, definition] of CONFIG_KEYS) {
+    setPath(config, keyPath, structuredClone(definition.default));
+  }
+  return config;
+};
 
 // 默认配置
-const DEFAULT_CONFIG = {
-  protectedBranches: ["main", "master", "develop"], // 受保护的分支
-  remotes: ["origin"], // 要检查的远程仓库列表
+const DEFAULT_CONFIG = buildDefaults();
 
-  silent: false, // 是否静默模式
-  ignore: [], // 清理时要忽略的分支
-  listOnly: false, // 是否只列出要清理的分支
-  confirm: true, // 是否确认清理
-  force: false, // 是否强制清理
+/**
+ * 判断是否为普通对象
+ * @param {*} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
 
-  ffOnly: true, // 是否只允许快进合并
-  mergeIgnore: [], // 合并时要忽略的分支
+/**
+ * 描述值的实际类型，用于错误信息
+ * @param {*} value - 值
+ * @returns {string} 类型描述
+ */
+const describeValue = (value) =>
+  `${
+    Array.isArray(value)
+      ? t("config.array")
+      : value === null
+      ? "null"
+      : typeof value
+  } ${JSON.stringify(value)}`;
 
-  fetchIgnore: [], // 拉取时要忽略的分支
-  fetchForce: false, // 是否强制更新
+/**
+ * 校验单个配置项的值
+ * @param {string} keyPath - 配置项路径
+ * @param {*} value - 值
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+const checkValue = (keyPath, value) => {
+  const definition = getDefinition(keyPath);
+  if (!TYPES[definition.type].check(value)) {
+    return t("config.typeMismatch", {
+      type: t(`config.types.${definition.type}`),
+      actual: describeValue(value),
+    });
+  }
+  if (definition.pattern) {
+    for (const rule of value) {
+      try {
+        compileRule(rule);
+      } catch (error) {
+        return error.message;
+      }
+    }
+  }
+  if (definition.regex) {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return t("config.invalidRegex", { message: error.message });
+    }
+  }
+  return null;
 };
 
 /**
- * 验证配置对象
- * @param {Object} config - 配置对象
- * @returns {Object} 验证后的配置对象
+ * 校验配置对象，并把旧版平铺键名转换为分组写法
+ * @param {*} raw - 配置文件中的原始内容
+ * @param {string} file - 配置文件路径，用于错误信息
+ * @returns {{values: Object, errors: Object[], warnings: Object[]}} 校验后的配置（只包含设置过的项）、错误与警告
  */
-const validateConfig = (config) => {
-  if (!config || typeof config !== "object") {
-    return DEFAULT_CONFIG;
+const validateConfig = (raw, file) => {
+  const values = {};
+  const errors = [];
+  const warnings = [];
+
+  if (raw === undefined || raw === null) {
+    return { values, errors, warnings };
+  }
+  if (!isPlainObject(raw)) {
+    errors.push({
+      file,
+      path: "",
+      key: "",
+      message: t("config.fileNotObject"),
+    });
+    return { values, errors, warnings };
   }
 
-  // 合并默认配置
-  const mergedConfig = {
-    branch: { ...DEFAULT_CONFIG.branch, ...config.branch },
-    remote: { ...DEFAULT_CONFIG.remote, ...config.remote },
-    clean: { ...DEFAULT_CONFIG.clean, ...config.clean },
-    merge: { ...DEFAULT_CONFIG.merge, ...config.merge },
-    fetch: { ...DEFAULT_CONFIG.fetch, ...config.fetch },
+  /**
+   * 校验并记录单个配置项
+   * @param {string} keyPath - 配置项路径
+   * @param {string} sourcePath - 在配置文件中的写法，用于错误信息
+   * @param {*} value - 值
+   */
+  const apply = (keyPath, sourcePath, value) => {
+    const message = checkValue(keyPath, value);
+    if (message) {
+      errors.push({ file, path: sourcePath, key: keyPath, message });
+    } else {
+      setPath(values, keyPath, value);
+    }
   };
 
-  // 验证必要的配置项
-  if (!mergedConfig.branch.main) {
-    console.warn("警告: 未指定主分支名称，使用默认值 'main'");
+  // 先处理平铺写法，分组写法后处理以覆盖同名配置
+  const aliases = new Map(
+    CONFIG_KEYS.filter(([, def]) => def.alias).map(([key, def]) => [
+      def.alias,
+      key,
+    ])
+  );
+  for (const [key, value] of Object.entries(raw)) {
+    const node = CONFIG_SCHEMA[key];
+    if (node && isLeaf(node)) {
+      apply(key, key, value);
+    } else if (!node && aliases.has(key)) {
+      apply(aliases.get(key), key, value);
+    } else if (!node) {
+      warnings.push({ file, path: key, message: t("config.unknownIgnored") });
+    }
   }
 
-  if (!mergedConfig.remote.name) {
-    console.warn("警告: 未指定远程仓库名称，使用默认值 'origin'");
+  for (const [section, node] of Object.entries(CONFIG_SCHEMA)) {
+    if (isLeaf(node) || raw[section] === undefined) {
+      continue;
+    }
+    if (!isPlainObject(raw[section])) {
+      errors.push({
+        file,
+        path: section,
+        key: section,
+        message: t("config.notObject", { actual: describeValue(raw[section]) }),
+      });
+      continue;
+    }
+    for (const [key, value] of Object.entries(raw[section])) {
+      const keyPath = `${section}.${key}`;
+      if (node[key]) {
+        apply(keyPath, keyPath, value);
+      } else {
+        warnings.push({
+          file,
+          path: keyPath,
+          message: t("config.unknownIgnored"),
+        });
+      }
+    }
   }
-  console.log("加载正确配置", mergedConfig);
 
-  return mergedConfig;
+  return { values, errors, warnings };
 };
 
 /**
- * 加载配置文件
- * @param {boolean} options.debug - 是否开启调试模式
- * @returns {Object} 配置对象
+ * 获取用户级配置文件路径
+ * @param {Object<string, string>} env - 环境变量
+ * @returns {string} $XDG_CONFIG_HOME/branch-keeper/config.yaml，未设置时使用 ~/.config
  */
-const loadConfig = (options) => {
-  const configFiles = [
-    ".branchkeeperrc.json",
-    ".branchkeeperrc.yaml",
-    ".branchkeeperrc.yml",
-    ".branchkeeperrc",
-  ];
+const getGlobalConfigFile = (env) =>
+  path.join(
+    env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+    "branch-keeper",
+    "config.yaml"
+  );
 
-  log("info", "支持配置文件名称", options, configFiles);
+/**
+ * 在目录中查找配置文件
+ * @param {string} dir - 目录
+ * @returns {string|null} 配置文件的绝对路径，未找到时返回 null
+ */
+const findConfigFileIn = (dir) =>
+  CONFIG_FILES.map((file) => path.join(dir, file)).find((file) =>
+    fs.existsSync(file)
+  ) || null;
 
-  for (const file of configFiles) {
-    try {
-      const filePath = path.resolve(process.cwd(), file);
+/**
+ * 查找仓库配置文件，从当前目录逐级向上查找，直到仓库根目录
+ * @param {Object} options - 选项
+ * @param {string} options.cwd - 查找的起始目录
+ * @param {string} [options.configFile] - 指定的配置文件路径
+ * @returns {Promise<string|null>} 配置文件的绝对路径，未找到时返回 null
+ */
+const findConfigFile = async ({ cwd, configFile }) => {
+  if (configFile) {
+    return path.resolve(cwd, configFile);
+  }
+  const root = await getRepoRoot(cwd);
+  let dir = fs.realpathSync(cwd);
+  for (;;) {
+    const file = findConfigFileIn(dir);
+    const parent = path.dirname(dir);
+    // 不在仓库中时只查找当前目录
+    if (file || !root || dir === root || parent === dir) {
+      return file;
+    }
+    dir = parent;
+  }
+};
 
-      if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, "utf8");
-        let config;
+/**
+ * 判断配置文件是否为 YAML 格式
+ * @param {string} filePath - 配置文件路径
+ * @returns {boolean} 是否为 YAML
+ */
+const isYamlFile = (filePath) => /\.ya?ml$/.test(filePath);
 
-        if (file.endsWith(".yaml") || file.endsWith(".yml")) {
-          config = yaml.load(content);
-        } else {
-          config = JSON.parse(content);
-        }
-        log("info", "提示: 加载配置文件", options, file);
-        // 验证并返回配置
-        return validateConfig(config);
+/**
+ * 生成便于阅读的文件路径
+ * 当前目录及上级目录中的文件使用相对路径，其他用户目录下的文件以 ~ 开头
+ * @param {string} filePath - 文件绝对路径
+ * @param {string} cwd - 当前目录
+ * @returns {string} 展示路径
+ */
+const displayPath = (filePath, cwd) => {
+  const relative = path.relative(cwd, filePath);
+  const inParent = /^(\.\.[\\/])*[^\\/]+$/.test(relative);
+  if (inParent || !relative.startsWith("..")) {
+    return relative;
+  }
+  const home = os.homedir();
+  return filePath.startsWith(`${home}${path.sep}`)
+    ? `~${filePath.slice(home.length)}`
+    : filePath;
+};
+
+/**
+ * 读取并解析配置文件
+ * @param {string} filePath - 配置文件路径
+ * @param {string} [file] - 用于错误信息的文件名
+ * @returns {*} 文件内容
+ * @throws {ConfigError} 文件无法读取或解析时抛出
+ */
+const readConfigFile = (filePath, file = path.basename(filePath)) => {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    return isYamlFile(filePath) ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError([
+      {
+        file,
+        path: "",
+        key: "",
+        message: t("config.parseFailed", { message: error.message }),
+      },
+    ]);
+  }
+};
+
+/** 布尔值的文本写法，与 git config 一致 */
+const TRUE_VALUES = ["true", "yes", "on", "1"];
+const FALSE_VALUES = ["false", "no", "off", "0"];
+
+/**
+ * 拆分列表文本，支持 JSON 数组或逗号分隔
+ * @param {string} input - 输入值
+ * @returns {string[]} 列表
+ */
+const splitList = (input) => {
+  if (input.trim().startsWith("[")) {
+    try {
+      return JSON.parse(input);
+    } catch (error) {
+      throw new Error(t("config.invalidArray", { message: error.message }));
+    }
+  }
+  return input
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * 解析对象文本，支持 JSON 对象或逗号分隔的 key=value
+ * @param {string} input - 输入值
+ * @returns {Object<string, string>} 对象
+ */
+const splitMap = (input) => {
+  if (input.trim().startsWith("{")) {
+    try {
+      return JSON.parse(input);
+    } catch (error) {
+      throw new Error(t("config.invalidMap", { message: error.message }));
+    }
+  }
+  return Object.fromEntries(
+    splitList(input).map((item) => {
+      const index = item.indexOf("=");
+      if (index <= 0) {
+        throw new Error(t("config.invalidEntry", { item }));
       }
+      return [item.slice(0, index).trim(), item.slice(index + 1).trim()];
+    })
+  );
+};
+
+/**
+ * 把文本值转换为配置项对应的类型，用于命令行、git config 和环境变量
+ * @param {string} keyPath - 配置项路径
+ * @param {string|string[]} input - 输入值，git config 中的多值配置为数组
+ * @returns {*} 转换后的值
+ * @throws {Error} 输入不合法时抛出，错误信息不包含配置项路径
+ */
+const parseInput = (keyPath, input) => {
+  const { type } = getDefinition(keyPath);
+  const inputs = [].concat(input);
+  const last = inputs[inputs.length - 1];
+  let value = last;
+  if (type === "boolean") {
+    const normalized = last.trim().toLowerCase();
+    if (
+      !TRUE_VALUES.includes(normalized) &&
+      !FALSE_VALUES.includes(normalized)
+    ) {
+      throw new Error(t("config.invalidBoolean", { value: last }));
+    }
+    value = TRUE_VALUES.includes(normalized);
+  } else if (type === "string[]") {
+    value = inputs.flatMap(splitList);
+  } else if (type === "number") {
+    value = /^\d+$/.test(last.trim()) ? Number(last) : last;
+  } else if (type === "map") {
+    value = Object.assign({}, ...inputs.map(splitMap));
+  }
+  const message = checkValue(keyPath, value);
+  if (message) {
+    throw new Error(message);
+  }
+  return value;
+};
+
+/**
+ * 由文本值组成的配置层（git config、环境变量）转换为配置对象
+ * @param {Array<[string, string, string|string[]]>} entries - [配置项路径, 原始键名, 文本值] 列表
+ * @param {string} file - 配置层名称，用于错误信息
+ * @returns {{values: Object, errors: Object[]}} 配置对象与错误
+ */
+const parseEntries = (entries, file) => {
+  const values = {};
+  const errors = [];
+  for (const [keyPath, key, input] of entries) {
+    try {
+      setPath(values, keyPath, parseInput(keyPath, input));
     } catch (error) {
-      log("warn", `警告: 加载配置文件 ${file} 失败:${error.message}`, options);
+      errors.push({ file, path: key, key: keyPath, message: error.message });
+    }
+  }
+  return { values, errors };
+};
+
+/**
+ * 读取 git config 中的 bk.* 配置，如 bk.protectedBranches、bk.clean.staleAfter
+ * 数组可以多次设置（git config --add）或使用逗号分隔
+ * @param {string} cwd - 执行目录
+ * @returns {Promise<{values: Object, errors: Object[], warnings: Object[]}>} 配置层
+ */
+const readGitConfig = async (cwd) => {
+  const file = "git config";
+  const { stdout } = await runGit(["config", "-z", "--get-regexp", "^bk\\."], {
+    cwd,
+    reject: false,
+  });
+  // git 会把节名和键名转为小写，子节名保留原样
+  const keys = new Map(
+    CONFIG_KEYS.map(([keyPath]) => [`bk.${keyPath}`.toLowerCase(), keyPath])
+  );
+  const collected = new Map();
+  const warnings = [];
+  for (const item of stdout.split("\0").filter(Boolean)) {
+    const [key, value = "true"] = item.split(/\n(.*)/s);
+    const keyPath = keys.get(key.toLowerCase());
+    if (!keyPath) {
+      warnings.push({ file, path: key, message: t("config.unknownIgnored") });
       continue;
     }
+    const [, values = []] = collected.get(keyPath) || [];
+    collected.set(keyPath, [key, [...values, value]]);
+  }
+  const entries = [...collected].map(([keyPath, [key, values]]) => [
+    keyPath,
+    key,
+    values,
+  ]);
+  return { ...parseEntries(entries, file), warnings };
+};
+
+/**
+ * 获取配置项对应的环境变量名
+ * @param {string} keyPath - 配置项路径，如 clean.staleAfter
+ * @returns {string} 环境变量名，如 BK_CLEAN_STALE_AFTER
+ */
+export const toEnvName = (keyPath) =>
+  `BK_${keyPath
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .replace(/\./g, "_")
+    .toUpperCase()}`;
+
+/**
+ * 读取 BK_* 环境变量中的配置，值为空的环境变量会被忽略
+ * @param {Object<string, string>} env - 环境变量
+ * @returns {{values: Object, errors: Object[], warnings: Object[]}} 配置层
+ */
+const readEnvConfig = (env) => {
+  const entries = CONFIG_KEYS.map(([keyPath]) => [keyPath, toEnvName(keyPath)])
+    .filter(([, name]) => env[name])
+    .map(([keyPath, name]) => [keyPath, name, env[name]]);
+  return { ...parseEntries(entries, t("config.sources.env")), warnings: [] };
+};
+
+/**
+ * 读取配置文件层
+ * @param {string|null} filePath - 配置文件路径
+ * @param {string} cwd - 当前目录
+ * @returns {{file: string, values: Object, errors: Object[], warnings: Object[]}|null} 配置层，文件不存在时返回 null
+ */
+const readFileLayer = (filePath, cwd) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  const file = displayPath(filePath, cwd);
+  try {
+    return { file, ...validateConfig(readConfigFile(filePath, file), file) };
+  } catch (error) {
+    return { file, values: {}, errors: error.errors, warnings: [] };
+  }
+};
+
+/**
+ * 解析最终生效的配置
+ * 优先级从低到高：默认值 < 用户级配置文件 < 仓库配置文件 < git config（bk.*）< 环境变量（BK_*），命令行参数最优先
+ * @param {Object} [options] - 选项
+ * @param {string} [options.cwd] - 查找仓库配置文件的起始目录，默认当前目录
+ * @param {string} [options.configFile] - 指定的仓库配置文件路径
+ * @param {Object<string, string>} [options.env] - 环境变量，默认 process.env
+ * @returns {Promise<{config: Object, sources: Object<string, string>, layers: Object[], file: string|null, globalFile: string, errors: Object[], warnings: Object[]}>}
+ * 生效的配置、每个配置项的来源、读取到的配置层、仓库配置文件、用户级配置文件路径、错误与警告
+ */
+export const resolveConfig = async (options = {}) => {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const globalFile = getGlobalConfigFile(env);
+  const file = await findConfigFile({ cwd, configFile: options.configFile });
+
+  const layers = [
+    readFileLayer(globalFile, cwd),
+    readFileLayer(file, cwd),
+    { file: "git config", ...(await readGitConfig(cwd)) },
+    { file: t("config.sources.env"), ...readEnvConfig(env) },
+  ].filter(Boolean);
+
+  const config = buildDefaults();
+  const sources = Object.fromEntries(
+    CONFIG_KEYS.map(([key]) => [key, t("config.sources.default")])
+  );
+  for (const layer of layers) {
+    for (const [keyPath] of CONFIG_KEYS) {
+      const value = getPath(layer.values, keyPath);
+      if (value !== undefined) {
+        setPath(config, keyPath, value);
+        sources[keyPath] = layer.file;
+      }
+    }
+  }
+  return {
+    config,
+    sources,
+    layers,
+    file,
+    globalFile,
+    errors: layers.flatMap((layer) => layer.errors),
+    warnings: layers.flatMap((layer) => layer.warnings),
+  };
+};
+
+/**
+ * 区分配置错误：整个文件出错、顶层配置项（各命令都会用到）或命令读取的分组出错时无法继续，其余配置项可以回退为默认值
+ * @param {Object[]} errors - resolveConfig 返回的错误
+ * @param {string[]} [sections] - 命令读取的配置分组，如 clean；未指定时所有错误都无法继续
+ * @returns {{fatal: Object[], ignored: Object[]}} 无法继续的错误，以及回退为默认值的错误
+ */
+const splitErrors = (errors, sections) => {
+  const fatal = [];
+  const ignored = [];
+  for (const error of errors) {
+    const [section] = error.key.split(".");
+    const used =
+      !sections ||
+      !section ||
+      isLeaf(CONFIG_SCHEMA[section]) ||
+      sections.includes(section);
+    (used ? fatal : ignored).push(error);
+  }
+  return { fatal, ignored };
+};
+
+/**
+ * 提示回退为默认值的配置项
+ * @param {Object[]} errors - 回退为默认值的错误
+ * @param {Object} [options] - 传给 log 的选项
+ */
+const warnFallback = (errors, options) =>
+  errors.forEach((error) =>
+    log("warn", t("config.fallback", { issue: formatIssue(error) }), options)
+  );
+
+/**
+ * 加载配置，合并所有配置层
+ * 命令读取的配置项不合法时无法继续；其他分组中不合法的配置项回退为默认值并给出警告
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.debug] - 是否开启调试模式
+ * @param {string} [options.cwd] - 查找仓库配置文件的起始目录，默认当前目录
+ * @param {string} [options.configFile] - 指定的仓库配置文件路径
+ * @param {Object<string, string>} [options.env] - 环境变量，默认 process.env
+ * @param {string[]} [options.sections] - 命令读取的配置分组，如 ["clean", "workspace"]，顶层配置项总是读取；未指定时任何不合法的配置项都无法继续
+ * @returns {Promise<Object>} 配置对象
+ * @throws {ConfigError} 命令读取的配置项不合法，或配置文件无法解析时抛出
+ */
+const loadConfig = async (options = {}) => {
+  log("info", t("config.fileNames"), options, CONFIG_FILES);
+
+  const { config, layers, errors, warnings } = await resolveConfig(options);
+  const { fatal, ignored } = splitErrors(errors, options.sections);
+  if (fatal.length > 0) {
+    throw new ConfigError(fatal);
   }
+  warnFallback(ignored, options);
+  warnings.forEach((warning) => log("warn", formatIssue(warning), options));
 
-  log("info", "提示: 未找到配置文件，使用默认配置", options, DEFAULT_CONFIG);
-  return DEFAULT_CONFIG;
+  const loaded = layers.filter((layer) => Object.keys(layer.values).length);
+  if (loaded.length > 0) {
+    log(
+      "info",
+      t("config.loaded"),
+      options,
+      loaded.map((layer) => layer.file)
+    );
+  } else {
+    log("info", t("config.loadedDefault"), options);
+  }
+  return config;
+};
+
+/**
+ * 生成带注释的 YAML 配置模板
+ * @returns {string} 模板内容
+ */
+const buildTemplate = () => {
+  const lines = [
+    `# ${t("config.template.title")}`,
+    `# ${t("config.template.rules")}`,
+    "",
+  ];
+  /**
+   * 输出 schema 节点
+   * @param {Object} schema - schema 节点
+   * @param {string} indent - 缩进
+   * @param {string} prefix - 节点路径前缀，如 clean.
+   */
+  const write = (schema, indent, prefix) => {
+    for (const [key, node] of Object.entries(schema)) {
+      const description =
+        isLeaf(node) && t(`config.descriptions.${prefix}${key}`);
+      if (isLeaf(node) && node.type === "map") {
+        // 对象逐行写出，便于增删条目
+        lines.push(`${indent}# ${description}`, `${indent}${key}:`);
+        for (const [name, value] of Object.entries(node.default)) {
+          lines.push(`${indent}  ${name}: ${yaml.dump(value).trim()}`);
+        }
+      } else if (isLeaf(node)) {
+        const value = yaml.dump(node.default, { flowLevel: 0 }).trim();
+        lines.push(`${indent}# ${description}`);
+        lines.push(`${indent}${key}: ${value}`);
+      } else {
+        lines.push("", `${indent}${key}:`);
+        write(node, `${indent}  `, `${prefix}${key}.`);
+      }
+    }
+  };
+  write(CONFIG_SCHEMA, "", "");
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * 生成带注释的配置文件模板
+ * 默认写入仓库根目录的 .branchkeeperrc.yaml，--global 时写入用户级配置文件
+ * 已有配置文件且指定 --force 时覆盖该文件并保持其格式，JSON 文件无法保留注释，只写入默认值
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 已存在配置文件时是否覆盖
+ * @param {boolean} options.global - 是否生成用户级配置文件
+ * @returns {Promise<void>}
+ */
+export const initConfig = async (options = {}) => {
+  const cwd = process.cwd();
+  let target;
+  let existing;
+  if (options.global) {
+    target = getGlobalConfigFile(process.env);
+    existing = fs.existsSync(target) ? target : null;
+  } else {
+    target = path.join((await getRepoRoot(cwd)) || cwd, ".branchkeeperrc.yaml");
+    existing = await findConfigFile({ cwd });
+  }
+  if (existing && !options.force) {
+    throw new Error(t("config.exists", { file: displayPath(existing, cwd) }));
+  }
+  const file = existing || target;
+  const content = isYamlFile(file)
+    ? buildTemplate()
+    : `${JSON.stringify(DEFAULT_CONFIG, null, 2)}\n`;
+  fs.outputFileSync(file, content, "utf8");
+  setResult({ file });
+  console.info(t("config.created", { file: displayPath(file, cwd) }));
+};
+
+/**
+ * 格式化配置值用于展示
+ * @param {*} value - 值
+ * @returns {string} 展示文本
+ */
+const formatValue = (value) =>
+  typeof value === "string" ? value : JSON.stringify(value);
+
+/**
+ * 打印生效的配置及每项的来源，--json 模式下输出 { config, sources }
+ * 不合法的配置项显示为默认值并给出警告，便于对照修改
+ * @returns {Promise<void>}
+ */
+export const showConfig = async () => {
+  const { config, sources, layers, errors } = await resolveConfig();
+  warnFallback(errors);
+  setResult({ config, sources });
+  const files = layers
+    .filter((layer) => Object.keys(layer.values).length)
+    .map((layer) => layer.file);
+  console.info(
+    t("config.sourcesLine", {
+      sources: [t("config.sources.default"), ...files].join(" < "),
+    })
+  );
+  const width = Math.max(...CONFIG_KEYS.map(([key]) => key.length));
+  for (const [keyPath] of CONFIG_KEYS) {
+    const value = formatValue(getPath(config, keyPath));
+    console.info(`${keyPath.padEnd(width)}  ${value}  (${sources[keyPath]})`);
+  }
+};
+
+/**
+ * 校验所有配置层并打印错误与警告
+ * @returns {Promise<boolean>} 配置是否有效
+ */
+export const checkConfig = async () => {
+  const { layers, errors, warnings } = await resolveConfig();
+  warnings.forEach((warning) => console.warn(`⚠️  ${formatIssue(warning)}`));
+  errors.forEach((error) => console.error(`❌ ${formatIssue(error)}`));
+  if (errors.length > 0) {
+    console.error(t("config.invalid", { count: errors.length }));
+    return false;
+  }
+  const files = layers
+    .filter((layer) => Object.keys(layer.values).length)
+    .map((layer) => layer.file);
+  setResult({ files });
+  console.info(
+    files.length > 0
+      ? t("config.valid", { files: files.join(", ") })
+      : t("config.notFound")
+  );
+  return true;
+};
+
+/**
+ * 检查配置项路径是否存在
+ * @param {string} keyPath - 配置项路径
+ * @returns {Object} 配置项定义
+ * @throws {Error} 配置项不存在时抛出
+ */
+const requireDefinition = (keyPath) => {
+  const definition = getDefinition(keyPath);
+  if (!definition) {
+    throw new Error(
+      t("config.unknownKey", {
+        key: keyPath,
+        choices: CONFIG_KEYS.map(([key]) => key).join(", "),
+      })
+    );
+  }
+  return definition;
+};
+
+/**
+ * 打印单个配置项的生效值
+ * @param {string} keyPath - 配置项路径，如 clean.force
+ * @returns {Promise<void>}
+ */
+export const getConfigValue = async (keyPath) => {
+  requireDefinition(keyPath);
+  const { config, errors } = await resolveConfig();
+  const { fatal, ignored } = splitErrors(errors, [keyPath.split(".")[0]]);
+  if (fatal.length > 0) {
+    throw new ConfigError(fatal);
+  }
+  warnFallback(ignored);
+  setResult({ key: keyPath, value: getPath(config, keyPath) });
+  console.info(formatValue(getPath(config, keyPath)));
+};
+
+/**
+ * 修改配置文件中的配置项
+ * 默认写入仓库配置文件，没有时在仓库根目录创建 .branchkeeperrc；--global 时写入用户级配置文件
+ * @param {string} keyPath - 配置项路径，如 clean.force
+ * @param {string} input - 新值
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.global] - 是否写入用户级配置文件
+ * @returns {Promise<void>}
+ */
+export const setConfigValue = async (keyPath, input, options = {}) => {
+  const { alias } = requireDefinition(keyPath);
+  let value;
+  try {
+    value = parseInput(keyPath, input);
+  } catch (error) {
+    throw new Error(`${keyPath} ${error.message}`);
+  }
+
+  const cwd = process.cwd();
+  const filePath = options.global
+    ? getGlobalConfigFile(process.env)
+    : (await findConfigFile({ cwd })) ||
+      path.join((await getRepoRoot(cwd)) || cwd, ".branchkeeperrc");
+  const file = displayPath(filePath, cwd);
+  const raw = fs.existsSync(filePath)
+    ? readConfigFile(filePath, file) ?? {}
+    : {};
+  if (!isPlainObject(raw)) {
+    throw new ConfigError([
+      { file, path: "", key: "", message: t("config.fileNotObject") },
+    ]);
+  }
+
+  // 配置项属于分组时，移除旧版平铺写法，避免同一配置出现两处
+  if (alias && keyPath.includes(".")) {
+    delete raw[alias];
+  }
+  setPath(raw, keyPath, value);
+
+  const content = isYamlFile(filePath)
+    ? yaml.dump(raw)
+    : `${JSON.stringify(raw, null, 2)}\n`;
+  fs.outputFileSync(filePath, content, "utf8");
+  setResult({ key: keyPath, value, file: filePath });
+  console.info(
+    t("config.set", { key: keyPath, value: formatValue(value), file })
+  );
+
+  // 提示被更高优先级的配置层覆盖的情况
+  const { sources } = await resolveConfig();
+  if (sources[keyPath] !== file) {
+    console.warn(
+      `⚠️  ${t("config.overridden", {
+        key: keyPath,
+        source: sources[keyPath],
+        file,
+      })}`
+    );
+  }
 };
 
-export { loadConfig, DEFAULT_CONFIG };
+export { loadConfig, DEFAULT_CONFIG, CONFIG_KEYS };
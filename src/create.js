@@ -0,0 +1,411 @@
+/**
+ * 新建分支模块
+ * 根据配置的命名模板生成分支名，校验前缀、长度、字符和任务编号后，从起点分支创建，可选推送并设置上游
+ */
+
+import inquirer from "inquirer";
+import {
+  branchExists,
+  checkWorkingDirectory,
+  getCurrentBranch,
+  refExists,
+  log,
+} from "./utils.js";
+import { runGit } from "./git.js";
+import { appendJournal } from "./journal.js";
+import { t } from "./i18n.js";
+import { setResult, requireInteraction } from "./output.js";
+
+/** 模板中支持的占位符 */
+const PLACEHOLDERS = ["type", "ticket", "version", "slug", "user"];
+
+/**
+ * 把描述转换为适合分支名的 kebab-case，去掉重音符号和其他字符
+ * @param {string} text - 描述
+ * @returns {string} 如 "Add login page!" 转换为 "add-login-page"
+ */
+export const slugify = (text = "") =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * 获取模板中用到的占位符
+ * @param {string} template - 模板，如 feature/{ticket}-{slug}
+ * @returns {string[]} 占位符名称，如 ["ticket", "slug"]
+ */
+export const getPlaceholders = (template) =>
+  [...template.matchAll(/\{(\w+)\}/g)].map(([, key]) => key);
+
+/**
+ * 用给定的值替换模板中的占位符
+ * @param {string} template - 模板
+ * @param {Object<string, string>} values - 占位符的值
+ * @returns {string} 分支名
+ */
+export const renderTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "");
+
+/**
+ * 分支名超出最大长度时截短描述，尽量在单词之间截断
+ * @param {string} template - 模板
+ * @param {Object<string, string>} values - 占位符的值
+ * @param {number} maxLength - 分支名的最大长度
+ * @returns {string} 截短后的描述，无法截短到合适长度时原样返回
+ */
+const fitSlug = (template, values, maxLength) => {
+  let { slug } = values;
+  while (renderTemplate(template, { ...values, slug }).length > maxLength) {
+    const index = slug.lastIndexOf("-");
+    if (index <= 0) return values.slug;
+    slug = slug.slice(0, index);
+  }
+  return slug;
+};
+
+/**
+ * 把模板转换为匹配完整分支名的正则表达式：{ticket} 需要匹配任务编号规则，其余占位符匹配任意内容
+ * @param {string} template - 模板，如 feature/{ticket}-{slug}
+ * @param {string} ticketPattern - 任务编号需要匹配的正则表达式
+ * @returns {RegExp} 正则表达式
+ */
+const templateToRegExp = (template, ticketPattern) => {
+  // 任务编号规则针对单独的编号，嵌入模板前去掉首尾的锚点
+  const ticket = ticketPattern.replace(/^\^/, "").replace(/(?<!\\)\$$/, "");
+  const source = template
+    .split(/(\{\w+\})/)
+    .map((part, index) => {
+      if (index % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return part === "{ticket}" ? `(?:${ticket})` : ".*";
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * 按命名规则校验分支名，按模板生成的分支名和直接指定的分支名使用同一套规则
+ * @param {string} name - 分支名
+ * @param {Object} rules - 规则
+ * @param {string[]} [rules.prefixes] - 允许的前缀，为空时不限制
+ * @param {number} [rules.maxLength] - 最大长度
+ * @param {string} [rules.charset] - 分支名需要匹配的正则表达式，为空时不限制
+ * @param {Object<string, string>} [rules.templates] - 命名模板，分支名与含 {ticket} 的模板开头一致时需要包含任务编号
+ * @param {string} [rules.ticketPattern] - 任务编号需要匹配的正则表达式，为空时不限制
+ * @returns {string[]} 不符合的规则说明，符合时为空数组
+ */
+export const validateBranchName = (name, rules = {}) => {
+  const {
+    prefixes = [],
+    maxLength,
+    charset,
+    templates = {},
+    ticketPattern,
+  } = rules;
+  const errors = [];
+  if (prefixes.length > 0 && !prefixes.some((p) => name.startsWith(p))) {
+    errors.push(t("create.prefix", { prefixes: prefixes.join(" / ") }));
+  }
+  if (maxLength && name.length > maxLength) {
+    errors.push(t("create.tooLong", { length: name.length, maxLength }));
+  }
+  if (charset && !new RegExp(charset).test(name)) {
+    errors.push(t("create.charset", { charset }));
+  }
+  if (ticketPattern) {
+    const ticketTemplates = Object.values(templates).filter(
+      (template) =>
+        template.includes("{ticket}") && name.startsWith(template.split("{")[0])
+    );
+    if (
+      ticketTemplates.length > 0 &&
+      !ticketTemplates.some((template) =>
+        templateToRegExp(template, ticketPattern).test(name)
+      )
+    ) {
+      errors.push(t("create.ticketMissing", { pattern: ticketPattern }));
+    }
+  }
+  return errors;
+};
+
+/**
+ * 按模板生成分支名，命令行没有提供的信息交互式询问
+ * @param {string} [type] - 分支类型，即模板的键
+ * @param {string} [description] - 描述，对应 {slug}
+ * @param {Object} options - 配置选项，见 createBranch
+ * @returns {Promise<string|null>} 分支名，信息不合法时返回 null
+ */
+const buildName = async (type, description, options) => {
+  const { templates = {}, ticketPattern, maxLength } = options;
+  const types = Object.keys(templates);
+  if (types.length === 0) {
+    console.error(t("create.noTemplates"));
+    return null;
+  }
+
+  if (!type) {
+    requireInteraction(t("create.typeHint"));
+    ({ type } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "type",
+        message: t("create.selectType"),
+        choices: types.map((key) => ({
+          name: `${key}  ${templates[key]}`,
+          short: key,
+          value: key,
+        })),
+      },
+    ]));
+  }
+  const template = templates[type];
+  if (!template) {
+    console.error(t("create.unknownType", { type, choices: types.join(", ") }));
+    return null;
+  }
+
+  const placeholders = getPlaceholders(template);
+  const unknown = placeholders.filter((key) => !PLACEHOLDERS.includes(key));
+  if (unknown.length > 0) {
+    console.error(
+      t("create.unknownPlaceholders", {
+        template,
+        placeholders: unknown.map((key) => `{${key}}`).join(", "),
+      })
+    );
+    return null;
+  }
+
+  /**
+   * 获取占位符的值，命令行没有提供时询问
+   * @param {string} value - 命令行提供的值
+   * @param {string} message - 询问的提示
+   * @param {(input: string) => true|string} validate - 校验函数
+   * @param {string} hint - 无法交互时的提示
+   * @returns {Promise<string|null>} 值，命令行提供的值不合法时返回 null
+   */
+  const ask = async (value, message, validate, hint) => {
+    if (value !== undefined) {
+      const result = validate(value);
+      if (result !== true) {
+        console.error(`❌ ${result}`);
+        return null;
+      }
+      return value.trim();
+    }
+    requireInteraction(hint);
+    const { input } = await inquirer.prompt([
+      { type: "input", name: "input", message, validate },
+    ]);
+    return input.trim();
+  };
+
+  const values = { type };
+  if (placeholders.includes("user")) {
+    const { stdout } = await runGit(["config", "user.name"], { reject: false });
+    values.user = slugify(stdout.trim());
+  }
+  if (placeholders.includes("ticket")) {
+    values.ticket = await ask(
+      options.ticket,
+      t("create.ticket"),
+      (input) =>
+        !ticketPattern ||
+        new RegExp(ticketPattern).test(input.trim()) ||
+        t("create.ticketInvalid", { pattern: ticketPattern }),
+      t("create.ticketHint")
+    );
+    if (values.ticket === null) return null;
+  }
+  if (placeholders.includes("version")) {
+    values.version = await ask(
+      options.version,
+      t("create.version"),
+      (input) => /^\S+$/.test(input.trim()) || t("create.versionInvalid"),
+      t("create.versionHint")
+    );
+    if (values.version === null) return null;
+  }
+  if (placeholders.includes("slug")) {
+    const text = await ask(
+      description,
+      t("create.description"),
+      (input) => Boolean(slugify(input)) || t("create.descriptionInvalid"),
+      t("create.descriptionHint")
+    );
+    if (text === null) return null;
+    values.slug = slugify(text);
+    values.slug = fitSlug(template, values, maxLength);
+  }
+  return renderTemplate(template, values);
+};
+
+/**
+ * 获取起点分支对应的远程仓库和分支，用于创建前拉取
+ * @param {string} base - 起点分支，如 main、origin/main
+ * @returns {Promise<{remote: string, branch: string}|null>} 远程仓库和分支，没有对应的远程分支时返回 null
+ */
+const resolveRemoteBase = async (base) => {
+  const { stdout } = await runGit(["remote"]);
+  const remotes = stdout.split("\n").filter(Boolean);
+  let ref = base;
+  if (!remotes.some((remote) => base.startsWith(`${remote}/`))) {
+    // 本地分支使用其上游
+    const { stdout: upstream, exitCode } = await runGit(
+      [
+        "rev-parse",
+        "--abbrev-ref",
+        "--symbolic-full-name",
+        `${base}@{upstream}`,
+      ],
+      { reject: false }
+    );
+    if (exitCode !== 0) return null;
+    ref = upstream.trim();
+  }
+  const remote = remotes.find((name) => ref.startsWith(`${name}/`));
+  return remote ? { remote, branch: ref.slice(remote.length + 1) } : null;
+};
+
+/**
+ * 按命名模板创建分支
+ * @param {string} [type] - 分支类型，即 templates 的键，为空时交互式选择
+ * @param {string} [description] - 描述，对应模板中的 {slug}
+ * @param {Object} options - 配置选项
+ * @param {Object<string, string>} options.templates - 分支类型到模板的映射
+ * @param {string[]} options.prefixes - 允许的分支名前缀
+ * @param {number} options.maxLength - 分支名的最大长度
+ * @param {string} options.charset - 分支名需要匹配的正则表达式
+ * @param {string} options.ticketPattern - 任务编号需要匹配的正则表达式
+ * @param {string} [options.ticket] - 任务编号
+ * @param {string} [options.version] - 版本号
+ * @param {string} [options.name] - 完整的分支名，指定后不使用模板，只做校验
+ * @param {string} options.base - 起点分支
+ * @param {boolean} options.fetch - 创建前是否拉取起点分支所在的远程仓库
+ * @param {boolean} options.push - 创建后是否推送并设置上游
+ * @param {string} options.remote - 推送的远程仓库，起点分支位于远程仓库时使用该远程仓库
+ * @param {boolean} options.checkout - 创建后是否切换到新分支
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const createBranch = async (type, description, options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const { base = "main", checkout = true } = options;
+  let name = options.name;
+  try {
+    if (!name) {
+      name = await buildName(type, description, options);
+    }
+  } catch (error) {
+    if (error.name === "ExitPromptError") {
+      process.exit(0);
+    }
+    throw error;
+  }
+  if (!name) {
+    process.exitCode = 1;
+    return;
+  }
+  log("info", t("create.generated"), options, name);
+
+  const errors = validateBranchName(name, options);
+  const { exitCode: invalid } = await runGit(
+    ["check-ref-format", "--branch", name],
+    { reject: false }
+  );
+  if (invalid !== 0) {
+    errors.push(t("create.invalidRef", { name }));
+  } else if (await branchExists(name)) {
+    errors.push(t("create.exists", { name }));
+  }
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`❌ ${error}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  let startPoint = base;
+  let remote = options.remote;
+  if (options.fetch) {
+    const target = await resolveRemoteBase(base);
+    if (target) {
+      console.info(
+        t("fetch.fetching", { remote: `${target.remote}/${target.branch}` })
+      );
+      const { exitCode, stderr } = await runGit(
+        ["fetch", target.remote, target.branch],
+        { reject: false }
+      );
+      if (exitCode !== 0) {
+        console.error(
+          t("fetch.fetchFailed", {
+            remote: `${target.remote}/${target.branch}`,
+            message: stderr.trim(),
+          })
+        );
+        process.exitCode = 1;
+        return;
+      }
+      startPoint = `${target.remote}/${target.branch}`;
+      remote = target.remote;
+    } else {
+      console.warn(`⚠️  ${t("create.noRemoteBase", { base })}`);
+    }
+  }
+  if (!(await refExists(startPoint))) {
+    console.error(t("create.startNotFound", { startPoint }));
+    process.exitCode = 1;
+    return;
+  }
+
+  const currentBranch = await getCurrentBranch();
+  // 不跟踪起点分支，推送时再设置上游
+  const { exitCode, stderr } = await runGit(
+    checkout
+      ? ["checkout", "--quiet", "--no-track", "-b", name, startPoint]
+      : ["branch", "--no-track", name, startPoint],
+    { reject: false }
+  );
+  if (exitCode !== 0) {
+    console.error(t("create.failed", { name, message: stderr.trim() }));
+    process.exitCode = 1;
+    return;
+  }
+
+  const { stdout } = await runGit(["rev-parse", name]);
+  const sha = stdout.trim();
+  const actions = [{ type: "create", branch: name, sha }];
+  if (checkout) {
+    actions.push({ type: "checkout", from: currentBranch, to: name });
+  }
+  await appendJournal("new", actions);
+  console.info(
+    t(checkout ? "create.createdAndSwitched" : "create.created", {
+      name,
+      startPoint,
+    })
+  );
+
+  let pushed = false;
+  if (options.push) {
+    const target = remote || "origin";
+    const { exitCode: pushFailed, stderr: pushError } = await runGit(
+      ["push", "--set-upstream", target, name],
+      { reject: false }
+    );
+    if (pushFailed === 0) {
+      pushed = true;
+      console.info(t("create.pushed", { upstream: `${target}/${name}` }));
+    } else {
+      console.error(
+        t("create.pushFailed", { remote: target, message: pushError.trim() })
+      );
+      process.exitCode = 1;
+    }
+  }
+  setResult({ branch: name, startPoint, sha, pushed });
+};
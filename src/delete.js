@@ -3,73 +3,166 @@ import ora from "ora";
 import {
   getCurrentBranch,
   log,
-  getLocalBranches,
+  getBranchInfos,
   deleteBranch,
   checkWorkingDirectory,
+  isProtectedBranch,
+  getWorktreeBranches,
+  describeWorktree,
 } from "./utils.js";
+import { appendJournal } from "./journal.js";
+import { t } from "./i18n.js";
+import { filterBranches } from "./pattern.js";
+import { isJsonMode, setResult, requireInteraction } from "./output.js";
+import {
+  searchSelect,
+  searchCheckbox,
+  getRecentBranches,
+  sortByRecency,
+  describeBranch,
+} from "./picker.js";
+
+/**
+ * 按命令行指定的分支名或规则选择要删除的分支，当前分支、在其他工作树中检出的分支和受保护分支会被跳过
+ * @param {string[]} patterns - 分支名或规则，支持 glob 和 /regex/
+ * @param {Object[]} choices - 分支选项，disabled 为不可删除的原因
+ * @returns {{selected: string[], skipped: Array<{branch: string, reason: string, explicit: boolean}>, unmatched: string[]}}
+ * 要删除的分支、被跳过的分支及原因（explicit 表示按分支名指定而非规则匹配）、没有匹配任何分支的规则
+ */
+const matchPatterns = (patterns, choices) => {
+  const branches = choices.map(({ value }) => value);
+  const matched = filterBranches(branches, patterns);
+  const unmatched = patterns.filter(
+    (pattern) =>
+      !pattern.startsWith("!") &&
+      filterBranches(branches, [pattern]).length === 0
+  );
+  const disabled = new Map(
+    choices.map(({ value, disabled }) => [value, disabled])
+  );
+  return {
+    selected: matched.filter((branch) => !disabled.get(branch)),
+    skipped: matched
+      .filter((branch) => disabled.get(branch))
+      .map((branch) => ({
+        branch,
+        reason: disabled.get(branch),
+        explicit: patterns.includes(branch),
+      })),
+    unmatched,
+  };
+};
 
 /**
- * 交互式删除分支
+ * 删除分支，未指定分支时交互式选择
+ * @param {string[]} patterns - 要删除的分支名或规则，支持 glob 和 /regex/，为空时交互式选择
  * @param {Object} options - 配置选项
  * @param {boolean} options.force - 是否强制删除
  * @param {boolean} options.multi - 是否允许多选
+ * @param {boolean} options.yes - 是否跳过确认
+ * @param {string[]} options.protectedBranches - 受保护的分支规则，命中的分支不可删除
  * @param {boolean} options.debug - 是否打印日志
  * @returns {Promise<void>}
  */
-export const deleteBranches = async (options = {}) => {
+export const deleteBranches = async (patterns = [], options = {}) => {
   // 检测是否为 git 仓库
   if (!(await checkWorkingDirectory())) return process.exit(1);
 
-  const { force = false, multi = false } = options;
+  const { force = false, multi = false, protectedBranches = [] } = options;
   const spinner = ora({
-    text: "正在获取分支列表...",
+    text: t("common.loadingBranches"),
     discardStdin: false,
+    isSilent: isJsonMode(),
   }).start();
 
   const currentBranch = await getCurrentBranch();
-  const branches = await getLocalBranches();
+  const infos = sortByRecency(
+    await getBranchInfos(),
+    await getRecentBranches(),
+    (info) => info.branch
+  );
+  const branches = infos.map((info) => info.branch);
+  const worktreeBranches = await getWorktreeBranches();
 
   // 取消 spinner
   spinner.text = "";
   spinner.stop();
 
   if (branches.length === 0) {
-    console.info("没有找到任何分支");
+    console.info(t("delete.noBranches"));
     return process.exit(0);
   }
 
-  log("info", "获取分支列表成功", options, branches);
-
-  // 如果分支中只有当前分支，则给出提示
-  if (branches.length === 1) {
-    console.info("没有可删除的本地分支");
+  log("info", t("common.branchesLoaded"), options, branches);
+
+  // 当前分支、在其他工作树中检出的分支和受保护分支不可删除
+  const choices = infos.map((info) => ({
+    name: info.branch,
+    value: info.branch,
+    description: describeBranch(info),
+    disabled:
+      info.branch === currentBranch
+        ? t("common.currentBranch")
+        : worktreeBranches.has(info.branch)
+        ? describeWorktree(worktreeBranches.get(info.branch))
+        : isProtectedBranch(info.branch, protectedBranches, options)
+        ? t("delete.protected")
+        : false,
+  }));
+
+  setResult({
+    candidates: choices.map(({ value, disabled }) => ({
+      branch: value,
+      disabled: disabled || null,
+    })),
+  });
+
+  // 如果没有可删除的分支，则给出提示；指定了分支时继续处理，以便报告被跳过的分支
+  if (patterns.length === 0 && choices.every(({ disabled }) => disabled)) {
+    console.info(t("delete.noLocalCandidates"));
     return process.exit(0);
   }
 
+  /**每个分支的删除结果 */
+  const results = [];
+
   try {
-    let { selectedBranches } = await inquirer.prompt([
-      {
-        type: multi ? "checkbox" : "list",
-        name: "selectedBranches",
-        message: "请选择要删除的分支:",
-        choices: branches.map((branch) => ({
-          name: branch === currentBranch ? `${branch} (当前分支)` : branch,
-          value: branch,
-          disabled: branch === currentBranch,
-        })),
-        validate: (input) => {
-          if (input.length === 0) {
-            return "请至少选择一个分支";
-          }
-          return true;
-        },
-      },
-    ]);
+    let selectedBranches;
+    if (patterns.length > 0) {
+      // 命令行指定了分支，不再交互选择
+      const { selected, skipped, unmatched } = matchPatterns(patterns, choices);
+      for (const pattern of unmatched) {
+        console.error(`❌ ${t("common.noMatch", { pattern })}`);
+        process.exitCode = 1;
+      }
+      // 按分支名指定却无法删除的分支视为失败，规则顺带匹配到的分支只提示
+      for (const { branch, reason, explicit } of skipped) {
+        console.warn(`⚠️  ${t("delete.skipped", { branch, reason })}`);
+        results.push({ branch, status: "skipped", reason });
+        if (explicit) process.exitCode = 1;
+      }
+      if (selected.length === 0) {
+        setResult({ results });
+        console.info(t("delete.noCandidates"));
+        return;
+      }
+      console.info(
+        `${t("delete.willDelete")}\n${selected.map((b) => `  ${b}`).join("\n")}`
+      );
+      selectedBranches = selected;
+    } else {
+      requireInteraction(t("delete.interactionHint"));
+      const prompt = multi ? searchCheckbox : searchSelect;
+      selectedBranches = await prompt({
+        message: t("delete.select"),
+        choices,
+      });
+    }
 
-    log("info", "选择的分支是", options, selectedBranches);
+    log("info", t("common.selected"), options, selectedBranches);
 
     if (selectedBranches.length === 0) {
-      log("info", "未选择任何分支，操作取消");
+      log("info", t("clean.noneSelected"));
       return;
     }
 
@@ -78,33 +171,49 @@ export const deleteBranches = async (options = {}) => {
       selectedBranches = [selectedBranches];
     }
 
-    const { confirm } = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "confirm",
-        message: `确定要删除选中的 ${selectedBranches.length} 个分支吗？`,
-        default: true,
-      },
-    ]);
-
-    if (!confirm) {
-      log("info", "操作已取消");
-      return;
+    if (!options.yes) {
+      requireInteraction(t("delete.yesHint"));
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: t("clean.confirm", { count: selectedBranches.length }),
+          default: true,
+        },
+      ]);
+
+      if (!confirm) {
+        log("info", t("common.cancelled"));
+        return;
+      }
     }
 
     let successCount = 0;
     let failCount = 0;
+    /**本次删除的分支，用于写入操作日志 */
+    const actions = [];
 
     for (const branch of selectedBranches) {
-      const success = await deleteBranch(branch, force);
-      if (success) {
+      try {
+        const entry = await deleteBranch(branch, force);
         successCount++;
-      } else {
+        actions.push({ type: "delete", ...entry });
+        results.push({ branch, status: "deleted" });
+      } catch (error) {
+        log("error", error.message, options);
         failCount++;
+        results.push({ branch, status: "failed", error: error.message });
       }
     }
-
-    console.info(`删除完成: 成功 ${successCount} 个, 失败 ${failCount} 个`);
+    setResult({ results });
+    await appendJournal("delete", actions);
+
+    console.info(
+      t("delete.done", { success: successCount, failed: failCount })
+    );
+    if (failCount > 0) {
+      process.exitCode = 1;
+    }
   } catch (error) {
     if (error.name === "ExitPromptError") {
       process.exit(0);
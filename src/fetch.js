@@ -1,142 +1,340 @@
 /**
  * 远程分支拉取工具
- * 用于从远程仓库拉取分支并创建本地分支
+ * 用于从远程仓库拉取分支，并通过更新引用创建或更新本地跟踪分支，不会切换分支或修改工作区
  */
 
+import inquirer from "inquirer";
+import ora from "ora";
 import {
-  execGitCommand,
-  isGitRepository,
-  getCurrentBranch,
-  branchExists,
-  hasUncommittedChanges,
+  checkWorkingDirectory,
+  getWorktrees,
+  describeWorktree,
+  getRepoRoot,
+  formatTable,
   log,
+  isIgnoredBranch,
 } from "./utils.js";
+import { runGit } from "./git.js";
+import { filterBranches } from "./pattern.js";
+import { appendJournal } from "./journal.js";
+import { t } from "./i18n.js";
+import { isJsonMode, setResult, requireInteraction } from "./output.js";
+
+/** 需要修改本地分支的更新 */
+const UPDATE_STATUSES = ["created", "updated", "forced"];
 
 /**
- * 检查工作目录状态
- * @returns {Promise<boolean>} 是否可以继续操作
+ * 获取远程跟踪分支
+ * @param {string} remote - 远程仓库名
+ * @returns {Promise<Array<{branch: string, sha: string}>>} 远程分支名（不含远程前缀）及其提交
  */
-const checkWorkingDirectory = async (options) => {
-  if (!(await isGitRepository())) {
-    log("error", "当前目录不是 Git 仓库", options);
-    return false;
-  }
+const getRemoteBranches = async (remote) => {
+  const prefix = `refs/remotes/${remote}/`;
+  const { stdout } = await runGit([
+    "for-each-ref",
+    "--format=%(refname)%09%(objectname)",
+    prefix,
+  ]);
+  return stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [ref, sha] = line.split("\t");
+      return { branch: ref.slice(prefix.length), sha };
+    })
+    .filter(({ branch }) => branch !== "HEAD");
+};
 
-  if (await hasUncommittedChanges()) {
-    log("error", "工作区有未提交的更改，请先提交或暂存更改", options);
-    return false;
-  }
+/**
+ * 获取本地分支的提交及上游
+ * @returns {Promise<Map<string, {sha: string, upstream: string}>>} 分支名到提交和上游完整引用名（未设置时为空）的映射
+ */
+const getLocalBranchRefs = async () => {
+  const { stdout } = await runGit([
+    "for-each-ref",
+    "--format=%(refname:short)%09%(objectname)%09%(upstream)",
+    "refs/heads/",
+  ]);
+  return new Map(
+    stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [branch, sha, upstream] = line.split("\t");
+        return [branch, { sha, upstream }];
+      })
+  );
+};
 
-  return true;
+/**
+ * 判断提交 a 是否是提交 b 的祖先
+ * @param {string} a - 提交
+ * @param {string} b - 提交
+ * @returns {Promise<boolean>} 是否是祖先
+ */
+const isAncestor = async (a, b) => {
+  const { exitCode } = await runGit(["merge-base", "--is-ancestor", a, b], {
+    reject: false,
+  });
+  return exitCode === 0;
 };
 
 /**
- * 获取远程分支列表
+ * 计算每个分支需要执行的更新
+ * 同名的本地分支只有跟踪该远程分支时才会更新，跟踪其他分支或没有上游的分支会被跳过
+ * @param {Array<{branch: string, sha: string}>} remoteBranches - 远程分支
  * @param {string} remote - 远程仓库名
- * @returns {Promise<string[]>} 远程分支列表
+ * @param {Object} options - 配置选项
+ * @param {boolean} options.force - 是否允许非快进更新
+ * @returns {Promise<Object[]>} 更新计划 { branch, status, before, after, detail }
  */
-const getRemoteBranches = async (remote, options) => {
-  try {
-    const { stdout } = await execGitCommand(`git ls-remote --heads ${remote}`);
-    return stdout
-      .split("\n")
-      .filter(Boolean)
-      .map((line) => line.split("\t")[1].replace("refs/heads/", ""));
-  } catch (error) {
-    log("error", `获取远程分支列表失败: ${error.message}`, options);
-    return [];
+const planUpdates = async (remoteBranches, remote, options) => {
+  const { force = false } = options;
+  const localRefs = await getLocalBranchRefs();
+
+  // 已在工作树中检出的分支不能直接更新引用，否则工作区会与分支不一致
+  const root = await getRepoRoot();
+  const checkedOut = new Map(
+    (await getWorktrees())
+      .filter((worktree) => worktree.branch)
+      .map((worktree) => [worktree.branch, worktree.path])
+  );
+
+  const plans = [];
+  for (const { branch, sha } of remoteBranches) {
+    const local = localRefs.get(branch);
+    const before = local?.sha ?? null;
+    const plan = { branch, before, after: sha };
+
+    if (!before) {
+      plans.push({ ...plan, status: "created" });
+    } else if (local.upstream !== `refs/remotes/${remote}/${branch}`) {
+      plans.push({
+        ...plan,
+        status: "skipped",
+        detail: local.upstream
+          ? t("fetch.tracksOther", {
+              current: local.upstream.replace(/^refs\/(remotes|heads)\//, ""),
+            })
+          : t("fetch.notTracking", { upstream: `${remote}/${branch}` }),
+      });
+    } else if (before === sha) {
+      plans.push({ ...plan, status: "up-to-date" });
+    } else if (checkedOut.has(branch)) {
+      const worktreePath = checkedOut.get(branch);
+      plans.push({
+        ...plan,
+        status: "skipped",
+        detail:
+          worktreePath === root
+            ? t("fetch.currentBranch")
+            : describeWorktree(worktreePath),
+      });
+    } else if (await isAncestor(before, sha)) {
+      plans.push({ ...plan, status: "updated" });
+    } else if (force) {
+      plans.push({ ...plan, status: "forced" });
+    } else {
+      plans.push({
+        ...plan,
+        status: "skipped",
+        detail: (await isAncestor(sha, before))
+          ? t("fetch.ahead")
+          : t("fetch.diverged"),
+      });
+    }
   }
+  return plans;
 };
 
 /**
- * 创建跟踪分支
- * @param {string} branch - 分支名
- * @param {Object} options - 配置选项
- * @returns {Promise<boolean>} 是否创建成功
+ * 交互式选择要创建或更新的分支，默认选中所有可以更新的分支
+ * @param {Object[]} plans - 更新计划
+ * @returns {Promise<Object[]>} 选中的更新计划，没有可以更新的分支时原样返回
  */
-const createTrackingBranch = async (branch, options) => {
-  const { remote, force = false } = options;
+const pickPlans = async (plans) => {
+  if (!plans.some((plan) => UPDATE_STATUSES.includes(plan.status))) {
+    return plans;
+  }
+  requireInteraction(t("fetch.interactionHint"));
+  const choices = plans.map((plan) => ({
+    name: `${plan.branch} (${t(`fetch.status.${plan.status}`)}${
+      plan.detail ? `: ${plan.detail}` : ""
+    })`,
+    value: plan.branch,
+    checked: UPDATE_STATUSES.includes(plan.status),
+    disabled: UPDATE_STATUSES.includes(plan.status)
+      ? false
+      : t(`fetch.status.${plan.status}`),
+  }));
+  const { selected } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "selected",
+      message: t("fetch.select"),
+      choices,
+      pageSize: 20,
+    },
+  ]);
+  return plans.filter((plan) => selected.includes(plan.branch));
+};
 
+/**
+ * 执行更新计划，只更新引用，不修改工作区
+ * @param {Object} plan - 更新计划
+ * @param {string} remote - 远程仓库名
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Object>} 执行结果
+ */
+const applyPlan = async (plan, remote, options) => {
+  const { branch, before, after, status } = plan;
   try {
-    if (await branchExists(branch)) {
-      if (!force) {
-        log("info", `分支 ${branch} 已存在，跳过`, options);
-        return true;
-      }
-
-      log("info", `强制更新分支 ${branch}`, options);
-      await execGitCommand(`git branch -D ${branch}`);
+    if (status === "created") {
+      await runGit(["branch", "--track", branch, `${remote}/${branch}`]);
+    } else {
+      // 指定旧值，分支在此期间被修改时 update-ref 会失败
+      await runGit([
+        "update-ref",
+        "-m",
+        `bk fetch: ${t(
+          status === "forced" ? "fetch.reflogForced" : "fetch.reflogUpdated",
+          { upstream: `${remote}/${branch}` }
+        )}`,
+        `refs/heads/${branch}`,
+        after,
+        before,
+      ]);
     }
-
-    await execGitCommand(`git checkout -b ${branch} ${remote}/${branch}`);
-    log("info", `成功创建分支 ${branch}`, options);
-    return true;
+    log("info", `${t(`fetch.status.${status}`)} ${branch}`, options);
+    return plan;
   } catch (error) {
-    log("error", `创建分支 ${branch} 失败: ${error.message}`, options);
-    return false;
+    log(
+      "info",
+      t("fetch.updateFailed", { branch, message: error.message }),
+      options
+    );
+    return {
+      ...plan,
+      status: "failed",
+      detail: error.stderr.trim().split("\n")[0] || error.message,
+    };
   }
 };
 
 /**
- * 拉取所有远程分支
+ * 拉取远程分支并创建或更新本地跟踪分支
  * @param {Object} options - 配置选项
  * @param {string} options.remote - 远程仓库名
- * @param {string[]} options.ignore - 要忽略的分支列表
- * @param {boolean} options.force - 是否强制更新
- * @param {boolean} options.silent - 是否静默模式
+ * @param {string[]} options.include - 只处理命中规则的分支，为空时处理所有分支
+ * @param {string[]} options.ignore - 要忽略的分支规则
+ * @param {boolean} options.force - 是否允许非快进更新（覆盖本地领先或已分叉的分支）
+ * @param {boolean} options.interactive - 是否交互式选择分支
+ * @param {boolean} options.offline - 不执行 git fetch，只使用已有的远程跟踪分支
+ * @param {boolean} options.debug - 是否打印调试日志
  * @returns {Promise<void>}
  */
-export const fetchAllBranches = async (options) => {
-  const {
-    remote = "origin",
-    ignore = [],
-    force = false,
-    silent = false,
-  } = options;
-
-  if (!(await checkWorkingDirectory(options))) {
-    return;
-  }
+export const fetchAllBranches = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
 
-  const currentBranch = await getCurrentBranch();
-  let remoteBranches = await getRemoteBranches(remote, options);
+  const { remote = "origin", include = [], ignore = [] } = options;
 
-  if (remoteBranches.length === 0) {
-    log("info", "没有找到远程分支", options);
-    return;
+  const spinner = ora({ discardStdin: false, isSilent: isJsonMode() });
+  if (!options.offline) {
+    spinner.start(t("fetch.fetching", { remote }));
+    try {
+      await runGit(["fetch", "--prune", remote]);
+    } catch (error) {
+      spinner.stop();
+      console.error(t("fetch.fetchFailed", { remote, message: error.message }));
+      return process.exit(1);
+    }
   }
+  spinner.text = t("fetch.checking");
 
-  log("info", `找到 ${remoteBranches.length} 个远程分支`, options);
-
-  let successCount = 0;
-  let failCount = 0;
+  let remoteBranches = await getRemoteBranches(remote);
+  if (include.length > 0) {
+    const names = filterBranches(
+      remoteBranches.map(({ branch }) => branch),
+      include
+    );
+    remoteBranches = remoteBranches.filter(({ branch }) =>
+      names.includes(branch)
+    );
+  }
+  remoteBranches = remoteBranches.filter(
+    ({ branch }) => !isIgnoredBranch(branch, ignore, options)
+  );
 
-  for (const branch of remoteBranches) {
-    if (ignore.includes(branch)) {
-      log("info", `忽略分支 ${branch}`, options);
-      continue;
-    }
+  let plans = await planUpdates(remoteBranches, remote, options);
+  spinner.stop();
 
-    const success = await createTrackingBranch(branch, { remote, force });
-    if (success) {
-      successCount++;
-    } else {
-      failCount++;
-    }
+  if (plans.length === 0) {
+    console.info(t("fetch.noRemoteBranches", { remote }));
+    return;
   }
 
-  // 返回原分支
   try {
-    await execGitCommand(`git checkout ${currentBranch}`);
+    if (options.interactive) {
+      plans = await pickPlans(plans);
+    }
   } catch (error) {
-    log("error", `返回原分支 ${currentBranch} 失败: ${error.message}`, options);
+    if (error.name === "ExitPromptError") {
+      process.exit(0);
+    }
+    throw error;
   }
 
-  if (!silent) {
-    log(
-      "info",
-      `拉取完成: 成功 ${successCount} 个, 失败 ${failCount} 个`,
-      options
+  const results = [];
+  for (const plan of plans) {
+    results.push(
+      UPDATE_STATUSES.includes(plan.status)
+        ? await applyPlan(plan, remote, options)
+        : plan
     );
   }
+
+  await appendJournal(
+    "fetch",
+    results
+      .filter(({ status }) => UPDATE_STATUSES.includes(status))
+      .map(({ branch, before, after }) =>
+        before
+          ? { type: "update", branch, before, after }
+          : { type: "create", branch, sha: after }
+      )
+  );
+
+  setResult({ remote, results });
+
+  // 已是最新的分支较多时只显示数量
+  const changed = results.filter(({ status }) => status !== "up-to-date");
+  if (changed.length > 0) {
+    console.info(
+      formatTable(
+        [
+          t("list.headers.branch"),
+          t("common.headers.result"),
+          t("common.headers.detail"),
+        ],
+        changed.map(({ branch, status, detail = "" }) => [
+          branch,
+          t(`fetch.status.${status}`),
+          detail,
+        ])
+      )
+    );
+  }
+  const count = (status) => results.filter((r) => r.status === status).length;
+  console.info(
+    `\n${t("fetch.done", {
+      created: count("created"),
+      updated: count("updated") + count("forced"),
+      upToDate: count("up-to-date"),
+      skipped: count("skipped"),
+      failed: count("failed"),
+    })}`
+  );
+  if (count("failed") > 0) {
+    process.exitCode = 1;
+  }
 };
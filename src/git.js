@@ -0,0 +1,124 @@
+/**
+ * Git 命令执行模块
+ * 以参数数组的方式调用 git，不经过 shell，分支名中的特殊字符不会被解释
+ */
+
+import { execFile } from "child_process";
+import { t } from "./i18n.js";
+
+/** 默认输出缓冲区大小，分支很多的仓库 for-each-ref 输出可能较大 */
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Git 命令执行失败时抛出的错误
+ */
+export class GitCommandError extends Error {
+  /**
+   * @param {Object} detail - 失败详情
+   * @param {string[]} detail.args - git 参数
+   * @param {number|null} detail.exitCode - 退出码，进程未正常退出时为 null
+   * @param {string} detail.stdout - 标准输出
+   * @param {string} detail.stderr - 标准错误输出
+   * @param {string} [detail.cwd] - 执行目录
+   * @param {boolean} [detail.timedOut] - 是否超时
+   * @param {string} [detail.reason] - 进程无法启动等情况下的原因
+   */
+  constructor({
+    args,
+    exitCode,
+    stdout,
+    stderr,
+    cwd,
+    timedOut = false,
+    reason,
+  }) {
+    const command = formatCommand(args);
+    const detail = timedOut
+      ? t("git.timedOut")
+      : stderr.trim() || reason || t("git.exitCode", { code: exitCode });
+    super(t("git.failed", { command, detail }));
+    this.name = "GitCommandError";
+    this.command = command;
+    this.args = args;
+    this.exitCode = exitCode;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.cwd = cwd;
+    this.timedOut = timedOut;
+  }
+}
+
+/**
+ * 把参数数组格式化为便于阅读的命令字符串（仅用于展示）
+ * @param {string[]} args - git 参数
+ * @returns {string} 命令字符串
+ */
+const formatCommand = (args) =>
+  ["git", ...args]
+    .map((arg) => (/^[\w@%^{}:/.,=+-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(" ");
+
+/**
+ * 执行 git 命令
+ * @param {string[]} args - git 参数，如 ["branch", "-D", branch]
+ * @param {Object} [options] - 执行选项
+ * @param {string} [options.cwd] - 执行目录，默认当前目录
+ * @param {number} [options.timeout] - 超时时间（毫秒），0 表示不限制
+ * @param {Object<string, string>} [options.env] - 追加或覆盖的环境变量
+ * @param {string} [options.input] - 写入标准输入的内容
+ * @param {boolean} [options.reject] - 退出码非 0 时是否抛出错误，默认 true
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, command: string}>} 执行结果
+ * @throws {GitCommandError} 命令执行失败且 reject 不为 false 时抛出
+ */
+export const runGit = (args, options = {}) => {
+  const { cwd, timeout = 0, env, input, reject = true } = options;
+
+  return new Promise((resolve, rejectPromise) => {
+    const child = execFile(
+      "git",
+      args,
+      {
+        cwd,
+        timeout,
+        env: env ? { ...process.env, ...env } : process.env,
+        maxBuffer: MAX_BUFFER,
+        windowsHide: true,
+      },
+      (error, stdout, stderr) => {
+        const result = {
+          stdout,
+          stderr,
+          exitCode: 0,
+          command: formatCommand(args),
+        };
+        if (!error) {
+          resolve(result);
+          return;
+        }
+
+        // error.code 为数字时是 git 的退出码，为字符串时是进程启动失败（如 ENOENT）
+        const exitCode = typeof error.code === "number" ? error.code : null;
+        const timedOut = Boolean(timeout) && error.killed === true;
+        if (!reject && exitCode !== null && !timedOut) {
+          resolve({ ...result, exitCode });
+          return;
+        }
+        rejectPromise(
+          new GitCommandError({
+            args,
+            exitCode,
+            stdout,
+            stderr,
+            cwd,
+            timedOut,
+            reason: error.message,
+          })
+        );
+      }
+    );
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+};
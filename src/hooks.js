@@ -0,0 +1,488 @@
+/**
+ * git 钩子模块
+ * 安装由 bk 管理的 post-merge、post-checkout、pre-push 钩子，在拉取、切换和推送时自动执行检查
+ * 钩子目录遵循 core.hooksPath，已有的钩子会被改名保留并在 bk 之前执行，卸载时恢复
+ */
+
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import {
+  checkWorkingDirectory,
+  formatTable,
+  getBranchInfos,
+  getCurrentBranch,
+  getMergedBranches,
+  isProtectedBranch,
+  log,
+  parseTrack,
+  refExists,
+} from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { cleanBranches } from "./clean.js";
+import { validateBranchName } from "./create.js";
+import { setResult } from "./output.js";
+
+/** bk 管理的钩子，及其对应的配置项 */
+export const MANAGED_HOOKS = {
+  "post-merge": "postMerge",
+  "post-checkout": "postCheckout",
+  "pre-push": "prePush",
+};
+
+/** 写在钩子脚本中的标记，用于识别由 bk 管理的钩子 */
+const HOOK_MARKER = "# branch-keeper managed hook";
+
+/** 被接管的原有钩子改名时追加的后缀 */
+const CHAINED_SUFFIX = ".bk-orig";
+
+/** 钩子脚本中记录 bk 入口路径的变量 */
+const ENTRY_VARIABLE = "BK_ENTRY";
+
+/** 推送时表示引用不存在的提交 */
+const ZERO_SHA = /^0+$/;
+
+/**
+ * 给 shell 参数加单引号
+ * @param {string} value - 参数
+ * @returns {string} 加引号后的参数
+ */
+const shellQuote = (value) => `'${value.replace(/'/g, "'\\''")}'`;
+
+/**
+ * 去掉 shellQuote 添加的单引号
+ * @param {string} value - 加引号后的参数
+ * @returns {string} 参数
+ */
+const shellUnquote = (value) => value.slice(1, -1).replace(/'\\''/g, "'");
+
+/**
+ * 获取当前执行的入口脚本的真实路径，打包后为 dist/cli.js
+ * 全局安装时 bin 目录中的链接会解析为包内的入口，不依赖调用时的路径
+ * @returns {string} 入口脚本的绝对路径
+ */
+const resolveEntry = () => {
+  const entry = path.resolve(process.argv[1]);
+  try {
+    return fs.realpathSync(entry);
+  } catch {
+    return entry;
+  }
+};
+
+/**
+ * 判断入口脚本是否位于临时目录，如 npx 的缓存目录，这类路径随时可能被清理
+ * @param {string} entry - 入口脚本的绝对路径
+ * @returns {boolean} 是否为临时路径
+ */
+const isTemporaryEntry = (entry) => {
+  const relative = path.relative(fs.realpathSync(os.tmpdir()), entry);
+  return (
+    entry.split(path.sep).includes("_npx") ||
+    (!relative.startsWith("..") && !path.isAbsolute(relative))
+  );
+};
+
+/**
+ * 获取钩子目录，设置了 core.hooksPath 时使用该目录
+ * @returns {Promise<{dir: string, custom: boolean}>} 钩子目录的绝对路径，以及是否来自 core.hooksPath
+ */
+const getHooksDir = async () => {
+  const { stdout: hooksPath } = await runGit(
+    ["config", "--get", "core.hooksPath"],
+    { reject: false }
+  );
+  // 输出的相对路径已换算为相对于当前目录
+  const { stdout } = await runGit(["rev-parse", "--git-path", "hooks"]);
+  return { dir: path.resolve(stdout.trim()), custom: !!hooksPath.trim() };
+};
+
+/**
+ * 生成钩子脚本：先执行被接管的原有钩子，再执行 bk hooks run
+ * 优先使用 PATH 中的 bk，找不到时（如图形界面客户端）使用安装时的 node 和 bk 入口脚本
+ * @param {string} hook - 钩子名称
+ * @param {string} entry - bk 入口脚本的绝对路径，见 resolveEntry
+ * @returns {string} 脚本内容
+ */
+const buildScript = (hook, entry) => {
+  const chained = `"$(dirname "$0")/${hook}${CHAINED_SUFFIX}"`;
+  const lines = [
+    "#!/bin/sh",
+    HOOK_MARKER,
+    `# ${t("hooks.scriptComment")}`,
+    "",
+    `${ENTRY_VARIABLE}=${shellQuote(entry)}`,
+    "run_bk() {",
+    "  if command -v bk >/dev/null 2>&1; then",
+    '    bk "$@"',
+    "  else",
+    `    ${shellQuote(process.execPath)} "$${ENTRY_VARIABLE}" "$@"`,
+    "  fi",
+    "}",
+    "",
+  ];
+  if (hook === "pre-push") {
+    // 标准输入是要推送的引用，需要同时传给原有钩子和 bk
+    lines.push(
+      "input=$(cat)",
+      `if [ -x ${chained} ]; then`,
+      `  printf '%s\\n' "$input" | ${chained} "$@" || exit $?`,
+      "fi",
+      `printf '%s\\n' "$input" | run_bk hooks run ${hook} "$@"`
+    );
+  } else {
+    lines.push(
+      `if [ -x ${chained} ]; then`,
+      `  ${chained} "$@" || exit $?`,
+      "fi",
+      `run_bk hooks run ${hook} "$@"`
+    );
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * 获取单个钩子的状态
+ * @param {string} dir - 钩子目录
+ * @param {string} hook - 钩子名称
+ * @returns {Promise<{hook: string, file: string, installed: boolean, exists: boolean, chained: boolean, entry: string|null}>} 钩子状态，exists 表示存在不由 bk 管理的钩子，entry 为已安装的脚本中记录的 bk 入口脚本
+ */
+const inspectHook = async (dir, hook) => {
+  const file = path.join(dir, hook);
+  const exists = await fs.pathExists(file);
+  const content = exists ? await fs.readFile(file, "utf8") : "";
+  const installed = content.includes(HOOK_MARKER);
+  const entry = installed
+    ? content.match(new RegExp(`^${ENTRY_VARIABLE}=(.+)$`, "m"))?.[1]
+    : null;
+  return {
+    hook,
+    file,
+    installed,
+    exists: exists && !installed,
+    chained: await fs.pathExists(`${file}${CHAINED_SUFFIX}`),
+    entry: entry ? shellUnquote(entry) : null,
+  };
+};
+
+/**
+ * 校验要处理的钩子名称
+ * @param {string[]} hooks - 钩子名称，为空时表示全部
+ * @returns {string[]|null} 钩子名称，包含未知钩子时返回 null
+ */
+const resolveHooks = (hooks = []) => {
+  const names = Object.keys(MANAGED_HOOKS);
+  const unknown = hooks.filter((hook) => !names.includes(hook));
+  if (unknown.length > 0) {
+    console.error(
+      t("hooks.unknown", {
+        hooks: unknown.join(", "),
+        choices: names.join(", "),
+      })
+    );
+    return null;
+  }
+  return hooks.length > 0 ? hooks : names;
+};
+
+/**
+ * 安装钩子，已有的钩子改名为 <钩子>.bk-orig 并在 bk 之前执行；已安装的钩子会更新为最新的脚本
+ * @param {string[]} hooks - 要安装的钩子，为空时安装全部
+ * @param {Object} options - 配置选项
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const installHooks = async (hooks, options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+  const names = resolveHooks(hooks);
+  if (!names) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const { dir, custom } = await getHooksDir();
+  log("info", t("hooks.dirLog"), options, dir);
+  if ((await fs.pathExists(dir)) && !(await fs.stat(dir)).isDirectory()) {
+    console.error(`❌ ${t("hooks.notDirectory", { dir })}`);
+    process.exitCode = 1;
+    return;
+  }
+  await fs.ensureDir(dir);
+
+  const entry = resolveEntry();
+  log("info", t("hooks.entryLog"), options, entry);
+  const results = [];
+  for (const hook of names) {
+    const status = await inspectHook(dir, hook);
+    if (status.exists) {
+      if (status.chained) {
+        console.error(
+          `❌ ${t("hooks.chainExists", {
+            hook,
+            file: `${path.basename(status.file)}${CHAINED_SUFFIX}`,
+          })}`
+        );
+        results.push({ hook, status: "failed" });
+        continue;
+      }
+      await fs.move(status.file, `${status.file}${CHAINED_SUFFIX}`);
+      console.info(
+        t("hooks.chained", { hook, file: `${hook}${CHAINED_SUFFIX}` })
+      );
+    }
+    await fs.writeFile(status.file, buildScript(hook, entry), {
+      mode: 0o755,
+    });
+    await fs.chmod(status.file, 0o755);
+    results.push({
+      hook,
+      status: status.installed ? "updated" : "installed",
+      chained: status.exists || status.chained,
+    });
+  }
+  setResult({ hooksDir: dir, results });
+
+  const done = results.filter(({ status }) => status !== "failed");
+  if (done.length > 0) {
+    console.info(
+      t("hooks.installed", {
+        dir: custom ? t("hooks.customDir", { dir }) : dir,
+        hooks: done.map(({ hook }) => hook).join(", "),
+      })
+    );
+    console.info(t("hooks.disableHint"));
+    if (isTemporaryEntry(entry)) {
+      console.warn(`⚠️  ${t("hooks.entryTemporary", { entry })}`);
+    }
+  }
+  if (done.length < results.length) {
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * 卸载由 bk 管理的钩子，并恢复被接管的原有钩子
+ * @param {string[]} hooks - 要卸载的钩子，为空时卸载全部
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+export const uninstallHooks = async (hooks, options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+  const names = resolveHooks(hooks);
+  if (!names) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const { dir } = await getHooksDir();
+  log("info", t("hooks.dirLog"), options, dir);
+  const removed = [];
+  for (const hook of names) {
+    const status = await inspectHook(dir, hook);
+    if (!status.installed) continue;
+    await fs.remove(status.file);
+    if (status.chained) {
+      await fs.move(`${status.file}${CHAINED_SUFFIX}`, status.file);
+      console.info(t("hooks.restored", { hook }));
+    }
+    removed.push(hook);
+  }
+  setResult({ hooksDir: dir, removed });
+
+  console.info(
+    removed.length > 0
+      ? t("hooks.uninstalled", { hooks: removed.join(", ") })
+      : t("hooks.noneManaged")
+  );
+};
+
+/**
+ * 查看钩子的安装状态
+ * @param {Object} options - 配置选项
+ * @param {Object<string, boolean>} options.enabled - 每个钩子在配置中是否启用，键为钩子名称
+ * @returns {Promise<void>}
+ */
+export const showHooksStatus = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const { dir, custom } = await getHooksDir();
+  const hooks = [];
+  for (const hook of Object.keys(MANAGED_HOOKS)) {
+    hooks.push({
+      ...(await inspectHook(dir, hook)),
+      enabled: options.enabled?.[hook] ?? true,
+    });
+  }
+  setResult({ hooksDir: dir, custom, hooks });
+
+  console.info(
+    t("hooks.dir", { dir: custom ? t("hooks.customDir", { dir }) : dir })
+  );
+  console.info(
+    formatTable(
+      [
+        t("hooks.headers.hook"),
+        t("worktree.headers.status"),
+        t("hooks.headers.original"),
+        t("hooks.headers.config"),
+      ],
+      hooks.map(({ hook, installed, exists, chained, enabled }) => [
+        hook,
+        t(
+          installed
+            ? "hooks.status.installed"
+            : exists
+            ? "hooks.status.foreign"
+            : "hooks.status.missing"
+        ),
+        chained
+          ? t("hooks.runsFirst", { file: `${hook}${CHAINED_SUFFIX}` })
+          : "-",
+        t(enabled ? "hooks.enabled" : "hooks.disabled"),
+      ])
+    )
+  );
+
+  // 钩子脚本在 PATH 中找不到 bk 时使用的入口脚本，可能已被移动或清理
+  const entries = [...new Set(hooks.map(({ entry }) => entry).filter(Boolean))];
+  for (const entry of entries) {
+    console.info(t("hooks.entry", { entry }));
+    if (!(await fs.pathExists(entry))) {
+      console.warn(`⚠️  ${t("hooks.entryMissing", { entry })}`);
+    } else if (isTemporaryEntry(entry)) {
+      console.warn(`⚠️  ${t("hooks.entryTemporary", { entry })}`);
+    }
+  }
+};
+
+/**
+ * 读取标准输入的全部内容
+ * @returns {Promise<string>} 标准输入
+ */
+const readStdin = async () => {
+  if (process.stdin.isTTY) return "";
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * 判断分支是否刚刚创建：分支的 reflog 中只有创建这一条记录
+ * @param {string} branch - 分支名
+ * @returns {Promise<boolean>} 是否刚刚创建
+ */
+const isNewBranch = async (branch) => {
+  const { stdout, exitCode } = await runGit(
+    ["reflog", "show", "--format=%gs", `refs/heads/${branch}`, "--"],
+    { reject: false }
+  );
+  return exitCode === 0 && stdout.trim().split("\n").length === 1;
+};
+
+/**
+ * post-checkout：新建分支时检查命名规则，切换到上游已删除或已合并的分支时给出提示
+ * @param {string[]} args - 钩子参数：之前的 HEAD、新的 HEAD、是否切换分支
+ * @param {Object} options - 配置选项，见 runHook
+ * @returns {Promise<void>}
+ */
+const checkCheckout = async ([, , isBranch], options) => {
+  if (isBranch !== "1") return;
+  const branch = await getCurrentBranch();
+  if (!branch || isProtectedBranch(branch, options.protectedBranches)) {
+    return;
+  }
+
+  if (await isNewBranch(branch)) {
+    const errors = validateBranchName(branch, options.rules);
+    if (errors.length > 0) {
+      console.warn(`⚠️  ${t("hooks.badName", { branch })}`);
+      errors.forEach((error) => console.warn(`  - ${error}`));
+      console.warn(`  ${t("hooks.renameHint")}`);
+    }
+    return;
+  }
+
+  const info = (await getBranchInfos()).find((item) => item.branch === branch);
+  if (info && parseTrack(info.track).gone) {
+    console.warn(`⚠️  ${t("hooks.gone", { branch })}`);
+    return;
+  }
+  const { base } = options;
+  if (
+    base &&
+    branch !== base &&
+    (await refExists(base)) &&
+    (await getMergedBranches(base)).has(branch)
+  ) {
+    console.warn(`⚠️  ${t("hooks.merged", { branch, base })}`);
+  }
+};
+
+/**
+ * pre-push：新建远程分支时，分支名不符合命名规则则拒绝推送
+ * @param {string} input - 标准输入，每行为 <本地引用> <本地提交> <远程引用> <远程提交>
+ * @param {Object} options - 配置选项，见 runHook
+ * @returns {Promise<void>}
+ */
+const checkPush = async (input, options) => {
+  const rejected = [];
+  for (const line of input.split("\n").filter(Boolean)) {
+    const [, localSha, remoteRef, remoteSha] = line.split(" ");
+    // 只检查新建的分支：删除和更新已有分支不受影响
+    if (!remoteRef?.startsWith("refs/heads/")) continue;
+    if (ZERO_SHA.test(localSha) || !ZERO_SHA.test(remoteSha)) continue;
+    const branch = remoteRef.slice("refs/heads/".length);
+    if (isProtectedBranch(branch, options.protectedBranches)) continue;
+    const errors = validateBranchName(branch, options.rules);
+    if (errors.length > 0) {
+      rejected.push(branch);
+      console.error(`❌ ${t("hooks.badName", { branch })}`);
+      errors.forEach((error) => console.error(`  - ${error}`));
+    }
+  }
+  if (rejected.length > 0) {
+    console.error(t("hooks.pushRejected"));
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * 执行钩子对应的检查，由钩子脚本调用，不会交互
+ * - post-merge：拉取后列出已合并到基准分支、可以清理的分支
+ * - post-checkout：新建分支时检查命名规则，切换到可清理的分支时给出提示
+ * - pre-push：拒绝推送不符合命名规则的新分支
+ * @param {string} hook - 钩子名称
+ * @param {string[]} args - git 传给钩子的参数
+ * @param {Object} options - 配置选项
+ * @param {boolean} options.enabled - 配置中是否启用该钩子
+ * @param {Object} options.rules - 命名规则，见 validateBranchName
+ * @param {string[]} options.protectedBranches - 受保护的分支，不检查命名规则
+ * @param {string} options.base - 判断是否已合并的基准分支
+ * @param {Object} options.clean - post-merge 时传给 cleanBranches 的选项
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const runHook = async (hook, args, options) => {
+  if (!MANAGED_HOOKS[hook]) {
+    console.error(t("hooks.unknownHook", { hook }));
+    process.exitCode = 1;
+    return;
+  }
+  // pre-push 的标准输入必须读完，否则 git 可能在写入时出错
+  const input = hook === "pre-push" ? await readStdin() : "";
+  if (!options.enabled) {
+    log("info", t("hooks.disabledLog", { hook }), options);
+    return;
+  }
+
+  if (hook === "post-merge") {
+    await cleanBranches({ ...options.clean, listOnly: true, offline: true });
+  } else if (hook === "post-checkout") {
+    await checkCheckout(args, options);
+  } else {
+    await checkPush(input, options);
+  }
+};
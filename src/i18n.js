@@ -0,0 +1,88 @@
+/**
+ * 多语言模块
+ * 按 --lang、配置 lang、环境变量 LC_ALL / LC_MESSAGES / LANG 的顺序选择语言
+ * 消息按模块分组存放在 locales 目录下，支持 {name} 插值，以及按 count 选择的复数形式
+ */
+
+import zhCN from "./locales/zh-CN.js";
+import en from "./locales/en.js";
+
+/** 支持的语言及其消息目录 */
+export const CATALOGS = { "zh-CN": zhCN, en };
+
+/** 默认语言，其他语言缺少某条消息时也使用该语言 */
+export const DEFAULT_LOCALE = "zh-CN";
+
+/** 当前语言 */
+let locale = DEFAULT_LOCALE;
+
+/**
+ * 把语言标识转换为支持的语言
+ * @param {string} [value] - 语言标识，如 en、en_US.UTF-8、zh-CN、zh_CN.GBK
+ * @returns {string|null} 支持的语言，无法识别或为 C / POSIX 时返回 null
+ */
+export const normalizeLocale = (value) => {
+  if (!value) return null;
+  const [tag] = value.split(/[.@]/);
+  const lower = tag.replace(/_/g, "-").toLowerCase();
+  if (lower.startsWith("zh")) return "zh-CN";
+  if (lower === "en" || lower.startsWith("en-")) return "en";
+  return null;
+};
+
+/**
+ * 选择语言：先使用明确指定的语言，否则按 POSIX 的优先级读取第一个非空的环境变量
+ * @param {string} [lang] - --lang 或配置 lang 指定的语言
+ * @param {Object<string, string>} [env] - 环境变量
+ * @returns {string} 支持的语言，都无法识别时为默认语言
+ */
+export const resolveLocale = (lang, env = process.env) => {
+  const explicit = normalizeLocale(lang);
+  if (explicit) return explicit;
+  const value = ["LC_ALL", "LC_MESSAGES", "LANG"]
+    .map((name) => env[name])
+    .find(Boolean);
+  return normalizeLocale(value) ?? DEFAULT_LOCALE;
+};
+
+/**
+ * 设置当前语言
+ * @param {string} value - 支持的语言，见 CATALOGS
+ */
+export const setLocale = (value) => {
+  locale = CATALOGS[value] ? value : DEFAULT_LOCALE;
+};
+
+/**
+ * 获取当前语言
+ * @returns {string} 当前语言
+ */
+export const getLocale = () => locale;
+
+/**
+ * 按点分隔的键查找消息
+ * @param {Object} catalog - 消息目录
+ * @param {string} key - 键，如 clean.done
+ * @returns {string|Object|undefined} 消息，复数消息为 { one, other } 等形式
+ */
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+/**
+ * 获取当前语言的消息
+ * @param {string} key - 键，如 clean.done
+ * @param {Object} [params] - 插值参数，消息中的 {name} 会替换为 params.name；复数消息按 params.count 选择
+ * @returns {string} 消息，找不到时返回键本身
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(CATALOGS[locale], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message === undefined) return key;
+  if (typeof message === "object") {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+};
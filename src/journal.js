@@ -0,0 +1,385 @@
+/**
+ * 操作日志模块
+ * 记录 clean、delete、checkout、merge、fetch 等命令对仓库做出的修改，并支持撤销
+ */
+
+import path from "path";
+import fs from "fs-extra";
+import inquirer from "inquirer";
+import {
+  branchExists,
+  checkWorkingDirectory,
+  checkoutBranch,
+  getBkDir,
+  getCurrentBranch,
+  getStashList,
+  getTrashEntries,
+  hasUncommittedChanges,
+  log,
+  popStash,
+  stashChanges,
+} from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { restoreTrashEntry } from "./trash.js";
+import { setResult, recordActions, requireInteraction } from "./output.js";
+
+/**
+ * 获取操作日志文件路径
+ * @returns {Promise<string>} 日志文件路径
+ */
+const getJournalFile = async () => path.join(await getBkDir(), "journal.jsonl");
+
+/**
+ * 读取操作日志，撤销记录会标记到对应的操作上
+ * @returns {Promise<Array<{id: number, command: string, time: number, actions: Object[], undone: boolean}>>} 操作记录，按时间正序
+ */
+export const readJournal = async () => {
+  const file = await getJournalFile();
+  if (!(await fs.pathExists(file))) {
+    return [];
+  }
+  const records = (await fs.readFile(file, "utf8"))
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  const undoneIds = new Set(
+    records.filter((r) => r.command === "undo").map((r) => r.target)
+  );
+  return records
+    .filter((r) => r.command !== "undo")
+    .map((r) => ({ ...r, undone: undoneIds.has(r.id) }));
+};
+
+/**
+ * 追加一条操作记录，没有任何修改时不记录
+ * @param {string} command - 命令名称，如 clean、delete、checkout
+ * @param {Object[]} actions - 本次操作做出的修改
+ *   - { type: "delete", branch, sha, upstream, ref } 删除分支（ref 为回收站引用）
+ *   - { type: "checkout", from, to } 切换分支
+ *   - { type: "stash", branch, sha, message } 创建暂存
+ *   - { type: "unstash", branch, sha, message } 恢复自动暂存（message 为暂存标记）
+ *   - { type: "merge", branch, source, before, after } 合并分支（before/after 为合并前后的提交）
+ *   - { type: "create", branch, sha } 创建分支
+ *   - { type: "update", branch, before, after } 移动分支（如 fetch 快进本地分支）
+ *   - { type: "remote-delete", remote, branch, sha } 删除远程分支
+ * @param {Object} [extra] - 其他字段
+ * @returns {Promise<void>}
+ */
+export const appendJournal = async (command, actions, extra = {}) => {
+  if (actions.length === 0) {
+    return;
+  }
+  const file = await getJournalFile();
+  let lastId = 0;
+  if (await fs.pathExists(file)) {
+    const lines = (await fs.readFile(file, "utf8")).split("\n").filter(Boolean);
+    lastId = lines.length ? JSON.parse(lines[lines.length - 1]).id : 0;
+  }
+  const record = {
+    id: lastId + 1,
+    command,
+    time: Date.now(),
+    actions,
+    ...extra,
+  };
+  await fs.appendFile(file, `${JSON.stringify(record)}\n`);
+  recordActions(actions);
+};
+
+/**
+ * 生成操作记录的简要描述
+ * @param {Object} record - 操作记录
+ * @returns {string} 描述文本
+ */
+const describeRecord = (record) => {
+  const parts = [];
+  const deleted = record.actions.filter((a) => a.type === "delete");
+  if (deleted.length > 0) {
+    parts.push(
+      t("journal.actions.delete", {
+        count: deleted.length,
+        branches: deleted.map((a) => a.branch).join(", "),
+      })
+    );
+  }
+  for (const action of record.actions) {
+    if (action.type === "checkout") {
+      parts.push(t("journal.actions.checkout", action));
+    } else if (action.type === "stash") {
+      parts.push(t("journal.actions.stash", action));
+    } else if (action.type === "unstash") {
+      parts.push(t("journal.actions.unstash", action));
+    } else if (action.type === "merge") {
+      parts.push(t("journal.actions.merge", action));
+    } else if (action.type === "create") {
+      parts.push(t("journal.actions.create", action));
+    } else if (action.type === "update") {
+      parts.push(t("journal.actions.update", action));
+    } else if (action.type === "remote-delete") {
+      parts.push(t("journal.actions.remoteDelete", action));
+    }
+  }
+  return parts.join("; ");
+};
+
+/**
+ * 把分支退回修改前的提交，用于撤销合并和分支更新；分支在之后有新的提交时不撤销
+ * @param {Object} action - 合并或更新记录
+ * @param {Object} options - 配置选项
+ * @returns {Promise<boolean>} 是否撤销成功
+ */
+const undoRefUpdate = async (action, options) => {
+  const { branch, before, after } = action;
+  try {
+    if ((await getCurrentBranch()) === branch) {
+      const { stdout } = await runGit(["rev-parse", "HEAD"]);
+      if (stdout.trim() !== after) {
+        log("error", t("journal.newCommits", { branch }), options);
+        return false;
+      }
+      // --keep 会保留工作区中与撤销无关的更改
+      await runGit(["reset", "--keep", before]);
+    } else {
+      // 指定旧值，分支在合并后被修改时 update-ref 会失败
+      await runGit(["update-ref", `refs/heads/${branch}`, before, after]);
+    }
+    return true;
+  } catch (error) {
+    log(
+      "error",
+      t("journal.undoFailed", { branch, message: error.message }),
+      options
+    );
+    return false;
+  }
+};
+
+/**
+ * 撤销创建分支，分支在创建后有新的提交或已被检出时不撤销
+ * @param {Object} action - 创建记录
+ * @param {Object} options - 配置选项
+ * @returns {Promise<boolean>} 是否撤销成功
+ */
+const undoCreate = async (action, options) => {
+  const { branch, sha } = action;
+  if ((await getCurrentBranch()) === branch) {
+    log("error", t("journal.isCurrent", { branch }), options);
+    return false;
+  }
+  try {
+    await runGit(["update-ref", "-d", `refs/heads/${branch}`, sha]);
+    await runGit(["config", "--remove-section", `branch.${branch}`], {
+      reject: false,
+    });
+    return true;
+  } catch (error) {
+    log(
+      "error",
+      t("journal.undoCreateFailed", { branch, message: error.message }),
+      options
+    );
+    return false;
+  }
+};
+
+/**
+ * 撤销删除远程分支：把删除前的提交重新推送到远程，远程已存在同名分支时不撤销
+ * @param {Object} action - 删除记录
+ * @param {Object} options - 配置选项
+ * @returns {Promise<boolean>} 是否撤销成功
+ */
+const undoRemoteDelete = async (action, options) => {
+  const { remote, branch, sha } = action;
+  try {
+    // 期望值为空表示远程分支必须不存在
+    await runGit([
+      "push",
+      `--force-with-lease=refs/heads/${branch}:`,
+      remote,
+      `${sha}:refs/heads/${branch}`,
+    ]);
+    return true;
+  } catch (error) {
+    log(
+      "error",
+      t("journal.restoreRemoteFailed", {
+        branch: `${remote}/${branch}`,
+        message: error.message,
+      }),
+      options
+    );
+    return false;
+  }
+};
+
+/**
+ * 撤销单个修改
+ * @param {Object} action - 修改记录
+ * @param {Object} options - 配置选项
+ * @returns {Promise<boolean>} 是否撤销成功
+ */
+const undoAction = async (action, options) => {
+  switch (action.type) {
+    case "delete": {
+      // 优先从回收站恢复，以便同时还原上游设置
+      const entry = (await getTrashEntries()).find((e) => e.ref === action.ref);
+      if (entry) {
+        return restoreTrashEntry(entry, options);
+      }
+      if (await branchExists(action.branch)) {
+        log("error", t("trash.exists", { branch: action.branch }), options);
+        return false;
+      }
+      try {
+        await runGit(["branch", action.branch, action.sha]);
+        return true;
+      } catch (error) {
+        log(
+          "error",
+          t("trash.restoreFailed", {
+            branch: action.branch,
+            message: error.message,
+          }),
+          options
+        );
+        return false;
+      }
+    }
+    case "checkout":
+      return checkoutBranch(action.from, options);
+    case "stash": {
+      const stash = (await getStashList()).find((s) => s.sha === action.sha);
+      if (!stash) {
+        log(
+          "error",
+          t("journal.stashGone", { sha: action.sha.slice(0, 7) }),
+          options
+        );
+        return false;
+      }
+      return popStash(options, stash.index);
+    }
+    case "unstash":
+      // 重新暂存恢复出来的更改，之后才能切换回原分支
+      return (await hasUncommittedChanges())
+        ? stashChanges(action.message, options, true)
+        : true;
+    case "merge":
+    case "update":
+      return undoRefUpdate(action, options);
+    case "create":
+      return undoCreate(action, options);
+    case "remote-delete":
+      return undoRemoteDelete(action, options);
+    default:
+      log("error", t("journal.unknownType", { type: action.type }), options);
+      return false;
+  }
+};
+
+/**
+ * 打印操作历史
+ * @param {Object} options - 配置选项
+ * @param {number} [options.limit] - 显示的条数
+ * @returns {Promise<void>}
+ */
+export const showHistory = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const { limit = 20 } = options;
+  const records = (await readJournal()).slice(-limit).reverse();
+  setResult({ records });
+  if (records.length === 0) {
+    console.info(t("journal.empty"));
+    return;
+  }
+  for (const record of records) {
+    const time = new Date(record.time).toLocaleString();
+    const undone = record.undone ? ` [${t("journal.undone")}]` : "";
+    console.info(
+      `#${record.id}  ${time}  ${record.command}  ${describeRecord(
+        record
+      )}${undone}`
+    );
+  }
+};
+
+/**
+ * 撤销一次操作，默认撤销最近一次未撤销的操作
+ * @param {string|number} [id] - 操作记录编号，见 bk history
+ * @param {Object} options - 配置选项
+ * @param {boolean} options.yes - 是否跳过确认
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const undoOperation = async (id, options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const records = await readJournal();
+  const record = id
+    ? records.find((r) => r.id === Number(id))
+    : [...records].reverse().find((r) => !r.undone);
+
+  if (!record) {
+    console.info(
+      id ? t("journal.notFound", { id }) : t("journal.nothingToUndo")
+    );
+    return;
+  }
+  if (record.undone) {
+    console.info(t("journal.alreadyUndone", { id: record.id }));
+    return;
+  }
+
+  console.info(`#${record.id} ${record.command}: ${describeRecord(record)}`);
+  setResult({ record });
+
+  try {
+    if (!options.yes) {
+      requireInteraction(t("delete.yesHint"));
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: t("journal.confirm"),
+          default: true,
+        },
+      ]);
+      if (!confirm) {
+        log("info", t("common.cancelled"), options);
+        return;
+      }
+    }
+  } catch (error) {
+    if (error.name === "ExitPromptError") {
+      process.exit(0);
+    }
+    throw error;
+  }
+
+  const undoneActions = [];
+  const results = [];
+  let failCount = 0;
+  // 按相反的顺序撤销，例如先切回原分支再恢复暂存
+  for (const action of [...record.actions].reverse()) {
+    const success = await undoAction(action, options);
+    results.push({ action, status: success ? "undone" : "failed" });
+    if (success) {
+      undoneActions.push(action);
+    } else {
+      failCount++;
+    }
+  }
+  setResult({ results });
+
+  // 只要有修改被撤销就标记该操作，全部失败时可以重试
+  await appendJournal("undo", undoneActions, { target: record.id });
+  console.info(
+    t("journal.done", { success: undoneActions.length, failed: failCount })
+  );
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,221 @@
+/**
+ * 分支概览模块
+ * 以表格列出本地分支的上游、与上游的差异、是否已合并、最后提交等信息，所有信息通过批量的 git for-each-ref 查询获取
+ */
+
+import ora from "ora";
+import {
+  checkWorkingDirectory,
+  getCurrentBranch,
+  getBranchInfos,
+  getMergedBranches,
+  refExists,
+  parseTrack,
+  formatAheadBehind,
+  parseDuration,
+  formatAge,
+  displayWidth,
+  formatTable,
+  getWorktreeBranches,
+  log,
+} from "./utils.js";
+import { filterBranches } from "./pattern.js";
+import { isJsonMode, setResult } from "./output.js";
+import { t } from "./i18n.js";
+
+/** 提交信息的最大显示宽度 */
+const MAX_SUBJECT_WIDTH = 60;
+
+/** 排序字段，相同时按分支名排序 */
+const SORTERS = {
+  name: () => 0,
+  date: (a, b) => b.committerDate - a.committerDate,
+  ahead: (a, b) => b.ahead - a.ahead,
+  behind: (a, b) => b.behind - a.behind,
+  author: (a, b) => a.author.localeCompare(b.author),
+};
+
+/**
+ * 按显示宽度截断文本
+ * @param {string} text - 文本
+ * @param {number} width - 最大宽度
+ * @returns {string} 截断后的文本，超出时以 … 结尾
+ */
+const truncate = (text, width) => {
+  if (displayWidth(text) <= width) return text;
+  let result = "";
+  for (const char of text) {
+    if (displayWidth(`${result}${char}`) > width - 1) break;
+    result += char;
+  }
+  return `${result}…`;
+};
+
+/**
+ * 生成与上游差异的描述
+ * @param {Object} row - 分支信息
+ * @returns {string} 差异描述
+ */
+const describeTrack = ({ upstream, gone, ahead, behind }) => {
+  if (!upstream) return "";
+  if (gone) return t("list.gone");
+  return formatAheadBehind(ahead, behind) || t("list.inSync");
+};
+
+/**
+ * 把分支概览格式化为表格，多仓库模式下也用于展示各仓库的结果
+ * @param {Object[]} branches - 分支概览，与 --json 输出的 branches 一致
+ * @param {string|null} base - 判断是否已合并的基准分支，不存在时为 null
+ * @returns {string} 表格
+ */
+export const formatBranchTable = (branches, base) =>
+  formatTable(
+    [
+      t("list.headers.branch"),
+      t("list.headers.upstream"),
+      t("list.headers.track"),
+      t("list.headers.merged"),
+      t("list.headers.lastCommit"),
+      t("list.headers.author"),
+      t("list.headers.subject"),
+    ],
+    branches.map((row) => [
+      // 与 git branch 一致，* 为当前分支，+ 为在其他工作树中检出的分支
+      `${row.current ? "*" : row.worktree ? "+" : " "} ${row.branch}`,
+      row.upstream || "-",
+      describeTrack(row),
+      row.branch === base || row.merged === null ? "-" : row.merged ? "✓" : "",
+      formatAge(row.committerDate),
+      row.author,
+      truncate(row.subject, MAX_SUBJECT_WIDTH),
+    ])
+  );
+
+/**
+ * 列出本地分支概览
+ * @param {string[]} patterns - 分支规则，支持 glob 和 /regex/，为空时列出所有分支
+ * @param {Object} options - 配置选项
+ * @param {string} options.base - 判断是否已合并的基准分支
+ * @param {boolean} [options.merged] - 为 true 时只列出已合并的分支，为 false 时只列出未合并的分支
+ * @param {boolean} options.gone - 只列出上游已删除的分支
+ * @param {string} options.stale - 只列出超过该时长没有提交的分支，如 30d
+ * @param {string} options.author - 只列出最后一次提交的作者包含该文本的分支（忽略大小写）
+ * @param {string} options.sort - 排序字段：name、date、ahead、behind、author
+ * @param {boolean} options.reverse - 是否倒序
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const listBranches = async (patterns = [], options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const { base = "main", sort = "name", author } = options;
+  if (!SORTERS[sort]) {
+    console.error(
+      t("list.invalidSort", {
+        sort,
+        choices: Object.keys(SORTERS).join(", "),
+      })
+    );
+    return process.exit(1);
+  }
+  let staleMs = null;
+  if (options.stale) {
+    try {
+      staleMs = parseDuration(options.stale);
+    } catch (error) {
+      console.error(error.message);
+      return process.exit(1);
+    }
+  }
+
+  const spinner = ora({ discardStdin: false, isSilent: isJsonMode() });
+  if (!options.debug) spinner.start(t("list.loading"));
+
+  const currentBranch = await getCurrentBranch();
+  const infos = await getBranchInfos();
+  const hasBase = await refExists(base);
+  const mergedSet = hasBase ? await getMergedBranches(base) : null;
+  const worktreeBranches = await getWorktreeBranches();
+  spinner.stop();
+
+  if (!hasBase) {
+    if (options.merged !== undefined) {
+      console.error(t("list.baseNotFound", { base }));
+      return process.exit(1);
+    }
+    console.warn(`⚠️  ${t("list.baseMissing", { base })}`);
+  }
+
+  let rows = infos.map((info) => ({
+    ...info,
+    ...parseTrack(info.track),
+    merged: mergedSet ? mergedSet.has(info.branch) : null,
+  }));
+  log("info", t("list.loaded"), options, rows);
+
+  if (patterns.length > 0) {
+    const names = filterBranches(
+      rows.map(({ branch }) => branch),
+      patterns
+    );
+    rows = rows.filter(({ branch }) => names.includes(branch));
+  }
+  if (options.merged !== undefined) {
+    rows = rows.filter(
+      ({ branch, merged }) => branch !== base && merged === options.merged
+    );
+  }
+  if (options.gone) {
+    rows = rows.filter(({ gone }) => gone);
+  }
+  if (staleMs !== null) {
+    rows = rows.filter(
+      ({ committerDate }) => Date.now() - committerDate * 1000 >= staleMs
+    );
+  }
+  if (author) {
+    rows = rows.filter((row) =>
+      row.author.toLowerCase().includes(author.toLowerCase())
+    );
+  }
+
+  rows.sort((a, b) => SORTERS[sort](a, b) || a.branch.localeCompare(b.branch));
+  if (options.reverse) rows.reverse();
+
+  const branches = rows.map((row) => ({
+    branch: row.branch,
+    current: row.branch === currentBranch,
+    worktree: worktreeBranches.get(row.branch) ?? null,
+    upstream: row.upstream || null,
+    ahead: row.ahead,
+    behind: row.behind,
+    gone: row.gone,
+    merged: row.merged,
+    committerDate: row.committerDate,
+    author: row.author,
+    subject: row.subject,
+  }));
+  setResult({ base: mergedSet ? base : null, total: infos.length, branches });
+
+  if (rows.length === 0) {
+    console.info(t("list.empty"));
+    return;
+  }
+
+  console.info(formatBranchTable(branches, base));
+
+  const count = (predicate) => rows.filter(predicate).length;
+  const filtered = rows.length < infos.length;
+  console.info(
+    `\n${t("list.summary.total", { count: rows.length })}${
+      filtered ? t("list.summary.filtered", { count: infos.length }) : ""
+    }${
+      mergedSet
+        ? t("list.summary.merged", {
+            base,
+            count: count(({ branch, merged }) => merged && branch !== base),
+          })
+        : ""
+    }${t("list.summary.gone", { count: count(({ gone }) => gone) })}`
+  );
+};
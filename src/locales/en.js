@@ -0,0 +1,826 @@
+/**
+ * 英文消息
+ * 按模块分组，{name} 为插值参数，带 one / other 的消息按 count 选择复数形式
+ */
+
+export default {
+  common: {
+    cancelled: "Cancelled",
+    baseNotFound: "Base branch {base} does not exist",
+    loadingBranches: "Loading branches...",
+    branchesLoaded: "Loaded branches",
+    currentBranch: "current branch",
+    noMatch: "No branch matches {pattern}",
+    selected: "Selected",
+    unstashFailed:
+      "Failed to restore the stashed changes, look for {stash} in git stash list",
+    notRun: ", {count} not run",
+    unresolved:
+      "There are still unresolved conflicts, resolve them and mark them with git add:",
+    wrongBranch:
+      "The current branch is not {branch}, switch back to {branch} before continuing",
+    resolved: "conflicts resolved",
+    sourceNotFound: "Source branch {source} does not exist",
+    detached: "HEAD is detached, switch to a branch first",
+    headers: {
+      result: "Result",
+      detail: "Detail",
+    },
+  },
+  git: {
+    timedOut: "timed out",
+    exitCode: "exit code {code}",
+    failed: "{command} failed: {detail}",
+  },
+  pattern: {
+    invalidRule: "Invalid branch pattern {rule}: {message}",
+  },
+  output: {
+    interactionRequired: "{reason}, {hint}",
+    jsonMode: "cannot prompt in --json mode",
+    notTty: "not running in an interactive terminal",
+  },
+  utils: {
+    inWorktree: "checked out in worktree {path}",
+    currentBranchFailed: "Failed to get the current branch",
+    mergeStatusFailed: "Failed to check whether {branch} is merged: {message}",
+    statusFailed: "Failed to check the working tree status",
+    unpushedFailed: "Failed to check unpushed commits on {branch}",
+    ruleMatched: "Branch {branch} matches {label} rule: {rule}",
+    ruleExcluded: "Branch {branch} is excluded from {label} rule: {rule}",
+    ruleLabels: {
+      protected: "protected",
+      ignore: "ignore",
+      exclude: "exclude",
+    },
+    notRepo: "The current directory is not a Git repository",
+    uncommitted:
+      "The working tree has uncommitted changes, please commit or stash them first",
+    localBranchesFailed: "Failed to list local branches",
+    backedUp: "Backed up branch {branch} to {ref}",
+    backupFailed:
+      "Failed to back up branch {branch}, deletion cancelled: {message}",
+    deleted: "Deleted branch: {branch}",
+    deleteFailed: "Failed to delete branch {branch}: {reason}",
+    branchNotFound: "Branch {branch} does not exist",
+    updatingRemotes: "Updating remote branches...",
+    remotesUpdated: "Remote branches updated",
+    updateRemotesFailed: "Failed to update remote branches: {message}",
+    checkoutFailed: "Failed to switch branches: {message}",
+    stashed: "Stashed working tree changes",
+    stashFailed: "Failed to stash working tree changes: {message}",
+    unstashed: "Restored stashed changes",
+    unstashFailed: "Failed to restore stashed changes: {message}",
+    stashListFailed: "Failed to list stashes",
+    invalidDuration:
+      "Invalid duration: {value}, e.g. 12h, 30d, 6w, 3m, 1y (hours/days/weeks/months/years)",
+    hoursAgo: {
+      one: "{count} hour ago",
+      other: "{count} hours ago",
+    },
+    daysAgo: {
+      one: "{count} day ago",
+      other: "{count} days ago",
+    },
+    yearsAgo: {
+      one: "{count} year ago",
+      other: "{count} years ago",
+    },
+  },
+  picker: {
+    search: "{message} (type to filter)",
+    searchMulti: "{message} (type to filter, Enter to toggle)",
+    done: "✔ Done ({count} selected)",
+    selectOne: "Select at least one",
+  },
+  list: {
+    gone: "upstream gone",
+    inSync: "up to date",
+    headers: {
+      branch: "Branch",
+      upstream: "Upstream",
+      track: "Ahead/behind",
+      merged: "Merged",
+      lastCommit: "Last commit",
+      author: "Author",
+      subject: "Subject",
+    },
+    invalidSort: "Invalid sort field: {sort}, choose from: {choices}",
+    loading: "Loading branches...",
+    baseNotFound: "Base branch {base} does not exist, use --base to choose one",
+    baseMissing: "Base branch {base} does not exist, merge status is not shown",
+    loaded: "Loaded branch details",
+    empty: "No matching branches",
+    summary: {
+      total: {
+        one: "{count} branch",
+        other: "{count} branches",
+      },
+      filtered: " ({count} local in total)",
+      merged: ", {count} merged into {base}",
+      gone: ", {count} with upstream gone",
+    },
+  },
+  clean: {
+    reasons: {
+      gone: "upstream gone",
+      merged: "merged",
+      rebased: "rebased",
+      squashed: "squashed",
+      stale: "stale",
+    },
+    lsRemoteFailed:
+      "Failed to list branches on {remote}, skipping it: {message}",
+    trackingBranches: "Local branches to check: {branches}",
+    remoteGone: "Remote branch {branch}: deleted",
+    remoteExists: "Remote branch {branch}: exists",
+    pruning: "Updating remote branches: {remote}",
+    pruneFailed: "Failed to update branches from {remote}: {message}",
+    mergedFailed: "Failed to list branches merged into {base}",
+    mergedBranches: "Branches merged into {base}: {branches}",
+    patchStatus: "Patch-equivalence check for {branch}: {status}",
+    lastCommit: "Branch {branch} was last committed {age}",
+    remoteBase: "Remote {remote} uses base branch {base}",
+    remoteChanged: "Remote branch {branch} was updated or deleted, skipping",
+    pushFailed: "push failed",
+    noEmail: "git config user.email is not set, --mine cannot be used",
+    queryingRemotes: "Querying remote branches...",
+    checkingRemote: "Checking branches on {remote}...",
+    noRemoteCandidates: "No remote branches to clean up",
+    headers: {
+      remoteBranch: "Remote branch",
+    },
+    remoteTotal: {
+      one: "{count} merged remote branch",
+      other: "{count} merged remote branches",
+    },
+    remoteInteractionHint:
+      "Preview with --list-only, then delete with --yes once you are sure",
+    confirmRemote: {
+      one: "Delete this branch from the remote? No collaborator will be able to fetch it any more",
+      other:
+        "Delete these {count} branches from the remote? No collaborator will be able to fetch them any more",
+    },
+    remoteDeleteFailed: "Failed to delete remote branch {branch}: {error}",
+    done: "Cleanup finished: {success} succeeded, {failed} failed",
+    processing: "Working...",
+    currentBranch: "Current branch {branch}",
+    pruningAll: "Updating remote branches...",
+    branchInfos: "Local branch details: {infos}",
+    branchInfosFailed: "Failed to read local branches",
+    skipWorktree:
+      "Skipping {branch} ({worktree}; run bk worktree prune to remove that worktree)",
+    noCandidates: "No branches to clean up",
+    found: {
+      one: "Found {count} branch to clean up:",
+      other: "Found {count} branches to clean up:",
+    },
+    interactionHint:
+      "Use --list-only to only list the branches, or --no-confirm to delete them directly",
+    select: {
+      one: "Found {count} branch to clean up, unselect it to keep it:",
+      other: "Found {count} branches to clean up, unselect the ones to keep:",
+    },
+    noneSelected: "No branches selected, cancelled",
+    confirm: {
+      one: "Delete the selected branch?",
+      other: "Delete the {count} selected branches?",
+    },
+  },
+  delete: {
+    noBranches: "No branches found",
+    protected: "protected",
+    noLocalCandidates: "No local branches can be deleted",
+    skipped: "Skipping {branch} ({reason})",
+    noCandidates: "No branches to delete",
+    willDelete: "Deleting these branches:",
+    interactionHint:
+      "Name the branches to delete, e.g. bk delete feature/a 'spike/*'",
+    select: "Select the branches to delete:",
+    yesHint: "Use --yes to skip the confirmation",
+    done: "Delete finished: {success} succeeded, {failed} failed",
+  },
+  switch: {
+    worktree: "worktree {path}",
+    ambiguous: "{count} branches match {query}, type a more specific name:",
+    selectMatch: "{count} branches match {query}, pick one:",
+    unstashed: "Restored the changes auto-stashed on {branch}",
+    unstashConflict: "Restoring the auto-stash of {branch} caused conflicts:",
+    unstashConflictHint:
+      "After resolving the conflicts, run git stash drop {stash} to drop the stash",
+    unstashFailedLog: "Failed to restore the auto-stash: {stderr}",
+    unstashFailed:
+      "Could not restore the auto-stash of {branch}; it was kept, run git stash pop {stash} later",
+    noRemoteCandidates: "No remote branches without a local copy",
+    noCandidates: "No branches to switch to",
+    interactionHint: "Name the branch to switch to, e.g. bk checkout feature/a",
+    select: "Select the branch to switch to:",
+    already: "Already on {branch}",
+    inWorktree: "Branch {branch} {worktree}",
+    autostashed:
+      "Auto-stashed the changes on {branch}; they come back when you bk checkout it again",
+    commitFirst: "Commit or stash your changes first",
+    confirmStash: "You have uncommitted changes. Stash them before switching?",
+    tracking: "Created branch {branch} tracking {upstream}",
+    trackFailed:
+      "Failed to create branch {branch} tracking {upstream}: {message}",
+    failed: "Failed to switch branches",
+    done: "Switched to branch: {branch}",
+    doneLog: "Switched branches",
+  },
+  fetch: {
+    status: {
+      created: "created",
+      updated: "fast-forwarded",
+      forced: "force-updated",
+      "up-to-date": "up to date",
+      skipped: "skipped",
+      failed: "failed",
+    },
+    currentBranch: "current branch, update it with git pull",
+    notTracking: "local branch does not track {upstream}",
+    tracksOther: "local branch tracks {current}",
+    ahead: "local is ahead of the remote, use --force to overwrite",
+    diverged: "diverged from the remote, use --force to overwrite",
+    interactionHint:
+      "Drop --interactive and filter branches with --include / --ignore",
+    select: "Select the local branches to create or update:",
+    reflogForced: "force-update to {upstream}",
+    reflogUpdated: "fast-forward to {upstream}",
+    updateFailed: "Failed to update {branch}: {message}",
+    fetching: "Fetching {remote}...",
+    fetchFailed: "Failed to fetch {remote}: {message}",
+    checking: "Checking branches...",
+    noRemoteBranches: "No remote branches found on {remote}",
+    done: "Fetch finished: {created} created, {updated} updated, {upToDate} up to date, {skipped} skipped, {failed} failed",
+  },
+  merge: {
+    status: {
+      merged: "merged",
+      "up-to-date": "up to date",
+      conflict: "conflict",
+      failed: "failed",
+      aborted: "aborted",
+      skipped: "not run",
+    },
+    merged: "Merged {source} into {target}",
+    failedLog: "Failed to merge into {branch}: {stderr}",
+    notFastForward: "cannot fast-forward, try --no-ff",
+    targetHint: "Use --target to choose the target branches",
+    select: "Select the branches to merge {source} into:",
+    selectOne: "Select at least one branch",
+    conflict: "Merging {source} into {branch} caused conflicts:",
+    continueHint:
+      "Resolve the conflicts, mark them with git add, then run bk merge --continue to merge the remaining branches",
+    abortHint:
+      "or run bk merge --abort to stop here (finished merges are kept)",
+    returnFailed: "Failed to return to {branch}: {message}",
+    done: "Merge finished: {merged} merged, {upToDate} up to date, {failed} failed",
+    merging: "Merging {source} into {branch}...",
+    notInProgress: "No merge in progress",
+    cancelledManually: "merge was cancelled manually",
+    inProgress:
+      "A merge is unfinished, run bk merge --continue or bk merge --abort first",
+    sourceRequired: "Use --source to choose the source branch",
+    noTargets: "No target branches to merge into",
+    targets: "Merging into these branches",
+    stashMessage: "auto-stash before merging {source}",
+    stashed: "Stashed your changes, they are restored once the merge finishes",
+  },
+  cherryPick: {
+    status: {
+      picked: "picked",
+      empty: "empty, skipped",
+      failed: "failed",
+      aborted: "aborted",
+      skipped: "not run",
+    },
+    localBranches: "Local branches",
+    sourceHint: "Name the source branch",
+    selectSource: "Select the branch to pick commits from:",
+    commitsHint: "Select the commits to pick in a terminal",
+    selectCommits:
+      "Select the commits to pick from {source} (applied oldest first):",
+    selectOne: "Select at least one commit",
+    failedLog: "Failed to pick {sha}: {stderr}",
+    conflict: "Picking {commit} caused conflicts:",
+    continueHint:
+      "Resolve the conflicts, mark them with git add, then run bk cherry-pick --continue to pick the remaining commits",
+    abortHint:
+      "or run bk cherry-pick --abort to stop here (picked commits are kept)",
+    headers: {
+      commit: "Commit",
+      newCommit: "New commit",
+    },
+    done: "Cherry-pick finished: {picked} picked, {empty} empty, {failed} failed",
+    picking: "Picking {commit}...",
+    skippedManually: "skipped manually",
+    notInProgress: "No cherry-pick in progress",
+    inProgress:
+      "A cherry-pick is unfinished, run bk cherry-pick --continue or bk cherry-pick --abort first",
+    gitInProgress:
+      "git is in the middle of a cherry-pick, finish or abort it first",
+    noSources: "No branches to pick from",
+    applied: {
+      one: "Filtered out {count} commit already applied to the current branch",
+      other:
+        "Filtered out {count} commits already applied to the current branch",
+    },
+    noCommits: "{source} has no commits missing from the current branch",
+    selected: "Selected commits",
+    confirmStash: "You have uncommitted changes. Stash them before picking?",
+    stashMessage: "auto-stash before cherry-pick",
+  },
+  trash: {
+    exists: "Branch {branch} already exists, cannot restore it",
+    restoreFailed: "Failed to restore branch {branch}: {message}",
+    upstreamFailed: "Failed to set the upstream of {branch}: {message}",
+    upstreamGone: "Upstream {upstream} no longer exists, not setting it",
+    restored: "Restored branch: {branch} ({sha})",
+    entries: "Trash entries",
+    empty: "The trash has no branches to restore",
+    interactionHint: "Select the branches to restore in a terminal",
+    select: "Select the branches to restore:",
+    selectOne: "Select at least one branch to restore",
+    deletedAt: "deleted {age}",
+    done: "Restore finished: {success} succeeded, {failed} failed",
+    nothingToPurge: "No trash entries to purge",
+    purged: "Purged trash entry: {branch} ({ref})",
+    purgeFailed: "Failed to purge trash entry {ref}: {message}",
+    purgeDone: {
+      one: "Purged {count} trash entry",
+      other: "Purged {count} trash entries",
+    },
+  },
+  journal: {
+    actions: {
+      delete: {
+        one: "deleted {count} branch: {branches}",
+        other: "deleted {count} branches: {branches}",
+      },
+      checkout: "switched from {from} to {to}",
+      stash: "stashed changes on {branch}",
+      unstash: "restored the stash of {branch}",
+      merge: "merged {source} into {branch}",
+      create: "created branch {branch}",
+      update: "updated branch {branch}",
+      remoteDelete: "deleted remote branch {remote}/{branch}",
+    },
+    newCommits: "Branch {branch} has new commits since then, cannot undo",
+    undoFailed: "Failed to undo the changes to {branch}: {message}",
+    isCurrent:
+      "Branch {branch} is the current branch, cannot undo its creation",
+    undoCreateFailed: "Failed to undo the creation of {branch}: {message}",
+    restoreRemoteFailed: "Failed to restore remote branch {branch}: {message}",
+    stashGone: "Stash {sha} no longer exists",
+    unknownType: "Unknown action type: {type}",
+    empty: "No operations recorded yet",
+    undone: "undone",
+    notFound: "Operation #{id} not found",
+    nothingToUndo: "Nothing to undo",
+    alreadyUndone: "Operation #{id} was already undone",
+    confirm: "Undo this operation?",
+    done: "Undo finished: {success} succeeded, {failed} failed",
+  },
+  worktree: {
+    cdHint: "Run cd {path} to enter that worktree",
+    openShell: "Open a new shell in that worktree? (exit it to come back here)",
+    shellFailed: "Failed to open a shell: {message}",
+    branchNotFound: "Branch {branch} does not exist",
+    ambiguousRemote:
+      "Branch {branch} exists on several remotes ({remotes}), create a local branch with bk checkout first",
+    adding: "Adding worktree",
+    addFailed: "Failed to add the worktree: {message}",
+    added: "Added a worktree at {path} with {branch} checked out",
+    list: "Worktrees",
+    headers: {
+      path: "Path",
+      status: "Status",
+    },
+    detached: "detached HEAD",
+    prunable: "directory missing",
+    locked: "locked",
+    pruned: {
+      one: "Pruned {count} worktree record whose directory is gone",
+      other: "Pruned {count} worktree records whose directories are gone",
+    },
+    baseMissing:
+      "Base branch {base} does not exist, only checking branches whose upstream is gone",
+    merged: "merged into {base}",
+    dirty: "uncommitted changes",
+    detail: "{branch}, {reason}",
+    noCandidates: "No worktrees to remove",
+    found: {
+      one: "Found {count} worktree to remove:",
+      other: "Found {count} worktrees to remove:",
+    },
+    confirm: {
+      one: "Remove this worktree?",
+      other: "Remove these {count} worktrees?",
+    },
+    removeFailed: "Failed to remove worktree {path}: {error}",
+    done: "Remove finished: {success} succeeded, {failed} failed",
+    branchesKept: "The branches are kept, clean them up with bk clean --merged",
+  },
+  create: {
+    prefix: "Branch names must start with {prefixes}",
+    tooLong:
+      "Branch name is {length} characters long, more than the limit of {maxLength}",
+    charset: "Branch name does not match {charset}",
+    noTemplates: "No branch name templates configured, set new.templates",
+    typeHint: 'Name the branch type, e.g. bk new feature "add login page"',
+    selectType: "Select the branch type:",
+    unknownType: "Unknown branch type: {type}, choose from: {choices}",
+    unknownPlaceholders:
+      "Template {template} has unknown placeholders: {placeholders}",
+    ticket: "Ticket:",
+    ticketInvalid: "The ticket must match {pattern}",
+    ticketMissing: "Branch name must contain a ticket matching {pattern}",
+    ticketHint: "Use --ticket to give the ticket",
+    version: "Version:",
+    versionInvalid: "The version must not be empty or contain spaces",
+    versionHint: "Use --release to give the version",
+    description: "Description (converted to kebab-case):",
+    descriptionInvalid:
+      "The description has no letters or digits usable in a branch name",
+    descriptionHint:
+      'Give a description after the branch type, e.g. bk new feature "add login page"',
+    generated: "Generated branch name",
+    invalidRef: "{name} is not a valid git branch name",
+    exists: "Branch {name} already exists",
+    noRemoteBase: "Start point {base} has no remote branch, skipping the fetch",
+    startNotFound: "Start point {startPoint} does not exist",
+    failed: "Failed to create branch {name}: {message}",
+    created: "Created branch {name} from {startPoint}",
+    createdAndSwitched:
+      "Created branch {name} from {startPoint} and switched to it",
+    pushed: "Pushed to {upstream} and set it as the upstream",
+    pushFailed: "Failed to push to {remote}: {message}",
+  },
+  workspace: {
+    notRepo: "{dir} is not a Git repository, skipped",
+    invalidConcurrency:
+      "Concurrency must be a positive integer, got {concurrency}",
+    noRepos:
+      "No repositories given, pass paths or globs after --repos, or set workspace.repos",
+    repos: "Repositories found",
+    notFound: "No Git repositories found",
+    listing: "Loading branches",
+    listSummary: {
+      one: "{count} repository, {branches} branches",
+      other: "{count} repositories, {branches} branches",
+    },
+    failedRepos: {
+      one: ", {count} repository failed",
+      other: ", {count} repositories failed",
+    },
+    scanning: "Looking for branches to clean up",
+    noCandidates: {
+      one: "No branches to clean up in {count} repository",
+      other: "No branches to clean up in {count} repositories",
+    },
+    found: {
+      one: "Found {count} branch to clean up in {repos} of {scanned} repositories",
+      other:
+        "Found {count} branches to clean up in {repos} of {scanned} repositories",
+    },
+    confirm: {
+      one: "Delete {count} branch in {repos} repositories?",
+      other: "Delete {count} branches in {repos} repositories?",
+    },
+    deleting: "Deleting branches",
+    done: "Cleanup finished: {repos} repositories, {success} succeeded, {failed} failed",
+  },
+  hooks: {
+    scriptComment:
+      "Generated by bk hooks install, do not edit; bk hooks uninstall removes this script and restores the original hook",
+    unknown: "Unknown hooks: {hooks}, choose from: {choices}",
+    dirLog: "Hooks directory",
+    notDirectory:
+      "Hooks directory {dir} is not a directory, check core.hooksPath",
+    chainExists:
+      "Skipping {hook}: {file} already exists, merge the two hooks by hand first",
+    chained: "Kept the original {hook} hook as {file}, it runs before bk",
+    customDir: "{dir} (core.hooksPath)",
+    installed: "Installed hooks in {dir}: {hooks}",
+    disableHint:
+      "Turn them off one by one with hooks.postMerge / postCheckout / prePush",
+    restored: "Restored the original {hook} hook",
+    uninstalled: "Uninstalled hooks: {hooks}",
+    noneManaged: "No hooks are managed by bk",
+    dir: "Hooks directory: {dir}",
+    entryLog: "bk entry used when bk is not in PATH",
+    entry: "When bk is not in PATH, the hooks run: {entry}",
+    entryMissing:
+      "{entry} no longer exists, hooks run without bk in PATH (e.g. from GUI clients) will fail; run bk hooks install again",
+    entryTemporary:
+      "{entry} is in a temporary directory (e.g. run via npx) and may be cleaned up; install bk globally and run bk hooks install again",
+    headers: {
+      hook: "Hook",
+      original: "Original hook",
+      config: "Config",
+    },
+    status: {
+      installed: "installed",
+      foreign: "not installed (another hook exists)",
+      missing: "not installed",
+    },
+    runsFirst: "{file} (runs before bk)",
+    enabled: "enabled",
+    disabled: "disabled",
+    badName: "Branch name {branch} breaks the naming rules:",
+    renameHint:
+      "Rename it with git branch -m <new-name>, or create branches from templates with bk new",
+    gone: "The upstream of {branch} is gone, clean it up with bk clean",
+    merged:
+      "Branch {branch} is merged into {base}, clean it up with bk clean --merged",
+    pushRejected:
+      "Push rejected, rename the branch with git branch -m and push again, or skip the check with git push --no-verify",
+    unknownHook: "Unknown hook: {hook}",
+    disabledLog: "The {hook} hook is disabled in the config",
+  },
+  config: {
+    types: {
+      boolean: "a boolean",
+      string: "a string",
+      "string[]": "an array of strings",
+      number: "a positive integer",
+      map: "an object of strings",
+      duration: "a duration (e.g. 30d, 6w)",
+    },
+    array: "array",
+    typeMismatch: "should be {type}, got {actual}",
+    invalidRegex: "is not a valid regular expression: {message}",
+    fileNotObject: "the config file should contain an object",
+    unknownIgnored: "is an unknown option, ignored",
+    fallback: "{issue}, using the default instead",
+    notObject: "should be an object, got {actual}",
+    parseFailed: "failed to parse: {message}",
+    invalidArray: "is not a valid JSON array: {message}",
+    invalidMap: "is not a valid JSON object: {message}",
+    invalidEntry: 'should look like key=value, got "{item}"',
+    invalidBoolean: 'should be true or false, got "{value}"',
+    sources: {
+      default: "default",
+      env: "environment",
+    },
+    fileNames: "Supported config file names",
+    loaded: "Loaded config",
+    loadedDefault: "No config found, using the defaults",
+    template: {
+      title: "branch-keeper config file",
+      rules:
+        "Branch rules support exact names, globs (* ? **), /regex/ and ! to negate",
+    },
+    exists: "Config file {file} already exists, use --force to overwrite it",
+    created: "Created config file: {file}",
+    sourcesLine: "Config sources (lowest to highest priority): {sources}",
+    invalid: {
+      one: "Invalid config: {count} error",
+      other: "Invalid config: {count} errors",
+    },
+    valid: "Config is valid: {files}",
+    notFound: "No config found, using the defaults",
+    unknownKey: "Unknown option: {key}, available options: {choices}",
+    set: "Set {key} = {value} ({file})",
+    overridden:
+      "The effective value of {key} comes from {source}, which takes priority over {file}",
+    descriptions: {
+      protectedBranches: "Protected branches, never cleaned up or deleted",
+      remotes: "Remotes to check",
+      silent: "Silent mode",
+      debug: "Print debug logs",
+      lang: "Interface language: zh-CN or en; empty means pick from LC_ALL / LC_MESSAGES / LANG",
+      clean: {
+        ignore: "Branches to ignore when cleaning up",
+        listOnly: "Only list the branches to clean up",
+        confirm: "Confirm before deleting",
+        force: "Force deletion (git branch -D)",
+        mergedBase: "Base branch for --merged when none is given",
+        staleAfter: "Duration for --stale when none is given",
+        offline:
+          "Decide whether upstream branches are gone without contacting the remote",
+        prune: "Run git fetch --prune before cleaning up",
+      },
+      delete: {
+        force: "Force deletion of unmerged branches",
+        multi: "Allow selecting several branches by default",
+      },
+      checkout: {
+        ignore: "Branches hidden when switching",
+        autostash:
+          "Auto-stash changes when switching and restore them when switching back",
+      },
+      worktree: {
+        dir: "Directory for bk worktree add, relative to the main worktree; {repo} is the main worktree's directory name",
+      },
+      new: {
+        templates:
+          "Branch name templates for bk new, keyed by branch type; supports {ticket} {version} {slug} {type} {user}",
+        prefixes: "Allowed branch name prefixes, empty means any",
+        maxLength:
+          "Maximum branch name length, the description part is shortened to fit",
+        charset: "Regular expression branch names must match",
+        ticketPattern:
+          "Regular expression tickets must match, e.g. ABC-123 or 123",
+        base: "Default start point for new branches",
+        fetch: "Fetch the start point's remote before creating",
+        push: "Push to the remote and set the upstream after creating",
+      },
+      workspace: {
+        repos:
+          "Repositories used when --repos has no paths; supports globs and ~, relative to the current directory",
+        concurrency:
+          "Number of repositories processed at once in multi-repo mode",
+      },
+      hooks: {
+        postMerge:
+          "post-merge hook: after pulling, list branches merged into clean.mergedBase",
+        postCheckout:
+          "post-checkout hook: check naming rules for new branches and warn when switching to branches that can be cleaned up",
+        prePush:
+          "pre-push hook: reject new branches whose names break the new naming rules",
+      },
+      merge: {
+        ffOnly: "Only allow fast-forward merges",
+        exclude: "Branches excluded from merging",
+      },
+      fetch: {
+        ignore: "Branches to ignore when fetching",
+        force: "Force-update existing local branches",
+      },
+    },
+  },
+  cli: {
+    description: "Git branch management tool",
+    options: {
+      json: "Print results as JSON without progress, logs or prompts; exit code is 1 on partial failure",
+      debug: "Print debug logs",
+      yes: "Skip the confirmation",
+      repos:
+        "Run in several repositories, given as paths or globs (e.g. ~/code/*); defaults to the workspace.repos config",
+      workspace: "Run in every repository found under the directory",
+      concurrency:
+        "Number of repositories processed at once in multi-repo mode; defaults to the workspace.concurrency config",
+      base: "Base branch used to decide whether branches are merged; defaults to the clean.mergedBase config",
+      lang: "Interface language, defaults to config lang or the LC_ALL / LC_MESSAGES / LANG environment variables",
+      help: "Display help for command",
+      version: "Output the version number",
+    },
+    clean: {
+      description: "Delete local branches whose remote branches are gone",
+      remote: "Remotes to check",
+      ignore: "Branches to ignore, supports globs and /regex/",
+      noConfirm: "Delete every branch found without selecting or confirming",
+      listOnly: "Only list the branches to delete, do not delete them",
+      merged:
+        "Clean up branches merged (including rebased and squashed) into the base branch; defaults to the mergedBase config",
+      stale:
+        "Clean up branches whose last commit is older than the duration (e.g. 30d, 6w); defaults to the staleAfter config",
+      offline:
+        "Offline mode, decide whether remote branches are gone from local remote-tracking branches",
+      prune:
+        "Run git fetch --prune to update remote-tracking branches before checking",
+      remoteBranches:
+        "Clean up remote branches merged into the base branch (--merged or the mergedBase config)",
+      include:
+        "With --remote-branches, only clean up matching branches; supports globs and /regex/",
+      author:
+        "With --remote-branches, only clean up branches whose last commit author name or email contains the text",
+      mine: "With --remote-branches, only clean up branches whose last commit is yours (git config user.email)",
+      yes: "With --remote-branches, skip the confirmation before deleting remote branches (--no-confirm does not skip it)",
+      force: "Force deletion without confirmation",
+      silent: "Run in silent mode",
+      noRemoteBranchesInWorkspace:
+        "--remote-branches is not supported in multi-repo mode",
+      noStaleForRemote: "--remote-branches does not support --stale",
+    },
+    delete: {
+      description:
+        "Delete branches given by name or rule (globs and /regex/ supported), or pick them interactively",
+      force: "Force deletion of unmerged branches",
+      multi: "Allow selecting several branches",
+    },
+    checkout: {
+      description:
+        "Switch branches by name or keyword (fuzzy match), or pick one interactively",
+      ignore: "Branches hidden from the list, supports globs and /regex/",
+      remoteOnly: "Only show remote branches without a local copy",
+      noAutostash: "Do not auto-stash uncommitted changes",
+    },
+    new: {
+      description:
+        "Create a branch from the new.templates config; missing type, ticket and description are asked interactively",
+      ticket: "Ticket, fills {ticket} in the template",
+      release: "Version, fills {version} in the template",
+      name: "Give the full branch name instead of using a template; it is still validated",
+      base: "Start point; defaults to the new.base config",
+      fetch: "Fetch the start point's remote before creating",
+      noFetch: "Do not fetch before creating",
+      push: "Push to the remote and set the upstream after creating",
+      noPush: "Do not push after creating",
+      noCheckout: "Only create the branch, do not switch to it",
+    },
+    restore: {
+      description: "Restore branches deleted by bk from the trash",
+    },
+    trash: {
+      description: "Manage the trash of deleted branches",
+      purge: "Purge expired entries from the trash",
+      olderThan: "Purge entries deleted longer ago than the duration, e.g. 30d",
+    },
+    worktree: {
+      description: "Create, list and clean up worktrees by branch",
+      add: "Create a worktree for a branch, by default in a directory named after the branch under the worktree.dir config",
+      list: "List all worktrees and their branches",
+      prune:
+        "Prune records of worktrees whose directories are gone, and remove worktrees whose branches are merged or whose upstream is gone",
+      listOnly: "Only list the worktrees to remove, do not remove them",
+    },
+    hooks: {
+      description:
+        "Manage the git hooks run by bk (post-merge, post-checkout, pre-push) for automatic checks and hints",
+      install:
+        "Install hooks, all by default; follows core.hooksPath, existing hooks are kept and run before bk",
+      uninstall:
+        "Uninstall the hooks managed by bk, all by default, and restore the original hooks",
+      status: "Show hook installation status and config",
+    },
+    list: {
+      description:
+        "List local branches with their upstream, ahead/behind, merge status and last commit",
+      merged: "Only list branches merged into the base branch",
+      noMerged: "Only list branches not merged into the base branch",
+      gone: "Only list branches whose upstream is gone",
+      stale:
+        "Only list branches without commits for the duration, e.g. 30d; defaults to the clean.staleAfter config",
+      author: "Only list branches whose last commit author contains the text",
+      sort: "Sort field: name, date, ahead, behind, author",
+      reverse: "Reverse the order",
+    },
+    history: {
+      description: "Show the history of clean, delete and checkout operations",
+      limit: "Number of entries to show",
+    },
+    undo: {
+      description:
+        "Undo the latest operation, or the one with the given number in bk history",
+    },
+    config: {
+      description: "View, validate and edit config files",
+      init: "Generate a commented .branchkeeperrc.yaml at the repository root",
+      initGlobal: "Generate the user config file",
+      force: "Overwrite an existing config file",
+      show: "Show the effective config and where each value comes from",
+      validate: "Validate every config source and list all errors",
+      get: "Show the value of an option, e.g. clean.staleAfter",
+      set: "Set an option; separate array items with commas, e.g. protectedBranches main,release/*",
+      setGlobal: "Write to the user config file",
+    },
+    merge: {
+      description: "Merge the source branch into one or more local branches",
+      source:
+        "Source branch, may be a remote-tracking branch such as origin/main",
+      target:
+        "Target branches, supports globs and /regex/; picked interactively when omitted",
+      exclude: "Branches to exclude, supports globs and /regex/",
+      noFf: "Always create a merge commit",
+      ffOnly:
+        "Only allow fast-forward merges; defaults to the merge.ffOnly config",
+      continue: "Continue merging after resolving conflicts",
+      abort: "Abort the merge, finished merges are kept",
+    },
+    cherryPick: {
+      description:
+        "Pick commits the current branch does not have yet from another branch, in order",
+      x: "Record the original commit in the message (git cherry-pick -x)",
+      continue: "Continue picking after resolving conflicts",
+      abort: "Abort the cherry-pick, picked commits are kept",
+    },
+    fetch: {
+      description:
+        "Fetch remote branches and create or fast-forward local tracking branches without touching the working tree",
+      remote: "Remote name; defaults to the first entry of the remotes config",
+      include: "Only process matching branches, supports globs and /regex/",
+      ignore: "Branches to ignore when fetching, supports globs and /regex/",
+      interactive: "Pick the branches to create or update interactively",
+      force:
+        "Allow non-fast-forward updates, overwriting branches that are ahead or diverged",
+      offline: "Skip git fetch and use the existing remote-tracking branches",
+    },
+    helpCommand: "Display help for command",
+    commandFailed: "{command} failed:",
+    examples: "Examples",
+    help: {
+      usage: "Usage",
+      arguments: "Arguments",
+      options: "Options",
+      globalOptions: "Global Options",
+      commands: "Commands",
+      default: "default",
+      choices: "choices",
+      preset: "preset",
+      env: "env",
+    },
+  },
+};
@@ -0,0 +1,717 @@
+/**
+ * 简体中文消息
+ * 按模块分组，{name} 为插值参数，带 one / other 的消息按 count 选择复数形式
+ */
+
+export default {
+  common: {
+    cancelled: "操作已取消",
+    baseNotFound: "基准分支 {base} 不存在",
+    loadingBranches: "正在获取分支列表...",
+    branchesLoaded: "获取分支列表成功",
+    currentBranch: "当前分支",
+    noMatch: "没有匹配 {pattern} 的分支",
+    selected: "选择的分支是",
+    unstashFailed: "恢复暂存的更改失败，请使用 git stash list 查看 {stash}",
+    notRun: ", 未执行 {count} 个",
+    unresolved: "仍有未解决的冲突，请解决后使用 git add 标记:",
+    wrongBranch: "当前分支不是 {branch}，请切换回 {branch} 后再继续",
+    resolved: "已解决冲突",
+    sourceNotFound: "源分支 {source} 不存在",
+    detached: "当前处于分离 HEAD 状态，请先切换到分支",
+    headers: {
+      result: "结果",
+      detail: "说明",
+    },
+  },
+  git: {
+    timedOut: "执行超时",
+    exitCode: "退出码 {code}",
+    failed: "{command} 执行失败: {detail}",
+  },
+  pattern: {
+    invalidRule: "无效的分支匹配规则 {rule}: {message}",
+  },
+  output: {
+    interactionRequired: "{reason}，{hint}",
+    jsonMode: "--json 模式下无法交互",
+    notTty: "当前不是交互式终端",
+  },
+  utils: {
+    inWorktree: "已在工作树 {path} 中检出",
+    currentBranchFailed: "获取当前分支失败",
+    mergeStatusFailed: "检查分支 {branch} 的合并状态失败: {message}",
+    statusFailed: "检查工作区状态失败",
+    unpushedFailed: "检查分支 {branch} 未推送提交失败",
+    ruleMatched: "分支 {branch} 命中{label}规则: {rule}",
+    ruleExcluded: "分支 {branch} 被排除于{label}规则: {rule}",
+    ruleLabels: {
+      protected: "保护",
+      ignore: "忽略",
+      exclude: "排除",
+    },
+    notRepo: "当前目录不是 Git 仓库",
+    uncommitted: "工作区有未提交的更改，请先提交或暂存更改",
+    localBranchesFailed: "获取本地分支列表失败",
+    backedUp: "已备份分支 {branch} 到 {ref}",
+    backupFailed: "备份分支 {branch} 失败，已取消删除: {message}",
+    deleted: "成功删除分支: {branch}",
+    deleteFailed: "删除分支 {branch} 失败: {reason}",
+    branchNotFound: "分支 {branch} 不存在",
+    updatingRemotes: "正在更新远程分支信息...",
+    remotesUpdated: "远程分支信息更新完成",
+    updateRemotesFailed: "更新远程分支信息失败: {message}",
+    checkoutFailed: "切换分支失败: {message}",
+    stashed: "成功暂存工作区更改",
+    stashFailed: "暂存工作区更改失败: {message}",
+    unstashed: "成功恢复暂存的更改",
+    unstashFailed: "恢复暂存的更改失败: {message}",
+    stashListFailed: "获取暂存列表失败",
+    invalidDuration:
+      "无效的时长: {value}，示例: 12h、30d、6w、3m、1y（小时/天/周/月/年）",
+    hoursAgo: "{count} 小时前",
+    daysAgo: "{count} 天前",
+    yearsAgo: "{count} 年前",
+  },
+  picker: {
+    search: "{message}（输入关键字筛选）",
+    searchMulti: "{message}（输入关键字筛选，回车选中/取消）",
+    done: "✔ 完成选择（已选 {count} 个）",
+    selectOne: "请至少选择一个",
+  },
+  list: {
+    gone: "上游已删除",
+    inSync: "已同步",
+    headers: {
+      branch: "分支",
+      upstream: "上游",
+      track: "差异",
+      merged: "已合并",
+      lastCommit: "最后提交",
+      author: "作者",
+      subject: "提交信息",
+    },
+    invalidSort: "无效的排序字段: {sort}，可选: {choices}",
+    loading: "正在获取分支信息...",
+    baseNotFound: "基准分支 {base} 不存在，请使用 --base 指定",
+    baseMissing: "基准分支 {base} 不存在，不显示是否已合并",
+    loaded: "获取分支信息成功",
+    empty: "没有符合条件的分支",
+    summary: {
+      total: "共 {count} 个分支",
+      filtered: "（本地共 {count} 个）",
+      merged: ", 已合并到 {base} {count} 个",
+      gone: ", 上游已删除 {count} 个",
+    },
+  },
+  clean: {
+    reasons: {
+      gone: "远程已删除",
+      merged: "已合并",
+      rebased: "变基合并",
+      squashed: "压缩合并",
+      stale: "长期未更新",
+    },
+    lsRemoteFailed: "获取远程 {remote} 分支列表失败，跳过该远程仓库: {message}",
+    trackingBranches: "待检查的本地分支: {branches}",
+    remoteGone: "检查远程分支 {branch}: 已删除",
+    remoteExists: "检查远程分支 {branch}: 存在",
+    pruning: "正在更新远程分支信息: {remote}",
+    pruneFailed: "更新远程 {remote} 分支信息失败: {message}",
+    mergedFailed: "获取已合并到 {base} 的分支失败",
+    mergedBranches: "已合并到 {base} 的分支: {branches}",
+    patchStatus: "分支 {branch} 补丁等价检查结果: {status}",
+    lastCommit: "分支 {branch} 最后提交于 {age}",
+    remoteBase: "远程 {remote} 使用基准分支 {base}",
+    remoteChanged: "远程分支 {branch} 已更新或已删除，跳过",
+    pushFailed: "推送失败",
+    noEmail: "未设置 git config user.email，无法使用 --mine",
+    queryingRemotes: "正在查询远程分支...",
+    checkingRemote: "正在检查远程 {remote} 的分支...",
+    noRemoteCandidates: "没有需要清理的远程分支",
+    headers: {
+      remoteBranch: "远程分支",
+    },
+    remoteTotal: "共 {count} 个已合并的远程分支",
+    remoteInteractionHint:
+      "请使用 --list-only 预览，确认无误后使用 --yes 直接删除",
+    confirmRemote:
+      "确定要从远程仓库删除这 {count} 个分支吗？所有协作者都将无法再获取这些分支",
+    remoteDeleteFailed: "删除远程分支 {branch} 失败: {error}",
+    done: "清理完成: 成功 {success} 个, 失败 {failed} 个",
+    processing: "正在处理...",
+    currentBranch: "当前分支 {branch}",
+    pruningAll: "正在更新远程分支信息...",
+    branchInfos: "本地分支详情: {infos}",
+    branchInfosFailed: "获取本地分支信息失败",
+    skipWorktree:
+      "跳过 {branch}（{worktree}，可使用 bk worktree prune 移除该工作树）",
+    noCandidates: "没有需要清理的分支",
+    found: "找到 {count} 个可清理的分支:",
+    interactionHint:
+      "请使用 --list-only 只列出分支，或使用 --no-confirm 直接删除",
+    select: "找到 {count} 个可清理的分支，取消勾选要保留的分支:",
+    noneSelected: "未选择任何分支，操作取消",
+    confirm: "确定要删除选中的 {count} 个分支吗？",
+  },
+  delete: {
+    noBranches: "没有找到任何分支",
+    protected: "受保护",
+    noLocalCandidates: "没有可删除的本地分支",
+    skipped: "跳过 {branch}（{reason}）",
+    noCandidates: "没有可删除的分支",
+    willDelete: "将删除以下分支:",
+    interactionHint: "请指定要删除的分支，如 bk delete feature/a 'spike/*'",
+    select: "请选择要删除的分支:",
+    yesHint: "请使用 --yes 跳过确认",
+    done: "删除完成: 成功 {success} 个, 失败 {failed} 个",
+  },
+  switch: {
+    worktree: "工作树 {path}",
+    ambiguous: "有 {count} 个分支匹配 {query}，请输入更完整的分支名:",
+    selectMatch: "有 {count} 个分支匹配 {query}，请选择:",
+    unstashed: "已恢复 {branch} 上次自动暂存的更改",
+    unstashConflict: "恢复 {branch} 的自动暂存时发生冲突:",
+    unstashConflictHint: "解决冲突后执行 git stash drop {stash} 删除该暂存",
+    unstashFailedLog: "恢复自动暂存失败: {stderr}",
+    unstashFailed:
+      "恢复 {branch} 的自动暂存失败，暂存已保留，可稍后执行 git stash pop {stash}",
+    noRemoteCandidates: "没有本地不存在的远程分支",
+    noCandidates: "没有可切换的分支",
+    interactionHint: "请指定要切换到的分支，如 bk checkout feature/a",
+    select: "请选择要切换到的分支:",
+    already: "已在分支 {branch} 上",
+    inWorktree: "分支 {branch} {worktree}",
+    autostashed:
+      "已自动暂存 {branch} 的更改，使用 bk checkout 切换回来时会自动恢复",
+    commitFirst: "请先提交或暂存更改",
+    confirmStash: "检查到存在未提交的更改，是否先暂存改动后切换",
+    tracking: "已创建分支 {branch}，跟踪 {upstream}",
+    trackFailed: "创建跟踪 {upstream} 的分支 {branch} 失败: {message}",
+    failed: "切换分支失败",
+    done: "成功切换到分支: {branch}",
+    doneLog: "切换分支成功",
+  },
+  fetch: {
+    status: {
+      created: "新建",
+      updated: "已快进",
+      forced: "强制更新",
+      "up-to-date": "已是最新",
+      skipped: "跳过",
+      failed: "失败",
+    },
+    currentBranch: "当前分支，请使用 git pull 更新",
+    notTracking: "本地分支没有跟踪 {upstream}",
+    tracksOther: "本地分支跟踪的是 {current}",
+    ahead: "本地领先于远程，使用 --force 覆盖",
+    diverged: "与远程已分叉，使用 --force 覆盖",
+    interactionHint: "请去掉 --interactive，使用 --include / --ignore 筛选分支",
+    select: "请选择要创建或更新的本地分支:",
+    reflogForced: "强制更新到 {upstream}",
+    reflogUpdated: "快进到 {upstream}",
+    updateFailed: "更新分支 {branch} 失败: {message}",
+    fetching: "正在拉取 {remote}...",
+    fetchFailed: "拉取 {remote} 失败: {message}",
+    checking: "正在检查分支...",
+    noRemoteBranches: "没有找到 {remote} 的远程分支",
+    done: "拉取完成: 新建 {created} 个, 更新 {updated} 个, 已是最新 {upToDate} 个, 跳过 {skipped} 个, 失败 {failed} 个",
+  },
+  merge: {
+    status: {
+      merged: "已合并",
+      "up-to-date": "已是最新",
+      conflict: "冲突",
+      failed: "失败",
+      aborted: "已中止",
+      skipped: "未执行",
+    },
+    merged: "成功将 {source} 合并到 {target}",
+    failedLog: "合并分支 {branch} 失败: {stderr}",
+    notFastForward: "无法快进合并，可使用 --no-ff",
+    targetHint: "请使用 --target 指定目标分支",
+    select: "请选择要合并 {source} 的分支:",
+    selectOne: "请至少选择一个分支",
+    conflict: "合并 {source} 到 {branch} 时发生冲突:",
+    continueHint:
+      "解决冲突并使用 git add 标记后，执行 bk merge --continue 继续合并剩余的分支",
+    abortHint: "或执行 bk merge --abort 中止本次合并（已完成的合并会保留）",
+    returnFailed: "返回原分支 {branch} 失败: {message}",
+    done: "合并完成: 成功 {merged} 个, 已是最新 {upToDate} 个, 失败 {failed} 个",
+    merging: "正在合并 {source} 到 {branch}...",
+    notInProgress: "没有进行中的合并",
+    cancelledManually: "合并已被手动取消",
+    inProgress:
+      "存在未完成的合并，请先执行 bk merge --continue 或 bk merge --abort",
+    sourceRequired: "请使用 --source 指定源分支",
+    noTargets: "没有需要合并的目标分支",
+    targets: "将要合并到以下分支",
+    stashMessage: "合并 {source} 前自动暂存",
+    stashed: "已暂存工作区的更改，合并结束后自动恢复",
+  },
+  cherryPick: {
+    status: {
+      picked: "已拣选",
+      empty: "空提交，已跳过",
+      failed: "失败",
+      aborted: "已中止",
+      skipped: "未执行",
+    },
+    localBranches: "本地分支",
+    sourceHint: "请指定源分支",
+    selectSource: "请选择要从哪个分支拣选提交:",
+    commitsHint: "请在终端中选择要拣选的提交",
+    selectCommits: "请选择要从 {source} 拣选的提交（按从旧到新的顺序应用）:",
+    selectOne: "请至少选择一个提交",
+    failedLog: "拣选 {sha} 失败: {stderr}",
+    conflict: "拣选 {commit} 时发生冲突:",
+    continueHint:
+      "解决冲突并使用 git add 标记后，执行 bk cherry-pick --continue 继续拣选剩余的提交",
+    abortHint:
+      "或执行 bk cherry-pick --abort 中止本次拣选（已拣选的提交会保留）",
+    headers: {
+      commit: "提交",
+      newCommit: "新提交",
+    },
+    done: "拣选完成: 成功 {picked} 个, 空提交 {empty} 个, 失败 {failed} 个",
+    picking: "正在拣选 {commit}...",
+    skippedManually: "已手动跳过",
+    notInProgress: "没有进行中的拣选",
+    inProgress:
+      "存在未完成的拣选，请先执行 bk cherry-pick --continue 或 bk cherry-pick --abort",
+    gitInProgress: "git 正在进行 cherry-pick，请先完成或中止",
+    noSources: "没有可以拣选的分支",
+    applied: "已过滤 {count} 个当前分支已包含的等价提交",
+    noCommits: "{source} 上没有当前分支尚未包含的提交",
+    selected: "选择的提交",
+    confirmStash: "检查到存在未提交的更改，是否先暂存改动后拣选",
+    stashMessage: "拣选前自动暂存",
+  },
+  trash: {
+    exists: "分支 {branch} 已存在，无法恢复",
+    restoreFailed: "恢复分支 {branch} 失败: {message}",
+    upstreamFailed: "设置分支 {branch} 的上游失败: {message}",
+    upstreamGone: "上游分支 {upstream} 已不存在，跳过设置上游",
+    restored: "成功恢复分支: {branch} ({sha})",
+    entries: "回收站条目",
+    empty: "回收站中没有可恢复的分支",
+    interactionHint: "请在终端中选择要恢复的分支",
+    select: "请选择要恢复的分支:",
+    selectOne: "请至少选择一个要恢复的分支",
+    deletedAt: "删除于 {age}",
+    done: "恢复完成: 成功 {success} 个, 失败 {failed} 个",
+    nothingToPurge: "没有需要清理的回收站条目",
+    purged: "已清理回收站条目: {branch} ({ref})",
+    purgeFailed: "清理回收站条目 {ref} 失败: {message}",
+    purgeDone: "已清理 {count} 个回收站条目",
+  },
+  journal: {
+    actions: {
+      delete: "删除 {count} 个分支: {branches}",
+      checkout: "从 {from} 切换到 {to}",
+      stash: "暂存 {branch} 的更改",
+      unstash: "恢复 {branch} 的暂存",
+      merge: "合并 {source} 到 {branch}",
+      create: "创建分支 {branch}",
+      update: "更新分支 {branch}",
+      remoteDelete: "删除远程分支 {remote}/{branch}",
+    },
+    newCommits: "分支 {branch} 之后有新的提交，无法撤销",
+    undoFailed: "撤销 {branch} 的修改失败: {message}",
+    isCurrent: "分支 {branch} 是当前分支，无法撤销创建",
+    undoCreateFailed: "撤销创建分支 {branch} 失败: {message}",
+    restoreRemoteFailed: "恢复远程分支 {branch} 失败: {message}",
+    stashGone: "暂存 {sha} 已不存在",
+    unknownType: "未知的操作类型: {type}",
+    empty: "暂无操作记录",
+    undone: "已撤销",
+    notFound: "未找到操作记录 #{id}",
+    nothingToUndo: "没有可撤销的操作",
+    alreadyUndone: "操作 #{id} 已撤销过",
+    confirm: "确定要撤销该操作吗？",
+    done: "撤销完成: 成功 {success} 项, 失败 {failed} 项",
+  },
+  worktree: {
+    cdHint: "可执行 cd {path} 进入该工作树",
+    openShell: "是否在该工作树中打开新的 shell？（退出后回到当前目录）",
+    shellFailed: "打开 shell 失败: {message}",
+    branchNotFound: "分支 {branch} 不存在",
+    ambiguousRemote:
+      "分支 {branch} 存在于多个远程仓库（{remotes}），请先使用 bk checkout 创建本地分支",
+    adding: "创建工作树",
+    addFailed: "创建工作树失败: {message}",
+    added: "已在 {path} 创建工作树，检出分支 {branch}",
+    list: "工作树列表",
+    headers: {
+      path: "路径",
+      status: "状态",
+    },
+    detached: "分离 HEAD",
+    prunable: "目录不存在",
+    locked: "已锁定",
+    pruned: "已清理 {count} 条目录已不存在的工作树记录",
+    baseMissing: "基准分支 {base} 不存在，只检查上游已删除的分支",
+    merged: "已合并到 {base}",
+    dirty: "有未提交的更改",
+    detail: "{branch}，{reason}",
+    noCandidates: "没有需要移除的工作树",
+    found: "找到 {count} 个可移除的工作树:",
+    confirm: "确定要移除这 {count} 个工作树吗？",
+    removeFailed: "移除工作树 {path} 失败: {error}",
+    done: "移除完成: 成功 {success} 个, 失败 {failed} 个",
+    branchesKept: "分支仍然保留，可使用 bk clean --merged 清理",
+  },
+  create: {
+    prefix: "分支名需要以 {prefixes} 开头",
+    tooLong: "分支名长度为 {length}，超过上限 {maxLength}",
+    charset: "分支名不符合规则 {charset}",
+    noTemplates: "没有配置分支名模板，请设置 new.templates",
+    typeHint: '请指定分支类型，如 bk new feature "add login page"',
+    selectType: "请选择分支类型:",
+    unknownType: "未知的分支类型: {type}，可选: {choices}",
+    unknownPlaceholders: "模板 {template} 中有未知的占位符: {placeholders}",
+    ticket: "任务编号:",
+    ticketInvalid: "任务编号需要匹配 {pattern}",
+    ticketMissing: "分支名需要包含匹配 {pattern} 的任务编号",
+    ticketHint: "请使用 --ticket 指定任务编号",
+    version: "版本号:",
+    versionInvalid: "版本号不能为空或包含空格",
+    versionHint: "请使用 --release 指定版本号",
+    description: "描述（英文，会转换为 kebab-case）:",
+    descriptionInvalid: "描述中没有可用于分支名的字母或数字",
+    descriptionHint:
+      '请在分支类型后指定描述，如 bk new feature "add login page"',
+    generated: "生成的分支名",
+    invalidRef: "{name} 不是有效的 git 分支名",
+    exists: "分支 {name} 已存在",
+    noRemoteBase: "起点分支 {base} 没有对应的远程分支，跳过拉取",
+    startNotFound: "起点分支 {startPoint} 不存在",
+    failed: "创建分支 {name} 失败: {message}",
+    created: "已从 {startPoint} 创建分支 {name}",
+    createdAndSwitched: "已从 {startPoint} 创建分支 {name}，并切换到该分支",
+    pushed: "已推送到 {upstream} 并设置为上游",
+    pushFailed: "推送到 {remote} 失败: {message}",
+  },
+  workspace: {
+    notRepo: "{dir} 不是 Git 仓库，已跳过",
+    invalidConcurrency: "并发数应为正整数，实际为 {concurrency}",
+    noRepos:
+      "未指定仓库，请在 --repos 后指定路径或 glob，或配置 workspace.repos",
+    repos: "找到的仓库",
+    notFound: "没有找到 Git 仓库",
+    listing: "正在获取分支信息",
+    listSummary: "共 {count} 个仓库, {branches} 个分支",
+    failedRepos: ", {count} 个仓库执行失败",
+    scanning: "正在查找可清理的分支",
+    noCandidates: "{count} 个仓库中没有需要清理的分支",
+    found:
+      "共在 {repos} 个仓库中找到 {count} 个可清理的分支（共检查 {scanned} 个仓库）",
+    confirm: "确定要删除 {repos} 个仓库中的 {count} 个分支吗？",
+    deleting: "正在删除分支",
+    done: "清理完成: {repos} 个仓库, 成功 {success} 个, 失败 {failed} 个",
+  },
+  hooks: {
+    scriptComment:
+      "由 bk hooks install 生成，请勿手动修改；bk hooks uninstall 会删除该脚本并恢复原有的钩子",
+    unknown: "未知的钩子: {hooks}，可选: {choices}",
+    dirLog: "钩子目录",
+    notDirectory: "钩子目录 {dir} 不是目录，请检查 core.hooksPath 配置",
+    chainExists: "跳过 {hook}: {file} 已存在，请先手动合并这两个钩子",
+    chained: "已保留原有的 {hook} 钩子为 {file}，会在 bk 之前执行",
+    customDir: "{dir}（core.hooksPath）",
+    installed: "已在 {dir} 安装钩子: {hooks}",
+    disableHint: "可通过配置 hooks.postMerge / postCheckout / prePush 单独关闭",
+    restored: "已恢复原有的 {hook} 钩子",
+    uninstalled: "已卸载钩子: {hooks}",
+    noneManaged: "没有由 bk 管理的钩子",
+    dir: "钩子目录: {dir}",
+    entryLog: "PATH 中找不到 bk 时使用的入口",
+    entry: "PATH 中找不到 bk 时，钩子执行: {entry}",
+    entryMissing:
+      "{entry} 已不存在，在 PATH 中找不到 bk 时（如图形界面客户端）钩子会执行失败，请重新执行 bk hooks install",
+    entryTemporary:
+      "{entry} 位于临时目录（如通过 npx 执行），可能被清理，请全局安装 bk 后重新执行 bk hooks install",
+    headers: {
+      hook: "钩子",
+      original: "原有钩子",
+      config: "配置",
+    },
+    status: {
+      installed: "已安装",
+      foreign: "未安装（存在其他钩子）",
+      missing: "未安装",
+    },
+    runsFirst: "{file}（先于 bk 执行）",
+    enabled: "启用",
+    disabled: "已关闭",
+    badName: "分支名 {branch} 不符合命名规则:",
+    renameHint:
+      "可使用 git branch -m <新名称> 重命名，或使用 bk new 按模板创建分支",
+    gone: "分支 {branch} 的上游已删除，可使用 bk clean 清理",
+    merged: "分支 {branch} 已合并到 {base}，可使用 bk clean --merged 清理",
+    pushRejected:
+      "已拒绝推送，请使用 git branch -m 重命名后再推送，或使用 git push --no-verify 跳过检查",
+    unknownHook: "未知的钩子: {hook}",
+    disabledLog: "配置中已关闭 {hook} 钩子",
+  },
+  config: {
+    types: {
+      boolean: "布尔值",
+      string: "字符串",
+      "string[]": "字符串数组",
+      number: "正整数",
+      map: "对象（值为字符串）",
+      duration: "时长（如 30d、6w）",
+    },
+    array: "数组",
+    typeMismatch: "应为{type}，实际为 {actual}",
+    invalidRegex: "不是有效的正则表达式: {message}",
+    fileNotObject: "配置文件内容应为对象",
+    unknownIgnored: "是未知的配置项，已忽略",
+    fallback: "{issue}，已改用默认值",
+    notObject: "应为对象，实际为 {actual}",
+    parseFailed: "解析失败: {message}",
+    invalidArray: "不是有效的 JSON 数组: {message}",
+    invalidMap: "不是有效的 JSON 对象: {message}",
+    invalidEntry: '应为 key=value 格式，实际为 "{item}"',
+    invalidBoolean: '应为 true 或 false，实际为 "{value}"',
+    sources: {
+      default: "默认",
+      env: "环境变量",
+    },
+    fileNames: "支持配置文件名称",
+    loaded: "提示: 加载配置",
+    loadedDefault: "提示: 未找到配置，使用默认配置",
+    template: {
+      title: "branch-keeper 配置文件",
+      rules: "分支规则支持精确名称、glob（* ? **）、/regex/ 以及 ! 取反",
+    },
+    exists: "配置文件 {file} 已存在，使用 --force 覆盖",
+    created: "已生成配置文件: {file}",
+    sourcesLine: "配置来源（优先级从低到高）: {sources}",
+    invalid: "配置无效: 共 {count} 个错误",
+    valid: "配置有效: {files}",
+    notFound: "未找到配置，使用默认配置",
+    unknownKey: "未知的配置项: {key}，可用的配置项: {choices}",
+    set: "已设置 {key} = {value} ({file})",
+    overridden: "{key} 当前生效的值来自 {source}，优先级高于 {file}",
+    descriptions: {
+      protectedBranches: "受保护的分支，不会被清理或删除",
+      remotes: "要检查的远程仓库列表",
+      silent: "是否静默模式",
+      debug: "是否打印调试日志",
+      lang: "界面语言：zh-CN 或 en，为空时按环境变量 LC_ALL / LC_MESSAGES / LANG 选择",
+      clean: {
+        ignore: "清理时要忽略的分支",
+        listOnly: "是否只列出要清理的分支",
+        confirm: "删除前是否确认",
+        force: "是否强制删除（git branch -D）",
+        mergedBase: "--merged 未指定基准分支时使用的基准分支",
+        staleAfter: "--stale 未指定时长时使用的时长",
+        offline: "是否离线判断远程分支是否已删除",
+        prune: "清理前是否先执行 git fetch --prune",
+      },
+      delete: {
+        force: "是否强制删除未合并的分支",
+        multi: "是否默认多选",
+      },
+      checkout: {
+        ignore: "切换分支时不显示的分支",
+        autostash: "切换分支时是否自动暂存更改，并在切换回来时恢复",
+      },
+      worktree: {
+        dir: "bk worktree add 创建工作树的目录，相对于主工作树，{repo} 为主工作树的目录名",
+      },
+      new: {
+        templates:
+          "bk new 的分支名模板，键为分支类型，支持 {ticket} {version} {slug} {type} {user}",
+        prefixes: "允许的分支名前缀，为空时不限制",
+        maxLength: "分支名的最大长度，描述部分会自动截短",
+        charset: "分支名需要匹配的正则表达式",
+        ticketPattern: "任务编号需要匹配的正则表达式，如 ABC-123 或 123",
+        base: "新分支默认的起点分支",
+        fetch: "创建前是否先拉取起点分支所在的远程仓库",
+        push: "创建后是否推送到远程仓库并设置上游",
+      },
+      workspace: {
+        repos:
+          "--repos 未指定路径时使用的仓库列表，支持 glob 和 ~，相对路径相对于当前目录",
+        concurrency: "多仓库模式下同时处理的仓库数",
+      },
+      hooks: {
+        postMerge:
+          "post-merge 钩子：拉取后列出已合并到 clean.mergedBase 的分支",
+        postCheckout:
+          "post-checkout 钩子：新建分支时检查命名规则，切换到可清理的分支时给出提示",
+        prePush: "pre-push 钩子：拒绝推送分支名不符合 new 命名规则的新分支",
+      },
+      merge: {
+        ffOnly: "是否只允许快进合并",
+        exclude: "合并时要排除的分支",
+      },
+      fetch: {
+        ignore: "拉取时要忽略的分支",
+        force: "是否强制更新已存在的本地分支",
+      },
+    },
+  },
+  cli: {
+    description: "Git 分支管理工具",
+    options: {
+      json: "以 JSON 格式输出结果，不显示进度和日志，也不会交互，部分失败时退出码为 1",
+      debug: "打印调试日志",
+      yes: "跳过确认",
+      repos:
+        "在多个仓库中执行，可指定仓库路径或 glob（如 ~/code/*），未指定时使用配置 workspace.repos",
+      workspace: "在目录下找到的所有仓库中执行",
+      concurrency:
+        "多仓库模式下同时处理的仓库数，默认使用配置 workspace.concurrency",
+      base: "判断是否已合并的基准分支，默认使用配置 clean.mergedBase",
+      lang: "界面语言，默认使用配置 lang 或环境变量 LC_ALL / LC_MESSAGES / LANG",
+      help: "显示帮助信息",
+      version: "显示版本号",
+    },
+    clean: {
+      description: "删除远程已不存在的本地分支",
+      remote: "指定要检查的远程仓库",
+      ignore: "指定要忽略的分支，支持 glob 和 /regex/",
+      noConfirm: "删除前不进行勾选和确认，直接删除所有找到的分支",
+      listOnly: "仅列出要删除的分支，不执行删除",
+      merged:
+        "清理已合并（含变基、压缩合并）到基准分支的分支，默认使用配置 mergedBase",
+      stale:
+        "清理最后提交早于指定时长（如 30d、6w）的分支，默认使用配置 staleAfter",
+      offline: "离线模式，根据本地远程跟踪分支判断远程分支是否已删除",
+      prune: "检查前先执行 git fetch --prune 更新远程跟踪分支",
+      remoteBranches:
+        "清理远程仓库中已合并到基准分支（--merged 或配置 mergedBase）的分支",
+      include: "配合 --remote-branches，只清理匹配的分支，支持 glob 和 /regex/",
+      author:
+        "配合 --remote-branches，只清理最后提交的作者名称或邮箱包含该文本的分支",
+      mine: "配合 --remote-branches，只清理最后提交的作者是自己（git config user.email）的分支",
+      yes: "配合 --remote-branches，跳过删除远程分支前的确认（--no-confirm 不会跳过）",
+      force: "强制删除，不需要确认",
+      silent: "静默模式运行",
+      noRemoteBranchesInWorkspace: "多仓库模式不支持 --remote-branches",
+      noStaleForRemote: "--remote-branches 不支持 --stale",
+    },
+    delete: {
+      description:
+        "删除分支，可指定分支名或规则（支持 glob 和 /regex/），未指定时交互式选择",
+      force: "强制删除未合并的分支",
+      multi: "允许多选删除",
+    },
+    checkout: {
+      description:
+        "切换分支，可指定分支名或关键字（模糊匹配），未指定时交互式选择",
+      ignore: "不在列表中显示的分支，支持 glob 和 /regex/",
+      remoteOnly: "只显示本地不存在的远程分支",
+      noAutostash: "不自动暂存未提交的更改",
+    },
+    new: {
+      description:
+        "按配置 new.templates 中的模板新建分支，未提供的类型、任务编号和描述会交互式询问",
+      ticket: "任务编号，对应模板中的 {ticket}",
+      release: "版本号，对应模板中的 {version}",
+      name: "直接指定完整的分支名，不使用模板，仍会校验",
+      base: "起点分支，默认使用配置 new.base",
+      fetch: "创建前先拉取起点分支所在的远程仓库",
+      noFetch: "创建前不拉取",
+      push: "创建后推送到远程仓库并设置上游",
+      noPush: "创建后不推送",
+      noCheckout: "只创建分支，不切换过去",
+    },
+    restore: {
+      description: "从回收站恢复被 bk 删除的分支",
+    },
+    trash: {
+      description: "管理已删除分支的回收站",
+      purge: "清理回收站中的过期条目",
+      olderThan: "清理删除时间早于该时长的条目，如 30d",
+    },
+    worktree: {
+      description: "按分支创建、查看和清理工作树",
+      add: "为分支创建工作树，默认位于配置 worktree.dir 下与分支同名的目录",
+      list: "列出所有工作树及其检出的分支",
+      prune:
+        "清理目录已不存在的工作树记录，并移除分支已合并或上游已删除的工作树",
+      listOnly: "仅列出要移除的工作树，不执行移除",
+    },
+    hooks: {
+      description:
+        "管理由 bk 接管的 git 钩子（post-merge、post-checkout、pre-push），自动检查和提示",
+      install:
+        "安装钩子，默认全部安装；遵循 core.hooksPath，已有的钩子会保留并在 bk 之前执行",
+      uninstall: "卸载由 bk 管理的钩子，默认全部卸载，并恢复原有的钩子",
+      status: "查看钩子的安装状态和配置",
+    },
+    list: {
+      description: "列出本地分支的上游、差异、是否已合并和最后提交",
+      merged: "只列出已合并到基准分支的分支",
+      noMerged: "只列出未合并到基准分支的分支",
+      gone: "只列出上游已删除的分支",
+      stale:
+        "只列出超过该时长没有提交的分支，如 30d，默认使用配置 clean.staleAfter",
+      author: "只列出最后提交的作者包含该文本的分支",
+      sort: "排序字段：name、date、ahead、behind、author",
+      reverse: "倒序排列",
+    },
+    history: {
+      description: "查看 clean、delete、checkout 的操作历史",
+      limit: "显示的条数",
+    },
+    undo: {
+      description: "撤销最近一次操作，或撤销 bk history 中指定编号的操作",
+    },
+    config: {
+      description: "查看、校验和修改配置文件",
+      init: "在仓库根目录生成带注释的配置文件 .branchkeeperrc.yaml",
+      initGlobal: "生成用户级配置文件",
+      force: "覆盖已存在的配置文件",
+      show: "显示生效的配置及每项的来源",
+      validate: "校验所有配置来源，列出所有错误",
+      get: "查看配置项的值，如 clean.staleAfter",
+      set: "修改配置项，数组使用逗号分隔，如 protectedBranches main,release/*",
+      setGlobal: "写入用户级配置文件",
+    },
+    merge: {
+      description: "将源分支的更改合并到一个或多个本地分支",
+      source: "源分支名称，可以是远程跟踪分支，如 origin/main",
+      target: "目标分支，支持 glob 和 /regex/，不指定时交互式选择",
+      exclude: "要排除的分支，支持 glob 和 /regex/",
+      noFf: "总是创建合并提交",
+      ffOnly: "只允许快进合并，默认使用配置 merge.ffOnly",
+      continue: "解决冲突后继续合并",
+      abort: "中止合并，已完成的合并会保留",
+    },
+    cherryPick: {
+      description: "从其他分支选择当前分支尚未包含的提交，按顺序拣选到当前分支",
+      x: "在提交说明中记录原提交（git cherry-pick -x）",
+      continue: "解决冲突后继续拣选",
+      abort: "中止拣选，已拣选的提交会保留",
+    },
+    fetch: {
+      description: "拉取远程分支并创建或快进本地跟踪分支，不修改工作区",
+      remote: "远程仓库名称，默认使用配置 remotes 中的第一个",
+      include: "只处理命中规则的分支，支持 glob 和 /regex/",
+      ignore: "拉取时要忽略的分支，支持 glob 和 /regex/",
+      interactive: "交互式选择要创建或更新的分支",
+      force: "允许非快进更新，覆盖本地领先或已分叉的分支",
+      offline: "不执行 git fetch，只使用已有的远程跟踪分支",
+    },
+    helpCommand: "显示命令的帮助信息",
+    commandFailed: "{command} 命令执行失败:",
+    examples: "示例",
+    help: {
+      usage: "用法",
+      arguments: "参数",
+      options: "选项",
+      globalOptions: "全局选项",
+      commands: "命令",
+      default: "默认值",
+      choices: "可选值",
+      preset: "预设值",
+      env: "环境变量",
+    },
+  },
+};
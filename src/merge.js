@@ -1,160 +1,453 @@
 /**
  * 分支合并模块
- * 用于将源分支的更改合并到多个目标分支
+ * 用于将源分支的更改合并到多个目标分支，遇到冲突时暂停，通过 --continue / --abort 继续或中止
  */
 
+import inquirer from "inquirer";
+import ora from "ora";
 import {
-  execGitCommand,
-  isGitRepository,
+  checkWorkingDirectory,
   getCurrentBranch,
-  branchExists,
+  getLocalBranches,
+  refExists,
   hasUncommittedChanges,
-  hasUnpushedCommits,
+  stashChanges,
+  popStash,
+  getStashList,
+  getConflictedFiles,
+  readState,
+  writeState,
+  clearState,
+  formatTable,
   log,
+  matchBranchRules,
+  getWorktreeBranches,
+  describeWorktree,
 } from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { filterBranches } from "./pattern.js";
+import { appendJournal } from "./journal.js";
+import { isJsonMode, setResult, requireInteraction } from "./output.js";
+
+/** 状态文件名称 */
+const STATE_NAME = "merge";
 
 /**
- * 检查工作目录状态
- * @returns {Promise<boolean>} 是否可以继续操作
+ * 获取引用指向的提交
+ * @param {string} ref - 引用
+ * @returns {Promise<string>} 提交 sha
  */
-const checkWorkingDirectory = async (options) => {
-  if (!(await isGitRepository())) {
-    log("error", "当前目录不是 Git 仓库", options);
-    return false;
+const resolveCommit = async (ref) => {
+  const { stdout } = await runGit(["rev-parse", "--verify", `${ref}^{commit}`]);
+  return stdout.trim();
+};
+
+/**
+ * 取错误输出的第一行，用于摘要表格
+ * @param {string} stderr - 错误输出
+ * @returns {string} 第一行
+ */
+const firstLine = (stderr) =>
+  stderr
+    .split("\n")
+    .map((line) => line.replace(/^(fatal|error): /, "").trim())
+    .find(Boolean) || "";
+
+/**
+ * 合并分支
+ * @param {string} source - 源分支名
+ * @param {string} target - 目标分支名
+ * @param {string} mode - 合并方式：ff-only、no-ff 或 ff
+ * @param {Object} options - 配置选项
+ * @returns {Promise<{branch: string, status: string, detail?: string, before?: string, after?: string, files?: string[]}>} 合并结果
+ */
+const mergeBranch = async (source, target, mode, options) => {
+  const { exitCode: ancestor } = await runGit(
+    ["merge-base", "--is-ancestor", source, `refs/heads/${target}`],
+    { reject: false }
+  );
+  // 目标分支已包含源分支的所有提交
+  if (ancestor === 0) {
+    return { branch: target, status: "up-to-date" };
   }
 
-  if (await hasUncommittedChanges()) {
-    log("error", "工作区有未提交的更改，请先提交或暂存更改", options);
-    return false;
+  const before = await resolveCommit(`refs/heads/${target}`);
+  try {
+    await runGit(["checkout", "--quiet", target]);
+  } catch (error) {
+    return {
+      branch: target,
+      status: "failed",
+      detail: firstLine(error.stderr),
+    };
   }
 
-  return true;
+  const { exitCode, stderr } = await runGit(
+    ["merge", `--${mode}`, "--no-edit", source],
+    { reject: false }
+  );
+  if (exitCode === 0) {
+    log("info", t("merge.merged", { source, target }), options);
+    const after = await resolveCommit("HEAD");
+    return { branch: target, status: "merged", before, after };
+  }
+
+  const files = await getConflictedFiles();
+  if (files.length > 0) {
+    return { branch: target, status: "conflict", before, files };
+  }
+  log("info", t("merge.failedLog", { branch: target, stderr }), options);
+  return {
+    branch: target,
+    status: "failed",
+    detail:
+      mode === "ff-only" && /fast-forward/i.test(stderr)
+        ? t("merge.notFastForward")
+        : firstLine(stderr),
+  };
 };
 
 /**
- * 检查源分支状态
+ * 选择目标分支，指定了 --target 时按规则匹配，否则交互式选择
+ * 在其他工作树中检出的分支无法在当前工作树中合并，会被跳过
  * @param {string} source - 源分支名
- * @returns {Promise<boolean>} 是否可以继续操作
+ * @param {Object} options - 配置选项
+ * @param {string[]} options.target - 目标分支规则
+ * @param {string[]} options.exclude - 要排除的分支规则
+ * @returns {Promise<string[]>} 目标分支列表
  */
-const checkSourceBranch = async (source, options) => {
-  if (!(await branchExists(source))) {
-    log("error", `源分支 ${source} 不存在`, options);
-    return false;
-  }
+const selectTargets = async (source, options) => {
+  const { target = [], exclude = [] } = options;
+  const branches = (await getLocalBranches()).filter(
+    (branch) =>
+      branch !== source &&
+      !matchBranchRules(branch, exclude, t("utils.ruleLabels.exclude"), options)
+  );
+
+  const worktreeBranches = await getWorktreeBranches();
 
-  if (await hasUnpushedCommits(source)) {
-    log("error", `源分支 ${source} 有未推送的提交`, options);
-    return false;
+  if (target.length > 0) {
+    return filterBranches(branches, target).filter((branch) => {
+      if (!worktreeBranches.has(branch)) return true;
+      console.warn(
+        `⚠️  ${t("delete.skipped", {
+          branch,
+          reason: describeWorktree(worktreeBranches.get(branch)),
+        })}`
+      );
+      return false;
+    });
+  }
+  if (branches.every((branch) => worktreeBranches.has(branch))) {
+    return [];
   }
 
-  return true;
+  requireInteraction(t("merge.targetHint"));
+  const { targets } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "targets",
+      message: t("merge.select", { source }),
+      choices: branches.map((branch) => ({
+        name: branch,
+        value: branch,
+        disabled:
+          worktreeBranches.has(branch) &&
+          describeWorktree(worktreeBranches.get(branch)),
+      })),
+      validate: (answer) => answer.length > 0 || t("merge.selectOne"),
+    },
+  ]);
+  return targets;
 };
 
 /**
- * 合并分支
- * @param {string} source - 源分支名
- * @param {string} target - 目标分支名
+ * 打印冲突信息及后续操作提示
+ * @param {Object} state - 合并状态
+ * @param {string[]} files - 冲突文件
+ */
+const printConflict = (state, files) => {
+  const [branch] = state.queue;
+  console.error(`❌ ${t("merge.conflict", { source: state.source, branch })}`);
+  files.forEach((file) => console.error(`  - ${file}`));
+  console.info(["", t("merge.continueHint"), t("merge.abortHint")].join("\n"));
+};
+
+/**
+ * 结束合并：切回原分支，恢复暂存，记录操作日志并打印摘要
+ * @param {Object} state - 合并状态
  * @param {Object} options - 配置选项
- * @returns {Promise<boolean>} 是否合并成功
+ * @returns {Promise<void>}
  */
-const mergeBranch = async (source, target, options) => {
-  const { ffOnly = true } = options;
+const finishMerge = async (state, options) => {
+  const { source, originalBranch, stash, results } = state;
 
   try {
-    await execGitCommand(`git checkout ${target}`);
-    const mergeCommand = ffOnly
-      ? `git merge --ff-only ${source}`
-      : `git merge --no-ff ${source}`;
-    await execGitCommand(mergeCommand);
-    log("info", `成功将 ${source} 合并到 ${target}`, options);
-    return true;
+    await runGit(["checkout", "--quiet", originalBranch]);
   } catch (error) {
-    log("error", `合并分支失败: ${error.message}`, options);
-    return false;
+    log(
+      "error",
+      t("merge.returnFailed", {
+        branch: originalBranch,
+        message: error.message,
+      }),
+      options
+    );
+  }
+
+  if (stash) {
+    const entry = (await getStashList()).find((s) => s.sha === stash);
+    if (!entry || !(await popStash(options, entry.index))) {
+      console.warn(
+        `⚠️  ${t("common.unstashFailed", { stash: stash.slice(0, 7) })}`
+      );
+    }
+  }
+
+  await clearState(STATE_NAME);
+  await appendJournal(
+    "merge",
+    results
+      .filter((result) => result.status === "merged")
+      .map(({ branch, before, after }) => ({
+        type: "merge",
+        branch,
+        source,
+        before,
+        after,
+      }))
+  );
+
+  setResult({ source, results });
+  console.info(
+    formatTable(
+      [
+        t("list.headers.branch"),
+        t("common.headers.result"),
+        t("common.headers.detail"),
+      ],
+      results.map(({ branch, status, detail = "" }) => [
+        branch,
+        t(`merge.status.${status}`),
+        detail,
+      ])
+    )
+  );
+  const count = (...statuses) =>
+    results.filter((r) => statuses.includes(r.status)).length;
+  const failCount = count("failed");
+  const skipCount = count("aborted", "skipped");
+  console.info(
+    `\n${t("merge.done", {
+      merged: count("merged"),
+      upToDate: count("up-to-date"),
+      failed: failCount,
+    })}${skipCount ? t("common.notRun", { count: skipCount }) : ""}`
+  );
+  if (failCount + skipCount > 0) {
+    process.exitCode = 1;
   }
 };
 
 /**
- * 合并到多个分支
+ * 依次合并队列中的分支，遇到冲突时保存状态并暂停
+ * @param {Object} state - 合并状态
  * @param {Object} options - 配置选项
- * @param {string} options.source - 源分支名
- * @param {string[]} options.target - 目标分支列表
- * @param {string[]} options.exclude - 要排除的分支列表
- * @param {boolean} options.ffOnly - 是否只允许快进合并
- * @param {boolean} options.silent - 是否静默模式
  * @returns {Promise<void>}
  */
-export const mergeToBranches = async (options) => {
-  const {
-    source,
-    target = [],
-    exclude = [],
-    ffOnly = true,
-    silent = false,
-  } = options;
-
-  if (!(await checkWorkingDirectory(options))) {
-    return;
+const runQueue = async (state, options) => {
+  const spinner = ora({ discardStdin: false, isSilent: isJsonMode() });
+  if (!options.debug) spinner.start();
+
+  while (state.queue.length > 0) {
+    const [branch] = state.queue;
+    spinner.text = t("merge.merging", { source: state.source, branch });
+    const result = await mergeBranch(state.source, branch, state.mode, options);
+
+    if (result.status === "conflict") {
+      spinner.stop();
+      state.conflict = { branch, before: result.before };
+      await writeState(STATE_NAME, state);
+      setResult({
+        source: state.source,
+        results: state.results,
+        conflict: { branch, files: result.files },
+        pending: state.queue.slice(1),
+      });
+      printConflict(state, result.files);
+      process.exitCode = 1;
+      return;
+    }
+
+    state.results.push(result);
+    state.queue.shift();
+    await writeState(STATE_NAME, state);
   }
 
-  if (!(await checkSourceBranch(source, options))) {
+  spinner.stop();
+  await finishMerge(state, options);
+};
+
+/**
+ * 解决冲突后继续合并，也可用于继续意外中断的合并
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const continueMerge = async (options) => {
+  const state = await readState(STATE_NAME);
+  if (!state) {
+    console.info(t("merge.notInProgress"));
     return;
   }
+  if (state.conflict) {
+    await resolveConflict(state);
+  }
+  await runQueue(state, options);
+};
 
-  const currentBranch = await getCurrentBranch();
-  let targetBranches = target;
+/**
+ * 检查冲突是否已解决并提交合并结果
+ * @param {Object} state - 合并状态
+ * @returns {Promise<void>}
+ */
+const resolveConflict = async (state) => {
+  const { branch, before } = state.conflict;
 
-  if (targetBranches.length === 0) {
-    try {
-      const { stdout } = await execGitCommand(
-        "git branch --format='%(refname:short)'"
-      );
-      targetBranches = stdout.split("\n").filter(Boolean);
-    } catch (error) {
-      log("error", "获取分支列表失败", options);
-      return;
-    }
+  const files = await getConflictedFiles();
+  if (files.length > 0) {
+    console.error(t("common.unresolved"));
+    files.forEach((file) => console.error(`  - ${file}`));
+    return process.exit(1);
+  }
+  if ((await getCurrentBranch()) !== branch) {
+    console.error(t("common.wrongBranch", { branch }));
+    return process.exit(1);
   }
 
-  // 过滤要排除的分支
-  targetBranches = targetBranches.filter(
-    (branch) => branch !== source && !exclude.includes(branch)
+  if (await refExists("MERGE_HEAD")) {
+    await runGit(["commit", "--no-edit"]);
+  }
+  const after = await resolveCommit("HEAD");
+  state.results.push(
+    after === before
+      ? { branch, status: "aborted", detail: t("merge.cancelledManually") }
+      : {
+          branch,
+          status: "merged",
+          detail: t("common.resolved"),
+          before,
+          after,
+        }
   );
+  state.queue.shift();
+  delete state.conflict;
+  await writeState(STATE_NAME, state);
+};
 
-  if (targetBranches.length === 0) {
-    log("info", "没有需要合并的目标分支", options);
+/**
+ * 中止合并，已完成的合并会保留
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+const abortMerge = async (options) => {
+  const state = await readState(STATE_NAME);
+  if (!state) {
+    console.info(t("merge.notInProgress"));
     return;
   }
 
-  if (!silent) {
-    log("info", `将要合并到以下分支:`, options);
-    targetBranches.forEach((branch) => log("info", `- ${branch}`, options));
+  if (await refExists("MERGE_HEAD")) {
+    await runGit(["merge", "--abort"]);
   }
+  const [current, ...rest] = state.queue;
+  if (current) {
+    state.results.push({ branch: current, status: "aborted" });
+  }
+  rest.forEach((branch) => state.results.push({ branch, status: "skipped" }));
+  state.queue = [];
+  await finishMerge(state, options);
+};
+
+/**
+ * 合并到多个分支
+ * @param {Object} options - 配置选项
+ * @param {string} options.source - 源分支名，可以是远程跟踪分支，如 origin/main
+ * @param {string[]} options.target - 目标分支规则，为空时交互式选择
+ * @param {string[]} options.exclude - 要排除的分支规则
+ * @param {boolean} options.ffOnly - 是否只允许快进合并
+ * @param {boolean} options.ff - 为 false 时总是创建合并提交（--no-ff）
+ * @param {boolean} options.continue - 解决冲突后继续合并
+ * @param {boolean} options.abort - 中止合并
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const mergeToBranches = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
 
-  let successCount = 0;
-  let failCount = 0;
+  try {
+    if (options.continue) {
+      return await continueMerge(options);
+    }
+    if (options.abort) {
+      return await abortMerge(options);
+    }
 
-  for (const branch of targetBranches) {
-    const success = await mergeBranch(branch, source, options);
-    if (success) {
-      successCount++;
-    } else {
-      failCount++;
+    if (await readState(STATE_NAME)) {
+      console.error(t("merge.inProgress"));
+      return process.exit(1);
     }
-  }
 
-  // 返回原分支
-  try {
-    await execGitCommand(`git checkout ${currentBranch}`);
-  } catch (error) {
-    log("error", `返回原分支 ${currentBranch} 失败: ${error.message}`, options);
-  }
+    const { source, ffOnly = true } = options;
+    if (!source) {
+      console.error(t("merge.sourceRequired"));
+      return process.exit(1);
+    }
+    if (!(await refExists(source))) {
+      console.error(t("common.sourceNotFound", { source }));
+      return process.exit(1);
+    }
+    const originalBranch = await getCurrentBranch();
+    if (originalBranch === "HEAD") {
+      console.error(t("common.detached"));
+      return process.exit(1);
+    }
 
-  if (!silent) {
-    log(
-      "info",
-      `合并完成: 成功 ${successCount} 个, 失败 ${failCount} 个`,
-      options
-    );
+    const targets = await selectTargets(source, options);
+    if (targets.length === 0) {
+      console.info(t("merge.noTargets"));
+      return;
+    }
+    log("info", t("merge.targets"), options, targets);
+
+    // 未跟踪的文件不影响切换分支，只暂存已跟踪文件的更改
+    let stash = null;
+    if (await hasUncommittedChanges(false)) {
+      if (
+        !(await stashChanges(
+          `bk merge: ${t("merge.stashMessage", { source })}`
+        ))
+      ) {
+        return process.exit(1);
+      }
+      stash = (await getStashList())[0].sha;
+      console.info(t("merge.stashed"));
+    }
+
+    const state = {
+      source,
+      mode: options.ff === false ? "no-ff" : ffOnly ? "ff-only" : "ff",
+      originalBranch,
+      stash,
+      queue: targets,
+      results: [],
+    };
+    await writeState(STATE_NAME, state);
+    await runQueue(state, options);
+  } catch (error) {
+    if (error.name === "ExitPromptError") {
+      process.exit(0);
+    }
+    throw error;
   }
 };
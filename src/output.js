@@ -0,0 +1,112 @@
+/**
+ * JSON 输出模块
+ * --json 模式下屏蔽 spinner、交互和普通日志，收集命令的结构化结果，进程退出时一次性输出到标准输出
+ * 同时负责检测能否交互：--json 模式或不在终端中运行时，需要交互的操作直接失败而不是等待输入
+ */
+
+import fs from "fs";
+import { format } from "util";
+import { t } from "./i18n.js";
+
+/** JSON 模式下的命令结果，未开启时为 null */
+let result = null;
+
+/**
+ * 无法交互时抛出的错误
+ */
+export class InteractionRequiredError extends Error {
+  /**
+   * @param {string} reason - 无法交互的原因
+   * @param {string} hint - 如何以非交互方式完成操作的提示
+   */
+  constructor(reason, hint) {
+    super(t("output.interactionRequired", { reason, hint }));
+    this.name = "InteractionRequiredError";
+  }
+}
+
+/**
+ * 是否处于 JSON 模式
+ * @returns {boolean} 是否处于 JSON 模式
+ */
+export const isJsonMode = () => result !== null;
+
+/**
+ * 去掉终端展示用的图标前缀
+ * @param {any[]} args - console 参数
+ * @returns {string} 消息文本
+ */
+const toMessage = (args) =>
+  format(...args)
+    .replace(/^(❌|⚠️)\s*/u, "")
+    .trim();
+
+/**
+ * 开启 JSON 模式：普通输出被屏蔽，错误和警告记录到结果中，进程退出时输出结果
+ * 结果的 ok 字段与退出码一致，部分失败时为 false
+ * @param {string} command - 命令名称，如 clean、config show
+ */
+export const enableJsonMode = (command) => {
+  result = { command, ok: true, exitCode: 0, errors: [], warnings: [] };
+
+  console.log = () => {};
+  console.info = () => {};
+  console.debug = () => {};
+  console.warn = (...args) => result.warnings.push(toMessage(args));
+  console.error = (...args) => result.errors.push(toMessage(args));
+
+  process.on("exit", (code) => {
+    const exitCode = code || process.exitCode || 0;
+    result.exitCode = exitCode;
+    result.ok = exitCode === 0;
+    // 退出时只能同步写入
+    fs.writeSync(1, `${JSON.stringify(result, null, 2)}\n`);
+  });
+};
+
+/**
+ * 记录命令结果中的字段，非 JSON 模式下不做任何事
+ * @param {Object} fields - 要记录的字段，如 { candidates, results }
+ */
+export const setResult = (fields) => {
+  if (result) Object.assign(result, fields);
+};
+
+/**
+ * 记录一条错误或警告，供 log 在 JSON 模式下使用
+ * @param {"error"|"warn"} level - 日志级别
+ * @param {string} message - 消息
+ */
+export const recordMessage = (level, message) => {
+  if (!result) return;
+  (level === "warn" ? result.warnings : result.errors).push(message);
+};
+
+/**
+ * 记录本次操作做出的修改，由 appendJournal 调用
+ * @param {Object[]} actions - 修改记录
+ */
+export const recordActions = (actions) => {
+  if (result) result.actions = [...(result.actions ?? []), ...actions];
+};
+
+/**
+ * 是否可以交互：不在 JSON 模式，且标准输入和标准输出都是终端
+ * @returns {boolean} 是否可以交互
+ */
+export const canInteract = () =>
+  !result && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+
+/**
+ * 需要交互前调用，无法交互时抛出 InteractionRequiredError
+ * @param {string} hint - 如何以非交互方式完成操作的提示
+ * @throws {InteractionRequiredError} JSON 模式下或不在终端中运行时抛出
+ */
+export const requireInteraction = (hint) => {
+  if (result) {
+    throw new InteractionRequiredError(t("output.jsonMode"), hint);
+  }
+  if (!canInteract()) {
+    throw new InteractionRequiredError(t("output.notTty"), hint);
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * 分支匹配模块
+ * 支持精确名称、glob（*、?、**）、/regex/ 正则以及 ! 取反
+ */
+
+import { t } from "./i18n.js";
+
+/**
+ * 把 glob 转换为正则表达式
+ * `*` 和 `?` 不跨越 `/`，`**` 可以匹配任意层级
+ * @param {string} glob - glob 表达式，如 release/*、hotfix/**
+ * @returns {RegExp} 正则表达式
+ */
+const globToRegExp = (glob) => {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * 编译单条匹配规则
+ * @param {string} rule - 规则，如 main、release/*、/^renovate\//i、!release/old-*
+ * @returns {{rule: string, negate: boolean, test: (branch: string) => boolean}} 编译后的规则
+ * @throws {Error} 正则表达式不合法时抛出错误
+ */
+export const compileRule = (rule) => {
+  const negate = rule.startsWith("!");
+  const body = negate ? rule.slice(1) : rule;
+
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(body);
+  let test;
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2]);
+      test = (branch) => regex.test(branch);
+    } catch (error) {
+      throw new Error(
+        t("pattern.invalidRule", { rule, message: error.message })
+      );
+    }
+  } else if (/[*?]/.test(body)) {
+    const regex = globToRegExp(body);
+    test = (branch) => regex.test(branch);
+  } else {
+    test = (branch) => branch === body;
+  }
+  return { rule, negate, test };
+};
+
+/**
+ * 按顺序匹配规则，后出现的规则优先（与 .gitignore 一致），取反规则可以排除前面命中的分支
+ * @param {string} branch - 分支名
+ * @param {string[]} rules - 规则列表
+ * @returns {{matched: boolean, rule: string|null}} 是否命中，以及最终起作用的规则
+ */
+export const matchBranch = (branch, rules = []) => {
+  let result = { matched: false, rule: null };
+  for (const rule of rules) {
+    const compiled = compileRule(rule);
+    if (compiled.test(branch)) {
+      result = { matched: !compiled.negate, rule };
+    }
+  }
+  return result;
+};
+
+/**
+ * 从分支列表中筛选命中规则的分支
+ * @param {string[]} branches - 分支列表
+ * @param {string[]} rules - 规则列表
+ * @returns {string[]} 命中的分支
+ */
+export const filterBranches = (branches, rules = []) =>
+  branches.filter((branch) => matchBranch(branch, rules).matched);
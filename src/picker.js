@@ -0,0 +1,214 @@
+/**
+ * 分支选择模块
+ * 提供支持模糊搜索的分支选择框：最近检出过的分支排在前面，并显示最后提交时间、与上游的差异等信息
+ */
+
+import inquirer from "inquirer";
+import chalk from "chalk";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import {
+  displayWidth,
+  formatAge,
+  parseTrack,
+  formatAheadBehind,
+} from "./utils.js";
+
+/** 分支名展示的最大宽度，超出时不再对齐备注 */
+const MAX_NAME_WIDTH = 48;
+
+/**
+ * 计算模糊匹配得分，查询中的字符需按顺序出现在文本中
+ * 连续命中、命中单词开头（/ - _ . 之后）的得分更高，完整包含查询的文本优先
+ * @param {string} query - 查询，忽略大小写和空白
+ * @param {string} text - 文本
+ * @returns {number|null} 得分，不匹配时返回 null
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  if (!needle) return 0;
+  const haystack = text.toLowerCase();
+
+  let score = haystack.includes(needle) ? 10 : 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    score += 1;
+    if (index === previous + 1) score += 5;
+    if (index === 0 || "/-_.".includes(haystack[index - 1])) score += 3;
+    previous = index;
+    from = index + 1;
+  }
+  // 得分相同时，较短的分支名更接近查询
+  return score - haystack.length * 0.01;
+};
+
+/**
+ * 从 HEAD 的 reflog 中获取最近检出过的分支
+ * @returns {Promise<Map<string, number>>} 分支名到排名的映射，0 表示最近一次
+ */
+export const getRecentBranches = async () => {
+  const { stdout } = await runGit(
+    ["reflog", "show", "--format=%gs", "-n", "1000", "HEAD"],
+    { reject: false }
+  );
+  const recent = new Map();
+  for (const line of stdout.split("\n")) {
+    const match = /^checkout: moving from (.+) to (.+)$/.exec(line);
+    if (!match) continue;
+    for (const branch of [match[2], match[1]]) {
+      if (!recent.has(branch)) recent.set(branch, recent.size);
+    }
+  }
+  return recent;
+};
+
+/**
+ * 按最近检出的顺序排序，未检出过的分支保持原有顺序排在后面
+ * @param {Array} items - 待排序的列表
+ * @param {Map<string, number>} recent - getRecentBranches 的结果
+ * @param {(item: *) => string} [getName] - 获取分支名
+ * @returns {Array} 排序后的新列表
+ */
+export const sortByRecency = (items, recent, getName = (item) => item) =>
+  items
+    .map((item, index) => ({ item, index }))
+    .sort(
+      (a, b) =>
+        (recent.get(getName(a.item)) ?? Infinity) -
+          (recent.get(getName(b.item)) ?? Infinity) || a.index - b.index
+    )
+    .map(({ item }) => item);
+
+/**
+ * 生成分支的简要说明：最后提交时间、与上游的差异、上游是否已删除
+ * @param {Object} info - 分支详情，见 getBranchInfos
+ * @param {number} [info.committerDate] - 最后一次提交的时间戳（秒）
+ * @param {string} [info.track] - 与上游的差异，如 "[ahead 1, behind 2]"、"[gone]"
+ * @returns {string} 如 "3 天前 · ↑1 ↓2"
+ */
+export const describeBranch = ({ committerDate, track } = {}) => {
+  const parts = [];
+  if (committerDate) parts.push(formatAge(committerDate));
+  const { ahead, behind, gone } = parseTrack(track);
+  if (gone) {
+    parts.push(t("list.gone"));
+  } else if (ahead || behind) {
+    parts.push(formatAheadBehind(ahead, behind));
+  }
+  return parts.join(" · ");
+};
+
+/**
+ * 按查询过滤并排序选项，保留分组标题
+ * @param {Object[]} choices - 选项 { name, value, disabled, description, group }
+ * @param {string} term - 查询
+ * @param {(choice: Object) => string} [prefix] - 显示在分支名前的标记，不参与匹配
+ * @returns {Array<Object>} inquirer 选项
+ */
+const filterChoices = (choices, term = "", prefix = () => "") => {
+  const width = Math.min(
+    MAX_NAME_WIDTH,
+    Math.max(0, ...choices.map((choice) => displayWidth(choice.name)))
+  );
+  const matched = choices
+    .map((choice, index) => ({
+      choice,
+      index,
+      score: fuzzyScore(term, choice.name),
+    }))
+    .filter(({ score }) => score !== null);
+  // 有查询时按得分排序，否则保持传入的顺序（已按最近使用排序）
+  if (term.trim()) {
+    matched.sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+
+  const groups = [...new Set(choices.map((choice) => choice.group))];
+  return groups.flatMap((group) => {
+    const items = matched
+      .filter(({ choice }) => choice.group === group)
+      .map(({ choice }) => ({
+        name: `${prefix(choice)}${
+          choice.description
+            ? `${choice.name}${" ".repeat(
+                Math.max(0, width - displayWidth(choice.name))
+              )}  ${chalk.dim(choice.description)}`
+            : choice.name
+        }`,
+        short: choice.name,
+        value: choice.value,
+        disabled: choice.disabled,
+      }));
+    if (items.length === 0 || !group) return items;
+    return [new inquirer.Separator(`── ${group} ──`), ...items];
+  });
+};
+
+/**
+ * 支持模糊搜索的单选框
+ * @param {Object} config - 配置
+ * @param {string} config.message - 提示信息
+ * @param {Object[]} config.choices - 选项 { name, value, disabled?, description?, group? }，按展示顺序排列
+ * @param {number} [config.pageSize] - 每页显示的条数
+ * @returns {Promise<*>} 选中的值
+ */
+export const searchSelect = async ({ message, choices, pageSize = 15 }) => {
+  const { value } = await inquirer.prompt([
+    {
+      type: "search",
+      name: "value",
+      message: t("picker.search", { message }),
+      source: (term) => filterChoices(choices, term),
+      pageSize,
+    },
+  ]);
+  return value;
+};
+
+/** 多选框中表示结束选择的值 */
+const DONE = Symbol("done");
+
+/**
+ * 支持模糊搜索的多选框，回车切换选中状态，选择“完成”结束
+ * @param {Object} config - 配置
+ * @param {string} config.message - 提示信息
+ * @param {Object[]} config.choices - 选项 { name, value, disabled?, description?, group? }，按展示顺序排列
+ * @param {number} [config.pageSize] - 每页显示的条数
+ * @returns {Promise<Array>} 选中的值，按选项的顺序排列
+ */
+export const searchCheckbox = async ({ message, choices, pageSize = 15 }) => {
+  const selected = new Set();
+  const mark = (choice) => (selected.has(choice.value) ? "◉ " : "◯ ");
+  for (;;) {
+    const { value } = await inquirer.prompt([
+      {
+        type: "search",
+        name: "value",
+        message: t("picker.searchMulti", { message }),
+        source: (term = "") => {
+          const done = {
+            name: t("picker.done", { count: selected.size }),
+            value: DONE,
+            disabled: selected.size === 0 ? t("picker.selectOne") : false,
+          };
+          const items = filterChoices(choices, term, mark);
+          // 有查询时优先高亮匹配的分支
+          return term.trim() ? [...items, done] : [done, ...items];
+        },
+        pageSize,
+      },
+    ]);
+    if (value === DONE) {
+      return choices
+        .filter((choice) => selected.has(choice.value))
+        .map((choice) => choice.value);
+    }
+    if (selected.has(value)) {
+      selected.delete(value);
+    } else {
+      selected.add(value);
+    }
+  }
+};
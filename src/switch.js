@@ -3,71 +3,313 @@ import ora from "ora";
 import {
   getCurrentBranch,
   log,
-  getLocalBranches,
+  getBranchInfos,
+  getRemoteBranches,
   checkWorkingDirectory,
   checkoutBranch,
   hasUncommittedChanges,
   stashChanges,
+  popStash,
+  getStashList,
+  findAutostash,
+  getConflictedFiles,
+  isIgnoredBranch,
+  getWorktreeBranches,
+  describeWorktree,
+  AUTOSTASH_PREFIX,
 } from "./utils.js";
+import { runGit } from "./git.js";
+import { appendJournal } from "./journal.js";
+import { t } from "./i18n.js";
+import { enterWorktree } from "./worktree.js";
+import {
+  searchSelect,
+  fuzzyScore,
+  getRecentBranches,
+  sortByRecency,
+  describeBranch,
+} from "./picker.js";
+import {
+  isJsonMode,
+  setResult,
+  canInteract,
+  requireInteraction,
+} from "./output.js";
+
+/**
+ * 生成分支选择列表：本地分支在前，远程分支按远程仓库分组，只列出本地不存在的远程分支
+ * 每组内最近检出过的分支排在前面，在其他工作树中检出的分支标注工作树路径
+ * @param {Object[]} branches - 本地分支详情，见 getBranchInfos
+ * @param {Array<{remote: string, branch: string, name: string, committerDate: number}>} remoteBranches - 本地不存在的远程分支
+ * @param {string} currentBranch - 当前分支
+ * @param {Map<string, number>} recent - 最近检出的分支，见 getRecentBranches
+ * @param {Map<string, string>} worktreeBranches - 在其他工作树中检出的分支，见 getWorktreeBranches
+ * @returns {Array<Object>} searchSelect 选项
+ */
+const buildChoices = (
+  branches,
+  remoteBranches,
+  currentBranch,
+  recent,
+  worktreeBranches
+) => [
+  ...sortByRecency(branches, recent, (info) => info.branch).map((info) => ({
+    name: info.branch,
+    value: { branch: info.branch },
+    description: [
+      describeBranch(info),
+      worktreeBranches.has(info.branch) &&
+        t("switch.worktree", { path: worktreeBranches.get(info.branch) }),
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    disabled: info.branch === currentBranch && `(${t("common.currentBranch")})`,
+  })),
+  ...sortByRecency(remoteBranches, recent, (r) => r.branch).map(
+    ({ remote, branch, name, committerDate }) => ({
+      name,
+      value: { branch, remote },
+      description: describeBranch({ committerDate }),
+      group: remote,
+    })
+  ),
+];
+
+/**
+ * 按命令行指定的分支名或关键字确定要切换到的分支
+ * 完全匹配的本地分支优先，其次是完全匹配的远程分支，否则按关键字模糊匹配；
+ * 匹配到多个分支时交互选择，无法交互时列出匹配的分支并报错
+ * @param {string} query - 分支名或关键字
+ * @param {string[]} localBranches - 所有本地分支
+ * @param {Object[]} choices - buildChoices 生成的选项
+ * @returns {Promise<{branch: string, remote?: string}|null>} 要切换到的分支，没有确定时返回 null
+ */
+const resolveTarget = async (query, localBranches, choices) => {
+  if (localBranches.includes(query)) return { branch: query };
+
+  const remotes = choices.filter(
+    ({ name, value }) =>
+      value.remote && (name === query || value.branch === query)
+  );
+  if (remotes.length === 1) return remotes[0].value;
+
+  const matches =
+    remotes.length > 1
+      ? remotes
+      : choices
+          .filter(({ disabled }) => !disabled)
+          .map((choice) => ({ choice, score: fuzzyScore(query, choice.name) }))
+          .filter(({ score }) => score !== null)
+          .sort((a, b) => b.score - a.score)
+          .map(({ choice }) => choice);
+  if (matches.length === 0) {
+    console.error(`❌ ${t("common.noMatch", { pattern: query })}`);
+    return null;
+  }
+  if (matches.length === 1) return matches[0].value;
+
+  if (!canInteract()) {
+    console.error(
+      `❌ ${t("switch.ambiguous", { count: matches.length, query })}`
+    );
+    matches.forEach(({ name }) => console.error(`  - ${name}`));
+    return null;
+  }
+  return searchSelect({
+    message: t("switch.selectMatch", { count: matches.length, query }),
+    choices: matches,
+    pageSize: 20,
+  });
+};
+
+/**
+ * 恢复分支的自动暂存，有冲突时保留暂存并提示手动处理
+ * @param {string} branch - 分支名
+ * @param {Object} options - 配置选项
+ * @returns {Promise<Object|null>} 恢复成功时返回操作记录，否则返回 null
+ */
+const restoreAutostash = async (branch, options) => {
+  const stash = await findAutostash(branch);
+  if (!stash) return null;
+
+  const { exitCode, stderr } = await runGit(
+    ["stash", "pop", `stash@{${stash.index}}`],
+    { reject: false }
+  );
+  if (exitCode === 0) {
+    console.info(t("switch.unstashed", { branch }));
+    return {
+      type: "unstash",
+      branch,
+      sha: stash.sha,
+      message: `${AUTOSTASH_PREFIX}${branch}`,
+    };
+  }
+
+  const files = await getConflictedFiles();
+  if (files.length > 0) {
+    console.warn(`⚠️  ${t("switch.unstashConflict", { branch })}`);
+    files.forEach((file) => console.warn(`  - ${file}`));
+    console.info(
+      t("switch.unstashConflictHint", { stash: `stash@{${stash.index}}` })
+    );
+  } else {
+    log("info", t("switch.unstashFailedLog", { stderr }), options);
+    console.warn(
+      `⚠️  ${t("switch.unstashFailed", {
+        branch,
+        stash: `stash@{${stash.index}}`,
+      })}`
+    );
+  }
+  return null;
+};
 
 /**
- * 交互式切换分支
+ * 切换分支，未指定分支时交互式选择
+ * @param {string} [query] - 要切换到的分支名或关键字，为空时交互式选择
  * @param {Object} options - 配置选项
  * @param {boolean} options.debug - 是否打印调试日志
+ * @param {string[]} options.ignore - 不在列表中显示的分支规则
+ * @param {boolean} options.remoteOnly - 只显示本地不存在的远程分支
+ * @param {boolean} options.autostash - 是否自动暂存更改，并在切换回来时恢复
  * @returns {Promise<void>}
  */
-export const switchBranch = async (options = {}) => {
+export const switchBranch = async (query, options = {}) => {
   // 检测是否为 git 仓库
   if (!(await checkWorkingDirectory())) return process.exit(1);
 
   const spinner = ora({
-    text: "正在获取分支列表...",
+    text: t("common.loadingBranches"),
     discardStdin: false,
+    isSilent: isJsonMode(),
   }).start();
 
   const currentBranch = await getCurrentBranch();
-  const branches = await getLocalBranches();
+  const { ignore = [], remoteOnly = false } = options;
+  const infos = await getBranchInfos();
+  const localBranches = infos.map((info) => info.branch);
+  // 当前分支始终保留，用于展示
+  const branches = remoteOnly
+    ? []
+    : infos.filter(
+        ({ branch }) =>
+          branch === currentBranch || !isIgnoredBranch(branch, ignore, options)
+      );
+  // 只列出本地还没有的远程分支，已有的直接切换本地分支即可
+  const remoteBranches = (await getRemoteBranches()).filter(
+    ({ branch }) =>
+      !localBranches.includes(branch) &&
+      !isIgnoredBranch(branch, ignore, options)
+  );
+  const recent = await getRecentBranches();
+  const worktreeBranches = await getWorktreeBranches();
 
   // 取消 spinner
   spinner.text = "";
   spinner.stop();
 
-  if (branches.length === 0) {
-    console.info("没有找到任何分支");
-    return process.exit(0);
-  }
-
-  log("info", "获取分支列表成功", options, branches);
+  log("info", t("common.branchesLoaded"), options, {
+    branches: branches.map(({ branch }) => branch),
+    remoteBranches: remoteBranches.map(({ name }) => name),
+  });
 
   // 如果分支中只有当前分支，则给出提示
-  if (branches.length === 1) {
-    console.info("没有可切换的本地分支");
+  if (
+    branches.every(({ branch }) => branch === currentBranch) &&
+    remoteBranches.length === 0
+  ) {
+    console.info(
+      t(remoteOnly ? "switch.noRemoteCandidates" : "switch.noCandidates")
+    );
     return process.exit(0);
   }
 
+  setResult({
+    candidates: [
+      ...branches.map(({ branch }) => ({
+        branch,
+        current: branch === currentBranch,
+      })),
+      ...remoteBranches.map(({ remote, branch }) => ({ branch, remote })),
+    ],
+  });
+
+  const choices = buildChoices(
+    branches,
+    remoteBranches,
+    currentBranch,
+    recent,
+    worktreeBranches
+  );
+
   try {
-    const { targetBranch } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "targetBranch",
-        message: "请选择要切换到的分支:",
-        choices: branches.map((branch) => ({
-          name: branch === currentBranch ? `${branch} (当前分支)` : branch,
-          value: branch,
-          disabled: branch === currentBranch,
-        })),
-      },
-    ]);
-
-    log("info", "选择的分支是", options, targetBranch);
-
-    // 检查工作区是否干净 如果不干净给出是否暂存内容
-    if (await hasUncommittedChanges()) {
+    let target;
+    if (query) {
+      target = await resolveTarget(query, localBranches, choices);
+      if (!target) {
+        process.exitCode = 1;
+        return;
+      }
+    } else {
+      requireInteraction(t("switch.interactionHint"));
+      target = await searchSelect({
+        message: t("switch.select"),
+        choices,
+        pageSize: 20,
+      });
+    }
+    const targetBranch = target.branch;
+
+    log("info", t("common.selected"), options, target);
+
+    if (targetBranch === currentBranch) {
+      console.info(t("switch.already", { branch: currentBranch }));
+      return;
+    }
+
+    // 在其他工作树中检出的分支无法在这里切换，改为进入该工作树
+    if (worktreeBranches.has(targetBranch)) {
+      const worktreePath = worktreeBranches.get(targetBranch);
+      console.info(
+        t("switch.inWorktree", {
+          branch: targetBranch,
+          worktree: describeWorktree(worktreePath),
+        })
+      );
+      setResult({ worktree: { branch: targetBranch, path: worktreePath } });
+      await enterWorktree(worktreePath);
+      return;
+    }
+
+    /**本次切换做出的修改，用于写入操作日志 */
+    const actions = [];
+
+    const { autostash = true } = options;
+    /**本次自动暂存的更改，切换失败时恢复 */
+    let autostashed = null;
+
+    // 检查工作区是否干净，开启自动暂存时按分支暂存（含未跟踪的文件），否则询问是否暂存
+    if (autostash && (await hasUncommittedChanges())) {
+      const message = `${AUTOSTASH_PREFIX}${currentBranch}`;
+      if (!(await stashChanges(message, options, true))) {
+        return process.exit(1);
+      }
+      autostashed = await findAutostash(currentBranch);
+      actions.push({
+        type: "stash",
+        branch: currentBranch,
+        sha: autostashed.sha,
+        message: autostashed.message,
+      });
+      console.info(t("switch.autostashed", { branch: currentBranch }));
+    } else if (await hasUncommittedChanges()) {
+      requireInteraction(t("switch.commitFirst"));
       const { confirm } = await inquirer.prompt([
         {
           type: "confirm",
           name: "confirm",
-          message: "检查到存在未提交的更改，是否先暂存改动后切换",
+          message: t("switch.confirmStash"),
           default: true,
         },
       ]);
@@ -75,19 +317,74 @@ export const switchBranch = async (options = {}) => {
         return process.exit(0);
       } else {
         // 执行暂存的脚本
-        await stashChanges();
+        if (await stashChanges()) {
+          const [stash] = await getStashList();
+          actions.push({
+            type: "stash",
+            branch: currentBranch,
+            sha: stash.sha,
+            message: stash.message,
+          });
+        }
       }
     }
 
-    const success = await checkoutBranch(targetBranch, false, options);
+    /**
+     * 没有切换成功：立即恢复刚才的自动暂存，并记录已做出的修改
+     * @returns {Promise<void>}
+     */
+    const abort = async () => {
+      if (autostashed && (await restoreAutostash(currentBranch, options))) {
+        actions.splice(
+          actions.findIndex((action) => action.type === "stash"),
+          1
+        );
+      }
+      await appendJournal("checkout", actions);
+      console.error(t("switch.failed"));
+      process.exitCode = 1;
+    };
+
+    // 远程分支先创建跟踪远程的本地分支，只更新引用，不影响工作区
+    if (target.remote) {
+      const upstream = `${target.remote}/${targetBranch}`;
+      try {
+        await runGit(["branch", "--track", targetBranch, upstream]);
+      } catch (error) {
+        log(
+          "error",
+          t("switch.trackFailed", {
+            branch: targetBranch,
+            upstream,
+            message: error.message,
+          }),
+          options
+        );
+        return abort();
+      }
+      const { stdout } = await runGit(["rev-parse", targetBranch]);
+      actions.push({
+        type: "create",
+        branch: targetBranch,
+        sha: stdout.trim(),
+      });
+      console.info(t("switch.tracking", { branch: targetBranch, upstream }));
+    }
 
-    if (!success) {
-      console.error("切换分支失败");
-      return;
+    if (!(await checkoutBranch(targetBranch, options))) {
+      return abort();
     }
 
-    console.info(`成功切换到分支: ${targetBranch}`);
-    log("info", "切换分支成功", options, {
+    console.info(t("switch.done", { branch: targetBranch }));
+    setResult({ from: currentBranch, to: targetBranch });
+
+    actions.push({ type: "checkout", from: currentBranch, to: targetBranch });
+    if (autostash) {
+      const restored = await restoreAutostash(targetBranch, options);
+      if (restored) actions.push(restored);
+    }
+    await appendJournal("checkout", actions);
+    log("info", t("switch.doneLog"), options, {
       from: currentBranch,
       to: targetBranch,
     });
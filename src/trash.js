@@ -0,0 +1,182 @@
+/**
+ * 分支回收站模块
+ * 用于恢复被 bk 删除的分支，以及清理过期的回收站条目
+ */
+
+import inquirer from "inquirer";
+import {
+  branchExists,
+  checkWorkingDirectory,
+  formatAge,
+  getTrashEntries,
+  log,
+  parseDuration,
+  refExists,
+  removeTrashEntry,
+} from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { setResult, requireInteraction } from "./output.js";
+
+/**
+ * 根据回收站条目重新创建分支，并尽量恢复上游设置
+ * @param {Object} entry - 回收站条目
+ * @param {Object} options - 配置选项
+ * @returns {Promise<boolean>} 是否恢复成功
+ */
+export const restoreTrashEntry = async (entry, options = {}) => {
+  const { branch, sha, upstream, ref } = entry;
+  if (await branchExists(branch)) {
+    log("error", t("trash.exists", { branch }), options);
+    return false;
+  }
+
+  try {
+    await runGit(["branch", branch, sha]);
+  } catch (error) {
+    log(
+      "error",
+      t("trash.restoreFailed", { branch, message: error.message }),
+      options
+    );
+    return false;
+  }
+
+  if (upstream) {
+    if (await refExists(upstream)) {
+      try {
+        await runGit(["branch", `--set-upstream-to=${upstream}`, branch]);
+      } catch (error) {
+        log(
+          "warn",
+          t("trash.upstreamFailed", { branch, message: error.message }),
+          options
+        );
+      }
+    } else {
+      log("warn", t("trash.upstreamGone", { upstream }), options);
+    }
+  }
+
+  await removeTrashEntry(ref);
+  log("info", t("trash.restored", { branch, sha: sha.slice(0, 7) }), options);
+  return true;
+};
+
+/**
+ * 交互式恢复回收站中的分支
+ * @param {Object} options - 配置选项
+ * @param {boolean} options.debug - 是否打印日志
+ * @returns {Promise<void>}
+ */
+export const restoreBranches = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const entries = await getTrashEntries();
+  log("info", t("trash.entries"), options, entries);
+
+  if (entries.length === 0) {
+    console.info(t("trash.empty"));
+    return;
+  }
+  setResult({ candidates: entries });
+
+  try {
+    requireInteraction(t("trash.interactionHint"));
+    const { selectedEntries } = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "selectedEntries",
+        message: t("trash.select"),
+        choices: entries.map((entry) => ({
+          name: `${entry.branch} ${entry.sha.slice(0, 7)} ${t(
+            "trash.deletedAt",
+            { age: formatAge(entry.deletedAt / 1000) }
+          )} · ${entry.subject}`,
+          value: entry,
+        })),
+        validate: (input) => {
+          if (input.length === 0) {
+            return t("trash.selectOne");
+          }
+          return true;
+        },
+      },
+    ]);
+
+    let successCount = 0;
+    let failCount = 0;
+    const results = [];
+
+    for (const entry of selectedEntries) {
+      const success = await restoreTrashEntry(entry, options);
+      results.push({
+        branch: entry.branch,
+        sha: entry.sha,
+        status: success ? "restored" : "failed",
+      });
+      if (success) {
+        successCount++;
+      } else {
+        failCount++;
+      }
+    }
+    setResult({ results });
+
+    console.info(t("trash.done", { success: successCount, failed: failCount }));
+    if (failCount > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    if (error.name === "ExitPromptError") {
+      process.exit(0);
+    }
+    throw error;
+  }
+};
+
+/**
+ * 清理早于指定时长的回收站条目
+ * @param {Object} options - 配置选项
+ * @param {string} options.olderThan - 时长，如 30d
+ * @param {boolean} options.debug - 是否打印日志
+ * @returns {Promise<void>}
+ */
+export const purgeTrash = async (options = {}) => {
+  const threshold = Date.now() - parseDuration(options.olderThan);
+
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const expired = (await getTrashEntries()).filter(
+    ({ deletedAt }) => deletedAt < threshold
+  );
+
+  if (expired.length === 0) {
+    console.info(t("trash.nothingToPurge"));
+    return;
+  }
+
+  let successCount = 0;
+  const results = [];
+  for (const { ref, branch } of expired) {
+    try {
+      await removeTrashEntry(ref);
+      log("info", t("trash.purged", { branch, ref }), options);
+      successCount++;
+      results.push({ branch, ref, status: "purged" });
+    } catch (error) {
+      log(
+        "error",
+        t("trash.purgeFailed", { ref, message: error.message }),
+        options
+      );
+      results.push({ branch, ref, status: "failed", error: error.message });
+    }
+  }
+  setResult({ results });
+
+  console.info(t("trash.purgeDone", { count: successCount }));
+  if (successCount < expired.length) {
+    process.exitCode = 1;
+  }
+};
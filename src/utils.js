@@ -3,33 +3,12 @@
  * 提供共享的工具函数
  */
 
-import { exec } from "child_process";
-import { promisify } from "util";
-
-/**
- * 执行 Git 命令
- * @param {string} command - Git 命令
- * @returns {Promise<{stdout: string, stderr: string}>} 命令执行结果
- * @throws {Error} 命令执行失败时抛出错误
- */
-const execAsync = promisify(exec);
-
-/**
- * 执行 Git 命令
- * @param {string} command - Git 命令
- * @returns {Promise<{stdout: string, stderr: string}>} 命令执行结果
- * @throws {Error} 命令执行失败时抛出错误
- */
-export const execGitCommand = async (command) => {
-  try {
-    const result = await execAsync(command);
-    return result;
-  } catch (error) {
-    console.error(`执行命令失败: ${command}`);
-    console.error(`错误信息: ${error.message}`);
-    throw error;
-  }
-};
+import path from "path";
+import fs from "fs-extra";
+import { runGit } from "./git.js";
+import { matchBranch } from "./pattern.js";
+import { isJsonMode, recordMessage } from "./output.js";
+import { t } from "./i18n.js";
 
 /**
  * 检查是否是 Git 仓库
@@ -38,13 +17,82 @@ export const execGitCommand = async (command) => {
 export const isGitRepository = async () => {
   try {
     // 判断当前文件是否是git地址
-    await execGitCommand("git rev-parse --is-inside-work-tree");
+    await runGit(["rev-parse", "--is-inside-work-tree"]);
     return true;
   } catch (error) {
     return false;
   }
 };
 
+/**
+ * 获取仓库工作区的根目录
+ * @param {string} [cwd] - 起始目录，默认当前目录
+ * @returns {Promise<string|null>} 根目录的绝对路径，不在仓库中时返回 null
+ */
+export const getRepoRoot = async (cwd) => {
+  const { stdout, exitCode } = await runGit(["rev-parse", "--show-toplevel"], {
+    cwd,
+    reject: false,
+  });
+  return exitCode === 0 ? stdout.trim() : null;
+};
+
+/**
+ * 获取所有工作树
+ * @returns {Promise<Array<{path: string, head: string|null, branch: string|null, bare: boolean, detached: boolean, locked: boolean, prunable: boolean}>>} 工作树列表，第一个为主工作树
+ */
+export const getWorktrees = async () => {
+  const { stdout } = await runGit(["worktree", "list", "--porcelain"]);
+  return stdout
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const worktree = {
+        path: "",
+        head: null,
+        branch: null,
+        bare: false,
+        detached: false,
+        locked: false,
+        prunable: false,
+      };
+      for (const line of block.split("\n")) {
+        const [key, ...rest] = line.split(" ");
+        const value = rest.join(" ");
+        if (key === "worktree") worktree.path = value;
+        else if (key === "HEAD") worktree.head = value;
+        else if (key === "branch")
+          worktree.branch = value.replace(/^refs\/heads\//, "");
+        else if (key === "bare") worktree.bare = true;
+        else if (key === "detached") worktree.detached = true;
+        else if (key === "locked") worktree.locked = true;
+        else if (key === "prunable") worktree.prunable = true;
+      }
+      return worktree;
+    });
+};
+
+/**
+ * 获取在其他工作树中检出的分支，这些分支不能在当前工作树中切换、删除或合并
+ * @returns {Promise<Map<string, string>>} 分支名到工作树路径的映射，不含当前工作树
+ */
+export const getWorktreeBranches = async () => {
+  const root = await getRepoRoot();
+  return new Map(
+    (await getWorktrees())
+      .filter((worktree) => worktree.branch && worktree.path !== root)
+      .map((worktree) => [worktree.branch, worktree.path])
+  );
+};
+
+/**
+ * 生成分支已在其他工作树中检出的说明
+ * @param {string} worktreePath - 工作树路径
+ * @returns {string} 说明文案
+ */
+export const describeWorktree = (worktreePath) =>
+  t("utils.inWorktree", { path: worktreePath });
+
 /**
  * 获取当前分支名称
  * @returns {Promise<string>} 当前分支名称
@@ -52,10 +100,10 @@ export const isGitRepository = async () => {
 export const getCurrentBranch = async () => {
   try {
     // 获取当前分支名
-    const { stdout } = await execGitCommand("git rev-parse --abbrev-ref HEAD");
+    const { stdout } = await runGit(["rev-parse", "--abbrev-ref", "HEAD"]);
     return stdout.trim();
   } catch (error) {
-    console.error("获取当前分支失败");
+    console.error(t("utils.currentBranchFailed"));
     return "";
   }
 };
@@ -66,25 +114,117 @@ export const getCurrentBranch = async () => {
  * @returns {Promise<boolean>} 分支是否存在
  */
 export const branchExists = async (branch) => {
+  const { exitCode } = await runGit(
+    ["show-ref", "--verify", "--quiet", `refs/heads/${branch}`],
+    { reject: false }
+  );
+  return exitCode === 0;
+};
+
+/**
+ * 检查引用是否存在（分支、远程分支、提交等）
+ * @param {string} ref - 引用名称，如 main、origin/main
+ * @returns {Promise<boolean>} 引用是否存在
+ */
+export const refExists = async (ref) => {
+  const { exitCode } = await runGit(
+    ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`],
+    { reject: false }
+  );
+  return exitCode === 0;
+};
+
+/**
+ * 获取已合并到基准分支的本地分支（基准分支包含该分支的全部提交）
+ * @param {string} base - 基准分支，如 main、origin/main
+ * @returns {Promise<Set<string>>} 已合并的本地分支集合
+ */
+export const getMergedBranches = async (base) => {
+  const { stdout } = await runGit([
+    "for-each-ref",
+    `--merged=${base}`,
+    "--format=%(refname:short)",
+    "refs/heads",
+  ]);
+  return new Set(
+    stdout
+      .split("\n")
+      .map((name) => name.trim())
+      .filter(Boolean)
+  );
+};
+
+/** 压缩合并检测创建临时提交时使用的身份 */
+const SQUASH_CHECK_IDENTITY = {
+  GIT_AUTHOR_NAME: "branch-keeper",
+  GIT_AUTHOR_EMAIL: "branch-keeper@localhost",
+  GIT_COMMITTER_NAME: "branch-keeper",
+  GIT_COMMITTER_EMAIL: "branch-keeper@localhost",
+};
+
+/**
+ * 通过补丁等价判断分支是否已以变基或压缩方式合并到基准分支
+ * - rebased: 分支上的每个提交在基准分支上都有等价补丁
+ * - squashed: 分支相对合并基点的整体改动在基准分支上有等价补丁
+ * @param {string} branch - 本地分支名
+ * @param {string} base - 基准分支
+ * @returns {Promise<"rebased"|"squashed"|null>} 合并方式，未合并时返回 null
+ */
+export const getPatchMergeStatus = async (branch, base) => {
   try {
-    await execGitCommand(`git show-ref --verify --quiet refs/heads/${branch}`);
-    return true;
+    // git cherry 输出以 "-" 开头的提交表示基准分支上已有等价补丁
+    const { stdout: cherry } = await runGit(["cherry", base, branch]);
+    const lines = cherry.split("\n").filter(Boolean);
+    if (lines.length > 0 && lines.every((line) => line.startsWith("-"))) {
+      return "rebased";
+    }
+
+    // 把分支的全部改动压成一个临时提交，再判断它是否已出现在基准分支上
+    const { stdout: mergeBase } = await runGit(["merge-base", base, branch]);
+    // 临时提交不会被任何引用指向，固定提交者信息以免用户未配置身份时失败
+    const { stdout: squashed } = await runGit(
+      [
+        "commit-tree",
+        `${branch}^{tree}`,
+        "-p",
+        mergeBase.trim(),
+        "-m",
+        "bk squash check",
+      ],
+      { env: SQUASH_CHECK_IDENTITY }
+    );
+    const { stdout: squashCherry } = await runGit([
+      "cherry",
+      base,
+      squashed.trim(),
+    ]);
+    if (squashCherry.trim().startsWith("-")) {
+      return "squashed";
+    }
   } catch (error) {
-    return false;
+    log(
+      "error",
+      t("utils.mergeStatusFailed", { branch, message: error.message })
+    );
   }
+  return null;
 };
 
 /**
  * 检查是否有未提交的更改
  * @returns {Promise<boolean>} 是否有未提交的更改
  */
-export const hasUncommittedChanges = async () => {
+export const hasUncommittedChanges = async (includeUntracked = true) => {
   try {
     // 会把工作区的改动显露出来 eg: M README.md
-    const { stdout } = await execGitCommand("git status --porcelain");
+    const { stdout } = await runGit(
+      includeUntracked
+        ? ["status", "--porcelain"]
+        : ["status", "--porcelain", "--untracked-files=no"]
+    );
     return stdout.trim().length > 0;
   } catch (error) {
-    console.error("检查工作区状态失败");
+    console.error(t("utils.statusFailed"));
     return true; // 出错时返回 true 以保护工作区
   }
 };
@@ -96,24 +236,68 @@ export const hasUncommittedChanges = async () => {
  */
 export const hasNotPushedCommits = async (branch) => {
   try {
-    const { stdout } = await execGitCommand(
-      `git log ${branch} --not --remotes`
-    );
+    const { stdout } = await runGit(["log", branch, "--not", "--remotes"]);
     return stdout.trim().length > 0;
   } catch (error) {
-    console.error(`检查分支 ${branch} 未推送提交失败`);
+    console.error(t("utils.unpushedFailed", { branch }));
     return true; // 出错时返回 true 以保护分支
   }
 };
 
+/**
+ * 检查分支是否命中规则列表，并在调试日志中输出起作用的规则
+ * @param {string} branch - 分支名
+ * @param {string[]} rules - 规则列表，支持 glob、/regex/ 和 ! 取反
+ * @param {string} label - 规则类型，用于日志
+ * @param {Object} [options] - 日志选项（如 debug）
+ * @returns {boolean} 是否命中
+ */
+export const matchBranchRules = (branch, rules, label, options = {}) => {
+  const { matched, rule } = matchBranch(branch, rules);
+  if (rule) {
+    log(
+      "info",
+      t(matched ? "utils.ruleMatched" : "utils.ruleExcluded", {
+        branch,
+        label,
+        rule,
+      }),
+      options
+    );
+  }
+  return matched;
+};
+
 /**
  * 检查分支是否是保护分支
  * @param {string} branch - 分支名
- * @param {string[]} protectedBranches - 保护分支列表
+ * @param {string[]} protectedBranches - 保护分支规则列表
+ * @param {Object} [options] - 日志选项（如 debug）
  * @returns {boolean} 是否是保护分支
  */
-export const isProtectedBranch = (branch, protectedBranches) => {
-  return protectedBranches.includes(branch);
+export const isProtectedBranch = (branch, protectedBranches, options = {}) => {
+  return matchBranchRules(
+    branch,
+    protectedBranches,
+    t("utils.ruleLabels.protected"),
+    options
+  );
+};
+
+/**
+ * 检查分支是否是忽略分支
+ * @param {string} branch - 分支名
+ * @param {string[]} ignore - 忽略规则列表
+ * @param {Object} [options] - 日志选项（如 debug）
+ * @returns {boolean} 是否是忽略分支
+ */
+export const isIgnoredBranch = (branch, ignore, options = {}) => {
+  return matchBranchRules(
+    branch,
+    ignore,
+    t("utils.ruleLabels.ignore"),
+    options
+  );
 };
 
 /**
@@ -126,6 +310,13 @@ export const isProtectedBranch = (branch, protectedBranches) => {
 export const log = (level, message, options = {}, ...args) => {
   // 只有 debug/info 日志受 debug 控制，error/warn 总是打印
   const alwaysPrint = ["error", "warn"];
+  // JSON 模式下不打印日志，error/warn 记录到结果中
+  if (isJsonMode()) {
+    if (alwaysPrint.includes(level.toLowerCase())) {
+      recordMessage(level.toLowerCase(), message);
+    }
+    return;
+  }
   if (!alwaysPrint.includes(level.toLowerCase()) && options.debug !== true) {
     return;
   }
@@ -141,12 +332,12 @@ export const log = (level, message, options = {}, ...args) => {
  */
 export const checkWorkingDirectory = async (checkCommit = false) => {
   if (!(await isGitRepository())) {
-    console.error("当前目录不是 Git 仓库");
+    console.error(t("utils.notRepo"));
     return false;
   }
 
   if (checkCommit && (await hasUncommittedChanges())) {
-    console.error("工作区有未提交的更改，请先提交或暂存更改");
+    console.error(t("utils.uncommitted"));
     return false;
   }
 
@@ -160,36 +351,249 @@ export const checkWorkingDirectory = async (checkCommit = false) => {
 export const getLocalBranches = async () => {
   try {
     // 获取所有的本地分支
-    const { stdout } = await execGitCommand(
-      "git branch --format='%(refname:short)'"
-    );
-    return stdout
-      .split("\n")
-      .map((name) => name.replace(/^'+|'+$/g, ""))
-      .filter(Boolean);
+    const { stdout } = await runGit(["branch", "--format=%(refname:short)"]);
+    return stdout.split("\n").filter(Boolean);
   } catch (error) {
-    log("error", "获取本地分支列表失败");
+    log("error", t("utils.localBranchesFailed"));
     return [];
   }
 };
 
+/**
+ * 获取远程跟踪分支列表（不含 origin/HEAD 等符号引用）
+ * @returns {Promise<Array<{remote: string, branch: string, name: string, committerDate: number}>>}
+ * 远程分支列表，branch 为在远程的分支名，name 为完整名称，如 origin/feature/a，
+ * committerDate 为最后一次提交的时间戳（秒）
+ */
+export const getRemoteBranches = async () => {
+  const { stdout: remoteOutput } = await runGit(["remote"]);
+  // 按名称从长到短匹配，避免 a 与 a/b 这类远程名称互相混淆
+  const remotes = remoteOutput
+    .split("\n")
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  const { stdout } = await runGit([
+    "for-each-ref",
+    "--format=%(refname)%09%(symref)%09%(committerdate:unix)",
+    "refs/remotes/",
+  ]);
+  return stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => line.split("\t"))
+    .filter(([, symref]) => !symref)
+    .map(([ref, , committerDate]) => {
+      const remote = remotes.find((r) => ref.startsWith(`refs/remotes/${r}/`));
+      if (!remote) return null;
+      const branch = ref.slice(`refs/remotes/${remote}/`.length);
+      return {
+        remote,
+        branch,
+        name: `${remote}/${branch}`,
+        committerDate: Number(committerDate),
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * 批量获取本地分支详情（一次 for-each-ref 查询）
+ * @returns {Promise<Array<{branch: string, upstream: string, remote: string, remoteBranch: string, track: string, committerDate: number, author: string, subject: string}>>}
+ * 分支详情列表，remote/remoteBranch 为上游所在的远程仓库及其在远程的分支名，
+ * committerDate 为最后一次提交的时间戳（秒），track 形如 "[ahead 1]"、"[gone]"
+ */
+export const getBranchInfos = async () => {
+  const fields = [
+    "%(refname:short)",
+    "%(upstream:short)",
+    "%(upstream:remotename)",
+    "%(upstream:remoteref)",
+    "%(upstream:track)",
+    "%(committerdate:unix)",
+    "%(authorname)",
+    "%(contents:subject)",
+  ];
+  const { stdout } = await runGit([
+    "for-each-ref",
+    `--format=${fields.join("%09")}`,
+    "refs/heads",
+  ]);
+  return stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [
+        branch,
+        upstream,
+        remote,
+        remoteRef,
+        track,
+        committerDate,
+        author,
+        ...subject
+      ] = line.split("\t");
+      return {
+        branch,
+        upstream,
+        remote,
+        remoteBranch: remoteRef.replace(/^refs\/heads\//, ""),
+        track,
+        committerDate: Number(committerDate),
+        author,
+        subject: subject.join("\t"),
+      };
+    });
+};
+
+/**
+ * 解析 %(upstream:track) 的输出
+ * @param {string} track - 如 "[ahead 1, behind 2]"、"[gone]"，与上游一致或没有上游时为空字符串
+ * @returns {{ahead: number, behind: number, gone: boolean}} 领先、落后的提交数及上游是否已删除
+ */
+export const parseTrack = (track = "") => ({
+  ahead: Number(/ahead (\d+)/.exec(track)?.[1] ?? 0),
+  behind: Number(/behind (\d+)/.exec(track)?.[1] ?? 0),
+  gone: track === "[gone]",
+});
+
+/**
+ * 格式化与上游的差异
+ * @param {number} ahead - 领先的提交数
+ * @param {number} behind - 落后的提交数
+ * @returns {string} 如 "↑1 ↓2"，没有差异的一侧省略
+ */
+export const formatAheadBehind = (ahead, behind) =>
+  [ahead && `↑${ahead}`, behind && `↓${behind}`].filter(Boolean).join(" ");
+
 /**
  * 删除分支
  * @param {string} branch - 分支名
  * @param {boolean} force - 是否强制删除
- * @returns {Promise<boolean>} 是否删除成功
+ * @returns {Promise<Object>} 回收站条目（含删除前的 sha）
+ * @throws {Error} 备份或删除失败时抛出，错误信息包含失败原因
  */
 export const deleteBranch = async (branch, force = false) => {
+  // 删除前先把分支备份到回收站，失败时不删除
+  let entry;
   try {
-    const command = force
-      ? `git branch -D ${branch}`
-      : `git branch -d ${branch}`;
-    await execGitCommand(command);
-    log("info", `成功删除分支: ${branch}`);
-    return true;
+    entry = await trashBranch(branch);
+    log("info", t("utils.backedUp", { branch, ref: entry.ref }));
   } catch (error) {
-    log("error", `删除分支 ${branch} 失败: ${error.message}`);
-    return false;
+    throw new Error(
+      t("utils.backupFailed", { branch, message: error.message })
+    );
+  }
+
+  try {
+    await runGit(["branch", force ? "-D" : "-d", branch]);
+    log("info", t("utils.deleted", { branch }));
+    return entry;
+  } catch (error) {
+    // 分支仍然存在，不需要保留备份
+    await removeTrashEntry(entry.ref).catch(() => {});
+    const reason = error.stderr?.trim().split("\n")[0] || error.message;
+    throw new Error(t("utils.deleteFailed", { branch, reason }));
+  }
+};
+
+/** 回收站引用的命名空间 */
+export const TRASH_REF_PREFIX = "refs/bk-trash/";
+
+/**
+ * 获取 branch-keeper 的数据目录（位于 git 公共目录下，多个工作树共享），不存在时自动创建
+ * @returns {Promise<string>} 数据目录的绝对路径
+ */
+export const getBkDir = async () => {
+  const { stdout } = await runGit(["rev-parse", "--git-common-dir"]);
+  const dir = path.resolve(process.cwd(), stdout.trim(), "branch-keeper");
+  await fs.ensureDir(dir);
+  return dir;
+};
+
+/**
+ * 读取回收站元数据文件
+ * @returns {Promise<{file: string, data: Object<string, Object>}>} 文件路径及以引用名为键的元数据
+ */
+const readTrashMeta = async () => {
+  const file = path.join(await getBkDir(), "trash.json");
+  const data = (await fs.pathExists(file)) ? await fs.readJson(file) : {};
+  return { file, data };
+};
+
+/**
+ * 把分支的最新提交保存到回收站引用 refs/bk-trash/<branch>/<timestamp>，并记录上游等元数据
+ * @param {string} branch - 分支名
+ * @returns {Promise<{ref: string, branch: string, sha: string, upstream: string, subject: string, deletedAt: number}>} 回收站条目
+ * @throws {Error} 分支不存在或写入引用失败时抛出错误
+ */
+export const trashBranch = async (branch) => {
+  const { stdout } = await runGit([
+    "for-each-ref",
+    "--format=%(objectname)%09%(upstream:short)%09%(contents:subject)",
+    `refs/heads/${branch}`,
+  ]);
+  if (!stdout.trim()) {
+    throw new Error(t("utils.branchNotFound", { branch }));
+  }
+  const [sha, upstream, ...subject] = stdout.trim().split("\t");
+  const deletedAt = Date.now();
+  const ref = `${TRASH_REF_PREFIX}${branch}/${deletedAt}`;
+  await runGit(["update-ref", ref, sha]);
+
+  const entry = {
+    ref,
+    branch,
+    sha,
+    upstream,
+    subject: subject.join("\t"),
+    deletedAt,
+  };
+  const { file, data } = await readTrashMeta();
+  data[ref] = entry;
+  await fs.writeJson(file, data, { spaces: 2 });
+  return entry;
+};
+
+/**
+ * 获取回收站中的所有条目，按删除时间倒序
+ * @returns {Promise<Array<{ref: string, branch: string, sha: string, upstream: string, subject: string, deletedAt: number}>>} 回收站条目
+ */
+export const getTrashEntries = async () => {
+  const { stdout } = await runGit([
+    "for-each-ref",
+    "--format=%(refname)%09%(objectname)%09%(contents:subject)",
+    TRASH_REF_PREFIX,
+  ]);
+  const { data } = await readTrashMeta();
+  return stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [ref, sha, ...subject] = line.split("\t");
+      // 元数据丢失时从引用名还原分支名和删除时间
+      const name = ref.slice(TRASH_REF_PREFIX.length);
+      const fallback = {
+        branch: name.slice(0, name.lastIndexOf("/")),
+        upstream: "",
+        subject: subject.join("\t"),
+        deletedAt: Number(name.slice(name.lastIndexOf("/") + 1)),
+      };
+      return { ...fallback, ...data[ref], ref, sha };
+    })
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+/**
+ * 删除回收站条目（引用及元数据）
+ * @param {string} ref - 回收站引用名
+ * @returns {Promise<void>}
+ */
+export const removeTrashEntry = async (ref) => {
+  await runGit(["update-ref", "-d", ref]);
+  const { file, data } = await readTrashMeta();
+  if (data[ref]) {
+    delete data[ref];
+    await fs.writeJson(file, data, { spaces: 2 });
   }
 };
 
@@ -203,14 +607,18 @@ export const updateRemoteBranch = async (silent, options) => {
   // 先执行 git fetch -p 更新远程分支信息
   try {
     if (!silent) {
-      log("info", "正在更新远程分支信息...", options);
+      log("info", t("utils.updatingRemotes"), options);
     }
-    await execGitCommand("git fetch -p");
+    await runGit(["fetch", "-p"]);
     if (!silent) {
-      log("info", "远程分支信息更新完成", options);
+      log("info", t("utils.remotesUpdated"), options);
     }
   } catch (error) {
-    log("error", `更新远程分支信息失败: ${error.message}`, options);
+    log(
+      "error",
+      t("utils.updateRemotesFailed", { message: error.message }),
+      options
+    );
     return;
   }
 };
@@ -228,18 +636,22 @@ export const checkoutBranch = async (branch, options, force = false) => {
     // 检查是否有未提交的更改
     if (await hasUncommittedChanges()) {
       if (!force) {
-        console.warn("工作区有未提交的更改，请先提交或暂存更改");
+        console.warn(t("utils.uncommitted"));
         return false;
       }
       // 强制切换时，先重置工作区
-      await execGitCommand("git reset --hard");
+      await runGit(["reset", "--hard"]);
     }
 
     // 执行切换分支命令
-    await execGitCommand(`git checkout ${branch}`);
+    await runGit(["checkout", branch]);
     return true;
   } catch (error) {
-    log("error", `切换分支失败: ${error.message}`, options);
+    log(
+      "error",
+      t("utils.checkoutFailed", { message: error.message }),
+      options
+    );
     return false;
   }
 };
@@ -249,18 +661,25 @@ export const checkoutBranch = async (branch, options, force = false) => {
  * @param {string} message - 暂存信息
  * @param {Object} options - 配置选项
  * @param {boolean} options.debug - 是否打印调试日志
+ * @param {boolean} [includeUntracked] - 是否同时暂存未跟踪的文件
  * @returns {Promise<boolean>} 是否暂存成功
  */
-export const stashChanges = async (message = "", options = {}) => {
+export const stashChanges = async (
+  message = "",
+  options = {},
+  includeUntracked = false
+) => {
   try {
-    const command = message
-      ? `git stash push -m "${message}"`
-      : "git stash push";
-    await execGitCommand(command);
-    log("info", "成功暂存工作区更改", options);
+    await runGit([
+      "stash",
+      "push",
+      ...(includeUntracked ? ["--include-untracked"] : []),
+      ...(message ? ["-m", message] : []),
+    ]);
+    log("info", t("utils.stashed"), options);
     return true;
   } catch (error) {
-    log("error", `暂存工作区更改失败: ${error.message}`, options);
+    log("error", t("utils.stashFailed", { message: error.message }), options);
     return false;
   }
 };
@@ -269,38 +688,189 @@ export const stashChanges = async (message = "", options = {}) => {
  * 恢复暂存的更改
  * @param {Object} options - 配置选项
  * @param {boolean} options.debug - 是否打印调试日志
+ * @param {number} [index] - 暂存序号，默认恢复最近一次暂存
  * @returns {Promise<boolean>} 是否恢复成功
  */
-export const popStash = async (options = {}) => {
+export const popStash = async (options = {}, index) => {
   try {
-    await execGitCommand("git stash pop");
-    log("info", "成功恢复暂存的更改", options);
+    await runGit(
+      index === undefined
+        ? ["stash", "pop"]
+        : ["stash", "pop", `stash@{${index}}`]
+    );
+    log("info", t("utils.unstashed"), options);
     return true;
   } catch (error) {
-    log("error", `恢复暂存的更改失败: ${error.message}`, options);
+    log("error", t("utils.unstashFailed", { message: error.message }), options);
     return false;
   }
 };
 
 /**
  * 获取暂存列表
- * @returns {Promise<Array<{index: number, message: string}>>} 暂存列表
+ * @returns {Promise<Array<{index: number, sha: string, message: string}>>} 暂存列表
  */
 export const getStashList = async () => {
   try {
-    const { stdout } = await execGitCommand("git stash list --format='%gd %s'");
+    const { stdout } = await runGit(["stash", "list", "--format=%gd %H %s"]);
     return stdout
       .split("\n")
       .filter(Boolean)
       .map((line) => {
-        const [index, ...messageParts] = line.split(" ");
+        const [index, sha, ...messageParts] = line.split(" ");
         return {
           index: parseInt(index.replace("stash@{", "").replace("}", "")),
+          sha,
           message: messageParts.join(" "),
         };
       });
   } catch (error) {
-    log("error", "获取暂存列表失败");
+    log("error", t("utils.stashListFailed"));
     return [];
   }
 };
+
+/** 自动暂存的信息前缀，后面接暂存时所在的分支名 */
+export const AUTOSTASH_PREFIX = "bk-autostash:";
+
+/**
+ * 查找分支最近一次的自动暂存
+ * @param {string} branch - 分支名
+ * @returns {Promise<{index: number, sha: string, message: string}|null>} 暂存，不存在时返回 null
+ */
+export const findAutostash = async (branch) => {
+  // 暂存信息形如 "On main: bk-autostash:main"
+  const suffix = `${AUTOSTASH_PREFIX}${branch}`;
+  const stashes = await getStashList();
+  return (
+    stashes.find(
+      ({ message }) => message === suffix || message.endsWith(`: ${suffix}`)
+    ) ?? null
+  );
+};
+
+/** 时长单位对应的毫秒数 */
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * 解析时长字符串，如 12h、30d、6w、3m、1y
+ * @param {string} value - 时长字符串
+ * @returns {number} 毫秒数
+ * @throws {Error} 格式不合法时抛出错误
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([hdwmy])$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(t("utils.invalidDuration", { value }));
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+/**
+ * 把时间戳格式化为距今的时长描述
+ * @param {number} timestamp - 时间戳（秒）
+ * @returns {string} 如 "3 小时前"、"45 天前"
+ */
+export const formatAge = (timestamp) => {
+  const diff = Date.now() - timestamp * 1000;
+  if (diff < DURATION_UNITS.d) {
+    const count = Math.max(0, Math.floor(diff / DURATION_UNITS.h));
+    return t("utils.hoursAgo", { count });
+  }
+  if (diff < DURATION_UNITS.y) {
+    return t("utils.daysAgo", { count: Math.floor(diff / DURATION_UNITS.d) });
+  }
+  return t("utils.yearsAgo", { count: Math.floor(diff / DURATION_UNITS.y) });
+};
+
+/**
+ * 获取存在冲突（未合并）的文件
+ * @returns {Promise<string[]>} 冲突文件列表
+ */
+export const getConflictedFiles = async () => {
+  const { stdout } = await runGit(["diff", "--name-only", "--diff-filter=U"]);
+  return stdout.split("\n").filter(Boolean);
+};
+
+/**
+ * 获取多步操作（如 merge）的状态文件路径，用于 --continue / --abort
+ * @param {string} name - 操作名称
+ * @returns {Promise<string>} 状态文件路径
+ */
+const getStateFile = async (name) =>
+  path.join(await getBkDir(), `${name}-state.json`);
+
+/**
+ * 读取未完成的多步操作的状态
+ * @param {string} name - 操作名称
+ * @returns {Promise<Object|null>} 状态，没有未完成的操作时返回 null
+ */
+export const readState = async (name) => {
+  const file = await getStateFile(name);
+  return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+};
+
+/**
+ * 保存多步操作的状态
+ * @param {string} name - 操作名称
+ * @param {Object} state - 状态
+ * @returns {Promise<void>}
+ */
+export const writeState = async (name, state) =>
+  fs.writeJson(await getStateFile(name), state, { spaces: 2 });
+
+/**
+ * 清除多步操作的状态
+ * @param {string} name - 操作名称
+ * @returns {Promise<void>}
+ */
+export const clearState = async (name) => fs.remove(await getStateFile(name));
+
+/**
+ * 计算字符串在终端中的显示宽度，中文等全角字符占两列
+ * @param {string} text - 字符串
+ * @returns {number} 显示宽度
+ */
+export const displayWidth = (text) =>
+  [...String(text)].reduce(
+    (width, char) =>
+      width +
+      (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(
+        char
+      )
+        ? 2
+        : 1),
+    0
+  );
+
+/**
+ * 把数据格式化为对齐的文本表格
+ * @param {string[]} headers - 表头
+ * @param {Array<Array<string|number>>} rows - 数据行
+ * @returns {string} 表格文本
+ */
+export const formatTable = (headers, rows) => {
+  const widths = headers.map((header, i) =>
+    Math.max(displayWidth(header), ...rows.map((row) => displayWidth(row[i])))
+  );
+  const formatRow = (cells) =>
+    cells
+      .map((cell, i) =>
+        i === cells.length - 1
+          ? String(cell)
+          : `${cell}${" ".repeat(widths[i] - displayWidth(cell))}`
+      )
+      .join("  ")
+      .trimEnd();
+  return [
+    formatRow(headers),
+    formatRow(widths.map((width) => "-".repeat(width))),
+    ...rows.map(formatRow),
+  ].join("\n");
+};
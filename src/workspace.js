@@ -0,0 +1,494 @@
+/**
+ * 多仓库模块
+ * 在多个仓库中并发执行 list 和 clean：每个仓库启动一个以 --json 运行的 bk 子进程，汇总各仓库的结果后统一展示
+ * clean 先在所有仓库中只列出候选分支，确认一次后再删除，每个仓库只删除确认过的分支
+ */
+
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import fs from "fs-extra";
+import ora from "ora";
+import inquirer from "inquirer";
+import { formatAge, log } from "./utils.js";
+import { compileRule } from "./pattern.js";
+import { formatBranchTable } from "./list.js";
+import { describeReason } from "./clean.js";
+import { getLocale, t } from "./i18n.js";
+import { isJsonMode, setResult, requireInteraction } from "./output.js";
+
+/** 扫描工作区目录时的最大深度，找到仓库后不再进入其子目录 */
+const MAX_SCAN_DEPTH = 3;
+
+/** 扫描时跳过的目录 */
+const SKIP_DIRS = ["node_modules"];
+
+/** 子进程输出缓冲区大小，分支很多时 JSON 结果可能较大 */
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/** 多仓库模式自身的选项，不传给子进程；值为选项是否带参数 */
+const WORKSPACE_OPTIONS = new Map([
+  ["--repos", true],
+  ["--workspace", true],
+  ["--concurrency", true],
+  ["--json", false],
+]);
+
+/**
+ * 展开路径开头的 ~
+ * @param {string} value - 路径
+ * @returns {string} 展开后的路径
+ */
+const expandHome = (value) =>
+  value === "~" || value.startsWith("~/")
+    ? path.join(os.homedir(), value.slice(1))
+    : value;
+
+/**
+ * 是否是 Git 仓库的工作区根目录（.git 为目录，或工作树、子模块中的 .git 文件）
+ * @param {string} dir - 目录
+ * @returns {Promise<boolean>} 是否是仓库
+ */
+const isRepo = (dir) => fs.pathExists(path.join(dir, ".git"));
+
+/**
+ * 列出目录下的子目录，跳过隐藏目录和 node_modules
+ * @param {string} dir - 目录
+ * @returns {Promise<string[]>} 子目录名，目录不存在时为空数组
+ */
+const listDirs = async (dir) => {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          !entry.name.startsWith(".") &&
+          !SKIP_DIRS.includes(entry.name)
+      )
+      .map((entry) => entry.name);
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * 列出目录本身及其所有子目录，不进入仓库内部
+ * @param {string} dir - 目录
+ * @param {number} [depth] - 当前深度
+ * @returns {Promise<string[]>} 目录的绝对路径
+ */
+const walkDirs = async (dir, depth = 0) => {
+  const dirs = [dir];
+  if (depth >= MAX_SCAN_DEPTH || (await isRepo(dir))) return dirs;
+  for (const name of await listDirs(dir)) {
+    dirs.push(...(await walkDirs(path.join(dir, name), depth + 1)));
+  }
+  return dirs;
+};
+
+/**
+ * 展开仓库路径中的 glob，* 和 ? 匹配一层目录，** 匹配任意层目录
+ * @param {string} pattern - 路径或 glob，如 ~/code/*
+ * @returns {Promise<string[]>} 匹配的目录
+ */
+const expandGlob = async (pattern) => {
+  const absolute = path.resolve(expandHome(pattern));
+  if (!/[*?]/.test(absolute)) return [absolute];
+
+  const { root } = path.parse(absolute);
+  let dirs = [root];
+  for (const segment of absolute.slice(root.length).split(path.sep)) {
+    if (!segment) continue;
+    if (!/[*?]/.test(segment)) {
+      dirs = dirs.map((dir) => path.join(dir, segment));
+      continue;
+    }
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === "**") {
+        next.push(...(await walkDirs(dir)));
+        continue;
+      }
+      const { test } = compileRule(segment);
+      next.push(
+        ...(await listDirs(dir))
+          .filter((name) => test(name))
+          .map((name) => path.join(dir, name))
+      );
+    }
+    dirs = next;
+  }
+  return dirs;
+};
+
+/**
+ * 查找要处理的仓库
+ * @param {Object} options - 配置选项
+ * @param {string[]} [options.repos] - 仓库路径或 glob
+ * @param {string} [options.workspace] - 工作区目录，查找其中的所有仓库
+ * @returns {Promise<string[]>} 仓库的绝对路径，已去重并排序
+ */
+export const findRepos = async ({ repos = [], workspace } = {}) => {
+  const found = [];
+  if (workspace) {
+    for (const dir of await walkDirs(path.resolve(expandHome(workspace)))) {
+      if (await isRepo(dir)) found.push(dir);
+    }
+  }
+  for (const pattern of repos) {
+    for (const dir of await expandGlob(pattern)) {
+      if (await isRepo(dir)) {
+        found.push(dir);
+      } else if (!/[*?]/.test(pattern)) {
+        console.warn(`⚠️  ${t("workspace.notRepo", { dir })}`);
+      }
+    }
+  }
+  return [...new Set(found)].sort();
+};
+
+/**
+ * 从命令行参数中去掉多仓库模式自身的选项，剩下的参数原样传给每个仓库的子进程
+ * @param {string[]} argv - 命令行参数，不含 node 和脚本路径
+ * @returns {string[]} 传给子进程的参数
+ */
+export const stripWorkspaceArgs = (argv) => {
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const [name] = argv[i].split("=");
+    if (!WORKSPACE_OPTIONS.has(name)) {
+      args.push(argv[i]);
+      continue;
+    }
+    if (argv[i].includes("=") || !WORKSPACE_OPTIONS.get(name)) continue;
+    // 跳过选项的值，--repos 可以有多个值
+    while (i + 1 < argv.length && !argv[i + 1].startsWith("-")) {
+      i++;
+      if (name !== "--repos") break;
+    }
+  }
+  return args;
+};
+
+/**
+ * 以有限的并发数依次处理列表中的每一项
+ * @param {any[]} items - 列表
+ * @param {number} limit - 最大并发数
+ * @param {(item: any, index: number) => Promise<any>} fn - 处理函数
+ * @returns {Promise<any[]>} 与列表顺序一致的结果
+ */
+export const mapWithLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+/**
+ * 在仓库中以 --json 模式运行 bk
+ * @param {string} repo - 仓库路径
+ * @param {string[]} args - bk 的参数
+ * @returns {Promise<Object>} 子进程输出的 JSON 结果，无法解析时为包含错误信息的结果
+ */
+const runBk = (repo, args) =>
+  new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      // 子进程使用与当前进程相同的语言，以便汇总的警告和错误语言一致
+      [
+        ...process.execArgv,
+        process.argv[1],
+        ...args,
+        "--json",
+        "--lang",
+        getLocale(),
+      ],
+      {
+        cwd: repo,
+        maxBuffer: MAX_BUFFER,
+        windowsHide: true,
+        env: { ...process.env, FORCE_COLOR: "0" },
+      },
+      (error, stdout, stderr) => {
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (parseError) {
+          resolve({
+            ok: false,
+            exitCode: typeof error?.code === "number" ? error.code : 1,
+            errors: [stderr.trim() || error?.message || parseError.message],
+            warnings: [],
+          });
+        }
+      }
+    );
+  });
+
+/**
+ * 获取仓库的展示名称：位于当前目录下时为相对路径，否则为绝对路径
+ * @param {string} repo - 仓库路径
+ * @returns {string} 展示名称
+ */
+const displayName = (repo) => {
+  const relative = path.relative(process.cwd(), repo);
+  return relative && !relative.startsWith("..") ? relative : repo;
+};
+
+/**
+ * 在多个仓库中并发运行 bk，显示进度
+ * @param {string[]} repos - 仓库路径
+ * @param {(repo: string) => string[]} buildArgs - 生成每个仓库的 bk 参数
+ * @param {Object} options - 配置选项
+ * @param {number} options.concurrency - 最大并发数
+ * @param {string} text - 进度提示
+ * @returns {Promise<Object[]>} 每个仓库的结果，包含 repo、name 以及子进程输出的 JSON 字段
+ */
+const runInRepos = async (repos, buildArgs, options, text) => {
+  const spinner = ora({
+    text: `${text} 0/${repos.length}`,
+    discardStdin: false,
+    isSilent: isJsonMode(),
+  }).start();
+  let done = 0;
+  const results = await mapWithLimit(
+    repos,
+    options.concurrency,
+    async (repo) => {
+      const args = buildArgs(repo);
+      log("info", `${repo}: bk ${args.join(" ")}`, options);
+      const result = await runBk(repo, args);
+      done++;
+      spinner.text = `${text} ${done}/${repos.length}`;
+      return { ...result, repo, name: displayName(repo) };
+    }
+  );
+  spinner.stop();
+  return results;
+};
+
+/**
+ * 转换为 --json 输出中每个仓库的结果
+ * @param {Object} result - runInRepos 返回的结果
+ * @returns {Object} 仓库结果
+ */
+const toReport = ({ repo, name, command, ...rest }) => ({
+  path: repo,
+  ...rest,
+});
+
+/**
+ * 输出仓库的标题以及子进程的错误和警告
+ * @param {Object} result - runInRepos 返回的结果
+ */
+const printRepo = ({ name, errors = [], warnings = [] }) => {
+  console.info(`\n📁 ${name}`);
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+  errors.forEach((error) => console.error(`❌ ${error}`));
+};
+
+/**
+ * 查找仓库并校验多仓库选项
+ * @param {Object} options - 配置选项，见 listAcrossRepos
+ * @returns {Promise<string[]|null>} 仓库路径，出错时返回 null
+ */
+const resolveRepos = async (options) => {
+  const { repos = [], workspace, concurrency } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(t("workspace.invalidConcurrency", { concurrency }));
+    return null;
+  }
+  if (!workspace && repos.length === 0) {
+    console.error(t("workspace.noRepos"));
+    return null;
+  }
+  const found = await findRepos({ repos, workspace });
+  log("info", t("workspace.repos"), options, found);
+  if (found.length === 0) {
+    console.error(t("workspace.notFound"));
+    return null;
+  }
+  return found;
+};
+
+/**
+ * 在多个仓库中列出分支概览，按仓库分组展示
+ * @param {string[]} args - 传给每个仓库的 bk 参数，如 ["list", "--merged"]
+ * @param {Object} options - 配置选项
+ * @param {string[]} [options.repos] - 仓库路径或 glob
+ * @param {string} [options.workspace] - 工作区目录
+ * @param {number} options.concurrency - 同时处理的仓库数
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const listAcrossRepos = async (args, options) => {
+  const repos = await resolveRepos(options);
+  if (!repos) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const results = await runInRepos(
+    repos,
+    () => args,
+    options,
+    t("workspace.listing")
+  );
+  setResult({ repos: results.map(toReport) });
+
+  let branchCount = 0;
+  for (const result of results) {
+    printRepo(result);
+    if (!result.branches) continue;
+    branchCount += result.branches.length;
+    console.info(
+      result.branches.length > 0
+        ? formatBranchTable(result.branches, result.base)
+        : t("list.empty")
+    );
+  }
+
+  const failCount = results.filter(({ ok }) => !ok).length;
+  console.info(
+    `\n${t("workspace.listSummary", {
+      count: repos.length,
+      branches: branchCount,
+    })}${failCount > 0 ? t("workspace.failedRepos", { count: failCount }) : ""}`
+  );
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * 在多个仓库中清理本地分支：先汇总所有仓库的候选分支，确认一次后并发删除
+ * @param {string[]} args - 传给每个仓库的 bk 参数，如 ["clean", "--merged"]
+ * @param {Object} options - 配置选项
+ * @param {string[]} [options.repos] - 仓库路径或 glob
+ * @param {string} [options.workspace] - 工作区目录
+ * @param {number} options.concurrency - 同时处理的仓库数
+ * @param {boolean} options.listOnly - 是否只列出要删除的分支
+ * @param {boolean} options.confirm - 删除前是否确认
+ * @param {boolean} options.silent - 是否静默模式，不确认
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const cleanAcrossRepos = async (args, options) => {
+  const { listOnly = false, confirm = true, silent = false } = options;
+  const repos = await resolveRepos(options);
+  if (!repos) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const scanned = await runInRepos(
+    repos,
+    () => [...args, "--list-only"],
+    options,
+    t("workspace.scanning")
+  );
+  setResult({ listOnly, repos: scanned.map(toReport) });
+
+  const targets = scanned.filter(({ candidates = [] }) => candidates.length);
+  const total = targets.reduce(
+    (sum, { candidates }) => sum + candidates.length,
+    0
+  );
+  for (const result of scanned) {
+    const { candidates = [], errors = [], warnings = [] } = result;
+    if (candidates.length + errors.length + warnings.length === 0) continue;
+    printRepo(result);
+    candidates.forEach(({ branch, reason, committerDate, subject }) =>
+      console.info(
+        `- ${branch} (${describeReason(reason)}) ${formatAge(
+          committerDate
+        )} · ${subject}`
+      )
+    );
+  }
+  const scanFailed = scanned.some(({ ok }) => !ok);
+  if (scanFailed) {
+    process.exitCode = 1;
+  }
+
+  if (total === 0) {
+    console.info(t("workspace.noCandidates", { count: repos.length }));
+    return;
+  }
+  console.info(
+    `\n${t("workspace.found", {
+      count: total,
+      repos: targets.length,
+      scanned: repos.length,
+    })}`
+  );
+  if (listOnly) return;
+
+  if (confirm && !silent) {
+    requireInteraction(t("clean.interactionHint"));
+    try {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirmed",
+          message: t("workspace.confirm", {
+            count: total,
+            repos: targets.length,
+          }),
+          default: false,
+        },
+      ]);
+      if (!confirmed) {
+        log("info", t("common.cancelled"), options);
+        return;
+      }
+    } catch (error) {
+      if (error.name === "ExitPromptError") return;
+      throw error;
+    }
+  }
+
+  const branchesByRepo = new Map(
+    targets.map(({ repo, candidates }) => [
+      repo,
+      candidates.map(({ branch }) => branch),
+    ])
+  );
+  const cleaned = await runInRepos(
+    [...branchesByRepo.keys()],
+    (repo) => [...args, "--no-confirm", "--only", ...branchesByRepo.get(repo)],
+    options,
+    t("workspace.deleting")
+  );
+  setResult({ results: cleaned.map(toReport) });
+
+  let successCount = 0;
+  let failCount = 0;
+  for (const result of cleaned) {
+    const { results = [], errors = [] } = result;
+    const failed = results.filter(({ status }) => status === "failed");
+    successCount += results.length - failed.length;
+    failCount += failed.length;
+    if (failed.length > 0 || errors.length > 0) {
+      printRepo({ ...result, warnings: [] });
+    }
+  }
+  console.info(
+    `\n${t("workspace.done", {
+      repos: cleaned.length,
+      success: successCount,
+      failed: failCount,
+    })}`
+  );
+  if (failCount > 0 || cleaned.some(({ ok }) => !ok)) {
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,377 @@
+/**
+ * 工作树模块
+ * 按分支创建、列出和清理工作树，并在分支已在其他工作树中检出时提供进入该工作树的方式
+ */
+
+import { spawn } from "child_process";
+import path from "path";
+import inquirer from "inquirer";
+import {
+  branchExists,
+  checkWorkingDirectory,
+  describeWorktree,
+  formatTable,
+  getBranchInfos,
+  getMergedBranches,
+  getPatchMergeStatus,
+  getRemoteBranches,
+  getRepoRoot,
+  getWorktrees,
+  log,
+  parseTrack,
+  refExists,
+} from "./utils.js";
+import { runGit } from "./git.js";
+import { t } from "./i18n.js";
+import { canInteract, setResult, requireInteraction } from "./output.js";
+
+/**
+ * 取错误输出的最后一行，git 的失败原因通常在最后
+ * @param {string} stderr - 错误输出
+ * @returns {string} 失败原因
+ */
+const lastLine = (stderr) =>
+  stderr
+    .trim()
+    .split("\n")
+    .pop()
+    .replace(/^(fatal|error): /, "");
+
+/**
+ * 根据配置的目录计算分支的工作树路径
+ * @param {string} branch - 分支名
+ * @param {string} dir - 工作树目录，相对于主工作树，{repo} 会替换为主工作树的目录名
+ * @returns {Promise<string>} 工作树的绝对路径
+ */
+const resolveWorktreePath = async (branch, dir) => {
+  const [main] = await getWorktrees();
+  const root = main.path;
+  return path.resolve(
+    root,
+    dir.replace(/\{repo\}/g, path.basename(root)),
+    branch
+  );
+};
+
+/**
+ * 提示进入工作树：终端中询问是否在该目录打开新的 shell，否则给出 cd 命令
+ * @param {string} worktreePath - 工作树路径
+ * @returns {Promise<void>}
+ */
+export const enterWorktree = async (worktreePath) => {
+  const hint = t("worktree.cdHint", { path: JSON.stringify(worktreePath) });
+  if (!canInteract()) {
+    console.info(hint);
+    return;
+  }
+
+  let open;
+  try {
+    ({ open } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "open",
+        message: t("worktree.openShell"),
+        default: true,
+      },
+    ]));
+  } catch (error) {
+    if (error.name === "ExitPromptError") return;
+    throw error;
+  }
+  if (!open) {
+    console.info(hint);
+    return;
+  }
+
+  const shell =
+    process.env.SHELL ||
+    (process.platform === "win32"
+      ? process.env.COMSPEC || "cmd.exe"
+      : "/bin/sh");
+  await new Promise((resolve) => {
+    const child = spawn(shell, [], { cwd: worktreePath, stdio: "inherit" });
+    child.on("exit", resolve);
+    child.on("error", (error) => {
+      console.error(t("worktree.shellFailed", { message: error.message }));
+      console.info(hint);
+      resolve();
+    });
+  });
+};
+
+/**
+ * 为分支创建工作树，本地不存在的分支从唯一匹配的远程分支创建跟踪分支
+ * @param {string} branch - 分支名
+ * @param {string} [worktreePath] - 工作树路径，默认为配置的目录下与分支同名的目录
+ * @param {Object} options - 配置选项
+ * @param {string} options.dir - 工作树目录，相对于主工作树，支持 {repo}
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const addWorktree = async (branch, worktreePath, options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const existing = (await getWorktrees()).find((w) => w.branch === branch);
+  if (existing) {
+    console.info(
+      t("switch.inWorktree", {
+        branch,
+        worktree: describeWorktree(existing.path),
+      })
+    );
+    setResult({ branch, path: existing.path, created: false });
+    await enterWorktree(existing.path);
+    return;
+  }
+
+  const target = worktreePath
+    ? path.resolve(worktreePath)
+    : await resolveWorktreePath(branch, options.dir);
+
+  let args;
+  if (await branchExists(branch)) {
+    args = ["worktree", "add", target, branch];
+  } else {
+    const remotes = (await getRemoteBranches()).filter(
+      (remoteBranch) => remoteBranch.branch === branch
+    );
+    if (remotes.length === 0) {
+      console.error(`❌ ${t("worktree.branchNotFound", { branch })}`);
+      process.exitCode = 1;
+      return;
+    }
+    if (remotes.length > 1) {
+      console.error(
+        `❌ ${t("worktree.ambiguousRemote", {
+          branch,
+          remotes: remotes.map(({ name }) => name).join(", "),
+        })}`
+      );
+      process.exitCode = 1;
+      return;
+    }
+    args = [
+      "worktree",
+      "add",
+      "--track",
+      "-b",
+      branch,
+      target,
+      remotes[0].name,
+    ];
+  }
+
+  log("info", t("worktree.adding"), options, args);
+  const { exitCode, stderr } = await runGit(args, { reject: false });
+  if (exitCode !== 0) {
+    console.error(
+      `❌ ${t("worktree.addFailed", { message: lastLine(stderr) })}`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  console.info(t("worktree.added", { path: target, branch }));
+  setResult({ branch, path: target, created: true });
+  await enterWorktree(target);
+};
+
+/**
+ * 列出所有工作树及其检出的分支
+ * @param {Object} options - 配置选项
+ * @returns {Promise<void>}
+ */
+export const listWorktrees = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const root = await getRepoRoot();
+  const worktrees = await getWorktrees();
+  log("info", t("worktree.list"), options, worktrees);
+
+  setResult({
+    worktrees: worktrees.map((worktree) => ({
+      ...worktree,
+      current: worktree.path === root,
+    })),
+  });
+
+  console.info(
+    formatTable(
+      [
+        t("list.headers.branch"),
+        t("worktree.headers.path"),
+        t("cherryPick.headers.commit"),
+        t("worktree.headers.status"),
+      ],
+      worktrees.map((worktree) => [
+        `${worktree.path === root ? "*" : " "} ${
+          worktree.branch ??
+          (worktree.bare ? "(bare)" : `(${t("worktree.detached")})`)
+        }`,
+        worktree.path,
+        worktree.head ? worktree.head.slice(0, 7) : "-",
+        [
+          worktree.prunable && t("worktree.prunable"),
+          worktree.locked && t("worktree.locked"),
+        ]
+          .filter(Boolean)
+          .join(", "),
+      ])
+    )
+  );
+};
+
+/**
+ * 清理工作树：先清理目录已不存在的工作树记录，再移除分支已合并到基准分支或上游已删除的工作树
+ * 有未提交更改或已锁定的工作树会被跳过，分支本身不会被删除
+ * @param {Object} options - 配置选项
+ * @param {string} options.base - 判断是否已合并的基准分支
+ * @param {boolean} options.listOnly - 是否只列出要移除的工作树
+ * @param {boolean} options.yes - 是否跳过确认
+ * @param {boolean} options.debug - 是否打印调试日志
+ * @returns {Promise<void>}
+ */
+export const pruneWorktrees = async (options = {}) => {
+  if (!(await checkWorkingDirectory())) return process.exit(1);
+
+  const { base = "main", listOnly = false } = options;
+
+  if (!listOnly) {
+    // --verbose 的输出在标准错误中，每行对应一条被清理的记录
+    const { stderr } = await runGit(["worktree", "prune", "--verbose"]);
+    const pruned = stderr
+      .split("\n")
+      .filter((line) => line.startsWith("Removing"));
+    if (pruned.length > 0) {
+      console.info(t("worktree.pruned", { count: pruned.length }));
+    }
+  }
+
+  const hasBase = await refExists(base);
+  if (!hasBase) {
+    console.warn(`⚠️  ${t("worktree.baseMissing", { base })}`);
+  }
+  const mergedSet = hasBase ? await getMergedBranches(base) : new Set();
+  const goneSet = new Set(
+    (await getBranchInfos())
+      .filter(({ track }) => parseTrack(track).gone)
+      .map(({ branch }) => branch)
+  );
+
+  const root = await getRepoRoot();
+  const [, ...linked] = await getWorktrees();
+  const candidates = [];
+  const skipped = [];
+  for (const worktree of linked) {
+    const { branch } = worktree;
+    // 目录已不存在的工作树由 git worktree prune 处理
+    if (!branch || branch === base || worktree.path === root) continue;
+    if (worktree.prunable) continue;
+
+    let reason = null;
+    if (goneSet.has(branch)) {
+      reason = t("list.gone");
+    } else if (
+      hasBase &&
+      (mergedSet.has(branch) || (await getPatchMergeStatus(branch, base)))
+    ) {
+      reason = t("worktree.merged", { base });
+    }
+    if (!reason) continue;
+
+    if (worktree.locked) {
+      skipped.push({
+        branch,
+        path: worktree.path,
+        reason: t("worktree.locked"),
+      });
+      continue;
+    }
+    const { stdout: status } = await runGit(["status", "--porcelain"], {
+      cwd: worktree.path,
+    });
+    if (status.trim()) {
+      skipped.push({
+        branch,
+        path: worktree.path,
+        reason: t("worktree.dirty"),
+      });
+      continue;
+    }
+    candidates.push({ branch, path: worktree.path, reason });
+  }
+  setResult({ listOnly, candidates, skipped });
+
+  skipped.forEach(({ branch, path: worktreePath, reason }) =>
+    console.warn(
+      `⚠️  ${t("delete.skipped", {
+        branch: worktreePath,
+        reason: t("worktree.detail", { branch, reason }),
+      })}`
+    )
+  );
+  if (candidates.length === 0) {
+    console.info(t("worktree.noCandidates"));
+    return;
+  }
+
+  console.info(t("worktree.found", { count: candidates.length }));
+  candidates.forEach(({ branch, path: worktreePath, reason }) =>
+    console.info(
+      `- ${worktreePath} (${t("worktree.detail", { branch, reason })})`
+    )
+  );
+  if (listOnly) return;
+
+  if (!options.yes) {
+    requireInteraction(t("delete.yesHint"));
+    try {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: t("worktree.confirm", { count: candidates.length }),
+          default: true,
+        },
+      ]);
+      if (!confirm) {
+        log("info", t("common.cancelled"), options);
+        return;
+      }
+    } catch (error) {
+      if (error.name === "ExitPromptError") return;
+      throw error;
+    }
+  }
+
+  const results = [];
+  for (const { branch, path: worktreePath } of candidates) {
+    const { exitCode, stderr } = await runGit(
+      ["worktree", "remove", worktreePath],
+      { reject: false }
+    );
+    if (exitCode === 0) {
+      results.push({ branch, path: worktreePath, status: "removed" });
+    } else {
+      const error = lastLine(stderr);
+      console.error(
+        `❌ ${t("worktree.removeFailed", { path: worktreePath, error })}`
+      );
+      results.push({ branch, path: worktreePath, status: "failed", error });
+    }
+  }
+  setResult({ results });
+
+  const failCount = results.filter(({ status }) => status === "failed").length;
+  console.info(
+    t("worktree.done", {
+      success: results.length - failCount,
+      failed: failCount,
+    })
+  );
+  console.info(t("worktree.branchesKept"));
+  if (failCount > 0) {
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,145 @@
+import fs from "fs-extra";
+import path from "path";
+import { cherryPickCommits, getPendingCommits } from "../src/cherry-pick.js";
+import { readJournal } from "../src/journal.js";
+import { getCurrentBranch, getStashList, readState } from "../src/utils.js";
+import { createRepo, mockPrompts } from "./helpers/repo.js";
+
+describe("getPendingCommits", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+  });
+
+  it("should filter out commits already applied to the current branch", async () => {
+    await repo.git(["checkout", "-qb", "feature"]);
+    const first = await repo.commit("a.txt");
+    const picked = await repo.commit("b.txt");
+    const last = await repo.commit("c.txt");
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.commit("main.txt");
+    // 拣选后的提交 sha 不同，但补丁等价
+    await repo.git(["cherry-pick", picked]);
+
+    const { commits, appliedCount } = await getPendingCommits("feature");
+    expect(appliedCount).toBe(1);
+    expect(commits).toEqual([
+      expect.objectContaining({ sha: first, subject: "a.txt: a.txt" }),
+      expect.objectContaining({ sha: last, subject: "c.txt: c.txt" }),
+    ]);
+  });
+
+  it("should return nothing when every commit is applied", async () => {
+    await repo.git(["checkout", "-qb", "feature"]);
+    const sha = await repo.commit("a.txt");
+    await repo.git(["checkout", "-q", "main"]);
+    // 同一秒内在原父提交上拣选会得到相同的提交，先让 main 前进
+    await repo.commit("main.txt");
+    await repo.git(["cherry-pick", sha]);
+
+    expect(await getPendingCommits("feature")).toEqual({
+      commits: [],
+      appliedCount: 1,
+    });
+  });
+});
+
+describe("cherryPickCommits", () => {
+  let repo;
+  /** feature 上的提交，第二个与 main 冲突 */
+  let commits;
+  /** 拣选前 main 的提交 */
+  let before;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["checkout", "-qb", "feature"]);
+    commits = [
+      await repo.commit("a.txt"),
+      await repo.commit("version.txt", "1.0-feature"),
+      await repo.commit("c.txt"),
+    ];
+    await repo.git(["checkout", "-q", "main"]);
+    before = await repo.commit("version.txt", "2.0");
+    // 未提交的更改，确认后暂存，结束时恢复
+    fs.writeFileSync(path.join(repo.dir, "README.md"), "wip\n");
+
+    const prompts = mockPrompts([{ selected: commits }, { confirm: true }]);
+    try {
+      await cherryPickCommits("feature");
+    } finally {
+      prompts.restore();
+    }
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const read = (file) => fs.readFileSync(path.join(repo.dir, file), "utf8");
+  const log = () => repo.git(["log", "--format=%s", `${before}..main`]);
+
+  it("should pause on conflicts and save the state", async () => {
+    expect(process.exitCode).toBe(1);
+    expect(await getCurrentBranch()).toBe("main");
+    const picked = await repo.git(["rev-parse", "HEAD"]);
+    expect(await readState("cherry-pick")).toMatchObject({
+      source: "feature",
+      branch: "main",
+      before,
+      queue: [{ sha: commits[1] }, { sha: commits[2] }],
+      results: [{ sha: commits[0], status: "picked", newSha: picked }],
+      conflict: { before: picked },
+    });
+    expect(await getStashList()).toHaveLength(1);
+  });
+
+  it("should pick the remaining commits after resolving", async () => {
+    fs.writeFileSync(path.join(repo.dir, "version.txt"), "2.0-feature\n");
+    await repo.git(["add", "version.txt"]);
+    process.exitCode = undefined;
+
+    await cherryPickCommits(undefined, { continue: true });
+    expect(process.exitCode).toBeUndefined();
+    expect(await log()).toBe(
+      ["c.txt: c.txt", "version.txt: 1.0-feature", "a.txt: a.txt"].join("\n")
+    );
+    expect(read("version.txt")).toBe("2.0-feature\n");
+    expect(read("README.md")).toBe("wip\n");
+    expect(await getStashList()).toEqual([]);
+    expect(await readState("cherry-pick")).toBeNull();
+    const [record] = (await readJournal()).slice(-1);
+    expect(record).toMatchObject({
+      command: "cherry-pick",
+      actions: [
+        {
+          type: "update",
+          branch: "main",
+          before,
+          after: await repo.git(["rev-parse", "HEAD"]),
+        },
+      ],
+    });
+  });
+
+  it("should abort, keep the picked commits and restore the stash", async () => {
+    await cherryPickCommits(undefined, { abort: true });
+    expect(process.exitCode).toBe(1);
+    expect(await getCurrentBranch()).toBe("main");
+    expect(await log()).toBe("a.txt: a.txt");
+    expect(read("version.txt")).toBe("2.0\n");
+    expect(read("README.md")).toBe("wip\n");
+    expect(await getStashList()).toEqual([]);
+    expect(await readState("cherry-pick")).toBeNull();
+    const [record] = (await readJournal()).slice(-1);
+    expect(record.actions).toEqual([
+      expect.objectContaining({ type: "update", before }),
+    ]);
+  });
+});
@@ -0,0 +1,379 @@
+import fs from "fs-extra";
+import path from "path";
+import { cleanBranches, cleanRemoteBranches } from "../src/clean.js";
+import { t } from "../src/i18n.js";
+import { InteractionRequiredError } from "../src/output.js";
+import { branchExists } from "../src/utils.js";
+import { createRepo, captureOutput, mockPrompts } from "./helpers/repo.js";
+
+/**
+ * 只列出要清理的本地分支，返回分支名到清理原因的映射
+ * @param {Object} options - cleanBranches 选项
+ * @returns {Promise<Object<string, string>>} 分支名到清理原因的展示文案
+ */
+const listCandidates = async (options) => {
+  const output = await captureOutput(() =>
+    cleanBranches({ ...options, listOnly: true })
+  );
+  return Object.fromEntries(
+    [...output.matchAll(/^- (\S+) \((.+?)\)/gm)].map(([, branch, reason]) => [
+      branch,
+      reason,
+    ])
+  );
+};
+
+describe("cleanBranches", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  it("should skip branches checked out in other worktrees", async () => {
+    for (const branch of ["feature/a", "feature/b"]) {
+      await repo.git(["branch", branch]);
+    }
+    await repo.commit("main.txt");
+    const worktree = path.join(repo.root, "wt");
+    await repo.git(["worktree", "add", "-q", worktree, "feature/a"]);
+
+    const output = await captureOutput(() =>
+      cleanBranches({ merged: "main", confirm: false, offline: true })
+    );
+    expect(output).toMatch(new RegExp(`feature/a.*${worktree}`));
+    expect(await branchExists("feature/a")).toBe(true);
+    expect(await branchExists("feature/b")).toBe(false);
+  });
+});
+
+describe("cleanBranches deletion", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["checkout", "-qb", "feature/done"]);
+    await repo.commit("done.txt");
+    await repo.git(["checkout", "-qb", "feature/squashed", "main"]);
+    await repo.commit("squashed.txt");
+    // 很久以前的、没有合并的提交
+    await repo.git(["checkout", "-qb", "feature/old", "main"]);
+    fs.writeFileSync(path.join(repo.dir, "old.txt"), "old\n");
+    await repo.git(["add", "-A"]);
+    const date = "2020-01-01T00:00:00Z";
+    await repo.git(["commit", "-qm", "old work"], {
+      env: { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+    });
+
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.git(["merge", "-q", "--no-ff", "feature/done"]);
+    await repo.git(["merge", "-q", "--squash", "feature/squashed"]);
+    await repo.git(["commit", "-qm", "squash feature/squashed"]);
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const clean = (options) =>
+    captureOutput(() =>
+      cleanBranches({ merged: "main", offline: true, ...options })
+    );
+  const remaining = async () =>
+    (await repo.git(["branch", "--format=%(refname:short)"])).split("\n");
+
+  it("should delete every candidate without asking when confirm is false", async () => {
+    await clean({ confirm: false });
+    // 压缩合并的分支 git branch -d 会拒绝，按合并检测的结果强制删除
+    expect(await remaining()).toEqual(["feature/old", "main"]);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("should delete without any output in silent mode", async () => {
+    expect(await clean({ silent: true })).toBe("");
+    expect(await remaining()).toEqual(["feature/old", "main"]);
+  });
+
+  it("should only delete the branches left checked", async () => {
+    const prompts = mockPrompts([
+      { branches: ["feature/done"] },
+      { confirmed: true },
+    ]);
+    try {
+      await clean({});
+    } finally {
+      prompts.restore();
+    }
+    const [select, confirm] = prompts.questions;
+    expect(
+      select.choices.map(({ value, checked }) => [value, checked])
+    ).toEqual([
+      ["feature/done", true],
+      ["feature/squashed", true],
+    ]);
+    expect(confirm.message).toBe(t("clean.confirm", { count: 1 }));
+    expect(await remaining()).toEqual([
+      "feature/old",
+      "feature/squashed",
+      "main",
+    ]);
+  });
+
+  it("should keep every branch when the confirmation is declined", async () => {
+    const prompts = mockPrompts([
+      { branches: ["feature/done", "feature/squashed"] },
+      { confirmed: false },
+    ]);
+    try {
+      await clean({});
+    } finally {
+      prompts.restore();
+    }
+    expect(await remaining()).toHaveLength(4);
+  });
+
+  it("should fail instead of prompting without a terminal", async () => {
+    await expect(clean({})).rejects.toThrow(InteractionRequiredError);
+    expect(await remaining()).toHaveLength(4);
+  });
+
+  it("should not force-delete unmerged stale branches without --force", async () => {
+    await clean({ merged: undefined, stale: "365d", confirm: false });
+    expect(await remaining()).toContain("feature/old");
+    expect(process.exitCode).toBe(1);
+
+    process.exitCode = undefined;
+    await clean({
+      merged: undefined,
+      stale: "365d",
+      confirm: false,
+      force: true,
+    });
+    expect(await remaining()).not.toContain("feature/old");
+    expect(process.exitCode).toBeUndefined();
+  });
+});
+
+describe("cleanBranches --merged", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    const branch = async (name, files) => {
+      await repo.git(["checkout", "-qb", name, "main"]);
+      for (const file of files) await repo.commit(file);
+      await repo.git(["checkout", "-q", "main"]);
+    };
+    await branch("feature/merged", ["merged.txt"]);
+    await branch("feature/rebased", ["rebased-1.txt", "rebased-2.txt"]);
+    await branch("feature/squashed", ["squashed-1.txt", "squashed-2.txt"]);
+    await branch("feature/open", ["open.txt"]);
+
+    // 分别以普通合并、变基合并和压缩合并的方式合并到 main
+    await repo.git(["merge", "-q", "--no-ff", "feature/merged"]);
+    await repo.git(["cherry-pick", "main..feature/rebased"]);
+    await repo.git(["merge", "-q", "--squash", "feature/squashed"]);
+    await repo.git(["commit", "-qm", "squash feature/squashed"]);
+    await repo.git(["push", "-q", "origin", "main"]);
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const listMerged = (base) => listCandidates({ merged: base, offline: true });
+
+  it("should detect true, rebase and squash merges", async () => {
+    expect(await listMerged("main")).toEqual({
+      "feature/merged": t("clean.reasons.merged"),
+      "feature/rebased": t("clean.reasons.rebased"),
+      "feature/squashed": t("clean.reasons.squashed"),
+    });
+  });
+
+  it("should skip the local branch tracking a remote base", async () => {
+    // main 不是当前分支也不受保护，但它跟踪的正是基准分支
+    await repo.git(["checkout", "-q", "feature/open"]);
+    expect(Object.keys(await listMerged("origin/main")).sort()).toEqual([
+      "feature/merged",
+      "feature/rebased",
+      "feature/squashed",
+    ]);
+  });
+});
+
+describe("cleanBranches gone upstreams", () => {
+  let repo;
+  /** 第二个远程仓库 upstream */
+  let upstream;
+
+  /**
+   * 直接在远程仓库中删除分支，本地的远程跟踪分支保留到下次 fetch --prune
+   * @param {string} gitDir - 远程仓库目录
+   * @param {string} branch - 分支名
+   */
+  const deleteOnServer = (gitDir, branch) =>
+    repo.git(["--git-dir", gitDir, "branch", "-D", branch]);
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    upstream = path.join(repo.root, "upstream.git");
+    await repo.git(["init", "-q", "--bare", upstream]);
+    await repo.git(["remote", "add", "upstream", upstream]);
+
+    for (const [branch, remote] of [
+      ["feature/origin-gone", "origin"],
+      ["feature/upstream-gone", "upstream"],
+      ["feature/alive", "origin"],
+    ]) {
+      await repo.git(["branch", branch]);
+      await repo.git(["push", "-q", "-u", remote, branch]);
+    }
+    await deleteOnServer(repo.origin, "feature/origin-gone");
+    await deleteOnServer(upstream, "feature/upstream-gone");
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const gone = t("clean.reasons.gone");
+
+  it("should query the remotes and respect --remote", async () => {
+    expect(await listCandidates({})).toEqual({
+      "feature/origin-gone": gone,
+      "feature/upstream-gone": gone,
+    });
+    expect(await listCandidates({ remotes: ["upstream"] })).toEqual({
+      "feature/upstream-gone": gone,
+    });
+  });
+
+  it("should rely on [gone] upstreams with --offline", async () => {
+    // 远程跟踪分支还在，离线时看不出已删除
+    expect(await listCandidates({ offline: true })).toEqual({});
+
+    await repo.git(["fetch", "-q", "--prune", "origin"]);
+    expect(await listCandidates({ offline: true })).toEqual({
+      "feature/origin-gone": gone,
+    });
+  });
+
+  it("should prune the given remotes before checking with --prune", async () => {
+    expect(await listCandidates({ prune: true, remotes: ["origin"] })).toEqual({
+      "feature/origin-gone": gone,
+    });
+    expect(
+      await repo.git(["branch", "-r", "--list", "origin/feature/origin-gone"])
+    ).toBe("");
+    expect(
+      await repo.git([
+        "branch",
+        "-r",
+        "--list",
+        "upstream/feature/upstream-gone",
+      ])
+    ).not.toBe("");
+
+    expect(await listCandidates({ prune: true })).toEqual({
+      "feature/origin-gone": gone,
+      "feature/upstream-gone": gone,
+    });
+  });
+});
+
+describe("cleanRemoteBranches", () => {
+  let repo;
+
+  /**
+   * 获取 origin 上的分支及其提交
+   * @returns {Promise<Object<string, string>>} 分支名到提交的映射
+   */
+  const remoteHeads = async () =>
+    Object.fromEntries(
+      (await repo.git(["ls-remote", "--heads", "origin"]))
+        .split("\n")
+        .map((line) => line.split("\trefs/heads/").reverse())
+    );
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["push", "-q", "origin", "HEAD:refs/heads/merged"]);
+    await repo.git(["push", "-q", "origin", "HEAD:refs/heads/moved"]);
+    await repo.git(["checkout", "-qb", "unmerged"]);
+    await repo.commit("unmerged.txt");
+    await repo.git(["push", "-q", "origin", "unmerged"]);
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.commit("main.txt");
+    await repo.git(["push", "-q", "origin", "main"]);
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  it("should only list merged branches with --list-only", async () => {
+    // 远程仓库名可以包含 /
+    await repo.git(["remote", "add", "team/origin", repo.origin]);
+    const before = await remoteHeads();
+
+    const output = await captureOutput(() =>
+      cleanRemoteBranches({
+        remotes: ["team/origin"],
+        base: "main",
+        listOnly: true,
+      })
+    );
+    expect(output).toMatch(/^team\/origin\/merged\s/m);
+    expect(output).toMatch(/^team\/origin\/moved\s/m);
+    expect(output).not.toContain("unmerged");
+    expect(output).not.toMatch(/^team\/origin\/main\s/m);
+    expect(await remoteHeads()).toEqual(before);
+  });
+
+  it("should delete merged branches and refuse ones that moved", async () => {
+    // 推送前让 moved 在远程指向新的提交，模拟检查之后有人推送
+    const main = await repo.git(["rev-parse", "main"]);
+    const hook = path.join(repo.dir, ".git", "hooks", "pre-push");
+    fs.outputFileSync(
+      hook,
+      `#!/bin/sh\ngit --git-dir="${repo.origin}" update-ref refs/heads/moved ${main}\n`
+    );
+    fs.chmodSync(hook, 0o755);
+
+    await cleanRemoteBranches({
+      remotes: ["origin"],
+      base: "main",
+      yes: true,
+    });
+    const heads = await remoteHeads();
+    expect(heads.merged).toBeUndefined();
+    expect(heads.moved).toBe(main);
+    expect(heads.unmerged).toBeDefined();
+    expect(process.exitCode).toBe(1);
+  });
+
+  it("should not skip the confirmation without --yes", async () => {
+    const before = await remoteHeads();
+    // clean.confirm 配置和 --no-confirm 对应的 confirm: false 不会跳过确认
+    await expect(
+      captureOutput(() =>
+        cleanRemoteBranches({
+          remotes: ["origin"],
+          base: "main",
+          confirm: false,
+        })
+      )
+    ).rejects.toThrow(InteractionRequiredError);
+    expect(await remoteHeads()).toEqual(before);
+  });
+});
@@ -1,64 +1,286 @@
 import fs from "fs-extra";
+import os from "os";
 import path from "path";
-import yaml from "js-yaml";
-import { loadConfig, DEFAULT_CONFIG } from "../src/config.js";
+import { runGit } from "../src/git.js";
+import {
+  loadConfig,
+  resolveConfig,
+  initConfig,
+  toEnvName,
+  ConfigError,
+  DEFAULT_CONFIG,
+} from "../src/config.js";
+import { runCli } from "./helpers/repo.js";
 
 describe("loadConfig", () => {
-  const filePathJson = path.resolve(process.cwd(), "__testrc.json");
-  const filePathYaml = path.resolve(process.cwd(), "__testrc.yaml");
-  const filePathYml = path.resolve(process.cwd(), "__testrc.yml");
+  let cwd;
+  let env;
+
+  beforeEach(() => {
+    cwd = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "bk-config-")));
+    // 隔离用户级配置文件
+    env = { XDG_CONFIG_HOME: path.join(cwd, ".xdg") };
+  });
 
   afterEach(() => {
-    [filePathJson, filePathYaml, filePathYml].forEach((file) => {
-      if (fs.existsSync(file)) fs.unlinkSync(file);
-    });
+    fs.removeSync(cwd);
   });
 
+  const write = (file, content) =>
+    fs.outputFileSync(path.join(cwd, file), content, "utf8");
+
   it("should return default config when no config file exists", async () => {
-    const config = await loadConfig();
-    expect(config).toEqual(DEFAULT_CONFIG);
-  });
-
-  it("should load and merge JSON configuration file", async () => {
-    const customConfig = {
-      branch: { main: "custom-main" },
-      remote: { name: "custom-remote" },
-    };
-    fs.writeFileSync(filePathJson, JSON.stringify(customConfig), "utf8");
-    const config = await loadConfig("__testrc.json");
-    expect(config.branch.main).toBe("custom-main");
-    expect(config.remote.name).toBe("custom-remote");
-    expect(config.clean.force).toBe(DEFAULT_CONFIG.clean.force);
+    expect(await loadConfig({ cwd, env })).toEqual(DEFAULT_CONFIG);
   });
 
-  it("should load and merge YAML configuration file", async () => {
-    const yamlContent =
-      "branch:\n  main: custom-main\nremote:\n  name: custom-remote\n";
-    fs.writeFileSync(filePathYaml, yamlContent, "utf8");
-    const config = await loadConfig("__testrc.yaml");
-    expect(config.branch.main).toBe("custom-main");
-    expect(config.remote.name).toBe("custom-remote");
+  it("should load JSON configuration with per-command sections", async () => {
+    write(
+      ".branchkeeperrc.json",
+      JSON.stringify({ clean: { staleAfter: "30d" }, delete: { multi: true } })
+    );
+    const config = await loadConfig({ cwd, env });
+    expect(config.clean.staleAfter).toBe("30d");
+    expect(config.delete.multi).toBe(true);
     expect(config.clean.force).toBe(DEFAULT_CONFIG.clean.force);
   });
 
-  it("should handle invalid JSON configuration file gracefully", async () => {
-    fs.writeFileSync(filePathJson, "{invalid json}", "utf8");
-    const config = await loadConfig("__testrc.json");
-    expect(config).toEqual(DEFAULT_CONFIG);
+  it("should load YAML configuration", async () => {
+    write(".branchkeeperrc.yaml", "protectedBranches:\n  - release/*\n");
+    expect((await loadConfig({ cwd, env })).protectedBranches).toEqual([
+      "release/*",
+    ]);
+  });
+
+  it("should map legacy flat keys to their sections", async () => {
+    write(
+      ".branchkeeperrc",
+      JSON.stringify({
+        ignore: ["wip/*"],
+        fetchForce: true,
+        checkoutIgnore: ["tmp"],
+      })
+    );
+    const config = await loadConfig({ cwd, env });
+    expect(config.clean.ignore).toEqual(["wip/*"]);
+    expect(config.fetch.force).toBe(true);
+    expect(config.checkout.ignore).toEqual(["tmp"]);
+  });
+
+  it("should prefer section keys over legacy flat keys", async () => {
+    write(
+      ".branchkeeperrc",
+      JSON.stringify({ force: true, clean: { force: false } })
+    );
+    expect((await loadConfig({ cwd, env })).clean.force).toBe(false);
+  });
+
+  it("should report every invalid key with file and path", async () => {
+    write(
+      ".branchkeeperrc.json",
+      JSON.stringify({
+        remotes: "origin",
+        clean: { force: "yes", staleAfter: "soon" },
+      })
+    );
+    await expect(loadConfig({ cwd, env })).rejects.toThrow(ConfigError);
+    const { errors } = await resolveConfig({ cwd, env });
+    expect(errors.map((e) => [e.file, e.path])).toEqual([
+      [".branchkeeperrc.json", "remotes"],
+      [".branchkeeperrc.json", "clean.force"],
+      [".branchkeeperrc.json", "clean.staleAfter"],
+    ]);
+  });
+
+  it("should reject invalid branch patterns", async () => {
+    write(
+      ".branchkeeperrc.json",
+      JSON.stringify({ protectedBranches: ["/[/"] })
+    );
+    const { errors } = await resolveConfig({ cwd, env });
+    expect(errors[0].path).toBe("protectedBranches");
+  });
+
+  it("should throw when the file cannot be parsed", async () => {
+    write(".branchkeeperrc.yaml", "invalid: [yaml");
+    await expect(loadConfig({ cwd, env })).rejects.toThrow(/解析失败/);
+    await expect(loadConfig({ cwd, env, sections: ["clean"] })).rejects.toThrow(
+      /解析失败/
+    );
+  });
+
+  it("should only fail for the sections the command reads", async () => {
+    write(
+      ".branchkeeperrc.json",
+      JSON.stringify({ clean: { force: true }, delete: { force: "yes" } })
+    );
+    const config = await loadConfig({ cwd, env, sections: ["clean"] });
+    expect(config.clean.force).toBe(true);
+    expect(config.delete.force).toBe(DEFAULT_CONFIG.delete.force);
+
+    const error = await loadConfig({ cwd, env, sections: ["delete"] }).catch(
+      (e) => e
+    );
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors.map((e) => e.path)).toEqual(["delete.force"]);
+
+    // 顶层配置项所有命令都会读取
+    write(".branchkeeperrc.json", JSON.stringify({ remotes: "origin" }));
+    await expect(loadConfig({ cwd, env, sections: ["clean"] })).rejects.toThrow(
+      ConfigError
+    );
+  });
+
+  it("should show and use the defaults for invalid keys in config commands", async () => {
+    const dir = process.cwd();
+    const xdg = process.env.XDG_CONFIG_HOME;
+    process.chdir(cwd);
+    process.env.XDG_CONFIG_HOME = env.XDG_CONFIG_HOME;
+    try {
+      write(
+        ".branchkeeperrc.json",
+        JSON.stringify({ lang: "zh-CN", delete: { force: "yes" } })
+      );
+      const show = await runCli(["config", "show", "--json"]);
+      expect(show.exitCode).toBe(0);
+      const result = JSON.parse(show.stdout);
+      expect(result.config.delete.force).toBe(DEFAULT_CONFIG.delete.force);
+      expect(result.sources["delete.force"]).toBe("默认");
+      expect(result.warnings).toEqual([
+        expect.stringMatching(
+          /^\.branchkeeperrc\.json: delete\.force .*默认值$/
+        ),
+      ]);
+
+      // 其他配置项不合法时，界面语言仍使用配置 lang
+      const get = await runCli(["config", "get", "clean.force"]);
+      expect(get.exitCode).toBe(0);
+      expect(get.stdout).toContain("已改用默认值");
+      expect(get.stdout.trim().split("\n").at(-1)).toBe("false");
+
+      expect((await runCli(["config", "get", "delete.force"])).exitCode).toBe(
+        1
+      );
+      expect((await runCli(["config", "validate"])).exitCode).toBe(1);
+    } finally {
+      process.chdir(dir);
+      if (xdg === undefined) delete process.env.XDG_CONFIG_HOME;
+      else process.env.XDG_CONFIG_HOME = xdg;
+    }
+  }, 30000);
+
+  it("should warn about unknown keys and record sources", async () => {
+    write(
+      ".branchkeeperrc.json",
+      JSON.stringify({ silent: true, colour: "red", clean: { dryRun: true } })
+    );
+    const { config, sources, warnings } = await resolveConfig({ cwd, env });
+    expect(config.silent).toBe(true);
+    expect(sources.silent).toBe(".branchkeeperrc.json");
+    expect(sources.debug).toBe("默认");
+    expect(warnings.map((w) => w.path)).toEqual(["colour", "clean.dryRun"]);
+  });
+});
+
+describe("layered config", () => {
+  let root;
+  let env;
+
+  beforeEach(async () => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "bk-layer-")));
+    env = { XDG_CONFIG_HOME: path.join(root, ".xdg") };
+    await runGit(["init", "-q"], { cwd: root });
   });
 
-  it("should handle invalid YAML configuration file gracefully", async () => {
-    fs.writeFileSync(filePathYaml, "invalid: [yaml", "utf8");
-    const config = await loadConfig("__testrc.yaml");
-    expect(config).toEqual(DEFAULT_CONFIG);
+  afterEach(() => {
+    fs.removeSync(root);
   });
 
-  it("should validate and apply default values for missing keys", async () => {
-    const partialConfig = { branch: { develop: "custom-develop" } };
-    fs.writeFileSync(filePathJson, JSON.stringify(partialConfig), "utf8");
-    const config = await loadConfig("__testrc.json");
-    expect(config.branch.main).toBe(DEFAULT_CONFIG.branch.main);
-    expect(config.branch.develop).toBe("custom-develop");
-    expect(config.remote.name).toBe(DEFAULT_CONFIG.remote.name);
+  it("should find the repo config from a subdirectory", async () => {
+    fs.outputFileSync(
+      path.join(root, ".branchkeeperrc"),
+      JSON.stringify({ clean: { mergedBase: "develop" } })
+    );
+    const cwd = path.join(root, "src", "deep");
+    fs.ensureDirSync(cwd);
+    const { config, sources } = await resolveConfig({ cwd, env });
+    expect(config.clean.mergedBase).toBe("develop");
+    expect(sources["clean.mergedBase"]).toBe(
+      path.join("..", "..", ".branchkeeperrc")
+    );
+  });
+
+  it("should apply user, repo, git config and env layers in order", async () => {
+    fs.outputFileSync(
+      path.join(env.XDG_CONFIG_HOME, "branch-keeper", "config.yaml"),
+      "silent: true\nclean:\n  staleAfter: 10d\n  mergedBase: trunk\n"
+    );
+    fs.outputFileSync(
+      path.join(root, ".branchkeeperrc.yaml"),
+      "clean:\n  staleAfter: 20d\n  prune: true\n"
+    );
+    await runGit(["config", "bk.clean.staleAfter", "30d"], { cwd: root });
+    await runGit(["config", "--add", "bk.protectedBranches", "main"], {
+      cwd: root,
+    });
+    await runGit(["config", "--add", "bk.protectedBranches", "release/*"], {
+      cwd: root,
+    });
+
+    const { config, sources } = await resolveConfig({
+      cwd: root,
+      env: { ...env, BK_CLEAN_PRUNE: "false" },
+    });
+    expect(config.silent).toBe(true);
+    expect(config.clean.mergedBase).toBe("trunk");
+    expect(config.clean.staleAfter).toBe("30d");
+    expect(config.protectedBranches).toEqual(["main", "release/*"]);
+    expect(config.clean.prune).toBe(false);
+    expect(sources["clean.prune"]).toBe("环境变量");
+    expect(sources["clean.staleAfter"]).toBe("git config");
+  });
+
+  it("should report invalid env values with the variable name", async () => {
+    const { errors } = await resolveConfig({
+      cwd: root,
+      env: { ...env, [toEnvName("merge.ffOnly")]: "maybe" },
+    });
+    expect(errors).toEqual([
+      expect.objectContaining({ file: "环境变量", path: "BK_MERGE_FF_ONLY" }),
+    ]);
+  });
+});
+
+describe("initConfig", () => {
+  let root;
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = process.cwd();
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "bk-init-")));
+    await runGit(["init", "-q"], { cwd: root });
+    process.chdir(root);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.removeSync(root);
+  });
+
+  it("should refuse to overwrite an existing config without --force", async () => {
+    fs.outputFileSync(path.join(root, ".branchkeeperrc"), "{}");
+    await expect(initConfig()).rejects.toThrow(".branchkeeperrc");
+  });
+
+  it("should overwrite the existing config in its own format with --force", async () => {
+    const file = path.join(root, ".branchkeeperrc");
+    fs.outputFileSync(file, JSON.stringify({ clean: { staleAfter: "30d" } }));
+
+    await initConfig({ force: true });
+    expect(fs.readJsonSync(file)).toEqual(DEFAULT_CONFIG);
+    expect(fs.readdirSync(root).filter((name) => name !== ".git")).toEqual([
+      ".branchkeeperrc",
+    ]);
+    const env = { XDG_CONFIG_HOME: path.join(root, ".xdg") };
+    expect(await loadConfig({ cwd: root, env })).toEqual(DEFAULT_CONFIG);
   });
 });
@@ -0,0 +1,211 @@
+import {
+  slugify,
+  getPlaceholders,
+  renderTemplate,
+  validateBranchName,
+  createBranch,
+} from "../src/create.js";
+import { t } from "../src/i18n.js";
+import { readJournal } from "../src/journal.js";
+import { branchExists, getCurrentBranch } from "../src/utils.js";
+import { captureOutput, createRepo } from "./helpers/repo.js";
+
+describe("slugify", () => {
+  it("should convert descriptions to kebab-case", () => {
+    expect(slugify("Add Login Page!")).toBe("add-login-page");
+    expect(slugify("  fix: crash on   startup ")).toBe("fix-crash-on-startup");
+    expect(slugify("Café déjà vu")).toBe("cafe-deja-vu");
+    expect(slugify("修复")).toBe("");
+  });
+});
+
+describe("renderTemplate", () => {
+  it("should replace placeholders", () => {
+    const template = "feature/{ticket}-{slug}";
+    expect(getPlaceholders(template)).toEqual(["ticket", "slug"]);
+    expect(renderTemplate(template, { ticket: "ABC-1", slug: "login" })).toBe(
+      "feature/ABC-1-login"
+    );
+  });
+});
+
+describe("validateBranchName", () => {
+  const rules = {
+    prefixes: ["feature/", "bugfix/"],
+    maxLength: 20,
+    charset: "^[a-z0-9][a-z0-9/-]*$",
+  };
+
+  it("should accept names that follow every rule", () => {
+    expect(validateBranchName("feature/abc-1", rules)).toEqual([]);
+  });
+
+  it("should report every broken rule", () => {
+    expect(validateBranchName("Spike/very-long-branch-name", rules)).toEqual([
+      expect.stringContaining("feature/ / bugfix/"),
+      expect.stringContaining("超过上限 20"),
+      expect.stringContaining("不符合规则"),
+    ]);
+  });
+
+  it("should skip rules that are not configured", () => {
+    expect(validateBranchName("anything_goes", {})).toEqual([]);
+  });
+
+  it("should require a ticket where the matching template has one", () => {
+    const ticketRules = {
+      templates: {
+        feature: "feature/{ticket}-{slug}",
+        hotfix: "hotfix/{version}-{slug}",
+      },
+      ticketPattern: "^([A-Z][A-Z0-9]*-)?\\d+$",
+    };
+    expect(validateBranchName("feature/ABC-12-login", ticketRules)).toEqual([]);
+    expect(validateBranchName("feature/12-login", ticketRules)).toEqual([]);
+    expect(validateBranchName("feature/login", ticketRules)).toEqual([
+      t("create.ticketMissing", { pattern: ticketRules.ticketPattern }),
+    ]);
+    expect(validateBranchName("hotfix/1.2-crash", ticketRules)).toEqual([]);
+  });
+});
+
+describe("createBranch", () => {
+  let repo;
+  const rules = {
+    templates: { feature: "feature/{ticket}-{slug}" },
+    prefixes: ["feature/", "hotfix/"],
+    maxLength: 60,
+    charset: "^[A-Za-z0-9][A-Za-z0-9._/-]*$",
+    ticketPattern: "^([A-Z][A-Z0-9]*-)?\\d+$",
+  };
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  /**
+   * 在 origin 的 main 上追加提交，本地的 origin/main 保持不变
+   * @returns {Promise<string>} 远程 main 的新提交
+   */
+  const advanceRemoteMain = async () => {
+    const sha = await repo.git([
+      "commit-tree",
+      "HEAD^{tree}",
+      "-p",
+      "HEAD",
+      "-m",
+      "remote work",
+    ]);
+    await repo.git(["push", "-q", "origin", `${sha}:refs/heads/main`]);
+    await repo.git(["update-ref", "refs/remotes/origin/main", "HEAD"]);
+    return sha;
+  };
+
+  it("should create and switch to the branch built from the template", async () => {
+    await createBranch("feature", "Add login", {
+      ...rules,
+      ticket: "ABC-1",
+    });
+    expect(await getCurrentBranch()).toBe("feature/ABC-1-add-login");
+    const [record] = (await readJournal()).slice(-1);
+    expect(record).toMatchObject({ command: "new" });
+    expect(record.actions.map(({ type }) => type)).toEqual([
+      "create",
+      "checkout",
+    ]);
+  });
+
+  it("should apply the same rules to names given with --name", async () => {
+    for (const [name, error] of [
+      ["spike/login", t("create.prefix", { prefixes: "feature/ / hotfix/" })],
+      [
+        "feature/login",
+        t("create.ticketMissing", { pattern: rules.ticketPattern }),
+      ],
+      ["feature/1 x", t("create.invalidRef", { name: "feature/1 x" })],
+    ]) {
+      const output = await captureOutput(() =>
+        createBranch(undefined, undefined, { ...rules, name })
+      );
+      expect(output).toContain(`❌ ${error}`);
+      expect(process.exitCode).toBe(1);
+      expect(await branchExists(name)).toBe(false);
+      process.exitCode = undefined;
+    }
+    expect(await getCurrentBranch()).toBe("main");
+
+    await createBranch(undefined, undefined, {
+      ...rules,
+      name: "feature/12-login",
+      checkout: false,
+    });
+    expect(await branchExists("feature/12-login")).toBe(true);
+    expect(await getCurrentBranch()).toBe("main");
+  });
+
+  it("should fetch the upstream of the base before creating", async () => {
+    const remote = await advanceRemoteMain();
+    await createBranch(undefined, undefined, {
+      ...rules,
+      name: "feature/1-fresh",
+      fetch: true,
+    });
+    expect(await repo.git(["rev-parse", "feature/1-fresh"])).toBe(remote);
+    // 不跟踪起点分支
+    expect(
+      await repo.git(["config", "--get", "branch.feature/1-fresh.merge"], {
+        reject: false,
+      })
+    ).toBe("");
+  });
+
+  it("should fetch a remote base and fall back to a local base without upstream", async () => {
+    const remote = await advanceRemoteMain();
+    await createBranch(undefined, undefined, {
+      ...rules,
+      name: "feature/1-remote",
+      base: "origin/main",
+      fetch: true,
+      checkout: false,
+    });
+    expect(await repo.git(["rev-parse", "feature/1-remote"])).toBe(remote);
+
+    await repo.git(["branch", "--no-track", "local-base", "main"]);
+    const output = await captureOutput(() =>
+      createBranch(undefined, undefined, {
+        ...rules,
+        name: "feature/1-local",
+        base: "local-base",
+        fetch: true,
+        checkout: false,
+      })
+    );
+    expect(output).toContain(t("create.noRemoteBase", { base: "local-base" }));
+    expect(await repo.git(["rev-parse", "feature/1-local"])).toBe(
+      await repo.git(["rev-parse", "main"])
+    );
+  });
+
+  it("should push and set the upstream with --push", async () => {
+    await createBranch(undefined, undefined, {
+      ...rules,
+      name: "feature/1-pushed",
+      push: true,
+    });
+    expect(
+      await repo.git([
+        "rev-parse",
+        "--abbrev-ref",
+        "feature/1-pushed@{upstream}",
+      ])
+    ).toBe("origin/feature/1-pushed");
+    expect(
+      await repo.git(["ls-remote", "--heads", "origin", "feature/1-pushed"])
+    ).not.toBe("");
+  });
+});
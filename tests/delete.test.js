@@ -0,0 +1,60 @@
+import path from "path";
+import { deleteBranches } from "../src/delete.js";
+import { branchExists } from "../src/utils.js";
+import { createRepo } from "./helpers/repo.js";
+
+describe("deleteBranches", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    for (const branch of ["feature/a", "feature/b", "release/1"]) {
+      await repo.git(["branch", branch]);
+    }
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  it("should fail when a branch named explicitly is skipped", async () => {
+    await deleteBranches(["feature/a", "release/1"], {
+      yes: true,
+      protectedBranches: ["release/*"],
+    });
+    expect(await branchExists("feature/a")).toBe(false);
+    expect(await branchExists("release/1")).toBe(true);
+    expect(process.exitCode).toBe(1);
+  });
+
+  it("should fail when only the current branch is named", async () => {
+    await deleteBranches(["main"], { yes: true });
+    expect(await branchExists("main")).toBe(true);
+    expect(process.exitCode).toBe(1);
+  });
+
+  it("should only warn about branches skipped by a pattern", async () => {
+    await deleteBranches(["**", "!feature/b"], {
+      yes: true,
+      protectedBranches: ["release/*"],
+    });
+    expect(await branchExists("feature/a")).toBe(false);
+    expect(await branchExists("feature/b")).toBe(true);
+    expect(await branchExists("release/1")).toBe(true);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("should skip branches checked out in other worktrees", async () => {
+    await repo.git([
+      "worktree",
+      "add",
+      "-q",
+      path.join(repo.root, "wt"),
+      "feature/a",
+    ]);
+    await deleteBranches(["feature/*"], { yes: true });
+    expect(await branchExists("feature/a")).toBe(true);
+    expect(await branchExists("feature/b")).toBe(false);
+  });
+});
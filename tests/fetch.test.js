@@ -0,0 +1,142 @@
+import fs from "fs-extra";
+import path from "path";
+import { runGit } from "../src/git.js";
+import { fetchAllBranches } from "../src/fetch.js";
+import { createRepo } from "./helpers/repo.js";
+
+describe("fetchAllBranches", () => {
+  let repo;
+  /** 其他人的克隆，用于向 origin 推送新的提交 */
+  let other;
+  /** 每个分支在 origin 上的最新提交 */
+  let remote;
+  /** 每个分支在拉取前的本地提交 */
+  let local;
+
+  /**
+   * 在其他人的克隆中提交并推送
+   * @param {string} branch - 分支名
+   * @returns {Promise<string>} 推送的提交
+   */
+  const pushFromOther = async (branch) => {
+    await other(["checkout", "-q", "-B", branch, `origin/${branch}`]);
+    fs.outputFileSync(path.join(repo.root, "other", `${branch}.txt`), "x\n");
+    await other(["add", "-A"]);
+    await other(["commit", "-qm", `update ${branch}`]);
+    await other(["push", "-q", "origin", branch]);
+    return other(["rev-parse", "HEAD"]);
+  };
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    for (const branch of [
+      "behind",
+      "ahead",
+      "diverged",
+      "no-upstream",
+      "tracks-main",
+      "in-worktree",
+      "remote-only",
+    ]) {
+      await repo.git(["push", "-q", "origin", `main:refs/heads/${branch}`]);
+    }
+    await repo.git(["fetch", "-q", "origin"]);
+    for (const branch of ["behind", "ahead", "diverged", "in-worktree"]) {
+      await repo.git(["branch", "--track", branch, `origin/${branch}`]);
+    }
+    await repo.git(["branch", "--no-track", "no-upstream", "origin/main"]);
+    await repo.git(["branch", "--track", "tracks-main", "origin/main"]);
+    await repo.git([
+      "worktree",
+      "add",
+      "-q",
+      path.join(repo.root, "wt"),
+      "in-worktree",
+    ]);
+
+    for (const branch of ["ahead", "diverged"]) {
+      await repo.git(["checkout", "-q", branch]);
+      await repo.commit(`${branch}-local.txt`);
+    }
+    await repo.git(["checkout", "-q", "main"]);
+
+    await runGit(["clone", "-q", repo.origin, "other"], { cwd: repo.root });
+    other = async (args) =>
+      (
+        await runGit(args, { cwd: path.join(repo.root, "other") })
+      ).stdout.trim();
+    await other(["config", "user.name", "Other"]);
+    await other(["config", "user.email", "other@example.com"]);
+    remote = {};
+    for (const branch of [
+      "main",
+      "behind",
+      "diverged",
+      "no-upstream",
+      "tracks-main",
+      "in-worktree",
+    ]) {
+      remote[branch] = await pushFromOther(branch);
+    }
+
+    local = {};
+    for (const branch of [
+      "main",
+      "ahead",
+      "diverged",
+      "no-upstream",
+      "tracks-main",
+      "in-worktree",
+    ]) {
+      local[branch] = await repo.git(["rev-parse", branch]);
+    }
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const sha = (branch) => repo.git(["rev-parse", `refs/heads/${branch}`]);
+
+  it("should create and fast-forward tracking branches only", async () => {
+    await fetchAllBranches({ remote: "origin" });
+
+    expect(await sha("behind")).toBe(remote.behind);
+    expect(await sha("remote-only")).toBe(
+      await repo.git(["rev-parse", "origin/remote-only"])
+    );
+    expect(
+      await repo.git(["rev-parse", "--abbrev-ref", "remote-only@{upstream}"])
+    ).toBe("origin/remote-only");
+    // 当前分支、工作树中的分支、领先或分叉的分支，以及没有跟踪同名远程分支的分支都不更新
+    for (const branch of [
+      "main",
+      "in-worktree",
+      "ahead",
+      "diverged",
+      "no-upstream",
+      "tracks-main",
+    ]) {
+      expect(await sha(branch)).toBe(local[branch]);
+    }
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("should overwrite ahead and diverged branches with --force", async () => {
+    await fetchAllBranches({ remote: "origin", force: true });
+
+    expect(await sha("diverged")).toBe(remote.diverged);
+    expect(await sha("ahead")).toBe(
+      await repo.git(["rev-parse", "origin/ahead"])
+    );
+    for (const branch of [
+      "main",
+      "in-worktree",
+      "no-upstream",
+      "tracks-main",
+    ]) {
+      expect(await sha(branch)).toBe(local[branch]);
+    }
+  });
+});
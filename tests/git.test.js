@@ -0,0 +1,80 @@
+import { GitCommandError, runGit } from "../src/git.js";
+import { createRepo } from "./helpers/repo.js";
+
+describe("runGit", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+  });
+
+  it("should throw GitCommandError with the details of the failure", async () => {
+    const args = ["rev-parse", "--verify", "no such"];
+    const error = await runGit(args).catch((e) => e);
+    expect(error).toBeInstanceOf(GitCommandError);
+    expect(error).toMatchObject({
+      name: "GitCommandError",
+      args,
+      command: 'git rev-parse --verify "no such"',
+      exitCode: 128,
+      stdout: "",
+      timedOut: false,
+    });
+    expect(error.stderr).toContain("fatal:");
+    // 错误信息包含命令和 git 的错误输出
+    expect(error.message).toContain(error.command);
+    expect(error.message).toContain(error.stderr.trim());
+  });
+
+  it("should resolve with the exit code when reject is false", async () => {
+    const result = await runGit(["rev-parse", "--verify", "missing"], {
+      reject: false,
+    });
+    expect(result).toMatchObject({
+      stdout: "",
+      exitCode: 128,
+      command: "git rev-parse --verify missing",
+    });
+    expect(result.stderr).toContain("fatal:");
+
+    expect(await runGit(["rev-parse", "--abbrev-ref", "HEAD"])).toMatchObject({
+      stdout: "main\n",
+      exitCode: 0,
+    });
+  });
+
+  it("should pass env, input and cwd to git", async () => {
+    const { stdout: ident } = await runGit(["var", "GIT_AUTHOR_IDENT"], {
+      env: {
+        GIT_AUTHOR_NAME: "Env Author",
+        GIT_AUTHOR_EMAIL: "env@example.com",
+      },
+    });
+    expect(ident).toMatch(/^Env Author <env@example\.com> /);
+
+    const { stdout: sha } = await runGit(["hash-object", "--stdin"], {
+      input: "hello\n",
+    });
+    expect(sha.trim()).toBe("ce013625030ba8dba906f756967f9e9ca394464a");
+
+    const { stdout: top } = await runGit(["rev-parse", "--show-toplevel"], {
+      cwd: repo.root,
+      reject: false,
+    });
+    expect(top).toBe("");
+  });
+
+  it("should kill the command and throw when it times out", async () => {
+    // 不写入标准输入时 hash-object --stdin 会一直等待
+    const error = await runGit(["hash-object", "--stdin"], {
+      timeout: 200,
+      reject: false,
+    }).catch((e) => e);
+    expect(error).toBeInstanceOf(GitCommandError);
+    expect(error).toMatchObject({ timedOut: true, exitCode: null });
+  });
+});
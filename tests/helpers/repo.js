@@ -0,0 +1,142 @@
+/**
+ * 测试辅助方法
+ * 创建带裸远程仓库 origin 的临时仓库并切换到其中执行被测命令，以及收集命令的输出
+ */
+
+import { execFile } from "child_process";
+import fs from "fs-extra";
+import inquirer from "inquirer";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { format } from "util";
+import { runGit } from "../../src/git.js";
+
+/** 命令行入口 */
+const BK_PATH = fileURLToPath(new URL("../../bin/bk.js", import.meta.url));
+
+// 隔离用户和系统的 git 配置，以及通过环境变量注入的配置（如 core.hooksPath）
+process.env.GIT_CONFIG_GLOBAL = os.devNull;
+process.env.GIT_CONFIG_NOSYSTEM = "1";
+delete process.env.GIT_CONFIG_COUNT;
+
+/**
+ * 创建临时仓库并切换到其中
+ * @returns {Promise<Object>} 仓库信息及辅助方法
+ */
+export const createRepo = async () => {
+  const cwd = process.cwd();
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "bk-")));
+  const dir = path.join(root, "repo");
+  const origin = path.join(root, "origin.git");
+
+  /**
+   * 在仓库中执行 git 命令
+   * @param {string[]} args - git 参数
+   * @param {Object} [options] - runGit 选项，cwd 默认为仓库目录
+   * @returns {Promise<string>} 去掉首尾空白的标准输出
+   */
+  const git = async (args, options = {}) =>
+    (await runGit(args, { cwd: dir, ...options })).stdout.trim();
+
+  /**
+   * 写入文件并提交
+   * @param {string} file - 文件名
+   * @param {string} [content] - 文件内容，默认与文件名相同
+   * @returns {Promise<string>} 提交的 sha
+   */
+  const commit = async (file, content = file) => {
+    fs.outputFileSync(path.join(dir, file), `${content}\n`);
+    await git(["add", "-A"]);
+    await git(["commit", "-qm", `${file}: ${content}`]);
+    return git(["rev-parse", "HEAD"]);
+  };
+
+  await runGit(["init", "-q", "--bare", origin]);
+  await runGit(["init", "-q", "-b", "main", dir]);
+  await git(["config", "user.name", "Tester"]);
+  await git(["config", "user.email", "tester@example.com"]);
+  await git(["remote", "add", "origin", origin]);
+  await commit("README.md", "init");
+  await git(["push", "-q", "-u", "origin", "main"]);
+  process.chdir(dir);
+
+  return {
+    root,
+    dir,
+    origin,
+    git,
+    commit,
+    /** 回到原目录并删除临时文件 */
+    cleanup: () => {
+      process.chdir(cwd);
+      fs.removeSync(root);
+    },
+  };
+};
+
+/**
+ * 执行函数并收集其间 console.info / console.warn / console.error 的输出
+ * @param {Function} fn - 异步函数
+ * @returns {Promise<string>} 输出内容，每次调用一行
+ */
+export const captureOutput = async (fn) => {
+  const lines = [];
+  const original = { ...console };
+  for (const method of ["info", "warn", "error"]) {
+    console[method] = (...args) => lines.push(format(...args));
+  }
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * 在当前目录以子进程执行 bk 命令，用于检查退出码和标准输出（如 --json）
+ * @param {string[]} args - 命令参数
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} 执行结果，不会因退出码非 0 而失败
+ */
+export const runCli = (args) =>
+  new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [BK_PATH, ...args],
+      { cwd: process.cwd(), env: { ...process.env, LC_ALL: "en_US.UTF-8" } },
+      (error, stdout, stderr) =>
+        resolve({ stdout, stderr, exitCode: error ? error.code : 0 })
+    );
+  });
+
+/**
+ * 模拟在终端中运行，并按顺序用给定的回答代替 inquirer 的提问
+ * @param {Object[]} answers - 每次 inquirer.prompt 的回答，如 { confirmed: true }
+ * @returns {{questions: Object[], restore: () => void}} 收到的问题，以及恢复原状的方法
+ */
+export const mockPrompts = (answers) => {
+  const questions = [];
+  const original = {
+    prompt: inquirer.prompt,
+    stdin: process.stdin.isTTY,
+    stdout: process.stdout.isTTY,
+  };
+  inquirer.prompt = async ([question]) => {
+    questions.push(question);
+    if (answers.length === 0) {
+      throw new Error(`unexpected prompt: ${question.message}`);
+    }
+    return answers.shift();
+  };
+  process.stdin.isTTY = true;
+  process.stdout.isTTY = true;
+  return {
+    questions,
+    restore: () => {
+      inquirer.prompt = original.prompt;
+      process.stdin.isTTY = original.stdin;
+      process.stdout.isTTY = original.stdout;
+    },
+  };
+};
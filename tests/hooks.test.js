@@ -0,0 +1,184 @@
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  installHooks,
+  runHook,
+  showHooksStatus,
+  uninstallHooks,
+} from "../src/hooks.js";
+import { t } from "../src/i18n.js";
+import { captureOutput, createRepo } from "./helpers/repo.js";
+
+/** 命令行入口，钩子脚本通过 PATH 中的 bk 调用 */
+const bkPath = fileURLToPath(new URL("../bin/bk.js", import.meta.url));
+
+describe("hooks", () => {
+  let repo;
+  let hook;
+  /** 钩子的执行顺序，由原有钩子和 bk 依次追加 */
+  let order;
+  const envPath = process.env.PATH;
+
+  /** 已有的 pre-push 钩子，读完标准输入并记录执行 */
+  const originalHook = `#!/bin/sh\ncat >/dev/null\necho original >> "$BK_TEST_ORDER"\n`;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    hook = path.join(repo.dir, ".git", "hooks", "pre-push");
+    order = path.join(repo.root, "order.log");
+    fs.outputFileSync(hook, originalHook, { mode: 0o755 });
+
+    // 记录执行后转交给当前源码的 bk
+    const bin = path.join(repo.root, "bin");
+    fs.outputFileSync(
+      path.join(bin, "bk"),
+      `#!/bin/sh\necho bk >> "$BK_TEST_ORDER"\nexec "${process.execPath}" "${bkPath}" "$@"\n`,
+      { mode: 0o755 }
+    );
+    process.env.PATH = `${bin}${path.delimiter}${envPath}`;
+    process.env.BK_TEST_ORDER = order;
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.env.PATH = envPath;
+    delete process.env.BK_TEST_ORDER;
+    process.exitCode = undefined;
+  });
+
+  const read = (file) => fs.readFileSync(file, "utf8");
+  const push = (branch) =>
+    repo.git(["push", "-q", "origin", branch], { reject: false });
+  const remoteHeads = () => repo.git(["ls-remote", "--heads", "origin"]);
+
+  it("should chain the existing hook and reject bad branch names", async () => {
+    await installHooks(["pre-push"]);
+    expect(read(hook)).toContain("# branch-keeper managed hook");
+    expect(read(`${hook}.bk-orig`)).toBe(originalHook);
+
+    // 默认命名规则要求 feature/ 等前缀
+    await repo.git(["branch", "bad-name"]);
+    await push("bad-name");
+    expect(await remoteHeads()).not.toContain("refs/heads/bad-name");
+    expect(read(order)).toBe("original\nbk\n");
+
+    await repo.git(["branch", "feature/123-good"]);
+    await push("feature/123-good");
+    expect(await remoteHeads()).toContain("refs/heads/feature/123-good");
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("should restore the original hook byte-for-byte on uninstall", async () => {
+    const before = fs.readFileSync(hook);
+    await installHooks(["pre-push"]);
+    // 重复安装只更新脚本，不会再次接管
+    await installHooks(["pre-push"]);
+    expect(process.exitCode).toBeUndefined();
+
+    await uninstallHooks(["pre-push"]);
+    expect(fs.readFileSync(hook).equals(before)).toBe(true);
+    expect(fs.statSync(hook).mode & 0o111).not.toBe(0);
+    expect(fs.existsSync(`${hook}.bk-orig`)).toBe(false);
+  });
+
+  it("should record the resolved bk entry and report it in status", async () => {
+    await installHooks(["pre-push"]);
+    const entry = fs.realpathSync(process.argv[1]);
+    expect(read(hook)).toContain(`BK_ENTRY='${entry}'`);
+    let output = await captureOutput(() => showHooksStatus());
+    expect(output).toContain(t("hooks.entry", { entry }));
+    expect(output).not.toContain("⚠️");
+
+    /**
+     * 替换钩子脚本中记录的入口脚本
+     * @param {string} file - 入口脚本路径
+     */
+    const setEntry = (file) =>
+      fs.writeFileSync(
+        hook,
+        read(hook).replace(
+          /^BK_ENTRY=.*$/m,
+          `BK_ENTRY='${file.replace(/'/g, "'\\''")}'`
+        )
+      );
+
+    const missing = path.join(repo.root, "missing", "cli.js");
+    setEntry(missing);
+    output = await captureOutput(() => showHooksStatus());
+    expect(output).toContain(t("hooks.entryMissing", { entry: missing }));
+
+    // 如通过 npx 安装钩子时的缓存目录
+    const temporary = path.join(repo.root, "_npx", "it's", "cli.js");
+    fs.outputFileSync(temporary, "");
+    setEntry(temporary);
+    output = await captureOutput(() => showHooksStatus());
+    expect(output).toContain(t("hooks.entryTemporary", { entry: temporary }));
+  });
+});
+
+describe("post-checkout hook", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  /**
+   * 切换分支后执行 post-checkout 检查
+   * @param {string[]} args - git checkout 的参数
+   * @returns {Promise<string>} 检查的输出
+   */
+  const checkout = async (args) => {
+    await repo.git(["checkout", "-q", ...args]);
+    return captureOutput(() =>
+      runHook("post-checkout", ["0", "0", "1"], {
+        enabled: true,
+        rules: { prefixes: ["feature/"] },
+        protectedBranches: ["main"],
+        base: "main",
+      })
+    );
+  };
+
+  it("should warn about branches whose upstream is gone", async () => {
+    await repo.git(["checkout", "-qb", "feature/gone"]);
+    await repo.commit("gone.txt");
+    await repo.git(["push", "-q", "-u", "origin", "feature/gone"]);
+    await repo.git(["push", "-q", "origin", "--delete", "feature/gone"]);
+    await repo.git(["checkout", "-q", "main"]);
+
+    expect(await checkout(["feature/gone"])).toContain(
+      t("hooks.gone", { branch: "feature/gone" })
+    );
+  });
+
+  it("should warn about branches merged into the base", async () => {
+    await repo.git(["checkout", "-qb", "feature/done"]);
+    await repo.commit("done.txt");
+    await repo.git(["checkout", "-qb", "feature/open"]);
+    await repo.commit("open.txt");
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.git(["merge", "-q", "--no-ff", "-m", "merge", "feature/done"]);
+
+    expect(await checkout(["feature/done"])).toContain(
+      t("hooks.merged", { branch: "feature/done", base: "main" })
+    );
+    expect(await checkout(["feature/open"])).toBe("");
+    // 受保护的分支不检查
+    expect(await checkout(["main"])).toBe("");
+  });
+
+  it("should check the naming rules of new branches only", async () => {
+    const output = await checkout(["-b", "bad-name"]);
+    expect(output).toContain(t("hooks.badName", { branch: "bad-name" }));
+    expect(output).toContain(t("hooks.renameHint"));
+    expect(await checkout(["-b", "feature/good"])).toBe("");
+    expect(process.exitCode).toBeUndefined();
+  });
+});
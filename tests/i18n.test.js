@@ -0,0 +1,48 @@
+import {
+  normalizeLocale,
+  resolveLocale,
+  setLocale,
+  getLocale,
+  t,
+} from "../src/i18n.js";
+
+describe("resolveLocale", () => {
+  it("should normalize locale tags", () => {
+    expect(normalizeLocale("en_US.UTF-8")).toBe("en");
+    expect(normalizeLocale("zh_TW.Big5")).toBe("zh-CN");
+    expect(normalizeLocale("C")).toBeNull();
+    expect(normalizeLocale("")).toBeNull();
+  });
+
+  it("should prefer the explicit language, then LC_ALL, LC_MESSAGES and LANG", () => {
+    expect(resolveLocale("en", { LANG: "zh_CN.UTF-8" })).toBe("en");
+    expect(
+      resolveLocale(undefined, {
+        LC_ALL: "",
+        LC_MESSAGES: "en_GB",
+        LANG: "zh_CN",
+      })
+    ).toBe("en");
+    expect(resolveLocale("fr", { LANG: "C.UTF-8" })).toBe("zh-CN");
+  });
+});
+
+describe("t", () => {
+  afterEach(() => {
+    setLocale("zh-CN");
+  });
+
+  it("should interpolate params and choose plural forms", () => {
+    setLocale("en");
+    expect(getLocale()).toBe("en");
+    expect(t("common.noMatch", { pattern: "feat*" })).toContain("feat*");
+    expect(t("utils.hoursAgo", { count: 1 })).toBe("1 hour ago");
+    expect(t("utils.hoursAgo", { count: 3 })).toBe("3 hours ago");
+  });
+
+  it("should fall back to the default locale and then the key", () => {
+    setLocale("fr");
+    expect(getLocale()).toBe("zh-CN");
+    expect(t("no.such.key")).toBe("no.such.key");
+  });
+});
@@ -0,0 +1,98 @@
+import fs from "fs-extra";
+import path from "path";
+import { readJournal, undoOperation } from "../src/journal.js";
+import { deleteBranches } from "../src/delete.js";
+import { switchBranch } from "../src/switch.js";
+import { branchExists, getCurrentBranch, getStashList } from "../src/utils.js";
+import { createRepo } from "./helpers/repo.js";
+
+describe("undoOperation", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  /**
+   * 创建带提交的分支后切回 main
+   * @param {string} branch - 分支名
+   * @returns {Promise<string>} 分支的 sha
+   */
+  const createBranch = async (branch) => {
+    await repo.git(["checkout", "-qb", branch]);
+    const sha = await repo.commit(`${branch}.txt`);
+    await repo.git(["checkout", "-q", "main"]);
+    return sha;
+  };
+
+  /**
+   * 创建只存在于 origin 的分支
+   * @param {string} branch - 分支名
+   */
+  const createRemoteBranch = async (branch) => {
+    await createBranch(branch);
+    await repo.git(["push", "-q", "origin", branch]);
+    await repo.git(["branch", "-qD", branch]);
+  };
+
+  it("should restore deleted branches", async () => {
+    const sha = await createBranch("feature/a");
+    await deleteBranches(["feature/a"], { yes: true, force: true });
+    expect(await branchExists("feature/a")).toBe(false);
+
+    await undoOperation(undefined, { yes: true });
+    expect(await repo.git(["rev-parse", "feature/a"])).toBe(sha);
+    expect((await readJournal()).map((r) => [r.command, r.undone])).toEqual([
+      ["delete", true],
+    ]);
+  });
+
+  it("should switch back and restore the autostash of a checkout", async () => {
+    await createBranch("feature/a");
+    fs.writeFileSync(path.join(repo.dir, "README.md"), "changed\n");
+    fs.writeFileSync(path.join(repo.dir, "notes.txt"), "draft\n");
+
+    await switchBranch("feature/a", { autostash: true });
+    expect(await getCurrentBranch()).toBe("feature/a");
+    expect(await getStashList()).toHaveLength(1);
+
+    await undoOperation(undefined, { yes: true });
+    expect(await getCurrentBranch()).toBe("main");
+    expect(await getStashList()).toEqual([]);
+    expect(fs.readFileSync(path.join(repo.dir, "README.md"), "utf8")).toBe(
+      "changed\n"
+    );
+    expect(fs.existsSync(path.join(repo.dir, "notes.txt"))).toBe(true);
+  });
+
+  it("should delete branches created from remote branches", async () => {
+    await createRemoteBranch("feature/remote");
+    await switchBranch("feature/remote", {});
+    expect(await getCurrentBranch()).toBe("feature/remote");
+
+    await undoOperation(undefined, { yes: true });
+    expect(await getCurrentBranch()).toBe("main");
+    expect(await branchExists("feature/remote")).toBe(false);
+    expect(
+      await repo.git(["config", "--get-regexp", "^branch\\.feature/"], {
+        reject: false,
+      })
+    ).toBe("");
+  });
+
+  it("should refuse to undo when the branch has moved since", async () => {
+    await createRemoteBranch("feature/remote");
+    await switchBranch("feature/remote", {});
+    const moved = await repo.commit("later.txt");
+
+    await undoOperation(undefined, { yes: true });
+    expect(await getCurrentBranch()).toBe("main");
+    expect(await repo.git(["rev-parse", "feature/remote"])).toBe(moved);
+    expect(process.exitCode).toBe(1);
+  });
+});
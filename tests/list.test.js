@@ -0,0 +1,138 @@
+import fs from "fs-extra";
+import path from "path";
+import { listBranches } from "../src/list.js";
+import { t } from "../src/i18n.js";
+import { captureOutput, createRepo, runCli } from "./helpers/repo.js";
+
+describe("listBranches", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["branch", "merged"]);
+
+    await repo.git(["checkout", "-qb", "feature/ahead"]);
+    await repo.git(["push", "-q", "-u", "origin", "feature/ahead"]);
+    await repo.commit("ahead.txt");
+
+    await repo.git(["checkout", "-qb", "feature/behind", "main"]);
+    await repo.commit("behind.txt");
+    await repo.git(["push", "-q", "-u", "origin", "feature/behind"]);
+    await repo.git(["reset", "-q", "--hard", "main"]);
+
+    await repo.git(["checkout", "-qb", "feature/gone", "main"]);
+    await repo.git(["push", "-q", "-u", "origin", "feature/gone"]);
+    await repo.git(["push", "-q", "origin", "--delete", "feature/gone"]);
+
+    // 其他人很久以前的提交
+    await repo.git(["checkout", "-qb", "old", "main"]);
+    fs.writeFileSync(path.join(repo.dir, "old.txt"), "old\n");
+    await repo.git(["add", "-A"]);
+    const date = "2020-01-01T00:00:00Z";
+    await repo.git(
+      ["commit", "-qm", "old work", "--author", "Other <other@example.com>"],
+      { env: { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date } }
+    );
+
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.commit("main.txt");
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  /**
+   * 列出分支并从表格中取出分支名
+   * @param {string[]} patterns - 分支规则
+   * @param {Object} [options] - listBranches 选项
+   * @returns {Promise<string[]>} 按表格顺序的分支名
+   */
+  const listed = async (patterns, options = {}) => {
+    const output = await captureOutput(() =>
+      listBranches(patterns, { base: "main", ...options })
+    );
+    return [...output.matchAll(/^[*+ ] (\S+)/gm)].map(([, branch]) => branch);
+  };
+
+  it("should output upstream differences and merge status as JSON", async () => {
+    const { stdout, exitCode } = await runCli(["list", "--json"]);
+    expect(exitCode).toBe(0);
+    const result = JSON.parse(stdout);
+    expect(result).toMatchObject({
+      command: "list",
+      ok: true,
+      base: "main",
+      total: 6,
+    });
+    const branches = Object.fromEntries(
+      result.branches.map((row) => [row.branch, row])
+    );
+    expect(branches.main).toMatchObject({
+      current: true,
+      upstream: "origin/main",
+    });
+    expect(branches["feature/ahead"]).toMatchObject({
+      upstream: "origin/feature/ahead",
+      ahead: 1,
+      behind: 0,
+      gone: false,
+      merged: false,
+    });
+    expect(branches["feature/behind"]).toMatchObject({
+      ahead: 0,
+      behind: 1,
+      merged: true,
+    });
+    expect(branches["feature/gone"]).toMatchObject({
+      upstream: "origin/feature/gone",
+      gone: true,
+    });
+    expect(branches.merged).toMatchObject({ upstream: null, merged: true });
+    expect(branches.old).toMatchObject({ author: "Other", merged: false });
+  });
+
+  it("should show the differences in the table", async () => {
+    const output = await captureOutput(() =>
+      listBranches([], { base: "main" })
+    );
+    expect(output).toMatch(/^\* main\s/m);
+    expect(output).toMatch(/^ {2}feature\/ahead\s.*↑1/m);
+    expect(output).toMatch(/^ {2}feature\/behind\s.*↓1/m);
+    expect(output).toMatch(
+      new RegExp(`^ {2}feature/gone\\s.*${t("list.gone")}`, "m")
+    );
+  });
+
+  it("should filter by pattern, merge status, upstream, age and author", async () => {
+    expect(await listed(["feature/*"])).toEqual([
+      "feature/ahead",
+      "feature/behind",
+      "feature/gone",
+    ]);
+    expect(await listed([], { merged: true })).toEqual([
+      "feature/behind",
+      "feature/gone",
+      "merged",
+    ]);
+    expect(await listed([], { merged: false })).toEqual([
+      "feature/ahead",
+      "old",
+    ]);
+    expect(await listed([], { gone: true })).toEqual(["feature/gone"]);
+    expect(await listed([], { stale: "365d" })).toEqual(["old"]);
+    expect(await listed([], { author: "OTHER" })).toEqual(["old"]);
+  });
+
+  it("should sort by the given field", async () => {
+    const names = await listed([]);
+    expect(names).toHaveLength(6);
+    expect(names).toEqual([...names].sort());
+    expect(await listed([], { reverse: true })).toEqual([...names].reverse());
+    expect((await listed([], { sort: "ahead" }))[0]).toBe("feature/ahead");
+    expect((await listed([], { sort: "behind" }))[0]).toBe("feature/behind");
+    expect((await listed([], { sort: "date" })).at(-1)).toBe("old");
+    expect((await listed([], { sort: "author" }))[0]).toBe("old");
+  });
+});
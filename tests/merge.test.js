@@ -0,0 +1,78 @@
+import fs from "fs-extra";
+import path from "path";
+import { mergeToBranches } from "../src/merge.js";
+import { getCurrentBranch, getStashList, readState } from "../src/utils.js";
+import { createRepo } from "./helpers/repo.js";
+
+describe("mergeToBranches", () => {
+  let repo;
+  let conflicting;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["branch", "release/a"]);
+    await repo.git(["branch", "release/b"]);
+    await repo.git(["checkout", "-q", "release/a"]);
+    conflicting = await repo.commit("version.txt", "1.0-a");
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.commit("version.txt", "2.0");
+    // 原分支上未提交的更改，合并期间暂存，结束后恢复
+    fs.writeFileSync(path.join(repo.dir, "README.md"), "wip\n");
+
+    await mergeToBranches({
+      source: "main",
+      target: ["release/*"],
+      ffOnly: false,
+    });
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const readReadme = () =>
+    fs.readFileSync(path.join(repo.dir, "README.md"), "utf8");
+
+  it("should pause on conflicts and save the state", async () => {
+    expect(process.exitCode).toBe(1);
+    expect(await getCurrentBranch()).toBe("release/a");
+    expect(await readState("merge")).toMatchObject({
+      originalBranch: "main",
+      queue: ["release/a", "release/b"],
+      conflict: { branch: "release/a", before: conflicting },
+    });
+  });
+
+  it("should continue with the remaining branches after resolving", async () => {
+    fs.writeFileSync(path.join(repo.dir, "version.txt"), "2.0-a\n");
+    await repo.git(["add", "version.txt"]);
+    process.exitCode = undefined;
+
+    await mergeToBranches({ continue: true });
+    expect(process.exitCode).toBeUndefined();
+    expect(await getCurrentBranch()).toBe("main");
+    expect(readReadme()).toBe("wip\n");
+    expect(await getStashList()).toEqual([]);
+    expect(await readState("merge")).toBeNull();
+    for (const branch of ["release/a", "release/b"]) {
+      await expect(
+        repo.git(["merge-base", "--is-ancestor", "main", branch])
+      ).resolves.toBe("");
+    }
+    expect(await repo.git(["show", "release/a:version.txt"])).toBe("2.0-a");
+  });
+
+  it("should abort, skip the remaining branches and restore the stash", async () => {
+    await mergeToBranches({ abort: true });
+    expect(process.exitCode).toBe(1);
+    expect(await getCurrentBranch()).toBe("main");
+    expect(readReadme()).toBe("wip\n");
+    expect(await getStashList()).toEqual([]);
+    expect(await readState("merge")).toBeNull();
+    expect(await repo.git(["rev-parse", "release/a"])).toBe(conflicting);
+    expect(await repo.git(["rev-parse", "release/b"])).not.toBe(
+      await repo.git(["rev-parse", "main"])
+    );
+  });
+});
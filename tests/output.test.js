@@ -0,0 +1,97 @@
+import {
+  InteractionRequiredError,
+  isJsonMode,
+  requireInteraction,
+} from "../src/output.js";
+import { createRepo, runCli } from "./helpers/repo.js";
+
+describe("--json", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["branch", "feature/a"]);
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+  });
+
+  it("should print exactly one JSON document and nothing else", async () => {
+    const { stdout, stderr, exitCode } = await runCli([
+      "clean",
+      "--merged",
+      "main",
+      "--list-only",
+      "--debug",
+      "--json",
+    ]);
+    expect(exitCode).toBe(0);
+    // 调试日志、spinner 和表格都不会输出
+    expect(stderr).toBe("");
+    expect(JSON.parse(stdout)).toEqual({
+      command: "clean",
+      ok: true,
+      exitCode: 0,
+      errors: [],
+      warnings: [],
+      listOnly: true,
+      candidates: [
+        expect.objectContaining({ branch: "feature/a", reason: "merged" }),
+      ],
+      skipped: [],
+    });
+
+    // 不带 --json 时同一命令输出的是日志和列表
+    const plain = await runCli(["clean", "--merged", "main", "--list-only"]);
+    expect(() => JSON.parse(plain.stdout)).toThrow();
+    expect(plain.stdout).toContain("feature/a");
+  });
+
+  it("should report partial failures with exit code 1", async () => {
+    const { stdout, exitCode } = await runCli([
+      "delete",
+      "feature/a",
+      "missing",
+      "--yes",
+      "--json",
+    ]);
+    expect(exitCode).toBe(1);
+    const result = JSON.parse(stdout);
+    expect(result).toMatchObject({
+      command: "delete",
+      ok: false,
+      exitCode: 1,
+      results: [{ branch: "feature/a", status: "deleted" }],
+    });
+    expect(result.errors).toEqual([expect.stringContaining("missing")]);
+    expect(await repo.git(["branch", "--list", "feature/a"])).toBe("");
+  });
+
+  it("should fail instead of prompting", async () => {
+    const { stdout, exitCode } = await runCli([
+      "clean",
+      "--merged",
+      "main",
+      "--json",
+    ]);
+    expect(exitCode).toBe(1);
+    const result = JSON.parse(stdout);
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      expect.stringMatching(/--json.*--list-only/),
+    ]);
+    expect(await repo.git(["branch", "--list", "feature/a"])).not.toBe("");
+  });
+});
+
+describe("requireInteraction", () => {
+  it("should throw when not running in a terminal", () => {
+    // jest 的标准输入不是终端
+    expect(isJsonMode()).toBe(false);
+    expect(() => requireInteraction("use --yes")).toThrow(
+      InteractionRequiredError
+    );
+    expect(() => requireInteraction("use --yes")).toThrow("use --yes");
+  });
+});
@@ -0,0 +1,81 @@
+import { compileRule, matchBranch, filterBranches } from "../src/pattern.js";
+
+describe("compileRule", () => {
+  it("should match exact names", () => {
+    const { test } = compileRule("main");
+    expect(test("main")).toBe(true);
+    expect(test("main2")).toBe(false);
+  });
+
+  it("should match globs without crossing slashes", () => {
+    const { test } = compileRule("release/*");
+    expect(test("release/1.0")).toBe(true);
+    expect(test("release/1.0/hotfix")).toBe(false);
+    expect(test("release")).toBe(false);
+  });
+
+  it("should match ** across slashes", () => {
+    const { test } = compileRule("hotfix/**");
+    expect(test("hotfix/a")).toBe(true);
+    expect(test("hotfix/a/b")).toBe(true);
+  });
+
+  it("should match ? as a single character", () => {
+    const { test } = compileRule("v?.x");
+    expect(test("v1.x")).toBe(true);
+    expect(test("v10.x")).toBe(false);
+  });
+
+  it("should escape regex characters in globs", () => {
+    const { test } = compileRule("feat+(x).*");
+    expect(test("feat+(x).1")).toBe(true);
+    expect(test("featt(x)a1")).toBe(false);
+  });
+
+  it("should support /regex/ with flags", () => {
+    const { test } = compileRule("/^renovate\\//i");
+    expect(test("Renovate/deps")).toBe(true);
+    expect(test("feature/renovate/x")).toBe(false);
+  });
+
+  it("should throw on invalid regex", () => {
+    expect(() => compileRule("/(/")).toThrow("无效的分支匹配规则");
+  });
+});
+
+describe("matchBranch", () => {
+  it("should report the rule that matched", () => {
+    expect(matchBranch("release/1.0", ["main", "release/*"])).toEqual({
+      matched: true,
+      rule: "release/*",
+    });
+    expect(matchBranch("feature/a", ["main"])).toEqual({
+      matched: false,
+      rule: null,
+    });
+  });
+
+  it("should let later negations exclude earlier matches", () => {
+    const rules = ["release/*", "!release/old-*"];
+    expect(matchBranch("release/old-1", rules)).toEqual({
+      matched: false,
+      rule: "!release/old-*",
+    });
+    expect(matchBranch("release/2.0", rules).matched).toBe(true);
+  });
+
+  it("should let later rules re-include negated branches", () => {
+    const rules = ["release/*", "!release/old-*", "release/old-keep"];
+    expect(matchBranch("release/old-keep", rules).matched).toBe(true);
+  });
+});
+
+describe("filterBranches", () => {
+  it("should keep only matching branches", () => {
+    const branches = ["main", "renovate/a", "feature/b", "renovate/c"];
+    expect(filterBranches(branches, ["renovate/*"])).toEqual([
+      "renovate/a",
+      "renovate/c",
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+import { fuzzyScore, sortByRecency, describeBranch } from "../src/picker.js";
+
+describe("fuzzyScore", () => {
+  it("should match characters in order, ignoring case", () => {
+    expect(fuzzyScore("fla", "feature/login-api")).not.toBeNull();
+    expect(fuzzyScore("FLA", "feature/login-api")).not.toBeNull();
+    expect(fuzzyScore("alf", "feature/login-api")).toBeNull();
+    expect(fuzzyScore("", "main")).toBe(0);
+  });
+
+  it("should rank substrings and segment starts higher", () => {
+    const rank = (query, names) =>
+      [...names].sort((a, b) => fuzzyScore(query, b) - fuzzyScore(query, a));
+    expect(rank("login", ["fix/lo-gin", "feature/login"])).toEqual([
+      "feature/login",
+      "fix/lo-gin",
+    ]);
+    expect(rank("fl", ["hotfix-all", "feature/login"])).toEqual([
+      "feature/login",
+      "hotfix-all",
+    ]);
+  });
+});
+
+describe("sortByRecency", () => {
+  it("should put recently checked out branches first and keep the rest", () => {
+    const recent = new Map([
+      ["dev", 0],
+      ["main", 1],
+    ]);
+    expect(sortByRecency(["a", "main", "b", "dev"], recent)).toEqual([
+      "dev",
+      "main",
+      "a",
+      "b",
+    ]);
+  });
+});
+
+describe("describeBranch", () => {
+  it("should describe upstream tracking", () => {
+    expect(describeBranch({ track: "[ahead 1, behind 2]" })).toBe("↑1 ↓2");
+    expect(describeBranch({ track: "[behind 3]" })).toBe("↓3");
+    expect(describeBranch({ track: "[gone]" })).toBe("上游已删除");
+    expect(
+      describeBranch({ committerDate: Date.now() / 1000, track: "[gone]" })
+    ).toBe("0 小时前 · 上游已删除");
+  });
+});
@@ -0,0 +1,164 @@
+import fs from "fs-extra";
+import path from "path";
+import { switchBranch } from "../src/switch.js";
+import { t } from "../src/i18n.js";
+import { readJournal } from "../src/journal.js";
+import {
+  branchExists,
+  findAutostash,
+  getCurrentBranch,
+  getStashList,
+} from "../src/utils.js";
+import { captureOutput, createRepo } from "./helpers/repo.js";
+
+describe("switchBranch autostash", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    await repo.git(["branch", "feature"]);
+    // 已跟踪文件的修改和未跟踪的文件都会被暂存
+    fs.writeFileSync(path.join(repo.dir, "README.md"), "changed\n");
+    fs.writeFileSync(path.join(repo.dir, "notes.txt"), "draft\n");
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const read = (file) => fs.readFileSync(path.join(repo.dir, file), "utf8");
+  const status = () => repo.git(["status", "--porcelain"]);
+
+  it("should stash changes per branch when leaving", async () => {
+    await switchBranch("feature", { autostash: true });
+
+    expect(await getCurrentBranch()).toBe("feature");
+    expect(await status()).toBe("");
+    expect(await findAutostash("main")).toMatchObject({ index: 0 });
+    expect(await findAutostash("feature")).toBeNull();
+  });
+
+  it("should restore only the branch's own stash on return", async () => {
+    await switchBranch("feature", { autostash: true });
+    fs.writeFileSync(path.join(repo.dir, "feature.txt"), "feature\n");
+
+    await switchBranch("main", { autostash: true });
+    expect(await getCurrentBranch()).toBe("main");
+    expect(read("README.md")).toBe("changed\n");
+    expect(read("notes.txt")).toBe("draft\n");
+    expect(fs.existsSync(path.join(repo.dir, "feature.txt"))).toBe(false);
+    expect(await findAutostash("main")).toBeNull();
+    expect(await findAutostash("feature")).not.toBeNull();
+
+    await switchBranch("feature", { autostash: true });
+    expect(read("feature.txt")).toBe("feature\n");
+    expect(await getStashList()).toHaveLength(1);
+  });
+
+  it("should pop the stash back when checkout fails", async () => {
+    // 指向树对象的分支无法检出，用来模拟暂存之后检出失败
+    const tree = await repo.git(["rev-parse", "HEAD^{tree}"]);
+    fs.writeFileSync(
+      path.join(repo.dir, ".git", "refs", "heads", "broken"),
+      `${tree}\n`
+    );
+
+    await switchBranch("broken", { autostash: true });
+    expect(process.exitCode).toBe(1);
+    expect(await getCurrentBranch()).toBe("main");
+    expect(read("README.md")).toBe("changed\n");
+    expect(read("notes.txt")).toBe("draft\n");
+    expect(await getStashList()).toEqual([]);
+  });
+
+  it("should pop the stash back when the tracking branch cannot be created", async () => {
+    // 本地分支 feature 的引用文件与 feature/remote 冲突，无法创建跟踪分支
+    await repo.git(["push", "-q", "origin", "main:refs/heads/feature/remote"]);
+    await repo.git(["fetch", "-q", "origin"]);
+
+    await switchBranch("feature/remote", { autostash: true });
+    expect(process.exitCode).toBe(1);
+    expect(await getCurrentBranch()).toBe("main");
+    expect(await branchExists("feature/remote")).toBe(false);
+    expect(read("README.md")).toBe("changed\n");
+    expect(read("notes.txt")).toBe("draft\n");
+    expect(await getStashList()).toEqual([]);
+    expect((await readJournal()).flatMap(({ actions }) => actions)).toEqual([]);
+  });
+});
+
+describe("switchBranch targets", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    const upstream = path.join(repo.root, "upstream.git");
+    await repo.git(["init", "-q", "--bare", upstream]);
+    await repo.git(["remote", "add", "upstream", upstream]);
+
+    await repo.git(["branch", "feature-local"]);
+    for (const branch of ["feature", "remote-api", "dup"]) {
+      await repo.git(["push", "-q", "origin", `main:refs/heads/${branch}`]);
+    }
+    await repo.git(["push", "-q", "upstream", "main:refs/heads/dup"]);
+    await repo.git(["fetch", "-q", "--all"]);
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  const upstreamOf = (branch) =>
+    repo.git(["rev-parse", "--abbrev-ref", `${branch}@{upstream}`]);
+
+  it("should create a tracking branch for a remote-only branch", async () => {
+    // 完全匹配的远程分支优先于模糊匹配的本地分支 feature-local
+    await switchBranch("feature", {});
+    expect(await getCurrentBranch()).toBe("feature");
+    expect(await upstreamOf("feature")).toBe("origin/feature");
+    const [record] = (await readJournal()).slice(-1);
+    expect(record.actions).toEqual([
+      expect.objectContaining({
+        type: "create",
+        branch: "feature",
+        sha: await repo.git(["rev-parse", "origin/feature"]),
+      }),
+      expect.objectContaining({
+        type: "checkout",
+        from: "main",
+        to: "feature",
+      }),
+    ]);
+  });
+
+  it("should prefer exact local branches and fuzzy match the rest", async () => {
+    await switchBranch("feature-local", {});
+    expect(await getCurrentBranch()).toBe("feature-local");
+    expect(await branchExists("feature")).toBe(false);
+
+    await switchBranch("api", {});
+    expect(await getCurrentBranch()).toBe("remote-api");
+    expect(await upstreamOf("remote-api")).toBe("origin/remote-api");
+
+    await switchBranch("upstream/dup", {});
+    expect(await upstreamOf("dup")).toBe("upstream/dup");
+  });
+
+  it("should only match remote branches with --remote-only", async () => {
+    await switchBranch("fea", { remoteOnly: true });
+    expect(await getCurrentBranch()).toBe("feature");
+  });
+
+  it("should list ambiguous matches instead of prompting without a terminal", async () => {
+    for (const query of ["dup", "fea"]) {
+      const output = await captureOutput(() => switchBranch(query, {}));
+      expect(process.exitCode).toBe(1);
+      expect(output).toContain(t("switch.ambiguous", { count: 2, query }));
+      process.exitCode = undefined;
+    }
+    expect(await getCurrentBranch()).toBe("main");
+    expect(await branchExists("dup")).toBe(false);
+  });
+});
@@ -0,0 +1,89 @@
+import fs from "fs-extra";
+import path from "path";
+import {
+  branchExists,
+  deleteBranch,
+  getTrashEntries,
+  refExists,
+} from "../src/utils.js";
+import { restoreTrashEntry, purgeTrash } from "../src/trash.js";
+import { createRepo } from "./helpers/repo.js";
+
+describe("trash", () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createRepo();
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+  });
+
+  /**
+   * 创建带提交的分支，可选推送到 origin 并设置上游
+   * @param {string} branch - 分支名
+   * @param {boolean} [push] - 是否推送
+   * @returns {Promise<string>} 分支的 sha
+   */
+  const createBranch = async (branch, push = false) => {
+    await repo.git(["checkout", "-qb", branch]);
+    const sha = await repo.commit(`${branch}.txt`);
+    if (push) await repo.git(["push", "-q", "-u", "origin", branch]);
+    await repo.git(["checkout", "-q", "main"]);
+    return sha;
+  };
+
+  it("should back up deleted branches and restore them with upstream", async () => {
+    const sha = await createBranch("feature/a", true);
+
+    const entry = await deleteBranch("feature/a", true);
+    expect(await branchExists("feature/a")).toBe(false);
+    expect(await refExists(entry.ref)).toBe(true);
+    expect(await getTrashEntries()).toEqual([
+      expect.objectContaining({
+        ref: entry.ref,
+        branch: "feature/a",
+        sha,
+        upstream: "origin/feature/a",
+      }),
+    ]);
+
+    expect(await restoreTrashEntry(entry)).toBe(true);
+    expect(await repo.git(["rev-parse", "feature/a"])).toBe(sha);
+    expect(
+      await repo.git(["rev-parse", "--abbrev-ref", "feature/a@{upstream}"])
+    ).toBe("origin/feature/a");
+    expect(await refExists(entry.ref)).toBe(false);
+    expect(await getTrashEntries()).toEqual([]);
+  });
+
+  it("should keep the trash entry when the branch already exists", async () => {
+    await createBranch("feature/a");
+    const entry = await deleteBranch("feature/a", true);
+    await repo.git(["branch", "feature/a"]);
+
+    expect(await restoreTrashEntry(entry)).toBe(false);
+    expect(await refExists(entry.ref)).toBe(true);
+  });
+
+  it("should purge only entries older than the given duration", async () => {
+    await createBranch("old");
+    await createBranch("recent");
+    const old = await deleteBranch("old", true);
+    const recent = await deleteBranch("recent", true);
+
+    // 把 old 的删除时间改到 40 天前
+    const file = path.join(repo.dir, ".git", "branch-keeper", "trash.json");
+    const data = fs.readJsonSync(file);
+    data[old.ref].deletedAt = Date.now() - 40 * 24 * 60 * 60 * 1000;
+    fs.writeJsonSync(file, data);
+
+    await purgeTrash({ olderThan: "30d" });
+    expect(await refExists(old.ref)).toBe(false);
+    expect(await refExists(recent.ref)).toBe(true);
+    expect((await getTrashEntries()).map((entry) => entry.branch)).toEqual([
+      "recent",
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  parseDuration,
+  formatAge,
+  formatTable,
+  parseTrack,
+} from "../src/utils.js";
+
+describe("parseDuration", () => {
+  it("should parse supported units", () => {
+    expect(parseDuration("12h")).toBe(12 * 60 * 60 * 1000);
+    expect(parseDuration("30d")).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(parseDuration("6w")).toBe(42 * 24 * 60 * 60 * 1000);
+    expect(parseDuration("3m")).toBe(90 * 24 * 60 * 60 * 1000);
+    expect(parseDuration("1Y")).toBe(365 * 24 * 60 * 60 * 1000);
+  });
+
+  it("should throw on invalid durations", () => {
+    expect(() => parseDuration("30")).toThrow("无效的时长");
+    expect(() => parseDuration("d")).toThrow("无效的时长");
+    expect(() => parseDuration("3x")).toThrow("无效的时长");
+  });
+});
+
+describe("formatAge", () => {
+  it("should format timestamps relative to now", () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(formatAge(now - 2 * 60 * 60)).toBe("2 小时前");
+    expect(formatAge(now - 45 * 24 * 60 * 60)).toBe("45 天前");
+    expect(formatAge(now - 2 * 365 * 24 * 60 * 60)).toBe("2 年前");
+  });
+});
+
+describe("parseTrack", () => {
+  it("should parse ahead/behind counts and gone upstreams", () => {
+    expect(parseTrack("[ahead 1, behind 12]")).toEqual({
+      ahead: 1,
+      behind: 12,
+      gone: false,
+    });
+    expect(parseTrack("[gone]")).toEqual({ ahead: 0, behind: 0, gone: true });
+    expect(parseTrack("")).toEqual({ ahead: 0, behind: 0, gone: false });
+  });
+});
+
+describe("formatTable", () => {
+  it("should align columns counting wide characters as two", () => {
+    expect(
+      formatTable(
+        ["分支", "结果"],
+        [
+          ["main", "已合并"],
+          ["feature/a", "失败"],
+        ]
+      )
+    ).toBe(
+      [
+        "分支       结果",
+        "---------  ------",
+        "main       已合并",
+        "feature/a  失败",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,221 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  findRepos,
+  mapWithLimit,
+  stripWorkspaceArgs,
+} from "../src/workspace.js";
+import { createRepo, runCli } from "./helpers/repo.js";
+
+describe("findRepos", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "bk-ws-")));
+    for (const repo of ["api", "web", "group/lib", "api/vendor/inner"]) {
+      fs.ensureDirSync(path.join(root, repo, ".git"));
+    }
+    fs.ensureDirSync(path.join(root, "notes"));
+    fs.ensureDirSync(path.join(root, "node_modules", "pkg", ".git"));
+  });
+
+  afterEach(() => {
+    fs.removeSync(root);
+  });
+
+  it("should find repos under a workspace without entering them", async () => {
+    expect(await findRepos({ workspace: root })).toEqual(
+      ["api", "group/lib", "web"].map((repo) => path.join(root, repo))
+    );
+  });
+
+  it("should expand globs and skip directories that are not repos", async () => {
+    expect(await findRepos({ repos: [path.join(root, "*")] })).toEqual(
+      ["api", "web"].map((repo) => path.join(root, repo))
+    );
+    expect(await findRepos({ repos: [path.join(root, "**", "lib")] })).toEqual([
+      path.join(root, "group", "lib"),
+    ]);
+  });
+});
+
+describe("stripWorkspaceArgs", () => {
+  it("should remove multi-repo options and keep the rest", () => {
+    expect(
+      stripWorkspaceArgs([
+        "clean",
+        "--repos",
+        "a",
+        "b",
+        "--merged",
+        "--workspace=~/code",
+        "--concurrency",
+        "2",
+        "--json",
+        "--list-only",
+      ])
+    ).toEqual(["clean", "--merged", "--list-only"]);
+    expect(stripWorkspaceArgs(["list", "--repos", "--gone"])).toEqual([
+      "list",
+      "--gone",
+    ]);
+  });
+});
+
+describe("mapWithLimit", () => {
+  it("should keep order and never exceed the limit", async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithLimit([30, 10, 20, 5, 15], 2, async (ms) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      running--;
+      return ms * 2;
+    });
+    expect(results).toEqual([60, 20, 40, 10, 30]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe("multi-repo commands", () => {
+  /** 每个用例都会启动多个 bk 子进程 */
+  const timeout = 30000;
+  let api;
+  let web;
+  /** 有 .git 目录但无法运行 bk 的仓库 */
+  let broken;
+
+  beforeEach(async () => {
+    api = await createRepo();
+    await api.git(["branch", "feature/api"]);
+    await api.commit("api.txt");
+
+    web = await createRepo();
+    await web.git(["branch", "feature/web"]);
+    await web.git(["checkout", "-qb", "feature/open"]);
+    await web.commit("open.txt");
+    await web.git(["checkout", "-q", "main"]);
+    await web.commit("web.txt");
+
+    broken = path.join(web.root, "broken");
+    fs.ensureDirSync(path.join(broken, ".git"));
+  });
+
+  afterEach(() => {
+    // 后创建的仓库先清理，才能回到原来的目录
+    web.cleanup();
+    api.cleanup();
+  });
+
+  const branches = (repo) =>
+    repo
+      .git(["branch", "--format=%(refname:short)"])
+      .then((s) => s.split("\n"));
+
+  it(
+    "should list branches of every repo",
+    async () => {
+      const { stdout, exitCode } = await runCli([
+        "list",
+        "--json",
+        "--repos",
+        api.dir,
+        web.dir,
+      ]);
+      expect(exitCode).toBe(0);
+      const { repos } = JSON.parse(stdout);
+      expect(
+        Object.fromEntries(
+          repos.map(({ path: repo, branches: rows }) => [
+            repo,
+            rows.map(({ branch }) => branch),
+          ])
+        )
+      ).toEqual({
+        [api.dir]: ["feature/api", "main"],
+        [web.dir]: ["feature/open", "feature/web", "main"],
+      });
+    },
+    timeout
+  );
+
+  it(
+    "should show one summary and ask once before deleting",
+    async () => {
+      const preview = await runCli([
+        "clean",
+        "--merged",
+        "main",
+        "--list-only",
+        "--repos",
+        api.dir,
+        web.dir,
+      ]);
+      expect(preview.exitCode).toBe(0);
+      expect(preview.stdout).toMatch(/^- feature\/api /m);
+      expect(preview.stdout).toMatch(/^- feature\/web /m);
+      expect(preview.stdout).not.toContain("feature/open");
+      expect(preview.stdout).toContain(
+        "Found 2 branches to clean up in 2 of 2 repositories"
+      );
+
+      // 不在终端中无法确认，任何仓库都不会删除
+      const refused = await runCli([
+        "clean",
+        "--merged",
+        "main",
+        "--repos",
+        api.dir,
+        web.dir,
+      ]);
+      expect(refused.exitCode).toBe(1);
+      expect(await branches(api)).toContain("feature/api");
+      expect(await branches(web)).toContain("feature/web");
+    },
+    timeout
+  );
+
+  it(
+    "should keep cleaning the other repos when one fails",
+    async () => {
+      const { stdout, exitCode } = await runCli([
+        "clean",
+        "--merged",
+        "main",
+        "--no-confirm",
+        "--json",
+        "--repos",
+        api.dir,
+        broken,
+        web.dir,
+      ]);
+      expect(exitCode).toBe(1);
+      const result = JSON.parse(stdout);
+      /**
+       * 按仓库路径取出结果
+       * @param {Object[]} reports - 各仓库的结果
+       * @returns {Object<string, Object>} 仓库路径到结果的映射
+       */
+      const byPath = (reports) =>
+        Object.fromEntries(reports.map((report) => [report.path, report]));
+      expect(byPath(result.repos)).toEqual({
+        [api.dir]: expect.objectContaining({ ok: true }),
+        [broken]: expect.objectContaining({ ok: false }),
+        [web.dir]: expect.objectContaining({ ok: true }),
+      });
+      expect(byPath(result.results)).toEqual({
+        [api.dir]: expect.objectContaining({
+          results: [expect.objectContaining({ branch: "feature/api" })],
+        }),
+        [web.dir]: expect.objectContaining({
+          results: [expect.objectContaining({ branch: "feature/web" })],
+        }),
+      });
+      expect(await branches(api)).toEqual(["main"]);
+      expect(await branches(web)).toEqual(["feature/open", "main"]);
+    },
+    timeout
+  );
+});
@@ -0,0 +1,67 @@
+import fs from "fs-extra";
+import path from "path";
+import { pruneWorktrees } from "../src/worktree.js";
+import { branchExists } from "../src/utils.js";
+import { createRepo, captureOutput } from "./helpers/repo.js";
+
+describe("pruneWorktrees", () => {
+  let repo;
+  /** 分支名到工作树路径的映射 */
+  const worktrees = {};
+
+  beforeEach(async () => {
+    repo = await createRepo();
+    for (const branch of ["merged", "gone", "dirty", "locked", "active"]) {
+      await repo.git(["branch", branch]);
+    }
+    // 上游已删除
+    await repo.git(["push", "-q", "-u", "origin", "gone"]);
+    await repo.git(["push", "-q", "origin", "--delete", "gone"]);
+    // 有自己的提交，未合并
+    await repo.git(["checkout", "-q", "active"]);
+    await repo.commit("active.txt");
+    await repo.git(["checkout", "-q", "main"]);
+    await repo.commit("main.txt");
+
+    for (const branch of ["merged", "gone", "dirty", "locked", "active"]) {
+      worktrees[branch] = path.join(repo.root, `wt-${branch}`);
+      await repo.git(["worktree", "add", "-q", worktrees[branch], branch]);
+    }
+    fs.writeFileSync(path.join(worktrees.dirty, "wip.txt"), "wip\n");
+    await repo.git(["worktree", "lock", worktrees.locked]);
+  });
+
+  afterEach(() => {
+    repo.cleanup();
+    process.exitCode = undefined;
+  });
+
+  it("should only list merged or gone worktrees with --list-only", async () => {
+    const output = await captureOutput(() =>
+      pruneWorktrees({ base: "main", listOnly: true })
+    );
+
+    expect(output).toContain(`- ${worktrees.merged} `);
+    expect(output).toContain(`- ${worktrees.gone} `);
+    // 有未提交更改和已锁定的工作树给出原因后跳过，未合并的工作树不列出
+    expect(output).toMatch(new RegExp(`${worktrees.dirty}.*未提交`));
+    expect(output).toMatch(new RegExp(`${worktrees.locked}.*锁定`));
+    expect(output).not.toContain(worktrees.active);
+    for (const dir of Object.values(worktrees)) {
+      expect(fs.existsSync(dir)).toBe(true);
+    }
+  });
+
+  it("should remove the listed worktrees and keep their branches", async () => {
+    await pruneWorktrees({ base: "main", yes: true });
+
+    expect(fs.existsSync(worktrees.merged)).toBe(false);
+    expect(fs.existsSync(worktrees.gone)).toBe(false);
+    for (const branch of ["dirty", "locked", "active"]) {
+      expect(fs.existsSync(worktrees[branch])).toBe(true);
+    }
+    expect(await branchExists("merged")).toBe(true);
+    expect(await branchExists("gone")).toBe(true);
+    expect(process.exitCode).toBeUndefined();
+  });
+});